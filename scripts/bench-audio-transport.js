@@ -0,0 +1,218 @@
+#!/usr/bin/env node
+
+/**
+ * Offscreen → Service Worker 音訊傳輸基準測試
+ *
+ * 比較兩種把 AudioWorklet 的 20ms PCM frame 送到 Service Worker 的做法：
+ * - before：每個 frame 一則 sendMessage，Int16 轉成數字陣列（Array.from），
+ *   Service Worker 端 new Int16Array(pcmArray).buffer 重建
+ * - after：PCMBatcher 湊滿 AUDIO_PORT_CONFIG.BATCH_FRAMES 個 frame、Base64 後經 Port 送出，
+ *   Service Worker 端 base64ToArrayBuffer() 還原
+ *
+ * Chrome 的擴充訊息（sendMessage 與 Port 皆同）以 JSON 序列化傳遞，這裡用
+ * JSON.stringify / JSON.parse 模擬跨 context 的那一段，量的是兩端 JS 的 CPU 時間、
+ * 訊息數與序列化後的位元組數。IPC 本身與 Service Worker 喚起 handler 的成本不在內，
+ * 實際差距只會更大（訊息數少了 BATCH_FRAMES 倍）。
+ *
+ * 使用方式：
+ *   npm run bench:audio-transport
+ *   npm run bench:audio-transport -- --seconds 300 --batch 10
+ */
+
+import { PCMBatcher } from '../src/offscreen/pcm-batcher.js';
+import { arrayBufferToBase64, base64ToArrayBuffer } from '../src/lib/audio-encoding.js';
+import { AUDIO_PORT_CONFIG, AUDIO_WORKLET_CONFIG } from '../src/lib/config.js';
+
+const SAMPLE_RATE = AUDIO_WORKLET_CONFIG.OUTPUT_SAMPLE_RATE;
+const FRAME_SAMPLES = (SAMPLE_RATE * AUDIO_WORKLET_CONFIG.FRAME_SIZE_MS) / 1000;
+const FRAMES_PER_SECOND = 1000 / AUDIO_WORKLET_CONFIG.FRAME_SIZE_MS;
+
+/**
+ * @param {Array<string>} argv
+ * @returns {{seconds: number, batch: number, rounds: number}}
+ */
+function parseArgs(argv) {
+  const options = { seconds: 120, batch: AUDIO_PORT_CONFIG.BATCH_FRAMES, rounds: 3 };
+
+  for (let i = 0; i < argv.length; i++) {
+    const value = Number(argv[i + 1]);
+    switch (argv[i]) {
+      case '--seconds':
+        options.seconds = value;
+        i++;
+        break;
+      case '--batch':
+        options.batch = value;
+        i++;
+        break;
+      case '--rounds':
+        options.rounds = value;
+        i++;
+        break;
+    }
+  }
+
+  return options;
+}
+
+/**
+ * 類似人聲的測試訊號：幾個基頻疊加加上雜訊，振幅約為滿刻度的 1/4，
+ * 數字陣列的 JSON 長度才接近真實音訊（全 0 會讓 before 看起來太便宜）
+ *
+ * @param {number} seconds
+ * @returns {Array<Int16Array>}
+ */
+function generateFrames(seconds) {
+  const frames = [];
+  let seed = 1;
+  const noise = () => {
+    seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+    return seed / 0x7fffffff - 0.5;
+  };
+
+  for (let f = 0; f < seconds * FRAMES_PER_SECOND; f++) {
+    const frame = new Int16Array(FRAME_SAMPLES);
+    for (let i = 0; i < FRAME_SAMPLES; i++) {
+      const t = (f * FRAME_SAMPLES + i) / SAMPLE_RATE;
+      const voice = Math.sin(2 * Math.PI * 180 * t) + 0.5 * Math.sin(2 * Math.PI * 720 * t);
+      frame[i] = Math.round(8000 * voice + 2000 * noise());
+    }
+    frames.push(frame);
+  }
+
+  return frames;
+}
+
+/**
+ * 量一段程式的 CPU 時間（user + system，毫秒）
+ * @param {() => void} fn
+ * @returns {number}
+ */
+function measureCpu(fn) {
+  const start = process.cpuUsage();
+  fn();
+  const { user, system } = process.cpuUsage(start);
+  return (user + system) / 1000;
+}
+
+/**
+ * 舊做法：每個 frame 一則訊息，數字陣列
+ * @param {Array<Int16Array>} frames
+ */
+function runBefore(frames) {
+  const wire = [];
+  let bytes = 0;
+  let received = 0;
+
+  const offscreenMs = measureCpu(() => {
+    frames.forEach((frame, index) => {
+      const message = {
+        type: 'DEEPGRAM_PCM_FRAME',
+        data: { pcmArray: Array.from(frame), frameIndex: index + 1, sampleCount: frame.length, sampleRate: SAMPLE_RATE, tabId: 1 },
+      };
+      const json = JSON.stringify(message);
+      bytes += json.length;
+      wire.push(json);
+    });
+  });
+
+  const workerMs = measureCpu(() => {
+    wire.forEach((json) => {
+      const { data } = JSON.parse(json);
+      received += new Int16Array(data.pcmArray).buffer.byteLength;
+    });
+  });
+
+  return { messages: wire.length, bytes, offscreenMs, workerMs, received };
+}
+
+/**
+ * 新做法：PCMBatcher + Base64 + Port
+ * @param {Array<Int16Array>} frames
+ * @param {number} batchFrames
+ */
+function runAfter(frames, batchFrames) {
+  const wire = [];
+  let bytes = 0;
+  let received = 0;
+
+  const offscreenMs = measureCpu(() => {
+    const batcher = new PCMBatcher({ batchFrames });
+    batcher.onBatchReady = (batch) => {
+      const message = {
+        type: 'PCM_BATCH',
+        data: {
+          audioBase64: arrayBufferToBase64(batch.samples.buffer),
+          frameIndex: batch.frameIndex,
+          frameCount: batch.frameCount,
+          sampleRate: batch.sampleRate,
+          tabId: 1,
+        },
+      };
+      const json = JSON.stringify(message);
+      bytes += json.length;
+      wire.push(json);
+    };
+    frames.forEach((frame, index) => batcher.push(frame, index + 1, SAMPLE_RATE));
+    batcher.flush();
+  });
+
+  const workerMs = measureCpu(() => {
+    wire.forEach((json) => {
+      const { data } = JSON.parse(json);
+      received += base64ToArrayBuffer(data.audioBase64).byteLength;
+    });
+  });
+
+  return { messages: wire.length, bytes, offscreenMs, workerMs, received };
+}
+
+/**
+ * 多跑幾輪取 CPU 時間的中位數（第一輪含 JIT 暖身）
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+function summarize(label, runs, seconds) {
+  const [first] = runs;
+  const offscreenMs = median(runs.map((run) => run.offscreenMs));
+  const workerMs = median(runs.map((run) => run.workerMs));
+
+  return {
+    label,
+    'msgs/s': (first.messages / seconds).toFixed(1),
+    'KB/s': (first.bytes / seconds / 1024).toFixed(1),
+    'offscreen ms/s': (offscreenMs / seconds).toFixed(3),
+    'SW ms/s': (workerMs / seconds).toFixed(3),
+    'total ms/s': ((offscreenMs + workerMs) / seconds).toFixed(3),
+  };
+}
+
+function main() {
+  const { seconds, batch, rounds } = parseArgs(process.argv.slice(2));
+  const frames = generateFrames(seconds);
+  const expectedBytes = frames.length * FRAME_SAMPLES * 2;
+
+  console.log(`音訊 ${seconds} 秒（${frames.length} 個 20ms frame），每批 ${batch} 個 frame，跑 ${rounds} 輪取中位數\n`);
+
+  const before = [];
+  const after = [];
+  for (let round = 0; round < rounds; round++) {
+    before.push(runBefore(frames));
+    after.push(runAfter(frames, batch));
+  }
+
+  // 兩種做法送到 Service Worker 的 PCM 位元組數必須一致，否則比較沒有意義
+  [...before, ...after].forEach((run) => {
+    if (run.received !== expectedBytes) {
+      throw new Error(`還原後的 PCM 長度不符：${run.received} ≠ ${expectedBytes}`);
+    }
+  });
+
+  console.table([summarize('before', before, seconds), summarize('after', after, seconds)]);
+  console.log('ms/s：每秒音訊花掉的 CPU 毫秒數；KB/s：JSON 序列化後的訊息大小');
+}
+
+main();
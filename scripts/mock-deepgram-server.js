@@ -0,0 +1,543 @@
+#!/usr/bin/env node
+
+/**
+ * 本機模擬 Deepgram 串流伺服器
+ *
+ * 說 Deepgram `/v1/listen` 的 WebSocket 協定，開發與展示時不必消耗 Deepgram 額度：
+ * - 握手：檢查 encoding=linear16、sample_rate，以及 ['token', key] subprotocol
+ *   或 `Authorization: Token <key>` header，不合格就像 Deepgram 一樣回 HTTP 400 / 401
+ * - 收 binary PCM，依「已收到的音訊秒數」觸發腳本事件——影片暫停、沒有音訊時不會有字幕，
+ *   與真實服務的節奏一致
+ * - 腳本事件：Results、UtteranceEnd、SpeechStarted（連線帶 vad_events=true 才送）、Metadata、Error，
+ *   以及模擬斷線的 Close（指定 close code）
+ *   與 Drop（不送 close frame 直接切斷，client 會看到 wasClean: false）
+ * - 文字訊息：KeepAlive 重設閒置計時；Finalize 把進行中的 interim 定版；
+ *   CloseStream 回 Metadata 後以 1000 關閉
+ * - 超過 IDLE_TIMEOUT 沒有音訊也沒有 KeepAlive，以 1011 / NET-0001 關閉
+ *
+ * 使用方式：
+ *   npm run mock:deepgram
+ *   npm run mock:deepgram -- --port 8787 --script scripts/mock-deepgram-script.example.json
+ *   npm run mock:deepgram -- --script transcript.txt      # 純文字：一行一句
+ *
+ * Extension 端：辨識引擎設為 'deepgram-local'，或把 storage 的 deepgram_websocket_url
+ * 設為本伺服器的 URL（見 docs/DEVELOPMENT.md §「本機模擬 Deepgram」）。
+ */
+
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { WebSocketServer } from 'ws';
+
+const DEFAULT_PORT = 8787;
+const LISTEN_PATH = '/v1/listen';
+
+// Deepgram 官方行為：約 10 秒收不到音訊或 KeepAlive 就以 NET-0001 關閉
+const IDLE_TIMEOUT = 10000;
+
+/**
+ * 沒有指定腳本時使用：每句先送 SpeechStarted 與一次 interim，再送 final 與 UtteranceEnd
+ */
+const DEFAULT_SENTENCES = [
+  'This is the local mock Deepgram server.',
+  'No audio leaves your machine and no minutes are billed.',
+  'Every few seconds of audio produces another scripted sentence.',
+  '這是本機模擬的 Deepgram 字幕。',
+];
+
+/**
+ * 把一句話展開成 SpeechStarted → interim → final → UtteranceEnd 四個事件
+ *
+ * @param {string} sentence
+ * @param {number} at - 這句開始的音訊秒數
+ * @param {number} [duration=3] - 這句佔用的音訊秒數
+ * @returns {Array<ScriptEvent>}
+ */
+export function sentenceToEvents(sentence, at, duration = 3) {
+  const words = sentence.split(/\s+/).filter(Boolean);
+  const partial = words.slice(0, Math.max(1, Math.ceil(words.length / 2))).join(' ');
+
+  return [
+    { at, type: 'SpeechStarted' },
+    { at: at + duration * 0.5, type: 'Results', transcript: partial, is_final: false },
+    { at: at + duration * 0.9, type: 'Results', transcript: sentence, is_final: true, speech_final: true },
+    { at: at + duration, type: 'UtteranceEnd' },
+  ];
+}
+
+/**
+ * 載入腳本檔
+ *
+ * - `.json`：`{ loop?: boolean, events: ScriptEvent[] }`
+ * - 其他副檔名視為純文字，一行一句，每句 3 秒
+ *
+ * @param {string} [file]
+ * @returns {MockScript}
+ */
+export function loadScript(file) {
+  if (!file) {
+    return { loop: true, events: sentencesToEvents(DEFAULT_SENTENCES) };
+  }
+
+  const content = fs.readFileSync(file, 'utf-8');
+
+  if (path.extname(file).toLowerCase() === '.json') {
+    const script = JSON.parse(content);
+    if (!Array.isArray(script.events)) {
+      throw new Error(`腳本缺少 events 陣列: ${file}`);
+    }
+    return {
+      loop: !!script.loop,
+      events: [...script.events].sort((a, b) => a.at - b.at),
+    };
+  }
+
+  const sentences = content.split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+  return { loop: true, events: sentencesToEvents(sentences) };
+}
+
+function sentencesToEvents(sentences) {
+  return sentences.flatMap((sentence, i) => sentenceToEvents(sentence, i * 3));
+}
+
+/**
+ * 啟動模擬伺服器
+ *
+ * @param {Object} [options]
+ * @param {number} [options.port=8787] - 0 表示由系統挑一個空閒 port（測試用）
+ * @param {MockScript} [options.script] - 預設為內建句子
+ * @param {string} [options.apiKey] - 指定時只接受這把金鑰；未指定時任何非空金鑰都接受
+ * @param {number} [options.idleTimeout=10000]
+ * @param {boolean} [options.quiet=false] - 不輸出 log
+ * @returns {Promise<MockDeepgramServer>}
+ */
+export async function startMockDeepgramServer(options = {}) {
+  const script = options.script || loadScript();
+  const idleTimeout = options.idleTimeout ?? IDLE_TIMEOUT;
+  const log = options.quiet ? () => {} : (...args) => console.log('[MockDeepgram]', ...args);
+
+  const httpServer = http.createServer((req, res) => {
+    res.writeHead(404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ err_code: 'NOT_FOUND', err_msg: 'Only WebSocket /v1/listen is mocked' }));
+  });
+
+  const wss = new WebSocketServer({
+    noServer: true,
+    // Deepgram 以選中 'token' subprotocol 回應瀏覽器端的 ['token', key]
+    handleProtocols: (protocols) => (protocols.has('token') ? 'token' : false),
+  });
+
+  /** @type {Set<MockSession>} */
+  const sessions = new Set();
+
+  httpServer.on('upgrade', (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    const rejection = validateHandshake(req, url, options.apiKey);
+
+    if (rejection) {
+      log(`❌ 拒絕握手 ${rejection.status}: ${rejection.message}`);
+      socket.write(
+        `HTTP/1.1 ${rejection.status} ${http.STATUS_CODES[rejection.status]}\r\n` +
+          'Content-Type: application/json\r\nConnection: close\r\n\r\n' +
+          JSON.stringify({ err_code: rejection.code, err_msg: rejection.message })
+      );
+      socket.destroy();
+      return;
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      const session = new MockSession(ws, url.searchParams, script, { idleTimeout, log });
+      sessions.add(session);
+      ws.on('close', () => sessions.delete(session));
+    });
+  });
+
+  await new Promise((resolve) => httpServer.listen(options.port ?? DEFAULT_PORT, resolve));
+
+  const { port } = /** @type {import('net').AddressInfo} */ (httpServer.address());
+  const url = `ws://localhost:${port}${LISTEN_PATH}`;
+  log(`🟢 已啟動: ${url}`);
+
+  return {
+    url,
+    port,
+    sessions,
+    async close() {
+      for (const session of sessions) {
+        session.terminate();
+      }
+      wss.close();
+      await new Promise((resolve) => httpServer.close(resolve));
+      log('🔴 已關閉');
+    },
+  };
+}
+
+/**
+ * 依 Deepgram 的規則檢查握手，回傳拒絕原因（通過時為 null）
+ * @private
+ */
+function validateHandshake(req, url, expectedKey) {
+  if (url.pathname !== LISTEN_PATH) {
+    return { status: 404, code: 'NOT_FOUND', message: `Unknown path ${url.pathname}` };
+  }
+
+  const key = extractApiKey(req);
+  if (!key || (expectedKey && key !== expectedKey)) {
+    return { status: 401, code: 'INVALID_AUTH', message: 'Invalid credentials.' };
+  }
+
+  const params = url.searchParams;
+  if (params.get('encoding') && params.get('encoding') !== 'linear16') {
+    return {
+      status: 400,
+      code: 'Bad Request',
+      message: `Mock server only accepts encoding=linear16, got ${params.get('encoding')}`,
+    };
+  }
+
+  const sampleRate = Number(params.get('sample_rate') || 16000);
+  if (!Number.isInteger(sampleRate) || sampleRate <= 0) {
+    return { status: 400, code: 'Bad Request', message: 'Invalid sample_rate' };
+  }
+
+  return null;
+}
+
+/**
+ * 從 subprotocol（瀏覽器）或 Authorization header（Node）取出金鑰
+ * @private
+ */
+function extractApiKey(req) {
+  const protocols = (req.headers['sec-websocket-protocol'] || '')
+    .split(',')
+    .map((p) => p.trim())
+    .filter(Boolean);
+
+  if (protocols[0] === 'token' && protocols[1]) {
+    return protocols[1];
+  }
+
+  const authorization = req.headers.authorization || '';
+  const match = authorization.match(/^Token\s+(.+)$/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * 單一連線：累計音訊秒數、依腳本送出事件
+ * @private
+ */
+class MockSession {
+  constructor(ws, params, script, { idleTimeout, log }) {
+    this.ws = ws;
+    this.script = script;
+    this.log = log;
+    this.idleTimeout = idleTimeout;
+
+    this.requestId = `mock-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    this.model = params.get('model') || 'nova-2';
+    this.language = params.get('language') || 'en';
+    this.vadEvents = params.get('vad_events') === 'true';
+    this.bytesPerSecond = Number(params.get('sample_rate') || 16000) * 2 * Number(params.get('channels') || 1);
+
+    this.audioBytes = 0;
+    this.eventIndex = 0;
+    this.loopOffset = 0; // 循環播放時，本輪腳本 0 秒對應的音訊秒數
+    this.segmentStart = 0; // 目前這句的起點，Results 的 start / duration 由它推算
+    this.lastInterim = null;
+    this.idleTimer = null;
+
+    log(`📡 新連線 ${this.requestId}`, { model: this.model, language: this.language });
+
+    ws.on('message', (data, isBinary) => this.handleMessage(data, isBinary));
+    ws.on('close', (code, reason) => {
+      this.clearIdleTimer();
+      log(`🔌 連線關閉 ${this.requestId}`, { code, reason: reason.toString() });
+    });
+
+    this.resetIdleTimer();
+  }
+
+  get audioSeconds() {
+    return this.audioBytes / this.bytesPerSecond;
+  }
+
+  handleMessage(data, isBinary) {
+    this.resetIdleTimer();
+
+    if (isBinary) {
+      this.audioBytes += data.length;
+      this.runDueEvents();
+      return;
+    }
+
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch {
+      this.send({ type: 'Error', message: 'Invalid JSON text frame', variant: 'SchemaError' });
+      return;
+    }
+
+    switch (message.type) {
+      case 'KeepAlive':
+        break;
+
+      case 'Finalize':
+        if (this.lastInterim) {
+          this.sendResults({ transcript: this.lastInterim, is_final: true, from_finalize: true });
+        }
+        break;
+
+      case 'CloseStream':
+        this.sendMetadata();
+        this.ws.close(1000, '');
+        break;
+
+      default:
+        // 與真實服務相同：不認得的控制訊息一律視為 schema 錯誤
+        this.send({
+          type: 'Error',
+          message: `Unknown control message type: ${message.type}`,
+          variant: 'SchemaError',
+        });
+    }
+  }
+
+  /**
+   * 送出所有「音訊時間已到」的腳本事件
+   */
+  runDueEvents() {
+    const { events } = this.script;
+    if (events.length === 0) return;
+
+    while (this.ws.readyState === this.ws.OPEN) {
+      if (this.eventIndex >= events.length) {
+        if (!this.script.loop) return;
+        // 下一輪從最後一個事件的時間接續，避免同一時間點重複觸發；
+        // 全部事件都在 0 秒時至少隔 1 秒，否則會在同一個 frame 裡無限循環
+        this.loopOffset += Math.max(events[events.length - 1].at, 1);
+        this.eventIndex = 0;
+      }
+
+      const event = events[this.eventIndex];
+      if (this.loopOffset + event.at > this.audioSeconds) return;
+
+      this.eventIndex++;
+      this.runEvent(event, this.loopOffset + event.at);
+    }
+  }
+
+  runEvent(event, at) {
+    switch (event.type) {
+      case 'Results':
+        this.sendResults({ ...event, end: at });
+        break;
+
+      case 'UtteranceEnd':
+        this.send({ type: 'UtteranceEnd', channel: [0, 1], last_word_end: at });
+        break;
+
+      case 'SpeechStarted':
+        // 與 Deepgram 相同：沒要求 vad_events 就不送
+        if (this.vadEvents) {
+          this.send({ type: 'SpeechStarted', channel: [0], timestamp: at });
+        }
+        break;
+
+      case 'Metadata':
+        this.sendMetadata();
+        break;
+
+      case 'Error':
+        this.send({
+          type: 'Error',
+          description: event.description || event.message,
+          message: event.message || 'Mock error',
+          variant: event.variant || 'MockError',
+        });
+        break;
+
+      case 'Close':
+        this.log(`🧪 模擬關閉 ${event.code || 1011}`);
+        this.ws.close(event.code || 1011, event.reason || 'NET-0001');
+        break;
+
+      case 'Drop':
+        this.log('🧪 模擬斷線（不送 close frame）');
+        this.terminate();
+        break;
+
+      default:
+        this.log(`⚠️ 未知腳本事件: ${event.type}`);
+    }
+  }
+
+  /**
+   * @param {Object} result
+   * @param {string} result.transcript
+   * @param {boolean} [result.is_final]
+   * @param {boolean} [result.speech_final]
+   * @param {boolean} [result.from_finalize]
+   * @param {number} [result.end] - 這筆結果結束的音訊秒數
+   * @param {number} [result.confidence]
+   */
+  sendResults(result) {
+    const end = result.end ?? this.audioSeconds;
+    const start = Math.min(this.segmentStart, end);
+    const duration = end - start;
+    const isFinal = !!result.is_final;
+
+    this.send({
+      type: 'Results',
+      channel_index: [0, 1],
+      duration,
+      start,
+      is_final: isFinal,
+      speech_final: !!result.speech_final,
+      from_finalize: !!result.from_finalize,
+      channel: {
+        alternatives: [
+          {
+            transcript: result.transcript,
+            confidence: result.confidence ?? 0.99,
+            words: buildWords(result.transcript, start, duration),
+          },
+        ],
+      },
+      metadata: {
+        request_id: this.requestId,
+        model_info: { name: this.model, version: 'mock', arch: 'mock' },
+        model_uuid: 'mock',
+      },
+    });
+
+    if (isFinal) {
+      this.segmentStart = end;
+      this.lastInterim = null;
+    } else {
+      this.lastInterim = result.transcript;
+    }
+  }
+
+  sendMetadata() {
+    this.send({
+      type: 'Metadata',
+      transaction_key: 'deprecated',
+      request_id: this.requestId,
+      sha256: 'mock',
+      created: new Date().toISOString(),
+      duration: this.audioSeconds,
+      channels: 1,
+      models: ['mock'],
+      model_info: { mock: { name: this.model, version: 'mock', arch: 'mock' } },
+    });
+  }
+
+  send(message) {
+    if (this.ws.readyState !== this.ws.OPEN) return;
+    this.ws.send(JSON.stringify(message));
+  }
+
+  resetIdleTimer() {
+    this.clearIdleTimer();
+    this.idleTimer = setTimeout(() => {
+      this.log(`⏱️ ${this.idleTimeout}ms 沒有音訊，以 NET-0001 關閉`);
+      this.ws.close(1011, 'Deepgram did not receive audio data or a text message within the timeout window. See https://dpgr.am/net0001');
+    }, this.idleTimeout);
+  }
+
+  clearIdleTimer() {
+    if (this.idleTimer) {
+      clearTimeout(this.idleTimer);
+      this.idleTimer = null;
+    }
+  }
+
+  terminate() {
+    this.clearIdleTimer();
+    this.ws.terminate();
+  }
+}
+
+/**
+ * 把逐字時間平均分配到這句的時長裡
+ * @private
+ */
+function buildWords(transcript, start, duration) {
+  const tokens = transcript.split(/\s+/).filter(Boolean);
+  const step = tokens.length > 0 ? duration / tokens.length : 0;
+
+  return tokens.map((token, i) => ({
+    word: token.toLowerCase().replace(/[.,!?;:。，！？]/g, ''),
+    start: start + step * i,
+    end: start + step * (i + 1),
+    confidence: 0.99,
+    punctuated_word: token,
+  }));
+}
+
+/**
+ * 解析 CLI 參數（--port、--script、--api-key、--idle-timeout）
+ * @private
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const name = argv[i].replace(/^--/, '');
+    const value = argv[i + 1];
+    if (['port', 'script', 'api-key', 'idle-timeout'].includes(name) && value !== undefined) {
+      args[name] = value;
+      i++;
+    }
+  }
+  return args;
+}
+
+// 直接執行時啟動伺服器；被 import（測試）時只匯出函式
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const args = parseArgs(process.argv.slice(2));
+
+  startMockDeepgramServer({
+    port: args.port ? Number(args.port) : DEFAULT_PORT,
+    script: loadScript(args.script),
+    apiKey: args['api-key'],
+    idleTimeout: args['idle-timeout'] ? Number(args['idle-timeout']) : IDLE_TIMEOUT,
+  })
+    .then((server) => {
+      console.log('[MockDeepgram] 按 Ctrl+C 結束');
+      process.on('SIGINT', () => server.close().then(() => process.exit(0)));
+    })
+    .catch((error) => {
+      console.error('[MockDeepgram] ❌ 啟動失敗:', error);
+      process.exit(1);
+    });
+}
+
+/**
+ * @typedef {Object} ScriptEvent
+ * @property {number} at - 觸發時間：已收到的音訊秒數
+ * @property {'Results'|'UtteranceEnd'|'SpeechStarted'|'Metadata'|'Error'|'Close'|'Drop'} type
+ * @property {string} [transcript] - Results
+ * @property {boolean} [is_final] - Results
+ * @property {boolean} [speech_final] - Results
+ * @property {number} [confidence] - Results
+ * @property {string} [message] - Error
+ * @property {number} [code] - Close（預設 1011）
+ * @property {string} [reason] - Close
+ */
+
+/**
+ * @typedef {Object} MockScript
+ * @property {boolean} loop - 播完是否從頭循環
+ * @property {Array<ScriptEvent>} events - 依 at 排序
+ */
+
+/**
+ * @typedef {Object} MockDeepgramServer
+ * @property {string} url - 例如 ws://localhost:8787/v1/listen
+ * @property {number} port
+ * @property {Set<Object>} sessions - 目前的連線
+ * @property {() => Promise<void>} close
+ */
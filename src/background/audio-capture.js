@@ -10,10 +10,20 @@
  * 2. 發送 streamId 給 Offscreen Document
  * 3. Offscreen Document 取得 MediaStream 並處理音訊
  * 4. Offscreen Document 將處理好的音訊塊發回 Service Worker
+ *
+ * 每個分頁一個 AudioCapture 實例，但共用同一份 Offscreen Document（Chrome 一個擴充只能有一份）；
+ * Offscreen 端以 tabId 區分各自的擷取管線，停止時也只停自己那一條。
  */
 import { BabelBridgeError, ErrorCodes } from '../lib/errors.js';
 
 export class AudioCapture {
+  /**
+   * 建立中的 Offscreen Document：兩個分頁同時啟用時，第二個等第一個建好，
+   * 否則兩邊都看到 hasDocument() 為 false，第二次 createDocument() 會失敗
+   * @type {Promise<void>|null}
+   */
+  static creatingDocument = null;
+
   constructor() {
     this.isCapturing = false;
     this.currentTabId = null;
@@ -23,9 +33,15 @@ export class AudioCapture {
   /**
    * 開始擷取指定分頁的音訊
    * @param {number} tabId - Chrome tab ID
+   * @param {Object} [options]
+   * @param {string} [options.input='pcm'] - 辨識引擎要的音訊形式（EngineInput），決定 Offscreen 逐 frame 轉發或切塊
+   * @param {string} [options.vadSensitivity='off'] - VAD 靈敏度（VAD_SENSITIVITIES 的 ID），只對 'pcm' 形式有效
    * @returns {Promise<void>}
    */
-  async start(tabId) {
+  async start(tabId, options = {}) {
+    const input = options.input || 'pcm';
+    const vadSensitivity = options.vadSensitivity || 'off';
+
     if (this.isCapturing) {
       throw new BabelBridgeError(
         ErrorCodes.AUDIO_CAPTURE_FAILED,
@@ -54,10 +70,11 @@ export class AudioCapture {
 
       console.log(`[AudioCapture] 已取得 streamId: ${streamId}`);
 
-      // Step 3: 向 Content Script 查詢影片當前時間
+      // Step 3: 向 Content Script 查詢影片當前時間與播放速度
+      // （在已經變速的影片上啟用不會有 ratechange，Whisper chunk 換算影片時間要從這裡拿到速度）
       console.log('[AudioCapture] 查詢影片當前時間...');
-      const videoStartTime = await this.getVideoCurrentTime(tabId);
-      console.log(`[AudioCapture] 影片當前時間: ${videoStartTime.toFixed(2)}s`);
+      const { currentTime: videoStartTime, playbackRate } = await this.getVideoCurrentTime(tabId);
+      console.log(`[AudioCapture] 影片當前時間: ${videoStartTime.toFixed(2)}s（${playbackRate}x）`);
 
       // Step 4: 請求 Offscreen Document 開始音訊擷取
       console.log('[AudioCapture] ========================================');
@@ -69,7 +86,7 @@ export class AudioCapture {
       try {
         const response = await chrome.runtime.sendMessage({
           type: 'OFFSCREEN_START_AUDIO_CAPTURE',
-          data: { streamId, tabId, videoStartTime },
+          data: { streamId, tabId, videoStartTime, playbackRate, input, vadSensitivity },
         });
 
         console.log('[AudioCapture] 🔍 收到 Offscreen Document 的回應');
@@ -111,6 +128,57 @@ export class AudioCapture {
     }
   }
 
+  /**
+   * 接手 Offscreen 裡已在跑的擷取管線（Service Worker 重啟後恢復用），不重新取得 streamId
+   * @param {number} tabId
+   */
+  adopt(tabId) {
+    this.isCapturing = true;
+    this.currentTabId = tabId;
+  }
+
+  /**
+   * Offscreen Document 裡還在跑的擷取管線；沒有 Offscreen Document 時為空陣列
+   *
+   * Service Worker 被回收不會連帶關掉 Offscreen Document，重啟後靠這份清單
+   * 決定哪些管線要接回、哪些是沒人管的殘留要收掉。
+   *
+   * @returns {Promise<Array<LiveCapture>>}
+   */
+  static async listCaptures() {
+    if (!(await chrome.offscreen.hasDocument())) {
+      return [];
+    }
+
+    const response = await chrome.runtime.sendMessage({ type: 'OFFSCREEN_GET_CAPTURES' });
+    return response?.captures || [];
+  }
+
+  /**
+   * 重新對時：之後切出的 chunk 從這個影片時間起算（只影響 'chunk' 形式）
+   *
+   * 影片暫停時分頁擷取照跑、跳轉時影片位置跳開，Offscreen 以樣本數推算的時間就對不上；
+   * 播放、跳轉、改速度時由 TabSession 送來此刻的影片時間與播放速度。
+   *
+   * @param {number} videoTime - 秒
+   * @param {number} [playbackRate=1]
+   * @returns {Promise<void>}
+   */
+  async reanchor(videoTime, playbackRate = 1) {
+    if (!this.isCapturing) {
+      return;
+    }
+
+    try {
+      await chrome.runtime.sendMessage({
+        type: 'OFFSCREEN_REANCHOR_CAPTURE',
+        data: { tabId: this.currentTabId, videoTime, playbackRate },
+      });
+    } catch (error) {
+      console.error('[AudioCapture] 重新對時失敗:', error);
+    }
+  }
+
   /**
    * 停止音訊擷取
    */
@@ -125,6 +193,7 @@ export class AudioCapture {
       // 請求 Offscreen Document 停止音訊擷取
       const response = await chrome.runtime.sendMessage({
         type: 'OFFSCREEN_STOP_AUDIO_CAPTURE',
+        data: { tabId: this.currentTabId },
       });
 
       if (!response.success) {
@@ -138,9 +207,9 @@ export class AudioCapture {
   }
 
   /**
-   * 向 Content Script 查詢影片當前時間
+   * 向 Content Script 查詢影片當前時間與播放速度
    * @param {number} tabId - Chrome tab ID
-   * @returns {Promise<number>} 影片當前時間（秒）
+   * @returns {Promise<{currentTime: number, playbackRate: number}>} 影片當前時間（秒）與播放速度
    * @private
    */
   async getVideoCurrentTime(tabId) {
@@ -150,15 +219,16 @@ export class AudioCapture {
       });
 
       if (response && typeof response.currentTime === 'number') {
-        return response.currentTime;
+        const playbackRate = response.playbackRate > 0 ? response.playbackRate : 1;
+        return { currentTime: response.currentTime, playbackRate };
       }
 
       // 如果無法取得影片時間，返回 0（從頭開始）
       console.warn('[AudioCapture] 無法取得影片時間，使用預設值 0');
-      return 0;
+      return { currentTime: 0, playbackRate: 1 };
     } catch (error) {
       console.error('[AudioCapture] 查詢影片時間失敗:', error);
-      return 0;
+      return { currentTime: 0, playbackRate: 1 };
     }
   }
 
@@ -167,6 +237,23 @@ export class AudioCapture {
    * @private
    */
   async ensureOffscreenDocument() {
+    if (AudioCapture.creatingDocument) {
+      await AudioCapture.creatingDocument;
+      return;
+    }
+
+    AudioCapture.creatingDocument = this.createOffscreenDocument();
+    try {
+      await AudioCapture.creatingDocument;
+    } finally {
+      AudioCapture.creatingDocument = null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  async createOffscreenDocument() {
     console.log('[AudioCapture] 🔍 檢查 Offscreen Document 是否存在...');
     const hasDocument = await chrome.offscreen.hasDocument();
     console.log('[AudioCapture] 🔍 hasDocument:', hasDocument);
@@ -230,3 +317,10 @@ export class AudioCapture {
     return this.currentTabId;
   }
 }
+
+/**
+ * @typedef {Object} LiveCapture
+ * @property {number} tabId
+ * @property {string} input - 'pcm' | 'chunk'，見 EngineInput
+ * @property {number} videoStartTime
+ */
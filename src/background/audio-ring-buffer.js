@@ -0,0 +1,113 @@
+/**
+ * AudioRingBuffer - 斷線期間暫存的 PCM（DeepgramStreamClient 重連用）
+ *
+ * WebSocket 斷線到重連成功之間，Offscreen 仍持續送來音訊。先存在這裡，
+ * 連上後依序補送，講到一半斷線的那幾秒才不會消失。
+ *
+ * 容量有上限：重連拖太久時丟掉最舊的，只補送最近 maxBytes 的音訊。
+ * 每段都記著它在整條串流中的位置（位元組），補送時據此換算新連線的時間 0 點。
+ *
+ * 重連退避期間每個 frame 都會存入，所以用預先配置的環狀陣列：head/tail 兩個索引
+ * 繞著 slots 走，丟掉最舊的一段只是移動 head，不必像 Array.shift() 搬動整個陣列。
+ * slots 全滿（段數比預估的多）時才加倍重排一次。
+ */
+
+/** 預先配置的段數；Offscreen 每 100ms 送一批，約 6 秒 */
+const INITIAL_SLOTS = 64;
+
+export class AudioRingBuffer {
+  /**
+   * @param {number} maxBytes - 容量上限
+   */
+  constructor(maxBytes) {
+    this.maxBytes = maxBytes;
+
+    /** @type {Array<BufferedAudio|undefined>} */
+    this.slots = new Array(INITIAL_SLOTS);
+    this.head = 0; // 最舊一段的索引
+    this.tail = 0; // 下一段寫入的索引
+    this.length = 0; // 目前的段數
+    this.byteLength = 0;
+
+    // 因超過容量而丟掉的位元組（統計用）
+    this.droppedBytes = 0;
+  }
+
+  /**
+   * 存入一段音訊，超過容量時從最舊的開始丟
+   *
+   * @param {ArrayBuffer} data
+   * @param {number} position - 這段音訊開頭在整條串流中的位元組位置
+   */
+  push(data, position) {
+    if (this.length === this.slots.length) {
+      this.grow();
+    }
+
+    this.slots[this.tail] = { data, position };
+    this.tail = (this.tail + 1) % this.slots.length;
+    this.length++;
+    this.byteLength += data.byteLength;
+
+    while (this.byteLength > this.maxBytes && this.length > 1) {
+      const dropped = this.slots[this.head];
+      this.slots[this.head] = undefined;
+      this.head = (this.head + 1) % this.slots.length;
+      this.length--;
+      this.byteLength -= dropped.data.byteLength;
+      this.droppedBytes += dropped.data.byteLength;
+    }
+  }
+
+  /**
+   * 最舊一段的串流位置；空的時候為 null
+   * @returns {number|null}
+   */
+  get startPosition() {
+    return this.length > 0 ? this.slots[this.head].position : null;
+  }
+
+  /**
+   * 取出全部（依存入順序）並清空
+   * @returns {Array<BufferedAudio>}
+   */
+  drain() {
+    const entries = [];
+    for (let i = 0; i < this.length; i++) {
+      entries.push(this.slots[(this.head + i) % this.slots.length]);
+    }
+    this.clear();
+    return entries;
+  }
+
+  /**
+   * 清空（放棄重連或關閉時）
+   */
+  clear() {
+    this.slots.fill(undefined);
+    this.head = 0;
+    this.tail = 0;
+    this.length = 0;
+    this.byteLength = 0;
+  }
+
+  /**
+   * slots 全滿：加倍並把內容依序搬到開頭
+   * @private
+   */
+  grow() {
+    const slots = new Array(this.slots.length * 2);
+    for (let i = 0; i < this.length; i++) {
+      slots[i] = this.slots[(this.head + i) % this.slots.length];
+    }
+    this.slots = slots;
+    this.head = 0;
+    this.tail = this.length;
+  }
+}
+
+/**
+ * @typedef {Object} BufferedAudio
+ * @property {ArrayBuffer} data
+ * @property {number} position - 串流位元組位置
+ */
@@ -11,13 +11,25 @@
  * 4. 接收即時辨識結果（interim + final）
  * 5. 回傳字幕給 SubtitleService
  *
+ * 斷線重連期間的音訊存進 AudioRingBuffer，連上後依序補送；新連線的時間從 0 重新起算。
+ * Offscreen 的 VAD 略過的靜音（skipAudio）也不送給 Deepgram，靠 KeepAlive 維持連線。
+ * 影片暫停太久時 suspend() 放掉連線，resume() 重新連上，串流位置照舊接續。
+ * Deepgram 的時間只算它收到的音訊，辨識結果一律經 toStreamTime() 換回整條串流的時間軸。
+ * UtteranceEnd / SpeechStarted 經 onUtteranceEnd / onSpeechStarted 轉出，驅動字幕一行的開與收。
+ *
  * @author Claude (AI Coding Assistant)
  * @date 2025-11-16
  */
 
+import { TranscriptionEngine, EngineInput, TimeBase } from './transcription-engine.js';
 import { DeepgramKeyManager } from '../lib/deepgram-key-manager.js';
+import { APIKeyManager } from '../lib/api-key-manager.js';
 import { BabelBridgeError, ErrorCodes } from '../lib/errors.js';
 import { DEEPGRAM_CONFIG } from '../lib/config.js';
+import { AudioRingBuffer } from './audio-ring-buffer.js';
+
+// linear16：每秒的位元組數
+const BYTES_PER_SECOND = DEEPGRAM_CONFIG.SAMPLE_RATE * 2 * DEEPGRAM_CONFIG.CHANNELS;
 
 /**
  * WebSocket 連線狀態
@@ -33,15 +45,32 @@ const ConnectionState = {
 /**
  * Deepgram Streaming Client
  */
-export class DeepgramStreamClient {
-  constructor() {
+export class DeepgramStreamClient extends TranscriptionEngine {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.websocketUrl] - 端點，預設 DEEPGRAM_CONFIG.WEBSOCKET_URL
+   * @param {boolean} [options.requireApiKey=true] - false 時沒有金鑰也能連線（本機模擬伺服器）
+   * @param {boolean} [options.trackUsage=true] - false 時不寫入成本帳本（本機模擬伺服器不收費）
+   */
+  constructor(options = {}) {
+    super();
+    this.input = EngineInput.PCM;
+
     this.websocket = null;
     this.connectionState = ConnectionState.DISCONNECTED;
     this.apiKey = null;
+    this.requireApiKey = options.requireApiKey ?? true;
+    this.trackUsage = options.trackUsage ?? true;
 
     // 動態配置（可在 init() 時覆蓋）
     this.model = DEEPGRAM_CONFIG.MODEL;
     this.language = DEEPGRAM_CONFIG.LANGUAGE;
+    this.websocketUrl = options.websocketUrl || DEEPGRAM_CONFIG.WEBSOCKET_URL;
+    this.diarize = false; // 區分講者：每個字帶 speaker 編號
+    this.utteranceEndMs = DEEPGRAM_CONFIG.UTTERANCE_END_MS; // 0 表示不要求 UtteranceEnd
+    this.vadEvents = DEEPGRAM_CONFIG.VAD_EVENTS;
+    this.keywords = []; // 自訂詞彙：Nova-3 以 keyterm、其他模型以 keywords 加權
+    this.costSource = null;
 
     // 重連機制
     this.reconnectAttempts = 0;
@@ -52,9 +81,32 @@ export class DeepgramStreamClient {
     // 沒有任何參照能關掉的孤兒連線（詳見 close()）。
     this.shouldReconnect = true;
 
+    // 影片暫停太久而放掉連線（suspend()），等 resume() 接回
+    this.suspended = false;
+
     // KeepAlive 機制（每 5 秒發送，避免 WebSocket 超時）
     this.keepAliveTimer = null;
 
+    // 斷線補送：重連期間的音訊暫存在這裡。streamBytes 是整條串流走到的位置
+    // （含暫存的、暫存溢出被丟掉的，與 VAD 略過的靜音）
+    this.reconnectBuffer = new AudioRingBuffer(DEEPGRAM_CONFIG.RECONNECT_BUFFER_SECONDS * BYTES_PER_SECOND);
+    this.streamBytes = 0;
+
+    // 連線時間 → 串流時間的對照表：每送出一段與前一段不相接的音訊（連線後第一段、
+    // 略過靜音之後）就記一筆 { at: 連線時間, stream: 串流時間 }（秒）
+    /** @type {Array<{at: number, stream: number}>} */
+    this.timeMap = [];
+    this.connectionBytes = 0;
+    /** @type {number|null} 下一段音訊若與前一段相接，應該在的串流位置 */
+    this.nextPosition = null;
+
+    // 用量結算：尚未寫入帳本的音訊位元組。MV3 Service Worker 隨時可能被終止，
+    // 只在 close() 結算會整段遺失，因此每 USAGE_FLUSH_INTERVAL 結算一次。
+    this.unbilledBytes = 0;
+    // VAD 略過、尚未記帳的靜音（不收費，帳本另記「省下的分鐘數」）
+    this.unbilledSkippedBytes = 0;
+    this.usageFlushTimer = null;
+
     // 統計資訊
     this.stats = {
       audioBytesSent: 0,
@@ -62,15 +114,13 @@ export class DeepgramStreamClient {
       interimResults: 0,
       finalResults: 0,
       errors: 0,
+      replayedBytes: 0,
+      droppedBytes: 0,
+      skippedBytes: 0,
       startTime: null,
       endTime: null,
     };
 
-    // 回調函數
-    this.onTranscript = null; // (transcript, isFinal) => void
-    this.onError = null; // (error) => void
-    this.onStateChange = null; // (state) => void
-
     console.log('[DeepgramStreamClient] 實例已建立');
   }
 
@@ -79,6 +129,12 @@ export class DeepgramStreamClient {
    * @param {Object} [config] - 可選配置；未帶的欄位沿用建構子預設值
    * @param {string} [config.model] - 模型 ID ('nova-2' 或 'nova-3')
    * @param {string} [config.language] - 語言代碼 ('multi', 'en', 'zh-TW' 等)
+   * @param {string} [config.websocketUrl] - 覆寫端點（開發用，見 STORAGE_KEYS.DEEPGRAM_WEBSOCKET_URL）
+   * @param {string} [config.costSource] - 記帳標記，見 EngineConfig.costSource
+   * @param {boolean} [config.diarize] - 區分講者
+   * @param {number} [config.utteranceEndMs] - UtteranceEnd 的字間間隔（毫秒），0 不要求；預設 DEEPGRAM_CONFIG.UTTERANCE_END_MS
+   * @param {boolean} [config.vadEvents] - 是否要求 SpeechStarted；預設 DEEPGRAM_CONFIG.VAD_EVENTS
+   * @param {string[]} [config.keywords] - 自訂詞彙，見 glossary.js
    * @returns {Promise<void>}
    */
   async init(config = {}) {
@@ -89,18 +145,45 @@ export class DeepgramStreamClient {
     if (config.language) {
       this.language = config.language;
     }
+    if (config.websocketUrl) {
+      this.websocketUrl = config.websocketUrl;
+    }
+    this.costSource = config.costSource ?? null;
+    this.diarize = Boolean(config.diarize);
+    this.utteranceEndMs = config.utteranceEndMs ?? DEEPGRAM_CONFIG.UTTERANCE_END_MS;
+    this.vadEvents = config.vadEvents ?? DEEPGRAM_CONFIG.VAD_EVENTS;
+    this.keywords = config.keywords ?? [];
 
-    console.log('[DeepgramStreamClient] 🔄 初始化中...', { model: this.model, language: this.language });
+    console.log('[DeepgramStreamClient] 🔄 初始化中...', {
+      model: this.model,
+      language: this.language,
+      websocketUrl: this.websocketUrl,
+      diarize: this.diarize,
+      utteranceEndMs: this.utteranceEndMs,
+      vadEvents: this.vadEvents,
+      keywords: this.keywords.length,
+    });
 
     // 重新開閂，讓 close() 過的實例仍可重新使用。
     // 只在 init() 開閂、不在 connect() 開閂：connect() 也被 scheduleReconnect()
     // 呼叫，在那裡開閂會讓競態中的重連自行解除 close() 剛閂上的鎖。
     this.shouldReconnect = true;
+    this.suspended = false;
+
+    // 新的一場從 0 起算
+    this.reconnectBuffer.clear();
+    this.streamBytes = 0;
+    this.resetTimeMap();
 
     try {
       // 取得 API Key
       this.apiKey = await DeepgramKeyManager.getKey();
 
+      // 模擬伺服器不驗金鑰內容，只要求 subprotocol 帶一個非空值
+      if (!this.apiKey && !this.requireApiKey) {
+        this.apiKey = DEEPGRAM_CONFIG.LOCAL_API_KEY;
+      }
+
       if (!this.apiKey) {
         throw new BabelBridgeError(
           ErrorCodes.DEEPGRAM_API_KEY_NOT_FOUND,
@@ -154,6 +237,7 @@ export class DeepgramStreamClient {
       // KeepAlive 以 text frame 送 {"type":"KeepAlive"}，是官方指定的維持方式，
       // 與先前造成 SchemaError 的自訂 configure 訊息無關（後者已移除，見 handleOpen）。
       this.startKeepAlive();
+      this.startUsageFlush();
 
       // 重置重連計數
       this.reconnectAttempts = 0;
@@ -196,11 +280,30 @@ export class DeepgramStreamClient {
       params.set('language', this.language);
     }
 
+    if (this.diarize) {
+      params.set('diarize', 'true');
+    }
+
+    // utterance_end_ms 靠 interim results 判斷字間間隔，INTERIM_RESULTS 一直是開的
+    if (this.utteranceEndMs > 0) {
+      params.set('utterance_end_ms', String(this.utteranceEndMs));
+    }
+
+    if (this.vadEvents) {
+      params.set('vad_events', 'true');
+    }
+
+    // 每個詞一個參數；keywords 只支援 Nova-2 以前的模型，Nova-3 改用 keyterm，送錯會被拒絕連線
+    const keywordParam = this.model.startsWith('nova-3') ? 'keyterm' : 'keywords';
+    for (const keyword of this.keywords) {
+      params.append(keywordParam, keyword);
+    }
+
     // 注意：不在 URL 中包含 token（改用 WebSocket subprotocols）
-    const wsUrl = `${DEEPGRAM_CONFIG.WEBSOCKET_URL}?${params.toString()}`;
+    const wsUrl = `${this.websocketUrl}?${params.toString()}`;
 
     console.log('[DeepgramStreamClient] 🔗 WebSocket URL:', wsUrl);
-    console.log('[DeepgramStreamClient] 🔗 連線到 Deepgram...', { url: 'wss://api.deepgram.com/v1/listen', model: this.model, language: this.language });
+    console.log('[DeepgramStreamClient] 🔗 連線到 Deepgram...', { url: this.websocketUrl, model: this.model, language: this.language });
 
     return wsUrl;
   }
@@ -254,6 +357,10 @@ export class DeepgramStreamClient {
     console.log('[DeepgramStreamClient] 📡 WebSocket 已開啟');
     this.updateState(ConnectionState.CONNECTED);
 
+    // 必須在這裡同步補送：connect() 要等 waitForConnection() 輪詢到才會往下走，
+    // 那段期間 sendAudio() 已經直接送出新音訊，再補送順序就亂了
+    this.replayBuffered();
+
     // 不要在這裡送 { type: 'configure' } 之類的設定訊息，Deepgram 會回 SchemaError。
     // 所有辨識參數一律走 URL query string（見 buildWebSocketUrl()）。
   }
@@ -290,18 +397,30 @@ export class DeepgramStreamClient {
 
         case 'UtteranceEnd':
           console.log('[DeepgramStreamClient] 🔚 句子結束');
+          this.emitUtteranceEnd({
+            lastWordEnd: typeof data.last_word_end === 'number' ? this.toStreamTime(data.last_word_end, true) : null,
+            timestamp: Date.now(),
+          });
           break;
 
         case 'SpeechStarted':
           console.log('[DeepgramStreamClient] 🎤 偵測到語音');
+          this.emitSpeechStarted({
+            start: typeof data.timestamp === 'number' ? this.toStreamTime(data.timestamp) : null,
+            timestamp: Date.now(),
+          });
           break;
 
         case 'Error':
           console.error('[DeepgramStreamClient] ❌ API 錯誤:', data);
           this.stats.errors++;
-          if (this.onError) {
-            this.onError(new Error(data.message || 'Deepgram API 錯誤'));
-          }
+          this.emitError(
+            new BabelBridgeError(
+              ErrorCodes.DEEPGRAM_WEBSOCKET_ERROR,
+              data.message || 'Deepgram API 錯誤',
+              { variant: data.variant, description: data.description }
+            )
+          );
           break;
 
         default:
@@ -349,16 +468,28 @@ export class DeepgramStreamClient {
 
     console.log(`[DeepgramStreamClient] ${isFinal ? '✅ Final' : '⏳ Interim'}:`, transcript);
 
-    // 回調
-    if (this.onTranscript) {
-      this.onTranscript({
-        text: transcript,
-        isFinal,
-        confidence: alternative.confidence,
-        words: alternative.words || [],
-        timestamp: Date.now(),
-      });
-    }
+    // Deepgram 的 start / duration 以這條連線收到的音訊計時，換回整條串流的時間
+    const hasTiming = data.start !== undefined;
+
+    this.emitTranscript({
+      text: transcript,
+      isFinal,
+      // is_final 只代表這一段不會再改；endpointing 偵測到停頓才是 speech_final，一句話到此講完
+      speechFinal: data.speech_final === true,
+      confidence: alternative.confidence,
+      start: hasTiming ? this.toStreamTime(data.start) : undefined,
+      end: hasTiming ? this.toStreamTime(data.start + (data.duration || 0), true) : undefined,
+      timeBase: TimeBase.STREAM,
+      words: (alternative.words || []).map((word) => ({
+        text: word.punctuated_word || word.word,
+        start: this.toStreamTime(word.start),
+        end: this.toStreamTime(word.end, true),
+        confidence: word.confidence,
+        ...(typeof word.speaker === 'number' && { speaker: word.speaker }),
+      })),
+      // 重連補送中的音訊也算在內：它們終究會送到，串流時間照樣往前走
+      streamPosition: this.streamBytes / BYTES_PER_SECOND,
+    });
   }
 
   /**
@@ -370,9 +501,7 @@ export class DeepgramStreamClient {
     this.stats.errors++;
     this.updateState(ConnectionState.ERROR);
 
-    if (this.onError) {
-      this.onError(new Error('WebSocket 連線錯誤'));
-    }
+    this.emitError(new BabelBridgeError(ErrorCodes.DEEPGRAM_NETWORK_ERROR, 'WebSocket 連線錯誤'));
   }
 
   /**
@@ -402,6 +531,11 @@ export class DeepgramStreamClient {
     // 如果不是正常關閉且未超過重連次數，嘗試重連
     if (!event.wasClean && this.reconnectAttempts < DEEPGRAM_CONFIG.RECONNECT_MAX_RETRIES) {
       this.scheduleReconnect();
+    } else if (this.reconnectBuffer.byteLength > 0) {
+      console.warn(
+        `[DeepgramStreamClient] 不再重連，捨棄暫存的 ${(this.reconnectBuffer.byteLength / BYTES_PER_SECOND).toFixed(1)} 秒音訊`
+      );
+      this.reconnectBuffer.clear();
     }
   }
 
@@ -410,16 +544,27 @@ export class DeepgramStreamClient {
    * @param {ArrayBuffer} audioData - PCM 音訊資料（16kHz, Mono, linear16）
    */
   sendAudio(audioData) {
-    if (this.connectionState !== ConnectionState.CONNECTED) {
-      console.warn('[DeepgramStreamClient] ⚠️ WebSocket 未連線，無法發送音訊');
+    if (!audioData || audioData.byteLength === 0) {
+      console.warn('[DeepgramStreamClient] ⚠️ 音訊資料為空');
       return;
     }
 
-    if (!audioData || audioData.byteLength === 0) {
-      console.warn('[DeepgramStreamClient] ⚠️ 音訊資料為空');
+    const position = this.streamBytes;
+
+    if (this.connectionState !== ConnectionState.CONNECTED) {
+      // 連線中或等待重連：先存起來，連上後補送
+      if (this.isAwaitingConnection()) {
+        this.streamBytes += audioData.byteLength;
+        this.reconnectBuffer.push(audioData, position);
+        return;
+      }
+
+      console.warn('[DeepgramStreamClient] ⚠️ WebSocket 未連線，無法發送音訊');
       return;
     }
 
+    this.streamBytes += audioData.byteLength;
+
     try {
       // 診斷：檢查 audioData 類型
       if (this.stats.audioBytesSent === 0) {
@@ -429,8 +574,7 @@ export class DeepgramStreamClient {
         console.log('  - Is ArrayBuffer:', audioData instanceof ArrayBuffer);
       }
 
-      this.websocket.send(audioData);
-      this.stats.audioBytesSent += audioData.byteLength;
+      this.transmit(audioData, position);
 
       // 只在首次發送時記錄，避免 Console 污染
       if (this.stats.audioBytesSent === audioData.byteLength) {
@@ -442,6 +586,184 @@ export class DeepgramStreamClient {
     }
   }
 
+  /**
+   * 串流中有一段靜音被 Offscreen 的 VAD 略過：不送出、不收費，只把串流位置往前推
+   *
+   * 連線不會因此閒置斷線：KeepAlive 照常每 KEEPALIVE_INTERVAL 送一次。
+   * @param {number} seconds
+   */
+  skipAudio(seconds) {
+    const bytes = Math.round(seconds * DEEPGRAM_CONFIG.SAMPLE_RATE) * 2 * DEEPGRAM_CONFIG.CHANNELS;
+    if (!(bytes > 0)) return;
+
+    this.streamBytes += bytes;
+    this.stats.skippedBytes += bytes;
+    this.unbilledSkippedBytes += bytes;
+  }
+
+  /**
+   * 影片暫停太久：結算用量、放掉連線，串流位置留著，resume() 之後接續
+   *
+   * 以 CloseStream 請 Deepgram 把還沒定版的那句送完再關（它本來就要等更多音訊才會定版），
+   * 所以保留舊連線的 onmessage；onclose / onerror 先拆掉——關閉握手可能在 resume()
+   * 開出新連線之後才完成，不能讓它把新連線的狀態改成斷線，也不該觸發重連。
+   * 萬一 Deepgram 沒有關，少了 KeepAlive 它也會在 10 秒後自行以 NET-0001 關閉。
+   *
+   * @returns {Promise<void>}
+   */
+  async suspend() {
+    if (this.suspended || !this.shouldReconnect) return;
+
+    console.log('[DeepgramStreamClient] ⏸️ 影片暫停過久，暫時關閉連線');
+    this.suspended = true;
+    this.shouldReconnect = false;
+
+    this.cancelReconnect();
+    this.reconnectBuffer.clear();
+    this.stopKeepAlive();
+    this.stopUsageFlush();
+    this.flushUsage();
+
+    const websocket = this.websocket;
+    this.websocket = null;
+    if (websocket) {
+      websocket.onopen = null;
+      websocket.onerror = null;
+      websocket.onclose = null;
+      try {
+        if (websocket.readyState === WebSocket.OPEN) {
+          websocket.send(JSON.stringify({ type: 'CloseStream' }));
+        } else {
+          websocket.close(1000, 'Suspended');
+        }
+      } catch (error) {
+        console.error('[DeepgramStreamClient] ❌ 關閉 WebSocket 失敗:', error);
+      }
+    }
+
+    this.updateState(ConnectionState.DISCONNECTED);
+  }
+
+  /**
+   * 影片重新播放：重新連線
+   *
+   * connect() 一開始就進入 CONNECTING，之後到的音訊照斷線補送的方式暫存、連上後補送；
+   * 新連線的時間 0 點對到那時的串流位置，暫停前後的字幕時間接得上。
+   *
+   * @returns {Promise<void>}
+   */
+  async resume() {
+    if (!this.suspended) return;
+
+    console.log('[DeepgramStreamClient] ▶️ 影片繼續播放，重新連線');
+    this.suspended = false;
+    this.shouldReconnect = true;
+    await this.connect();
+  }
+
+  /**
+   * 把這條連線上的時間（Deepgram 回傳的秒數）換成整條串流的時間
+   *
+   * 剛好落在兩段交界的時間，開頭歸後一段、結尾（isEnd）歸前一段：
+   * 一句話的結尾不會被算到略過的靜音之後。
+   *
+   * @param {number} seconds
+   * @param {boolean} [isEnd=false]
+   * @returns {number}
+   */
+  toStreamTime(seconds, isEnd = false) {
+    let segment = this.timeMap[0];
+    for (const entry of this.timeMap) {
+      if (entry.at < seconds || (!isEnd && entry.at === seconds)) {
+        segment = entry;
+      } else {
+        break;
+      }
+    }
+
+    // 這條連線還沒送過音訊（不該有結果），以目前的串流位置為 0 點
+    if (!segment) return this.streamBytes / BYTES_PER_SECOND + seconds;
+    return segment.stream + (seconds - segment.at);
+  }
+
+  /**
+   * 新連線的時間從 0 起算，對照表重來
+   * @private
+   */
+  resetTimeMap() {
+    this.timeMap = [];
+    this.connectionBytes = 0;
+    this.nextPosition = null;
+  }
+
+  /**
+   * 送出一段音訊並計入統計與用量；與前一段不相接時記進時間對照表
+   * @private
+   * @param {ArrayBuffer} audioData
+   * @param {number} position - 這段音訊在整條串流中的位置（bytes）
+   */
+  transmit(audioData, position) {
+    this.websocket.send(audioData);
+
+    if (position !== this.nextPosition) {
+      this.timeMap.push({
+        at: this.connectionBytes / BYTES_PER_SECOND,
+        stream: position / BYTES_PER_SECOND,
+      });
+    }
+    this.connectionBytes += audioData.byteLength;
+    this.nextPosition = position + audioData.byteLength;
+
+    this.stats.audioBytesSent += audioData.byteLength;
+    this.unbilledBytes += audioData.byteLength;
+  }
+
+  /**
+   * 是否正在等連線（建立中，或重連的退避期間）：這段期間的音訊要暫存
+   * @private
+   * @returns {boolean}
+   */
+  isAwaitingConnection() {
+    return (
+      this.shouldReconnect &&
+      (this.connectionState === ConnectionState.CONNECTING || this.reconnectTimer !== null)
+    );
+  }
+
+  /**
+   * 連上後依序補送暫存的音訊；新連線的時間 0 點對到第一段送出音訊的串流位置
+   *
+   * 沒有暫存（斷線期間影片暫停）時，0 點就是之後第一段新音訊的位置。
+   * 暫存溢出而丟掉的開頭那段不補，但位置照算，後面的字幕時間仍對得上。
+   *
+   * @private
+   */
+  replayBuffered() {
+    this.resetTimeMap();
+
+    const dropped = this.reconnectBuffer.droppedBytes;
+    this.reconnectBuffer.droppedBytes = 0;
+    this.stats.droppedBytes += dropped;
+
+    const entries = this.reconnectBuffer.drain();
+    if (entries.length === 0) return;
+
+    const bytes = entries.reduce((sum, entry) => sum + entry.data.byteLength, 0);
+    console.log(
+      `[DeepgramStreamClient] ⏪ 補送斷線期間的 ${(bytes / BYTES_PER_SECOND).toFixed(1)} 秒音訊` +
+        (dropped > 0 ? `（超過上限，最舊的 ${(dropped / BYTES_PER_SECOND).toFixed(1)} 秒已捨棄）` : ''),
+      { streamStart: entries[0].position / BYTES_PER_SECOND }
+    );
+
+    try {
+      entries.forEach((entry) => this.transmit(entry.data, entry.position));
+      this.stats.replayedBytes += bytes;
+    } catch (error) {
+      console.error('[DeepgramStreamClient] ❌ 補送音訊失敗:', error);
+      this.stats.errors++;
+    }
+  }
+
   /**
    * 啟動 KeepAlive 機制
    *
@@ -476,6 +798,54 @@ export class DeepgramStreamClient {
     }
   }
 
+  /**
+   * 啟動定期用量結算（重連時沿用同一個計時器）
+   * @private
+   */
+  startUsageFlush() {
+    if (!this.trackUsage || this.usageFlushTimer) {
+      return;
+    }
+
+    this.usageFlushTimer = setInterval(() => {
+      this.flushUsage();
+    }, DEEPGRAM_CONFIG.USAGE_FLUSH_INTERVAL);
+  }
+
+  /**
+   * 停止定期用量結算
+   * @private
+   */
+  stopUsageFlush() {
+    if (this.usageFlushTimer) {
+      clearInterval(this.usageFlushTimer);
+      this.usageFlushTimer = null;
+    }
+  }
+
+  /**
+   * 把尚未結算的音訊換算成秒數寫入成本帳本
+   *
+   * 以實際送出的位元組計算，不用連線時間：影片暫停時只有 KeepAlive，Deepgram 不收費。
+   * VAD 略過的靜音一併記下，供 Popup 顯示省下多少。
+   *
+   * @private
+   */
+  flushUsage() {
+    if (!this.trackUsage || (this.unbilledBytes === 0 && this.unbilledSkippedBytes === 0)) {
+      return;
+    }
+
+    const seconds = this.unbilledBytes / BYTES_PER_SECOND;
+    const skippedSeconds = this.unbilledSkippedBytes / BYTES_PER_SECOND;
+    this.unbilledBytes = 0;
+    this.unbilledSkippedBytes = 0;
+
+    APIKeyManager.trackDeepgramUsage(seconds, this.model, this.costSource, skippedSeconds).catch((error) => {
+      console.error('[DeepgramStreamClient] ❌ 記錄用量失敗:', error);
+    });
+  }
+
   /**
    * 排程重連
    * @private
@@ -490,6 +860,7 @@ export class DeepgramStreamClient {
     );
 
     this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
       this.connect().catch((error) => {
         console.error('[DeepgramStreamClient] ❌ 重連失敗:', error);
       });
@@ -517,9 +888,7 @@ export class DeepgramStreamClient {
 
     console.log(`[DeepgramStreamClient] 狀態變更: ${oldState} → ${newState}`);
 
-    if (this.onStateChange) {
-      this.onStateChange(newState, oldState);
-    }
+    this.emitStateChange(newState, oldState);
   }
 
   /**
@@ -532,15 +901,21 @@ export class DeepgramStreamClient {
     // 呼叫端清掉本實例參照之後才觸發。若那時 wasClean 為 false（伺服器沒回
     // close frame、網路先斷），handleClose() 會重連出一條孤兒連線。
     this.shouldReconnect = false;
+    this.suspended = false;
 
     this.updateState(ConnectionState.CLOSING);
 
-    // 取消重連
+    // 取消重連，暫存的音訊也不必再送
     this.cancelReconnect();
+    this.reconnectBuffer.clear();
 
     // 停止 KeepAlive
     this.stopKeepAlive();
 
+    // 結算最後一段用量
+    this.stopUsageFlush();
+    this.flushUsage();
+
     // 關閉 WebSocket
     if (this.websocket) {
       try {
@@ -574,6 +949,9 @@ export class DeepgramStreamClient {
       transcriptsReceived: this.stats.transcriptsReceived,
       interimResults: this.stats.interimResults,
       finalResults: this.stats.finalResults,
+      replayedBytes: `${(this.stats.replayedBytes / 1024).toFixed(2)} KB`,
+      droppedBytes: `${(this.stats.droppedBytes / 1024).toFixed(2)} KB`,
+      skipped: `${(this.stats.skippedBytes / BYTES_PER_SECOND).toFixed(1)}s`,
       errors: this.stats.errors,
     });
   }
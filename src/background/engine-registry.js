@@ -0,0 +1,111 @@
+/**
+ * EngineRegistry - 辨識引擎註冊表
+ *
+ * Service Worker 依 RECOGNITION_ENGINE 設定的 ID 從這裡取引擎，不直接 import 任何供應商。
+ * 新增供應商時在檔尾註冊；測試或本機除錯可以在執行期註冊替身：
+ *
+ *   EngineRegistry.register('fake', () => new FakeEngine());
+ *
+ * Popup 顯示用的名稱與提示在 config.js 的 RECOGNITION_ENGINES，兩邊以 ID 對應。
+ */
+import { DeepgramStreamClient } from './deepgram-stream-client.js';
+import { WhisperBatchClient } from './whisper-batch-client.js';
+import { BabelBridgeError, ErrorCodes } from '../lib/errors.js';
+import { DEEPGRAM_CONFIG } from '../lib/config.js';
+
+export class EngineRegistry {
+  /** @type {Map<string, EngineFactory>} */
+  static engines = new Map();
+
+  static DEFAULT_ENGINE = 'deepgram';
+
+  /**
+   * 註冊引擎（同 ID 重複註冊會覆蓋，方便測試換成替身）
+   * @param {string} id
+   * @param {EngineFactory} factory
+   */
+  static register(id, factory) {
+    if (typeof factory !== 'function') {
+      throw new TypeError(`[EngineRegistry] 引擎 ${id} 的工廠必須是函式`);
+    }
+
+    this.engines.set(id, factory);
+  }
+
+  /**
+   * 取消註冊
+   * @param {string} id
+   */
+  static unregister(id) {
+    this.engines.delete(id);
+  }
+
+  /**
+   * @param {string} id
+   * @returns {boolean}
+   */
+  static has(id) {
+    return this.engines.has(id);
+  }
+
+  /**
+   * 已註冊的引擎 ID
+   * @returns {string[]}
+   */
+  static list() {
+    return [...this.engines.keys()];
+  }
+
+  /**
+   * 設定值可能是舊版本或已移除的引擎：找不到就退回預設引擎，而不是讓啟用失敗
+   * @param {string} [id]
+   * @returns {string}
+   */
+  static resolve(id) {
+    if (id && this.engines.has(id)) {
+      return id;
+    }
+
+    if (id) {
+      console.warn(`[EngineRegistry] 未知的辨識引擎 "${id}"，改用 ${this.DEFAULT_ENGINE}`);
+    }
+    return this.DEFAULT_ENGINE;
+  }
+
+  /**
+   * 建立引擎實例（尚未 init）
+   * @param {string} id
+   * @returns {import('./transcription-engine.js').TranscriptionEngine}
+   */
+  static create(id) {
+    const factory = this.engines.get(id);
+
+    if (!factory) {
+      throw new BabelBridgeError(
+        ErrorCodes.INIT_FAILED,
+        `未註冊的辨識引擎: ${id}`,
+        { engine: id, available: this.list() }
+      );
+    }
+
+    return factory();
+  }
+}
+
+EngineRegistry.register('deepgram', () => new DeepgramStreamClient());
+EngineRegistry.register('whisper', () => new WhisperBatchClient());
+
+// 開發用：連到 scripts/mock-deepgram-server.js，沒設 Deepgram 金鑰也能跑完整條管線
+EngineRegistry.register(
+  'deepgram-local',
+  () =>
+    new DeepgramStreamClient({
+      websocketUrl: DEEPGRAM_CONFIG.LOCAL_WEBSOCKET_URL,
+      requireApiKey: false,
+      trackUsage: false,
+    })
+);
+
+/**
+ * @typedef {() => import('./transcription-engine.js').TranscriptionEngine} EngineFactory
+ */
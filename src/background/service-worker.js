@@ -7,370 +7,359 @@
  *
  * 流程：
  * 1. Service Worker → AudioCapture → Offscreen Document
- * 2. Offscreen Document → AudioWorklet (PCM processor) → PCM frames (20ms)
+ * 2. Offscreen Document → AudioWorklet (PCM processor) → PCM frames (20ms) → 每 100ms 一批
  * 3. Service Worker → DeepgramStreamClient → WebSocket → 即時字幕
  * 4. Service Worker → Content Script (即時顯示)
+ *
+ * Whisper 批次引擎（設定 RECOGNITION_ENGINE = 'whisper'）：
+ * 2'. Offscreen Document → PCMChunker → 3 秒 WAV chunk（1 秒重疊）
+ * 3'. Service Worker → WhisperBatchClient → Whisper API → OverlapProcessor 去重
+ * 4'. Service Worker → Content Script（影片絕對時間 segments）
+ *
+ * 音訊（PCM 批次與 Whisper chunk）經 Offscreen 連上來的長連線 Port 送達，不走 onMessage。
+ *
+ * 辨識引擎一律經 EngineRegistry 依 ID 建立，只透過 TranscriptionEngine 介面操作，
+ * 這裡不認得任何一家供應商。
+ *
+ * 多個分頁可同時啟用字幕：每個分頁一個 TabSession（自己的引擎、翻譯、擷取管線與逐字稿），
+ * 這裡只負責依 tabId 轉送訊息與分攤記帳。
+ *
+ * Service Worker 隨時可能被 Chrome 回收，Offscreen 的擷取管線與頁面上的 overlay 卻會留著。
+ * 每個分頁的快照存在 chrome.storage.session（SessionState），載入時 restore() 據此接回。
  */
+import { TabSession } from './tab-session.js';
+import { SessionState } from './session-state.js';
 import { AudioCapture } from './audio-capture.js';
-import { DeepgramStreamClient } from './deepgram-stream-client.js';
 import { APIKeyManager } from '../lib/api-key-manager.js';
-import { ErrorHandler } from '../lib/error-handler.js';
 import { BabelBridgeError, ErrorCodes } from '../lib/errors.js';
-import { MessageTypes, STORAGE_KEYS } from '../lib/config.js';
+import { MessageTypes, AUDIO_PORT_CONFIG } from '../lib/config.js';
 
 /**
- * 全域狀態管理（Deepgram Streaming）
+ * 全域狀態管理：各分頁的字幕工作階段
  */
 export class SubtitleService {
   constructor() {
-    this.audioCapture = null;
-    this.deepgramClient = null;
+    // tabId → TabSession。停用後仍保留（逐字稿留到下一次啟用），分頁關閉才移除
+    /** @type {Map<number, TabSession>} */
+    this.sessions = new Map();
 
-    this.isActive = false;
-    this.isEnabling = false;
-    this.currentTabId = null;
+    // 恢復中（見 restore()）。期間進來的啟用、停用要等它跑完，音訊直接丟棄
+    /** @type {Promise<void>|null} */
+    this.restoring = null;
 
-    // 世代編號：enable() 開頭認領一個號碼，disable() 進來就 +1。
-    // enable() 每經過一個 await 都重新確認自己還是當前世代，過期就自行收攤。
-    // 用世代而非互斥鎖，是為了讓停用立即生效——上鎖的話，enable() 卡在
-    // waitForConnection() 的 10 秒逾時期間，使用者按停用得乾等。
-    this.generation = 0;
+    // 已要求 Offscreen 停掉的殘留管線，停掉前陸續到的 frame 不必每個都再要求一次
+    this.orphanCaptures = new Set();
 
     console.log('[SubtitleService] Service Worker 已啟動（Deepgram Streaming）');
   }
 
   /**
-   * 收掉上一輪殘留、沒人關的 Deepgram client
+   * 取得分頁的工作階段，沒有就建立
    *
-   * 直接覆蓋參照會讓舊實例連同它的 KeepAlive timer 永遠留著。
-   * 先摘參照再關閉：close() 是非同步的，中途讓出時參照必須已經不在。
-   *
-   * @private
+   * @param {number} tabId
+   * @returns {TabSession}
    */
-  async closeStaleClient() {
-    if (!this.deepgramClient) return;
-
-    console.warn('[SubtitleService] 偵測到未關閉的 Deepgram client，先行關閉');
-    const stale = this.deepgramClient;
-    this.deepgramClient = null;
-
-    await stale.close().catch((error) => {
-      console.error('[SubtitleService] 關閉舊 Deepgram 連線失敗:', error);
-    });
+  getSession(tabId) {
+    let session = this.sessions.get(tabId);
+    if (!session) {
+      session = new TabSession(tabId);
+      this.sessions.set(tabId, session);
+    }
+    return session;
   }
 
   /**
-   * 建立並連線一個 Deepgram client（不掛到 this，由呼叫端決定時機）
+   * 在指定分頁啟用字幕，其他分頁不受影響
    *
-   * @private
-   * @returns {Promise<DeepgramStreamClient>} 已連線且設好回調的 client
+   * @param {number} tabId
+   * @param {Object} [options] - 見 TabSession.enable()
    */
-  async createClient() {
-    // 讀取用戶的 Deepgram 設定
-    const settings = await chrome.storage.local.get([
-      STORAGE_KEYS.DEEPGRAM_MODEL,
-      STORAGE_KEYS.DEEPGRAM_LANGUAGE,
-    ]);
-
-    const model = /** @type {string} */ (settings[STORAGE_KEYS.DEEPGRAM_MODEL] || 'nova-2');
-    const language = /** @type {string} */ (
-      settings[STORAGE_KEYS.DEEPGRAM_LANGUAGE] || 'zh-TW'
-    );
-
-    console.log('[SubtitleService] 載入用戶設定:', { model, language });
+  async enable(tabId, options = {}) {
+    if (!tabId) {
+      return { success: false, error: '無法取得分頁' };
+    }
+    await this.restoring;
+    return this.getSession(tabId).enable(options);
+  }
 
-    const client = new DeepgramStreamClient();
-    await client.init({ model, language });
+  /**
+   * 停用指定分頁的字幕
+   *
+   * @param {number} tabId
+   */
+  async disable(tabId) {
+    await this.restoring;
+    const session = this.sessions.get(tabId);
+    if (!session) {
+      return { success: true }; // 從沒啟用過，仍返回成功
+    }
+    return session.disable();
+  }
 
-    // 設定即時字幕回調
-    client.onTranscript = (transcript) => {
-      this.handleTranscript(transcript);
-    };
+  /**
+   * 分頁關閉：停用並移除工作階段
+   *
+   * @param {number} tabId
+   */
+  async removeTab(tabId) {
+    const session = this.sessions.get(tabId);
+    if (!session) return;
 
-    // 設定錯誤回調
-    client.onError = (error) => {
-      console.error('[SubtitleService] Deepgram 錯誤:', error);
-      ErrorHandler.handle(error, { operation: 'deepgram_streaming' });
-    };
+    this.sessions.delete(tabId);
+    await session.disable();
+  }
 
-    // 設定狀態變更回調
-    client.onStateChange = (newState, oldState) => {
-      console.log(`[SubtitleService] Deepgram 狀態: ${oldState} → ${newState}`);
-    };
+  /**
+   * 每筆記帳後先歸到產生它的那一場，再讓每個分頁各自檢查預算
+   *
+   * 不是 private：由模組底部掛到 APIKeyManager.onBudgetUpdate。
+   *
+   * @param {import('../lib/api-key-manager.js').BudgetStatus} status
+   * @param {import('../lib/api-key-manager.js').CostEntry} [entry]
+   */
+  async handleBudgetUpdate(status, entry) {
+    TabSession.attributeCost(entry);
+    this.sessions.forEach((session) => {
+      // 本場花費也在快照裡，恢復後單次上限才接得上
+      if (entry?.source && session.run?.source === entry.source) session.persist();
+    });
+    await Promise.all([...this.sessions.values()].map((session) => session.checkBudget(status)));
+  }
 
-    console.log('[SubtitleService] Deepgram client 已就緒');
-    return client;
+  /**
+   * 字幕樣式是全域設定，推給所有顯示中的分頁
+   */
+  async updateSubtitleStyle(style) {
+    await Promise.all([...this.sessions.values()].map((session) => session.updateSubtitleStyle(style)));
   }
 
   /**
-   * 啟用字幕功能（Deepgram Streaming）
+   * 替某個分頁的講者改名（字幕與匯出的逐字稿都換成新名稱）
+   *
+   * @param {number} tabId
+   * @param {number} speaker
+   * @param {string} name - 空字串恢復預設標籤
    */
-  async enable(tabId) {
-    if (this.isActive) {
-      console.warn('[SubtitleService] 服務已啟用');
-      return { success: true };
+  async renameSpeaker(tabId, speaker, name) {
+    await this.restoring;
+    const session = this.sessions.get(tabId);
+    if (!session) {
+      throw new BabelBridgeError(ErrorCodes.TRANSCRIPT_EMPTY, '這個分頁沒有字幕工作階段', { tabId });
     }
+    await session.renameSpeaker(speaker, name);
+  }
 
-    // isActive 要等整個流程跑完才會設為 true，中間隔了數個 await。
-    // 若此時第二次 enable() 進來，它會把前一次正在連線的 client 當成殘留關掉，
-    // 使前者的 waitForConnection() 逾時拋錯，catch 內的 cleanup() 又反手清掉
-    // 後者剛建好的資源——最後留下 isActive 為 true 卻沒有任何連線的靜默失效。
-    if (this.isEnabling) {
-      console.warn('[SubtitleService] 啟用流程進行中，忽略重複請求');
-      // inProgress 讓 Popup 分得出「還在跑」與「真的失敗」——前者不該顯示成紅字，
-      // 因為前一次啟用多半馬上就會成功。用欄位而非比對錯誤字串，改文案不會弄壞判斷。
-      return { success: false, inProgress: true, error: '啟用流程進行中，請稍候' };
+  /**
+   * PCM_BATCH 的進入點，依 Offscreen 附上的 tabId 轉給對應分頁
+   */
+  handlePCMBatch(batchData) {
+    const session = this.sessions.get(batchData.tabId);
+    if (!session) {
+      this.handleOrphanAudio(batchData.tabId);
+      return;
     }
-    this.isEnabling = true;
-
-    // 認領這一輪。isEnabling 只擋得住重複的 enable()，擋不住中途插進來的
-    // disable()——那會造成「Popup 顯示已啟用，管線其實已被停用清掉」的靜默失效。
-    const generation = ++this.generation;
-    const isStale = () => this.generation !== generation;
-
-    // 這一輪建立的資源先由區域變數持有。中止時只收自己建的那份，
-    // 不會誤清下一輪 enable() 已經放上去的新資源。
-    let client = null;
-    let capture = null;
+    session.handlePCMBatch(batchData);
+  }
 
-    const abort = async (reason) => {
-      // 為了不漏接開頭的 PCM frame，client 會在流程中途就掛上 this，
-      // 中止時必須一併摘掉，否則會留下指向已關閉連線的參照。
-      if (this.deepgramClient === client) this.deepgramClient = null;
-      if (this.audioCapture === capture) this.audioCapture = null;
-      if (this.currentTabId === tabId) this.currentTabId = null;
+  /**
+   * PCM_SILENCE 的進入點（VAD 略過的靜音長度）
+   */
+  handlePCMSilence(silenceData) {
+    const session = this.sessions.get(silenceData.tabId);
+    if (!session) {
+      this.handleOrphanAudio(silenceData.tabId);
+      return;
+    }
+    session.handlePCMSilence(silenceData);
+  }
 
-      await Promise.allSettled([client?.close(), capture?.stop()]);
+  /**
+   * WHISPER_AUDIO_CHUNK 的進入點
+   */
+  handleAudioChunk(chunkData) {
+    const session = this.sessions.get(chunkData.tabId);
+    if (!session) {
+      this.handleOrphanAudio(chunkData.tabId);
+      return;
+    }
+    session.handleAudioChunk(chunkData);
+  }
 
-      console.warn(`[SubtitleService] 啟用流程中止：${reason}`);
-      return { success: false, error: reason };
-    };
+  /**
+   * 沒有工作階段的分頁送來音訊：恢復中就先丟掉；否則是沒人管的殘留管線，要 Offscreen 停掉
+   *
+   * @private
+   * @param {number} tabId
+   */
+  handleOrphanAudio(tabId) {
+    if (this.restoring || this.orphanCaptures.has(tabId)) return;
+
+    console.warn(`[SubtitleService] Tab ${tabId} 沒有工作階段卻仍在擷取音訊，停止該管線`);
+    this.orphanCaptures.add(tabId);
+    const capture = new AudioCapture();
+    capture.adopt(tabId);
+    capture.stop().finally(() => this.orphanCaptures.delete(tabId));
+  }
 
-    try {
-      // 每次啟用時重新建立連線，確保使用最新的用戶設定
-      await this.closeStaleClient();
-      client = await this.createClient();
-      if (isStale()) return await abort('啟用流程已被停用中止');
-
-      // 通知 Content Script 啟用字幕（檢查頁面是否有 video）
-      const response = await chrome.tabs.sendMessage(tabId, {
-        type: 'ENABLE_SUBTITLES'
+  /**
+   * Service Worker 啟動時恢復被回收前的工作階段
+   *
+   * - 有快照、Offscreen 也還有管線：接回（TabSession.restore()）
+   * - 有快照、管線已不在：當作停用，收掉 overlay 與快照（只在重播的分頁本來就沒有管線）
+   * - 有管線、沒有快照：啟用到一半就被回收，或快照沒寫成，停掉管線與 overlay
+   *
+   * @returns {Promise<void>}
+   */
+  restore() {
+    this.restoring = this.recoverSessions()
+      .catch((error) => {
+        console.error('[SubtitleService] 恢復工作階段失敗:', error);
+      })
+      .finally(() => {
+        this.restoring = null;
       });
-      if (isStale()) return await abort('啟用流程已被停用中止');
-
-      // 如果 Content Script 回報沒有 video，立即回傳錯誤
-      if (!response.success) {
-        console.warn('[SubtitleService] Content Script 回報:', response.error);
-        // client 此時已建立連線並啟動 KeepAlive，不清掉會留下一條沒人管的連線：
-        // isActive 尚未設為 true，disable() 也帶不走它，只能持續消耗 Deepgram 配額
-        return await abort(response.error || '無法啟用字幕');
-      }
+    return this.restoring;
+  }
 
-      // 音訊一啟動，PCM frame 就會回送到 handlePCMFrame()，而它讀的是
-      // this.deepgramClient——必須在 capture 之前掛上，否則開頭數個 frame 會被丟棄
-      this.deepgramClient = client;
-      this.currentTabId = tabId;
+  /**
+   * @private
+   */
+  async recoverSessions() {
+    const [snapshots, captures] = await Promise.all([
+      SessionState.loadAll(),
+      AudioCapture.listCaptures(),
+    ]);
+    if (snapshots.length === 0 && captures.length === 0) return;
 
-      // 啟動音訊擷取 (Offscreen Document 會自動處理 PCM 轉換)
-      capture = new AudioCapture();
-      await capture.start(tabId);
-      if (isStale()) return await abort('啟用流程已被停用中止');
+    console.log(
+      `[SubtitleService] 找到 ${snapshots.length} 份工作階段快照、${captures.length} 條擷取管線，開始恢復`
+    );
 
-      this.audioCapture = capture;
-      this.isActive = true;
+    const live = new Map(captures.map((capture) => [capture.tabId, capture]));
 
-      console.log(`[SubtitleService] 已啟用 Deepgram Streaming (Tab ${tabId})`);
-      return { success: true };
-    } catch (error) {
-      await ErrorHandler.handle(error, { operation: 'enable_service', tabId });
-      await abort(error.message || '啟用字幕失敗');
+    await Promise.all(
+      snapshots.map(async (snapshot) => {
+        const capture = live.get(snapshot.tabId) ?? null;
+        live.delete(snapshot.tabId);
 
-      // 將錯誤訊息傳遞回 Popup
-      return {
-        success: false,
-        error: error.message || '啟用字幕失敗'
-      };
-    } finally {
-      this.isEnabling = false;
-    }
+        const session = this.getSession(snapshot.tabId);
+        if (!(await session.restore(snapshot, capture))) {
+          this.sessions.delete(snapshot.tabId);
+        }
+      })
+    );
+
+    await Promise.all(
+      [...live.keys()].map(async (tabId) => {
+        console.warn(`[SubtitleService] Tab ${tabId} 的擷取管線沒有快照，停止`);
+        const capture = new AudioCapture();
+        capture.adopt(tabId);
+        await capture.stop();
+        try {
+          await chrome.tabs.sendMessage(tabId, { type: MessageTypes.DISABLE_SUBTITLES });
+        } catch {
+          // 分頁已關或 Content Script 已卸載
+        }
+      })
+    );
   }
 
   /**
-   * 停用字幕功能（Deepgram Streaming）
+   * @param {number} tabId - 發出請求的分頁
    */
-  async disable() {
-    // 先作廢進行中的 enable()：它每個 await 之後都會重新確認世代，發現過期
-    // 就自行收掉手上的資源，不會在停用之後才把管線掛回來。必須放在下面的
-    // early return 之前——那時 enable() 可能還沒把任何資源掛上 this。
-    this.generation++;
-
-    // 不能只看 isActive：enable() 若在建立連線之後、isActive 設為 true 之前失敗，
-    // 會留下一個已連線的 deepgramClient。只認 isActive 會讓那條連線帶著 KeepAlive
-    // 永遠關不掉，因此只要還有殘留資源就得走完清理流程。
-    if (!this.isActive && !this.deepgramClient && !this.audioCapture) {
-      return { success: true };  // 已停用，仍返回成功
-    }
-
-    const tabId = this.currentTabId;
-
-    // 通知 Content Script 停用字幕
-    if (tabId) {
-      try {
-        await chrome.tabs.sendMessage(tabId, {
-          type: 'DISABLE_SUBTITLES'
-        });
-      } catch (error) {
-        // Content Script 可能已卸載，忽略錯誤
-        console.warn('[SubtitleService] 無法通知 Content Script 停用:', error.message);
-      }
+  async loadCachedTranscript(tabId) {
+    await this.restoring;
+    const session = this.sessions.get(tabId);
+    if (!session) {
+      throw new BabelBridgeError(ErrorCodes.TRANSCRIPT_EMPTY, '這個分頁沒有可載入的字幕紀錄', { tabId });
     }
-
-    this.cleanup();
-    this.isActive = false;
-
-    console.log('[SubtitleService] 已停用 Deepgram Streaming');
-    return { success: true };
+    return session.loadCachedTranscript();
   }
 
   /**
-   * 處理 PCM frame（來自 Offscreen Document）並發送到 Deepgram
-   *
-   * 不是 private：這是 DEEPGRAM_PCM_FRAME 訊息的進入點，
-   * 由模組底部的 onMessage handler 從外部呼叫。
+   * @param {number} tabId
+   * @param {boolean} covered
    */
-  handlePCMFrame(frameData) {
-    if (!this.deepgramClient) {
-      console.warn('[SubtitleService] Deepgram client 未初始化');
-      return;
-    }
-
-    const { pcmArray, frameIndex, sampleRate } = frameData;
-
-    // 重建 ArrayBuffer（從 Offscreen Document 傳來的 Array）
-    // chrome.runtime.sendMessage 不支援直接傳輸 ArrayBuffer，需要在這裡重建
-    const pcmData = new Int16Array(pcmArray).buffer;
-
-    if (frameIndex <= 5 || frameIndex % 200 === 0) {
-      let min = Infinity;
-      let max = -Infinity;
-      let sumAbs = 0;
-      let nonZero = 0;
-      for (let i = 0; i < pcmArray.length; i++) {
-        const sample = pcmArray[i];
-        if (sample < min) min = sample;
-        if (sample > max) max = sample;
-        const abs = Math.abs(sample);
-        if (abs > 0) {
-          nonZero++;
-          sumAbs += abs;
-        }
-      }
-      const avgAbs = nonZero ? sumAbs / nonZero : 0;
-      console.log('[SubtitleService] 🎚️ PCM 振幅診斷', {
-        frameIndex,
-        min,
-        max,
-        avgAbs: Number(avgAbs.toFixed(2)),
-        nonZeroSamples: nonZero,
-        sampleRate,
-      });
-      if (frameIndex === 1) {
-        console.log('[SubtitleService] 🎧 PCM 前 16 samples:', pcmArray.slice(0, 16));
-      }
-    }
-
-    // 診斷：首次 frame 檢查
-    if (frameIndex === 1) {
-      console.log('[SubtitleService] 🔍 首次 PCM Frame 診斷:');
-      console.log('  - pcmArray type:', Array.isArray(pcmArray) ? 'Array' : typeof pcmArray);
-      console.log('  - pcmArray length:', pcmArray.length);
-      console.log('  - pcmData type:', pcmData.constructor.name);
-      console.log('  - pcmData byteLength:', pcmData.byteLength);
-      console.log('  - Is ArrayBuffer:', pcmData instanceof ArrayBuffer);
-    }
-
-    // 發送到 Deepgram（即時串流）
-    this.deepgramClient.sendAudio(pcmData);
+  async handleCacheCoverage(tabId, covered) {
+    await this.restoring;
+    await this.sessions.get(tabId)?.handleCacheCoverage(covered);
   }
 
   /**
-   * 處理 Deepgram 即時字幕回調
-   * @private
+   * 影片播放狀態變化（暫停、播放、播完等），交給該分頁處理
+   *
+   * @param {number} tabId
+   * @param {import('./tab-session.js').VideoState} state
    */
-  handleTranscript(transcript) {
-    const { text, isFinal, confidence, words, timestamp } = transcript;
-
-    console.log(`[SubtitleService] ${isFinal ? '✅ Final' : '⏳ Interim'} 字幕:`, text);
-
-    // 發送到 Content Script
-    this.sendSubtitleToContent({
-      text,
-      isFinal,
-      confidence,
-      words,
-      timestamp,
-    });
+  async handleVideoState(tabId, state) {
+    await this.restoring;
+    await this.sessions.get(tabId)?.handleVideoState(state);
   }
 
   /**
-   * 發送字幕到 Content Script
-   * @private
+   * 逐字稿摘要：優先取指定分頁，該分頁沒有逐字稿時退回最近開始的一場
+   *
+   * @param {number} [tabId]
    */
-  async sendSubtitleToContent(subtitle) {
-    if (!this.currentTabId) {
-      console.warn('[SubtitleService] 無法發送字幕: currentTabId 為空');
-      return;
+  getTranscriptSummary(tabId) {
+    const session = this.findTranscriptSession(tabId);
+    if (!session) {
+      return { tabId: null, recording: false, title: null, captionCount: 0, startedAt: null, endedAt: null };
     }
+    return { tabId: session.tabId, ...session.transcript.getSummary() };
+  }
 
-    try {
-      await chrome.tabs.sendMessage(this.currentTabId, {
-        type: MessageTypes.SUBTITLE_UPDATE,
-        data: subtitle,
-        timestamp: Date.now(),
-      });
-    } catch (error) {
-      console.error('[SubtitleService] ❌ 發送字幕失敗:', error);
+  /**
+   * @param {number|undefined} tabId - 未帶時取最近開始的一場
+   * @param {string} format
+   */
+  exportTranscript(tabId, format) {
+    const session = this.findTranscriptSession(tabId);
+    if (!session) {
+      throw new BabelBridgeError(ErrorCodes.TRANSCRIPT_EMPTY, '沒有任何逐字稿', { tabId });
     }
+    return session.transcript.export(format);
   }
 
   /**
-   * 清理資源
    * @private
+   * @returns {TabSession|null}
    */
-  cleanup() {
-    // 停止音訊擷取
-    if (this.audioCapture) {
-      this.audioCapture.stop().catch((error) => {
-        console.error('[SubtitleService] 停止音訊擷取時發生錯誤:', error);
-      });
-      this.audioCapture = null;
-    }
+  findTranscriptSession(tabId) {
+    const own = this.sessions.get(tabId);
+    if (own?.transcript.session) return own;
 
-    // 關閉 Deepgram 連線
-    if (this.deepgramClient) {
-      this.deepgramClient.close().catch((error) => {
-        console.error('[SubtitleService] 關閉 Deepgram 連線時發生錯誤:', error);
-      });
-      // 必須清掉參照，否則 disable() 的殘留資源判斷會永遠成立
-      this.deepgramClient = null;
-    }
+    const withTranscript = [...this.sessions.values()].filter((session) => session.transcript.session);
+    if (withTranscript.length === 0) return null;
 
-    this.currentTabId = null;
+    return withTranscript.reduce((latest, session) =>
+      session.transcript.session.startedAt > latest.transcript.session.startedAt ? session : latest
+    );
   }
 
   /**
-   * 取得服務狀態
+   * 顯示字幕中的分頁（Popup 的啟用中分頁列表）
+   *
+   * @returns {Array<import('./tab-session.js').TabSessionStatus>}
    */
-  getStatus() {
-    return {
-      active: this.isActive,
-      tabId: this.currentTabId,
-    };
+  getActiveSessions() {
+    return [...this.sessions.values()]
+      .map((session) => session.getStatus())
+      .filter((status) => status.active);
   }
 }
 
-// 建立全域服務實例
+
+// 建立全域服務實例，並接回被回收前的工作階段（首次啟動時沒有快照，直接略過）
 const service = new SubtitleService();
+service.restore();
+
+// 每筆記帳（Deepgram 定期結算、Whisper、GPT）後分攤花費並檢查預算
+APIKeyManager.onBudgetUpdate = (status, entry) => {
+  service.handleBudgetUpdate(status, entry).catch((error) => {
+    console.error('[Service Worker] 預算檢查失敗:', error);
+  });
+};
 
 /**
  * 處理來自 Popup、Content Script 和 Offscreen Document 的訊息
@@ -385,17 +374,33 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     try {
       switch (type) {
         case MessageTypes.ENABLE_SUBTITLES: {
-          const result = await service.enable(sender.tab?.id || data.tabId);
+          const result = await service.enable(sender.tab?.id || data.tabId, {
+            overrideBudget: Boolean(data?.overrideBudget),
+          });
           sendResponse(result);
           break;
         }
 
         case MessageTypes.DISABLE_SUBTITLES: {
-          const result = await service.disable();
+          const result = await service.disable(sender.tab?.id || data?.tabId);
           sendResponse(result);
           break;
         }
 
+        case MessageTypes.UPDATE_SETTINGS: {
+          if (data?.subtitleStyle) {
+            await service.updateSubtitleStyle(data.subtitleStyle);
+          }
+          sendResponse({ success: true });
+          break;
+        }
+
+        case MessageTypes.RENAME_SPEAKER: {
+          await service.renameSpeaker(data?.tabId, Number(data?.speaker), data?.name);
+          sendResponse({ success: true });
+          break;
+        }
+
         case MessageTypes.VERIFY_API_KEY: {
           await APIKeyManager.verifyAndSave(data.apiKey);
           sendResponse({ success: true });
@@ -408,10 +413,35 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
           break;
         }
 
-        case 'DEEPGRAM_PCM_FRAME': {
-          // 來自 Offscreen Document 的 PCM frame
-          service.handlePCMFrame(data);
-          // 不需要 sendResponse (Offscreen 不等待回應)
+        case MessageTypes.GET_SESSIONS: {
+          sendResponse({ success: true, data: service.getActiveSessions() });
+          break;
+        }
+
+        case MessageTypes.GET_TRANSCRIPT_SUMMARY: {
+          sendResponse({ success: true, data: service.getTranscriptSummary(data?.tabId) });
+          break;
+        }
+
+        case MessageTypes.EXPORT_TRANSCRIPT: {
+          sendResponse({ success: true, data: service.exportTranscript(data?.tabId, data?.format) });
+          break;
+        }
+
+        case MessageTypes.LOAD_CACHED_TRANSCRIPT: {
+          sendResponse({ success: true, data: await service.loadCachedTranscript(sender.tab?.id) });
+          break;
+        }
+
+        case MessageTypes.VIDEO_STATE_CHANGED: {
+          await service.handleVideoState(sender.tab?.id, data);
+          sendResponse({ success: true });
+          break;
+        }
+
+        case MessageTypes.CACHE_COVERAGE_CHANGED: {
+          await service.handleCacheCoverage(sender.tab?.id, Boolean(data?.covered));
+          sendResponse({ success: true });
           break;
         }
 
@@ -432,6 +462,39 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   return true;
 });
 
+/**
+ * 來自 Offscreen Document 的音訊 Port
+ *
+ * 音訊量大（每秒 10 批 PCM），不走上面的 onMessage：省掉每則的 log、
+ * async handler 與 sendResponse 通道，也不會被其他 context 的訊息排在後面。
+ */
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== AUDIO_PORT_CONFIG.PORT_NAME) return;
+
+  console.log('[Service Worker] Offscreen 音訊 Port 已連線');
+
+  port.onMessage.addListener((message) => {
+    const { type, data } = message;
+
+    switch (type) {
+      case 'PCM_BATCH':
+        service.handlePCMBatch(data);
+        break;
+
+      case 'PCM_SILENCE':
+        service.handlePCMSilence(data);
+        break;
+
+      case 'WHISPER_AUDIO_CHUNK':
+        service.handleAudioChunk(data);
+        break;
+
+      default:
+        console.warn('[Service Worker] 未知音訊訊息類型:', type);
+    }
+  });
+});
+
 /**
  * Extension 安裝/更新事件
  */
@@ -450,9 +513,9 @@ chrome.runtime.onInstalled.addListener((details) => {
  * Tab 關閉事件 - 清理資源
  */
 chrome.tabs.onRemoved.addListener((tabId) => {
-  if (service.currentTabId === tabId) {
-    console.log('[Service Worker] 目標 Tab 已關閉,停用服務');
-    service.disable();
+  if (service.sessions.has(tabId)) {
+    console.log(`[Service Worker] Tab ${tabId} 已關閉，停用該分頁的字幕`);
+    service.removeTab(tabId);
   }
 });
 
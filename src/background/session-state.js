@@ -0,0 +1,65 @@
+/**
+ * SessionState - 工作階段快照（chrome.storage.session）
+ *
+ * MV3 的 Service Worker 閒置或記憶體吃緊時會被 Chrome 回收，記憶體裡的
+ * TabSession 全部消失，但 Offscreen Document 的擷取管線與頁面上的 overlay 都還在。
+ * 每個分頁啟用成功後存一份快照，Service Worker 重啟時據此接回辨識引擎
+ * （見 SubtitleService.restore()）。
+ *
+ * 用 chrome.storage.session 而非 local：它只活在這次瀏覽器執行期間，
+ * 瀏覽器重開時擷取管線也早就不在了，不該留著過期的快照。
+ * 每個分頁一個 key（TAB_SESSION_PREFIX + tabId），各分頁同時寫入不必排隊。
+ */
+import { STORAGE_KEYS } from '../lib/config.js';
+
+export class SessionState {
+  /**
+   * @param {SessionSnapshot} snapshot
+   */
+  static async save(snapshot) {
+    await chrome.storage.session.set({ [this.key(snapshot.tabId)]: snapshot });
+  }
+
+  /**
+   * @param {number} tabId
+   */
+  static async remove(tabId) {
+    await chrome.storage.session.remove(this.key(tabId));
+  }
+
+  /**
+   * @returns {Promise<Array<SessionSnapshot>>}
+   */
+  static async loadAll() {
+    const items = await chrome.storage.session.get(null);
+    return Object.entries(items)
+      .filter(([key]) => key.startsWith(STORAGE_KEYS.TAB_SESSION_PREFIX))
+      .map(([, snapshot]) => /** @type {SessionSnapshot} */ (snapshot));
+  }
+
+  /**
+   * @private
+   * @param {number} tabId
+   */
+  static key(tabId) {
+    return `${STORAGE_KEYS.TAB_SESSION_PREFIX}${tabId}`;
+  }
+}
+
+/**
+ * @typedef {Object} SessionSnapshot
+ * @property {number} tabId
+ * @property {{title: string|null, url: string|null}} tab
+ * @property {boolean} recognizing - 即時辨識中（Offscreen 應有這個分頁的擷取管線）
+ * @property {boolean} cached - 重播字幕紀錄中
+ * @property {string|null} engineId - 恢復時沿用，不重讀設定：擷取管線的音訊形式是依它開的
+ * @property {string|null} model
+ * @property {string|null} language
+ * @property {boolean} budgetOverride
+ * @property {boolean} [paused] - 影片暫停中（恢復後重新計時，暫停太久就放掉連線）
+ * @property {boolean} [diarize] - 區分講者（恢復時沿用）
+ * @property {string[]} [keywords] - 自訂詞彙（恢復時沿用）
+ * @property {number[]} [speakers] - 出現過的講者編號
+ * @property {Object<string, string>} [speakerNames] - 使用者改的講者名稱
+ * @property {import('./tab-session.js').CostRun|null} run - 這一場的記帳標記與已累計的花費
+ */
@@ -0,0 +1,193 @@
+/**
+ * StreamingTranslator - 串流字幕的成句翻譯
+ *
+ * Deepgram 的 final 片段常常切在句子中間，逐段翻譯會得到破碎、沒有上下文的譯文。
+ * 這裡把 final 片段累積成句再翻，並附上前 N 句（原文 + 譯文）與頁面標題作為上下文：
+ *
+ * 1. push() 收到片段 → 尚未成句時先翻已到的部分（provisional），讓畫面不至於空著
+ * 2. 引擎說這句講完了（speech_final）、看到句末標點、等太久或句子過長 → 成句，帶上下文重翻（定版）
+ * 3. 兩次結果都以同一組 captionIds 送出，overlay 原地覆蓋而不是多疊一行
+ */
+import { LanguageRules } from '../lib/language-rules.js';
+import { TRANSLATION_CONFIG } from '../lib/config.js';
+
+export class StreamingTranslator {
+  /**
+   * @param {import('./translation-client.js').TranslationClient} client - 已初始化的翻譯 client
+   * @param {Object} [options]
+   * @param {string} [options.sourceLanguage='auto'] - 原文語言，決定句末判斷規則
+   * @param {string} [options.title] - 頁面或影片標題
+   * @param {number} [options.contextSentences] - 前文句數
+   * @param {number} [options.sentenceTimeout] - 強制成句等待時間（毫秒）
+   * @param {number} [options.maxSentenceLength] - 單句字元上限
+   * @param {boolean} [options.provisional] - 是否先翻未完成的句子
+   */
+  constructor(client, options = {}) {
+    this.client = client;
+    this.sourceLanguage = options.sourceLanguage || 'auto';
+    this.title = options.title || null;
+    this.contextSentences = options.contextSentences ?? TRANSLATION_CONFIG.CONTEXT_SENTENCES;
+    this.sentenceTimeout = options.sentenceTimeout ?? TRANSLATION_CONFIG.SENTENCE_TIMEOUT;
+    this.maxSentenceLength = options.maxSentenceLength ?? TRANSLATION_CONFIG.MAX_SENTENCE_LENGTH;
+    this.provisional = options.provisional ?? TRANSLATION_CONFIG.PROVISIONAL_TRANSLATION;
+
+    /** @type {Array<{captionId: number, text: string}>} 尚未成句的片段 */
+    this.pending = [];
+    this.flushTimer = null;
+
+    // 每句一個序號。provisional 結果回來時若該句已定版（序號已前進），直接丟棄，
+    // 否則慢到的 provisional 會蓋掉已經顯示的定版譯文。
+    this.sentenceSeq = 0;
+
+    /** @type {Array<{text: string, translation: string}>} 已定版的前文（舊到新） */
+    this.history = [];
+
+    this.closed = false;
+
+    // 回調函數
+    this.onTranslation = null; // ({ captionIds, translation, provisional }) => void
+    this.onError = null; // (error) => void
+  }
+
+  /**
+   * 送入一段 final 字幕
+   * @param {{captionId: number, text: string, sentenceEnd?: boolean}} caption -
+   *   sentenceEnd：引擎判斷這句話講完了（TranscriptEvent.speechFinal）
+   */
+  push(caption) {
+    if (this.closed || !caption.text || caption.text.trim() === '') return;
+
+    this.pending.push({ captionId: caption.captionId, text: caption.text.trim() });
+    const text = this.getPendingText();
+
+    if (
+      caption.sentenceEnd ||
+      LanguageRules.isSentenceEnd(text, this.sourceLanguage) ||
+      text.length >= this.maxSentenceLength
+    ) {
+      this.flush();
+      return;
+    }
+
+    // 句子還沒講完：先翻目前有的部分，並從最後一個片段起重新計時
+    if (this.provisional) {
+      this.translateProvisional();
+    }
+    this.scheduleFlush();
+  }
+
+  /**
+   * 把目前累積的片段當成一句送出定版翻譯
+   */
+  flush() {
+    this.clearFlushTimer();
+    if (this.pending.length === 0) return;
+
+    const captionIds = this.pending.map((fragment) => fragment.captionId);
+    const text = this.getPendingText();
+    this.pending = [];
+    this.sentenceSeq++;
+
+    // 上下文在送出當下就取好：定版請求彼此可能並行，各自只看得到已完成的前文
+    const context = this.history.slice(-this.contextSentences);
+
+    this.client
+      .translate(text, { context, title: this.title })
+      .then((result) => {
+        if (this.closed) return;
+
+        this.history.push({ text, translation: result.text });
+        if (this.history.length > this.contextSentences) {
+          this.history.splice(0, this.history.length - this.contextSentences);
+        }
+
+        this.emit({ captionIds, translation: result.text, provisional: false });
+      })
+      .catch((error) => this.handleError(error));
+  }
+
+  /**
+   * 關閉：清掉計時器，之後回來的結果一律丟棄
+   */
+  close() {
+    this.closed = true;
+    this.clearFlushTimer();
+    this.pending = [];
+    this.history = [];
+  }
+
+  /**
+   * @private
+   */
+  translateProvisional() {
+    const captionIds = this.pending.map((fragment) => fragment.captionId);
+    const text = this.getPendingText();
+    const seq = this.sentenceSeq;
+    const size = this.pending.length;
+
+    this.client
+      .translate(text, { context: this.history.slice(-this.contextSentences), title: this.title })
+      .then((result) => {
+        // 該句已定版，或之後又來了片段（較新的 provisional 會蓋過這份）
+        if (this.closed || seq !== this.sentenceSeq || size !== this.pending.length) return;
+
+        this.emit({ captionIds, translation: result.text, provisional: true });
+      })
+      .catch((error) => this.handleError(error));
+  }
+
+  /**
+   * 依語言拼接片段：中日文不加空白，其餘（含以空白分詞的韓文）以空白分隔
+   * @private
+   */
+  getPendingText() {
+    const texts = this.pending.map((fragment) => fragment.text);
+    const language = (this.sourceLanguage === 'auto' || this.sourceLanguage === 'multi')
+      ? LanguageRules.detectLanguage(texts.join(''))
+      : this.sourceLanguage.toLowerCase().split('-')[0];
+
+    const separator = ['zh', 'ja'].includes(language) ? '' : ' ';
+    return texts.join(separator);
+  }
+
+  /**
+   * @private
+   */
+  scheduleFlush() {
+    this.clearFlushTimer();
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush();
+    }, this.sentenceTimeout);
+  }
+
+  /**
+   * @private
+   */
+  clearFlushTimer() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  emit(update) {
+    if (this.onTranslation) {
+      this.onTranslation(update);
+    }
+  }
+
+  /**
+   * 單句翻譯失敗不影響之後的句子
+   * @private
+   */
+  handleError(error) {
+    console.error('[StreamingTranslator] ❌ 翻譯失敗:', error);
+    if (this.onError && !this.closed) {
+      this.onError(error);
+    }
+  }
+}
@@ -136,6 +136,13 @@ export class OverlapProcessor {
       ...seg,
       start: seg.start + chunkStartTime,
       end: seg.end + chunkStartTime,
+      ...(seg.words && {
+        words: seg.words.map(word => ({
+          ...word,
+          start: word.start + chunkStartTime,
+          end: word.end + chunkStartTime
+        }))
+      }),
       _originalStart: seg.start,  // 保留原始時間戳供 debug
       _originalEnd: seg.end
     }))
@@ -325,6 +332,9 @@ export class OverlapProcessor {
         // 合併文字與時間戳
         previous.text = previous.text.trimEnd() + ' ' + current.text.trimStart()
         previous.end = current.end
+        if (previous.words || current.words) {
+          previous.words = [...(previous.words || []), ...(current.words || [])]
+        }
 
         this._log(`[Merged] "${previous.text.slice(0, 50)}..."`)
       } else {
@@ -391,6 +401,8 @@ export class OverlapProcessor {
  * @property {string} text - 辨識文字
  * @property {number} [avg_logprob] - 平均對數機率（信心分數）
  * @property {number} [no_speech_prob] - 無語音機率
+ * @property {string} [confidence] - WhisperClient 算出的信心分數（toFixed 字串）
+ * @property {Array<{text: string, start: number, end: number}>} [words] - 逐字時間（有要求時才有，時間軸同 segment）
  */
 
 /**
@@ -0,0 +1,1362 @@
+/**
+ * TabSession - 單一分頁的字幕工作階段
+ *
+ * 每個啟用字幕的分頁各有一份：自己的辨識引擎、翻譯器、Offscreen 擷取管線與逐字稿，
+ * 設定在啟用當下讀取，之後改設定只影響新啟用的分頁。SubtitleService 依 tabId 管理這些實例、
+ * 轉送訊息，並把記帳結果歸到對應的一場（見 TabSession.costRuns）。
+ *
+ * 停用後實例仍留在 SubtitleService 裡，逐字稿保留到下一次啟用或分頁關閉。
+ */
+import { AudioCapture } from './audio-capture.js';
+import { EngineRegistry } from './engine-registry.js';
+import { EngineInput, TimeBase } from './transcription-engine.js';
+import { TranslationClient } from './translation-client.js';
+import { StreamingTranslator } from './streaming-translator.js';
+import { TranscriptRecorder } from './transcript-recorder.js';
+import { TranscriptStore } from '../lib/transcript-store.js';
+import { SessionState } from './session-state.js';
+import { buildCachedTimeline } from '../lib/transcript-cache.js';
+import { getVideoKey } from '../lib/page-identity.js';
+import { resolveGlossaryTerms } from '../lib/glossary.js';
+import { base64ToArrayBuffer } from '../lib/audio-encoding.js';
+import { APIKeyManager, BudgetLevel } from '../lib/api-key-manager.js';
+import { ErrorHandler } from '../lib/error-handler.js';
+import { BabelBridgeError, ErrorCodes } from '../lib/errors.js';
+import { MessageTypes, STORAGE_KEYS, VAD_CONFIG, PLAYBACK_CONFIG } from '../lib/config.js';
+
+export class TabSession {
+  /**
+   * 記帳中的場次（costSource → CostRun）
+   *
+   * 多個分頁同時在跑時，當月花費的差額分不出是誰花的，因此引擎與翻譯記帳時帶上
+   * 這一場的 costSource，由 attributeCost() 累加到對應的場次。停用後還會收到
+   * 引擎關閉時結算的最後一段，要等帳本寫完才能移除。
+   *
+   * @type {Map<string, CostRun>}
+   */
+  static costRuns = new Map();
+
+  /**
+   * 把一筆記帳歸到對應的場次（不是這個 Service Worker 開的就忽略）
+   *
+   * @param {import('../lib/api-key-manager.js').CostEntry} [entry]
+   */
+  static attributeCost(entry) {
+    const run = entry?.source ? this.costRuns.get(entry.source) : null;
+    if (run) run.spent += entry.cost;
+  }
+
+  /**
+   * @param {number} tabId
+   */
+  constructor(tabId) {
+    this.tabId = tabId;
+    this.audioCapture = null;
+    this.engine = null; // TranscriptionEngine
+    this.translator = null; // 未啟用翻譯時為 null
+
+    // 定版字幕的流水號，譯文回來時靠它找回 overlay 上對應的那一行
+    this.captionSeq = 0;
+
+    // 整場逐字稿：停用後保留到下一次啟用，供 Popup 匯出
+    this.transcript = new TranscriptRecorder();
+
+    this.isActive = false;
+    this.isEnabling = false;
+
+    // 啟用當下的分頁與辨識設定（Popup 列出啟用中的分頁用）
+    this.tab = { title: null, url: null };
+    this.engineId = null;
+    this.model = null;
+    this.language = null;
+
+    // 世代編號：enable() 開頭認領一個號碼，disable() 進來就 +1。
+    // enable() 每經過一個 await 都重新確認自己還是當前世代，過期就自行收攤。
+    // 用世代而非互斥鎖，是為了讓停用立即生效——上鎖的話，enable() 卡在
+    // waitForConnection() 的 10 秒逾時期間，使用者按停用得乾等。
+    this.generation = 0;
+
+    // 預算：run 是這一場的記帳（見 costRuns），單次上限以它累計的花費計算。
+    // budgetOverride 是使用者對本次啟用明確放行，停用後失效。
+    this.budgetOverride = false;
+    /** @type {CostRun|null} */
+    this.run = null;
+    this.stopReason = null; // 被預算停用時的原因，供 Popup 重開時顯示
+
+    // 重播字幕紀錄：同一部影片已有影片時間軸的逐字稿時，啟用後先不開辨識，
+    // 由 Content Script 依播放位置回報涵蓋與否，只在沒涵蓋的段落開即時辨識。
+    // { overrideBudget, timeline }，非重播模式為 null
+    this.cacheSession = null;
+
+    // 影片播放狀態（Content Script 經 VIDEO_STATE_CHANGED 回報，見 handleVideoState()）。
+    // 暫停時丟掉送來的音訊；暫停超過設定的時間由 idleTimer 讓引擎放掉連線，播放時接回。
+    // 播完後 endedTimer 等最後一句定版再結束這一場
+    this.paused = false;
+    this.idleTimer = null;
+    this.endedTimer = null;
+
+    // 講者（開了 diarize 才有）：speakers 是這一場出現過的講者編號（依序），
+    // speakerNames 是使用者在 Popup 改的名稱 { [speaker]: name }，沒改的用預設標籤
+    this.diarize = false;
+    this.speakers = [];
+    this.speakerNames = {};
+
+    // 這一場送給辨識引擎的自訂詞彙（glossary.js），恢復工作階段時沿用
+    this.keywords = [];
+  }
+
+  /**
+   * 收掉上一輪殘留、沒人關的辨識引擎
+   *
+   * 直接覆蓋參照會讓舊實例連同它的 KeepAlive timer 永遠留著。
+   * 先摘參照再關閉：close() 是非同步的，中途讓出時參照必須已經不在。
+   *
+   * @private
+   */
+  async closeStaleEngine() {
+    const stale = this.engine;
+    if (!stale) return;
+
+    console.warn('[TabSession] 偵測到未關閉的辨識引擎，先行關閉');
+    this.engine = null;
+
+    await stale.close().catch((error) => {
+      console.error('[TabSession] 關閉舊辨識引擎失敗:', error);
+    });
+  }
+
+  /**
+   * 依用戶設定建立並初始化辨識引擎（不掛到 this，由呼叫端決定時機）
+   *
+   * @private
+   * @param {string} costSource - 記帳時帶上的場次標記
+   * @param {{engineId?: string|null, model?: string|null, language?: string|null, diarize?: boolean, keywords?: string[]}} [pinned] -
+   *   恢復工作階段時沿用快照裡的設定，不讀使用者目前的設定
+   * @param {string|null} [url] - 分頁網址，挑出這個網站的自訂詞彙
+   * @returns {Promise<{engineId: string, model: string, language: string, diarize: boolean, keywords: string[], engine: import('./transcription-engine.js').TranscriptionEngine}>}
+   */
+  async createEngine(costSource, pinned = {}, url = null) {
+    // 讀取用戶的辨識設定
+    const settings = await chrome.storage.local.get([
+      STORAGE_KEYS.RECOGNITION_ENGINE,
+      STORAGE_KEYS.DEEPGRAM_MODEL,
+      STORAGE_KEYS.DEEPGRAM_LANGUAGE,
+      STORAGE_KEYS.DEEPGRAM_WEBSOCKET_URL,
+      STORAGE_KEYS.DEEPGRAM_DIARIZE,
+      STORAGE_KEYS.DEEPGRAM_RECOGNITION_MODE,
+      STORAGE_KEYS.GLOSSARY,
+    ]);
+
+    const engineId = EngineRegistry.resolve(
+      pinned.engineId || /** @type {string|undefined} */ (settings[STORAGE_KEYS.RECOGNITION_ENGINE])
+    );
+    const model = /** @type {string} */ (
+      pinned.model || settings[STORAGE_KEYS.DEEPGRAM_MODEL] || 'nova-2'
+    );
+    const language = /** @type {string} */ (
+      pinned.language || settings[STORAGE_KEYS.DEEPGRAM_LANGUAGE] || 'zh-TW'
+    );
+    const diarize = pinned.diarize ?? settings[STORAGE_KEYS.DEEPGRAM_DIARIZE] === true;
+    // 自訂詞彙：全域 + 這個網站 + 目前的辨識模式
+    const keywords =
+      pinned.keywords ??
+      resolveGlossaryTerms(settings[STORAGE_KEYS.GLOSSARY], {
+        url,
+        modeId: /** @type {string|undefined} */ (settings[STORAGE_KEYS.DEEPGRAM_RECOGNITION_MODE]),
+      });
+
+    // 開發用端點覆寫（指向本機模擬伺服器），未設定時各引擎用自己的預設端點
+    const websocketUrl = /** @type {string|undefined} */ (
+      settings[STORAGE_KEYS.DEEPGRAM_WEBSOCKET_URL] || undefined
+    );
+
+    console.log('[TabSession] 載入用戶設定:', {
+      engineId,
+      model,
+      language,
+      websocketUrl,
+      diarize,
+      keywords: keywords.length,
+    });
+
+    const engine = EngineRegistry.create(engineId);
+
+    // 回調在 init() 之前掛上：連線過程中的狀態變化與錯誤也要記得到
+    engine.onTranscript = (event) => {
+      this.handleTranscript(event);
+    };
+
+    engine.onError = (error) => {
+      console.error(`[TabSession] ${engineId} 錯誤:`, error);
+      // 帶 tabId：播放中的錯誤以 toast 顯示在 overlay 上
+      ErrorHandler.handle(error, {
+        operation: 'transcription',
+        engine: engineId,
+        tabId: this.tabId,
+      });
+    };
+
+    engine.onStateChange = (newState, oldState) => {
+      console.log(`[TabSession] ${engineId} 狀態: ${oldState} → ${newState}`);
+    };
+
+    engine.onUtteranceEnd = () => {
+      this.handleUtteranceEnd();
+    };
+
+    engine.onSpeechStarted = () => {
+      this.sendSpeechEventToContent(MessageTypes.SPEECH_STARTED);
+    };
+
+    // 開了逐字高亮才跟 Whisper 要逐字時間；Deepgram 本來就附，自行忽略
+    const wordTimestamps = (await this.getSubtitleStyle())?.karaoke === true;
+
+    // 語言設定各引擎共用，切換引擎時不必各設一次；用不到 model 的引擎自行忽略
+    await engine.init({
+      model,
+      language,
+      websocketUrl,
+      costSource,
+      wordTimestamps,
+      diarize,
+      keywords,
+    });
+
+    console.log(`[TabSession] 辨識引擎 ${engineId} 已就緒`);
+    return { engineId, model, language, diarize, keywords, engine };
+  }
+
+  /**
+   * 依用戶設定建立串流翻譯器
+   *
+   * 翻譯是附加功能：金鑰缺失等初始化失敗只記錄錯誤、回傳 null，
+   * 不擋下字幕本身的啟用。
+   *
+   * @private
+   * @param {string} costSource
+   * @returns {Promise<StreamingTranslator|null>}
+   */
+  async createTranslator(costSource) {
+    const { tabId } = this;
+    const settings = await chrome.storage.local.get([
+      STORAGE_KEYS.TRANSLATION_ENABLED,
+      STORAGE_KEYS.TRANSLATION_TARGET_LANGUAGE,
+      STORAGE_KEYS.TRANSLATION_INCLUDE_TITLE,
+      STORAGE_KEYS.DEEPGRAM_LANGUAGE,
+    ]);
+
+    if (!settings[STORAGE_KEYS.TRANSLATION_ENABLED]) {
+      return null;
+    }
+
+    const targetLanguage = /** @type {string|undefined} */ (
+      settings[STORAGE_KEYS.TRANSLATION_TARGET_LANGUAGE]
+    );
+    const sourceLanguage = /** @type {string} */ (
+      settings[STORAGE_KEYS.DEEPGRAM_LANGUAGE] || 'auto'
+    );
+
+    let client;
+    try {
+      client = new TranslationClient();
+      await client.init({ targetLanguage, costSource });
+    } catch (error) {
+      console.warn('[TabSession] 翻譯初始化失敗，本次僅顯示原文:', error.message);
+      await ErrorHandler.handle(error, { operation: 'translation_init', tabId });
+      return null;
+    }
+
+    // 標題預設附上（未設定視為開啟），它跟字幕一樣會送到 OpenAI
+    const title = settings[STORAGE_KEYS.TRANSLATION_INCLUDE_TITLE] === false
+      ? null
+      : (await this.getTabInfo()).title;
+
+    const translator = new StreamingTranslator(client, { sourceLanguage, title });
+
+    // 譯文比原文晚 1-2 秒到，期間若已停用或重新啟用（世代變了），
+    // 這份譯文屬於上一輪，直接丟棄
+    const generation = this.generation;
+    translator.onTranslation = (update) => {
+      if (this.generation !== generation) return;
+      this.transcript.addTranslation(update);
+      this.sendTranslationToContent(update);
+    };
+    // 重試用完仍失敗的句子只少一行譯文，不停用字幕；在這個分頁的 overlay 上提示
+    translator.onError = (error) => {
+      if (this.generation !== generation) return;
+      ErrorHandler.notifyUser(ErrorHandler.normalizeError(error), {
+        tabId,
+        operation: 'gpt_translate',
+      }).catch((notifyError) => {
+        console.error('[TabSession] 翻譯錯誤通知失敗:', notifyError);
+      });
+    };
+
+    console.log('[TabSession] 串流翻譯已就緒', { sourceLanguage, targetLanguage, title });
+    return translator;
+  }
+
+  /**
+   * 讀取使用者的字幕樣式（未設定時為 undefined，由 Content Script 套預設值）
+   * @private
+   */
+  async getSubtitleStyle() {
+    const result = await chrome.storage.local.get(STORAGE_KEYS.USER_SETTINGS);
+    const settings = /** @type {{subtitleStyle?: Object}|undefined} */ (
+      result[STORAGE_KEYS.USER_SETTINGS]
+    );
+    return settings?.subtitleStyle;
+  }
+
+  /**
+   * 讀取 VAD 靈敏度（VAD_SENSITIVITIES 的 ID），未設定時用預設值
+   * @private
+   * @returns {Promise<string>}
+   */
+  async getVadSensitivity() {
+    const result = await chrome.storage.local.get(STORAGE_KEYS.VAD_SENSITIVITY);
+    return /** @type {string|undefined} */ (result[STORAGE_KEYS.VAD_SENSITIVITY]) ||
+      VAD_CONFIG.DEFAULT_SENSITIVITY;
+  }
+
+  /**
+   * 讀取暫停多久後關掉辨識連線（秒，0 為不關），未設定時用預設值
+   * @private
+   * @returns {Promise<number>}
+   */
+  async getPauseIdleSeconds() {
+    const result = await chrome.storage.local.get(STORAGE_KEYS.PAUSE_IDLE_SECONDS);
+    const seconds = result[STORAGE_KEYS.PAUSE_IDLE_SECONDS];
+    return typeof seconds === 'number' && seconds >= 0 ? seconds : PLAYBACK_CONFIG.DEFAULT_PAUSE_IDLE_SECONDS;
+  }
+
+  /**
+   * 把新的字幕樣式推給這個分頁
+   *
+   * 設定已由 Popup 寫入 storage，這裡只負責即時套用；沒在顯示字幕就不必送。
+   */
+  async updateSubtitleStyle(style) {
+    if (!this.isActive && !this.cacheSession) return;
+
+    try {
+      await chrome.tabs.sendMessage(this.tabId, {
+        type: MessageTypes.STYLE_UPDATE,
+        data: { style },
+      });
+    } catch (error) {
+      console.warn('[TabSession] 無法更新字幕樣式:', error.message);
+    }
+  }
+
+  /**
+   * 取得分頁標題與網址（失敗時皆為 null，不影響翻譯與逐字稿）
+   * @private
+   * @returns {Promise<{title: string|null, url: string|null}>}
+   */
+  async getTabInfo() {
+    try {
+      const tab = await chrome.tabs.get(this.tabId);
+      return { title: tab?.title || null, url: tab?.url || null };
+    } catch (error) {
+      console.warn('[TabSession] 無法取得分頁資訊:', error.message);
+      return { title: null, url: null };
+    }
+  }
+
+  /**
+   * 啟用字幕功能（依設定的辨識引擎）
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.overrideBudget=false] - 已超過預算仍啟用（僅限本次）
+   * @param {boolean} [options.resume=false] - 重播模式中補辨識沒涵蓋的段落（不再查字幕紀錄）
+   */
+  async enable(options = {}) {
+    const { tabId } = this;
+
+    if (this.isActive) {
+      console.warn('[TabSession] 服務已啟用');
+      return { success: true };
+    }
+
+    // isActive 要等整個流程跑完才會設為 true，中間隔了數個 await。
+    // 若此時第二次 enable() 進來，它會把前一次正在連線的 client 當成殘留關掉，
+    // 使前者的 waitForConnection() 逾時拋錯，catch 內的 cleanup() 又反手清掉
+    // 後者剛建好的資源——最後留下 isActive 為 true 卻沒有任何連線的靜默失效。
+    if (this.isEnabling) {
+      console.warn('[TabSession] 啟用流程進行中，忽略重複請求');
+      // inProgress 讓 Popup 分得出「還在跑」與「真的失敗」——前者不該顯示成紅字，
+      // 因為前一次啟用多半馬上就會成功。用欄位而非比對錯誤字串，改文案不會弄壞判斷。
+      return { success: false, inProgress: true, error: '啟用流程進行中，請稍候' };
+    }
+    this.isEnabling = true;
+
+    // 認領這一輪。isEnabling 只擋得住重複的 enable()，擋不住中途插進來的
+    // disable()——那會造成「Popup 顯示已啟用，管線其實已被停用清掉」的靜默失效。
+    const generation = ++this.generation;
+    const isStale = () => this.generation !== generation;
+
+    // 這一輪建立的資源先由區域變數持有。中止時只收自己建的那份，
+    // 不會誤清下一輪 enable() 已經放上去的新資源。
+    let engineId = null;
+    let model = null;
+    let language = null;
+    let diarize = false;
+    let keywords = [];
+    let engine = null;
+    let translator = null;
+    let capture = null;
+
+    // 這一場的記帳。引擎與翻譯在 init 時就拿到 costSource，中止時也要等帳本寫完再移除
+    /** @type {CostRun} */
+    const run = { source: crypto.randomUUID(), spent: 0 };
+    TabSession.costRuns.set(run.source, run);
+
+    const abort = async (reason) => {
+      // 為了不漏接開頭的 PCM frame，引擎會在流程中途就掛上 this，
+      // 中止時必須一併摘掉，否則會留下指向已關閉連線的參照。
+      if (this.engine === engine) this.engine = null;
+      if (this.translator === translator) this.translator = null;
+      if (this.audioCapture === capture) this.audioCapture = null;
+
+      translator?.close();
+      await Promise.allSettled([engine?.close(), capture?.stop()]);
+      await this.retireRun(run);
+
+      console.warn(`[TabSession] 啟用流程中止：${reason}`);
+      return { success: false, error: reason };
+    };
+
+    try {
+      const tab = await this.getTabInfo();
+      if (isStale()) return await abort('啟用流程已被停用中止');
+
+      // 重播不花錢，放在預算檢查之前：超過預算仍能看已有的字幕
+      if (!options.resume) {
+        const timeline = await this.findCachedTimeline(tab.url);
+        if (isStale()) return await abort('啟用流程已被停用中止');
+        if (timeline) {
+          // 重播模式不開辨識，這一場用不到記帳
+          TabSession.costRuns.delete(run.source);
+          return await this.enableFromCache(tab, timeline, options);
+        }
+      }
+
+      // 預算檢查放在建立連線之前：超過上限就不該再開一條計費的串流
+      const budget = await APIKeyManager.getBudgetStatus();
+      if (isStale()) return await abort('啟用流程已被停用中止');
+
+      if (budget.enforce && budget.level === BudgetLevel.EXCEEDED && !options.overrideBudget) {
+        const reason = `本月花費 $${budget.spent.toFixed(2)} 已達預算上限 $${budget.budget.toFixed(2)}`;
+        // budgetExceeded 讓 Popup 顯示「本次仍要啟用」，不必比對錯誤字串
+        return { ...(await abort(reason)), budgetExceeded: true, budget };
+      }
+
+      // 每次啟用時重新建立連線，確保使用最新的用戶設定
+      await this.closeStaleEngine();
+      ({ engineId, model, language, diarize, keywords, engine } = await this.createEngine(
+        run.source,
+        {},
+        tab.url
+      ));
+      if (isStale()) return await abort('啟用流程已被停用中止');
+
+      translator = await this.createTranslator(run.source);
+      if (isStale()) return await abort('啟用流程已被停用中止');
+
+      // 通知 Content Script 啟用字幕（檢查頁面是否有 video），順便帶上字幕樣式
+      // （重播模式補辨識時 overlay 已在，Content Script 會直接回報成功）
+      const style = await this.getSubtitleStyle();
+      if (isStale()) return await abort('啟用流程已被停用中止');
+
+      const response = await chrome.tabs.sendMessage(tabId, {
+        type: 'ENABLE_SUBTITLES',
+        data: { style },
+      });
+      if (isStale()) return await abort('啟用流程已被停用中止');
+
+      // 如果 Content Script 回報沒有 video，立即回傳錯誤
+      if (!response.success) {
+        console.warn('[TabSession] Content Script 回報:', response.error);
+        // 引擎此時已建立連線並啟動 KeepAlive，不清掉會留下一條沒人管的連線：
+        // isActive 尚未設為 true，disable() 也帶不走它，只能持續消耗 Deepgram 配額
+        return await abort(response.error || '無法啟用字幕');
+      }
+      // 在暫停的影片上啟用：不會有 pause 事件，以回報的當下狀態為準
+      this.paused = Boolean(response.paused);
+
+      // 音訊一啟動，PCM 就會回送到 handlePCMBatch()，而它讀的是
+      // this.engine——必須在 capture 之前掛上，否則開頭一批會被丟棄
+      this.engine = engine;
+      this.translator = translator;
+
+      // 啟動音訊擷取（Offscreen Document 依引擎要的形式逐 frame 轉發或切塊；
+      // PCM 形式另經 VAD 略過靜音）
+      const vadSensitivity = await this.getVadSensitivity();
+      capture = new AudioCapture();
+      await capture.start(tabId, { input: engine.input, vadSensitivity });
+      if (isStale()) return await abort('啟用流程已被停用中止');
+
+      this.audioCapture = capture;
+      this.isActive = true;
+      this.tab = tab;
+      this.engineId = engineId;
+      this.model = model;
+      this.language = language;
+      this.diarize = diarize;
+      this.keywords = keywords;
+      this.speakers = [];
+      this.speakerNames = {};
+      // 成功才開新的一場：中途失敗不該蓋掉上一場還沒下載的逐字稿。
+      // 音訊剛開始流動，第一句 final 不可能比這裡早到
+      this.transcript.start({ ...tab, engineId, language });
+      this.budgetOverride = Boolean(options.overrideBudget);
+      this.run = run;
+      this.stopReason = null;
+      this.persist();
+      if (this.paused) this.scheduleSuspend();
+
+      console.log(`[TabSession] 已啟用 ${engineId} (Tab ${tabId})`);
+      return { success: true };
+    } catch (error) {
+      // Popup 會直接顯示回傳的錯誤，不必再跳通知
+      await ErrorHandler.handle(error, { operation: 'enable_service', tabId, silent: true });
+      await abort(error.message || '啟用字幕失敗');
+
+      // 將錯誤訊息傳遞回 Popup
+      return {
+        success: false,
+        error: error.message || '啟用字幕失敗'
+      };
+    } finally {
+      this.isEnabling = false;
+    }
+  }
+
+  /**
+   * 以字幕紀錄啟用：只開 overlay、由使用者選擇載入，不擷取音訊也不呼叫 API
+   *
+   * 由 enable() 呼叫，沿用它的世代與 isEnabling 保護。
+   *
+   * @private
+   * @param {{title: string|null, url: string|null}} tab
+   * @param {import('../lib/transcript-cache.js').CachedTimeline} timeline
+   * @param {{overrideBudget?: boolean}} options
+   */
+  async enableFromCache(tab, timeline, options) {
+    const { tabId } = this;
+    const style = await this.getSubtitleStyle();
+    const response = await chrome.tabs.sendMessage(tabId, {
+      type: 'ENABLE_SUBTITLES',
+      data: {
+        style,
+        cached: { captionCount: timeline.segments.length, coverage: timeline.coverage },
+      },
+    });
+
+    if (!response.success) {
+      console.warn('[TabSession] Content Script 回報:', response.error);
+      return { success: false, error: response.error || '無法啟用字幕' };
+    }
+
+    this.cacheSession = { overrideBudget: Boolean(options.overrideBudget), timeline };
+    this.tab = tab;
+    this.stopReason = null;
+    this.persist();
+
+    console.log(
+      `[TabSession] 找到 ${timeline.recordIds.length} 筆字幕紀錄（${timeline.segments.length} 句），等待使用者選擇 (Tab ${tabId})`
+    );
+    return { success: true, cached: true };
+  }
+
+  /**
+   * 同一部影片可重播的字幕紀錄；查不到或讀取失敗時為 null（照常即時辨識）
+   *
+   * @private
+   * @param {string|null} url
+   * @returns {Promise<import('../lib/transcript-cache.js').CachedTimeline|null>}
+   */
+  async findCachedTimeline(url) {
+    const videoKey = getVideoKey(url);
+    if (!videoKey) return null;
+
+    try {
+      return buildCachedTimeline(await TranscriptStore.findByVideoKey(videoKey));
+    } catch (error) {
+      console.warn('[TabSession] 讀取字幕紀錄失敗，改為即時辨識:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * 回傳重播用的字幕（Content Script 按下「載入字幕」時呼叫）
+   *
+   * @returns {import('../lib/transcript-cache.js').CachedTimeline}
+   */
+  loadCachedTranscript() {
+    if (!this.cacheSession) {
+      throw new BabelBridgeError(ErrorCodes.TRANSCRIPT_EMPTY, '這個分頁沒有可載入的字幕紀錄', {
+        tabId: this.tabId,
+      });
+    }
+    return this.cacheSession.timeline;
+  }
+
+  /**
+   * 播放位置進出字幕紀錄涵蓋範圍（Content Script 回報）
+   *
+   * 沒涵蓋就開即時辨識，回到涵蓋範圍就收掉辨識、留著 overlay 繼續重播。
+   * 兩個方向都沿用 enable()/disable() 的世代保護：來回拖曳進度條時，
+   * 後到的回報會作廢前一次還沒跑完的啟用。
+   *
+   * @param {boolean} covered
+   */
+  async handleCacheCoverage(covered) {
+    if (!this.cacheSession) return;
+
+    if (covered) {
+      if (this.isActive || this.isEnabling) {
+        console.log('[TabSession] 播放位置已有字幕紀錄，暫停即時辨識');
+        await this.disable({ keepOverlay: true });
+      }
+      return;
+    }
+
+    if (this.isActive) return;
+
+    console.log('[TabSession] 播放位置沒有字幕紀錄，開始即時辨識');
+    const result = await this.enable({
+      resume: true,
+      overrideBudget: this.cacheSession.overrideBudget,
+    });
+
+    if (result.budgetExceeded) {
+      await ErrorHandler.handle(new BabelBridgeError(ErrorCodes.BUDGET_EXCEEDED, result.error), {
+        operation: 'cache_resume',
+        tabId: this.tabId,
+      });
+    }
+  }
+
+  /**
+   * 停用字幕功能
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.keepOverlay=false] - 只收掉辨識管線，重播模式繼續（不通知 Content Script）
+   */
+  async disable({ keepOverlay = false } = {}) {
+    // 先作廢進行中的 enable()：它每個 await 之後都會重新確認世代，發現過期
+    // 就自行收掉手上的資源，不會在停用之後才把管線掛回來。必須放在下面的
+    // early return 之前——那時 enable() 可能還沒把任何資源掛上 this。
+    this.generation++;
+
+    // 不能只看 isActive：enable() 若在建立連線之後、isActive 設為 true 之前失敗，
+    // 會留下一個已連線的引擎。只認 isActive 會讓那條連線帶著 KeepAlive
+    // 永遠關不掉，因此只要還有殘留資源就得走完清理流程。
+    if (!this.isActive && !this.engine && !this.audioCapture && (keepOverlay || !this.cacheSession)) {
+      return { success: true };  // 已停用，仍返回成功
+    }
+
+    const { tabId } = this;
+    if (!keepOverlay) this.cacheSession = null;
+
+    // 通知 Content Script 停用字幕
+    if (!keepOverlay) {
+      try {
+        await chrome.tabs.sendMessage(tabId, {
+          type: 'DISABLE_SUBTITLES'
+        });
+      } catch (error) {
+        // Content Script 可能已卸載，忽略錯誤
+        console.warn('[TabSession] 無法通知 Content Script 停用:', error.message);
+      }
+    }
+
+    this.cleanup();
+    this.isActive = false;
+    this.budgetOverride = false;
+
+    // 重播模式只是暫停辨識，快照改成只剩重播；完全停用就不必再恢復
+    if (keepOverlay) {
+      this.persist();
+    } else {
+      this.forget();
+    }
+
+    console.log(`[TabSession] 已停用字幕 (Tab ${tabId})`);
+    return { success: true };
+  }
+
+  /**
+   * 每筆記帳後檢查預算，越過月度預算或這一場的單次上限就停用字幕
+   *
+   * 由 SubtitleService.handleBudgetUpdate() 對每個分頁呼叫；
+   * 記帳已先由 attributeCost() 歸到各自的場次。
+   *
+   * @param {import('../lib/api-key-manager.js').BudgetStatus} status
+   */
+  async checkBudget(status) {
+    // stopReason 已設表示停用進行中；停用時引擎結算最後一段用量，會再觸發一次
+    if (!this.isActive || this.stopReason || this.budgetOverride || !status.enforce) {
+      return;
+    }
+
+    const sessionSpent = this.run?.spent ?? 0;
+    let reason = null;
+
+    if (status.level === BudgetLevel.EXCEEDED) {
+      reason = `本月花費 $${status.spent.toFixed(2)} 已達預算上限 $${status.budget.toFixed(2)}`;
+    } else if (status.sessionBudget > 0 && sessionSpent >= status.sessionBudget) {
+      reason = `本次花費 $${sessionSpent.toFixed(2)} 已達單次上限 $${status.sessionBudget.toFixed(2)}`;
+    }
+
+    if (!reason) return;
+
+    this.stopReason = { code: ErrorCodes.BUDGET_EXCEEDED, message: reason };
+    await ErrorHandler.handle(
+      new BabelBridgeError(ErrorCodes.BUDGET_EXCEEDED, reason, { ...status, sessionSpent }),
+      { operation: 'budget', tabId: this.tabId }
+    );
+    await this.disable();
+  }
+
+  /**
+   * 處理一批 PCM（來自 Offscreen Document）並發送到辨識引擎
+   *
+   * 不是 private：這是 PCM_BATCH 訊息的進入點，
+   * 由模組底部的音訊 Port handler 從外部呼叫。
+   */
+  handlePCMBatch(batchData) {
+    // 暫停時分頁沒有聲音，送出去也只是付錢辨識靜音
+    if (this.paused) return;
+
+    if (this.engine?.input !== EngineInput.PCM) {
+      console.warn('[TabSession] 沒有接收 PCM 的辨識引擎');
+      return;
+    }
+
+    const { audioBase64, frameIndex, frameCount, sampleRate } = batchData;
+
+    // Port 只傳可 JSON 序列化的資料，Offscreen 端把 PCM 轉成 Base64，這裡還原
+    const pcmData = base64ToArrayBuffer(audioBase64);
+
+    // 批次含第 1 個或每第 200 個 frame 時做振幅診斷（frameIndex 從 1 起算）
+    if (frameIndex === 1 || frameIndex % 200 < frameCount) {
+      const samples = new Int16Array(pcmData);
+      let min = Infinity;
+      let max = -Infinity;
+      let sumAbs = 0;
+      let nonZero = 0;
+      for (let i = 0; i < samples.length; i++) {
+        const sample = samples[i];
+        if (sample < min) min = sample;
+        if (sample > max) max = sample;
+        const abs = Math.abs(sample);
+        if (abs > 0) {
+          nonZero++;
+          sumAbs += abs;
+        }
+      }
+      const avgAbs = nonZero ? sumAbs / nonZero : 0;
+      console.log('[TabSession] 🎚️ PCM 振幅診斷', {
+        frameIndex,
+        frameCount,
+        min,
+        max,
+        avgAbs: Number(avgAbs.toFixed(2)),
+        nonZeroSamples: nonZero,
+        sampleRate,
+      });
+      if (frameIndex === 1) {
+        console.log('[TabSession] 🎧 PCM 前 16 samples:', Array.from(samples.subarray(0, 16)));
+      }
+    }
+
+    // 發送到辨識引擎（即時串流）
+    this.engine.sendAudio(pcmData);
+  }
+
+  /**
+   * 處理一段被 VAD 略過的靜音（來自 Offscreen Document）
+   *
+   * 與 handlePCMBatch 相同，是 PCM_SILENCE 訊息的進入點。音訊沒送出，
+   * 但引擎要知道這段時間過去了，之後的字幕時間才對得上。
+   */
+  handlePCMSilence(silenceData) {
+    // 暫停期間的時間不算在串流裡（送來的音訊也丟了）
+    if (this.paused || this.engine?.input !== EngineInput.PCM) return;
+
+    // 直接註冊的替身引擎不一定繼承 TranscriptionEngine，沒有 skipAudio 就當作不在意時間
+    this.engine.skipAudio?.(silenceData.duration);
+  }
+
+  /**
+   * 處理音訊 chunk（來自 Offscreen Document）
+   *
+   * 與 handlePCMBatch 相同，是 WHISPER_AUDIO_CHUNK 訊息的進入點。
+   */
+  handleAudioChunk(chunkData) {
+    if (this.paused) return;
+
+    if (this.engine?.input !== EngineInput.CHUNK) {
+      console.warn('[TabSession] 沒有接收音訊 chunk 的辨識引擎，忽略 chunk');
+      return;
+    }
+
+    this.engine.sendChunk(chunkData);
+  }
+
+  /**
+   * 影片播放狀態變化（Content Script 經 VIDEO_STATE_CHANGED 回報）
+   *
+   * - pause：停止送音訊，暫停超過設定的時間就讓引擎放掉連線
+   * - play：恢復送音訊，放掉的連線在這裡接回（引擎會暫存連線期間的音訊）
+   * - ended：也停止送音訊，稍等最後一句定版後結束這一場（存逐字稿、收掉 overlay）
+   * - seeked / ratechange：seek 後畫面上的 interim 由 Content Script 自己清掉
+   *
+   * play、seeked、ratechange 另讓 Whisper 的擷取管線重新對時（見 reanchorCapture()）
+   *
+   * @param {VideoState} state
+   */
+  async handleVideoState(state) {
+    const { event } = state;
+    console.log(`[TabSession] 影片 ${event} (Tab ${this.tabId})`, {
+      currentTime: state.currentTime,
+      playbackRate: state.playbackRate,
+    });
+
+    switch (event) {
+      case 'play':
+        clearTimeout(this.idleTimer);
+        clearTimeout(this.endedTimer);
+        this.idleTimer = null;
+        this.endedTimer = null;
+        this.paused = false;
+        this.persist();
+        await this.reanchorCapture(state);
+        await this.resumeEngine();
+        break;
+
+      case 'seeked':
+      case 'ratechange':
+        await this.reanchorCapture(state);
+        break;
+
+      case 'pause':
+        // 播完時 pause 會緊接在 ended 之前觸發，照常排程即可（ended 會接手）
+        this.paused = true;
+        this.persist();
+        await this.scheduleSuspend();
+        break;
+
+      case 'ended':
+        this.paused = true;
+        clearTimeout(this.idleTimer);
+        clearTimeout(this.endedTimer);
+        this.idleTimer = null;
+        this.endedTimer = setTimeout(() => {
+          this.endedTimer = null;
+          console.log(`[TabSession] 影片已播完，結束字幕 (Tab ${this.tabId})`);
+          this.disable().catch((error) => {
+            console.error('[TabSession] 影片播完後停用字幕失敗:', error);
+          });
+        }, PLAYBACK_CONFIG.ENDED_GRACE_PERIOD);
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Whisper 的 chunk 時間由擷取到的樣本數推算：暫停期間擷取照跑（那些 chunk 在
+   * handleAudioChunk() 丟掉了）、跳轉時影片位置跳開，都要從此刻的影片時間重新起算，
+   * 否則之後的字幕全部錯位，還會存進字幕紀錄。Deepgram 每則結果各自以 streamPosition 對時，不需要
+   * @private
+   * @param {VideoState} state
+   */
+  async reanchorCapture(state) {
+    if (this.engine?.input !== EngineInput.CHUNK || !this.audioCapture) return;
+
+    await this.audioCapture.reanchor(state.currentTime, state.playbackRate || 1);
+  }
+
+  /**
+   * 暫停超過設定的時間就讓引擎放掉連線
+   * @private
+   */
+  async scheduleSuspend() {
+    const generation = this.generation;
+    const seconds = await this.getPauseIdleSeconds().catch(() => PLAYBACK_CONFIG.DEFAULT_PAUSE_IDLE_SECONDS);
+
+    // 讀設定期間可能已按下播放、影片已播完或已停用
+    if (!this.paused || this.endedTimer || this.generation !== generation || !seconds) return;
+
+    clearTimeout(this.idleTimer);
+    this.idleTimer = setTimeout(() => {
+      this.idleTimer = null;
+      const engine = this.engine;
+      if (!this.paused || !engine) return;
+
+      console.log(`[TabSession] 影片暫停超過 ${seconds} 秒，關閉辨識連線 (Tab ${this.tabId})`);
+      // 直接註冊的替身引擎不一定繼承 TranscriptionEngine（同 skipAudio）
+      engine.suspend?.().catch((error) => {
+        console.error('[TabSession] 暫停辨識引擎失敗:', error);
+      });
+    }, seconds * 1000);
+  }
+
+  /**
+   * 影片重新播放：接回暫停時放掉的連線（沒放掉的引擎自己會略過）
+   *
+   * 接不回來就停用，免得畫面上的字幕停在那裡卻沒有人告訴使用者。
+   * @private
+   */
+  async resumeEngine() {
+    const engine = this.engine;
+    if (!engine) return;
+
+    try {
+      await engine.resume?.();
+    } catch (error) {
+      if (this.engine !== engine) return;
+      await ErrorHandler.handle(error, { operation: 'resume_engine', tabId: this.tabId });
+      await this.disable();
+    }
+  }
+
+  /**
+   * 處理辨識引擎送出的 TranscriptEvent
+   *
+   * 串流時間軸的結果收到即顯示；影片時間軸的結果以 segments 送出，
+   * 由 Content Script 依 video.currentTime 顯示。
+   *
+   * @private
+   * @param {import('./transcription-engine.js').TranscriptEvent} event
+   */
+  handleTranscript(event) {
+    const { text, isFinal, speechFinal, confidence, start, end, timeBase, words, streamPosition, timestamp } =
+      event;
+
+    console.log(`[TabSession] ${isFinal ? '✅ Final' : '⏳ Interim'} 字幕:`, text);
+
+    // 只有 final 會留在 overlay 上，interim 隨時被覆蓋，不值得編號與翻譯
+    const captionId = isFinal ? ++this.captionSeq : undefined;
+
+    // 發送到 Content Script
+    if (timeBase === TimeBase.VIDEO) {
+      this.sendSubtitleToContent({
+        segments: [{ text, start, end, confidence, words, captionId }],
+      });
+    } else {
+      this.sendSubtitleToContent({
+        text,
+        isFinal,
+        speechFinal,
+        confidence,
+        words,
+        streamPosition,
+        timestamp,
+        captionId,
+      });
+    }
+
+    if (isFinal) {
+      this.transcript.addCaption(event, captionId);
+      this.translateCaption(captionId, text, speechFinal);
+      this.noteSpeakers(words || []);
+    }
+  }
+
+  /**
+   * 引擎說這段話講完了（沒等到 speech_final 也算）：還在累積的句子送去定版翻譯，
+   * overlay 收掉過時的字幕
+   * @private
+   */
+  handleUtteranceEnd() {
+    this.translator?.flush();
+    this.sendSpeechEventToContent(MessageTypes.UTTERANCE_END);
+  }
+
+  /**
+   * 記下新出現的講者（Popup 據此列出可改名的講者）
+   * @private
+   * @param {Array<import('./transcription-engine.js').TranscriptWord>} words
+   */
+  noteSpeakers(words) {
+    const added = [...new Set(words.map((word) => word.speaker))].filter(
+      (speaker) => typeof speaker === 'number' && !this.speakers.includes(speaker)
+    );
+    if (added.length === 0) return;
+
+    this.speakers = [...this.speakers, ...added].sort((a, b) => a - b);
+    this.persist();
+  }
+
+  /**
+   * 替講者改名（只在這一場有效）：字幕與逐字稿匯出都改用新名稱，空字串改回預設標籤
+   *
+   * @param {number} speaker
+   * @param {string} name
+   */
+  async renameSpeaker(speaker, name) {
+    const trimmed = String(name ?? '').trim();
+    const names = { ...this.speakerNames };
+    if (trimmed) {
+      names[speaker] = trimmed;
+    } else {
+      delete names[speaker];
+    }
+
+    this.speakerNames = names;
+    this.transcript.setSpeakerNames(names);
+    this.persist();
+
+    try {
+      await chrome.tabs.sendMessage(this.tabId, {
+        type: MessageTypes.SPEAKER_NAMES_UPDATE,
+        data: { names },
+      });
+    } catch (error) {
+      console.warn('[TabSession] 無法更新講者名稱:', error.message);
+    }
+  }
+
+  /**
+   * 把一行定版字幕交給串流翻譯器（累積成句後才翻，結果經 onTranslation 送出）；
+   * sentenceEnd（speech_final）時不必等句末標點
+   * @private
+   */
+  translateCaption(captionId, text, sentenceEnd) {
+    if (!this.translator) return;
+    this.translator.push({ captionId, text, sentenceEnd });
+  }
+
+  /**
+   * 發送字幕到 Content Script
+   * @private
+   */
+  async sendSubtitleToContent(subtitle) {
+    try {
+      await chrome.tabs.sendMessage(this.tabId, {
+        type: MessageTypes.SUBTITLE_UPDATE,
+        data: subtitle,
+        timestamp: Date.now(),
+      });
+    } catch (error) {
+      console.error('[TabSession] ❌ 發送字幕失敗:', error);
+    }
+  }
+
+  /**
+   * 發送譯文到 Content Script
+   * @private
+   */
+  async sendTranslationToContent(update) {
+    try {
+      await chrome.tabs.sendMessage(this.tabId, {
+        type: MessageTypes.TRANSLATION_UPDATE,
+        data: update,
+        timestamp: Date.now(),
+      });
+    } catch (error) {
+      console.error('[TabSession] ❌ 發送譯文失敗:', error);
+    }
+  }
+
+  /**
+   * 通知 Content Script 語音開始或一段話結束（UTTERANCE_END / SPEECH_STARTED）
+   * @private
+   * @param {string} type
+   */
+  async sendSpeechEventToContent(type) {
+    try {
+      await chrome.tabs.sendMessage(this.tabId, { type, timestamp: Date.now() });
+    } catch (error) {
+      console.error(`[TabSession] ❌ 發送 ${type} 失敗:`, error);
+    }
+  }
+
+  /**
+   * 清理資源
+   * @private
+   */
+  cleanup() {
+    clearTimeout(this.idleTimer);
+    clearTimeout(this.endedTimer);
+    this.idleTimer = null;
+    this.endedTimer = null;
+
+    // 停止音訊擷取
+    if (this.audioCapture) {
+      this.audioCapture.stop().catch((error) => {
+        console.error('[TabSession] 停止音訊擷取時發生錯誤:', error);
+      });
+      this.audioCapture = null;
+    }
+
+    // 關閉辨識引擎（進行中的請求回來後會被丟棄）
+    if (this.engine) {
+      this.engine.close().catch((error) => {
+        console.error('[TabSession] 關閉辨識引擎時發生錯誤:', error);
+      });
+      // 必須清掉參照，否則 disable() 的殘留資源判斷會永遠成立
+      this.engine = null;
+    }
+
+    // 翻譯沒有常駐連線，停掉成句計時器即可；進行中的請求回來後會被丟棄
+    if (this.translator) {
+      this.translator.close();
+      this.translator = null;
+    }
+
+    const ended = this.transcript.stop();
+    const run = this.run;
+    this.run = null;
+
+    if (run) {
+      this.archiveTranscript(ended ? this.transcript.session : null, run).catch((error) => {
+        console.error('[TabSession] 逐字稿存檔失敗:', error);
+      });
+    }
+  }
+
+  /**
+   * 結束這一場的記帳，有字幕就連同本場花費存進逐字稿庫
+   * @private
+   * @param {import('../lib/transcript-format.js').TranscriptSession|null} session
+   * @param {CostRun} run
+   */
+  async archiveTranscript(session, run) {
+    await this.retireRun(run);
+    if (!session || session.captions.length === 0) return;
+
+    await TranscriptStore.save(session, { cost: run.spent });
+  }
+
+  /**
+   * 引擎 close() 時會結算最後一段用量，等帳本寫完再把這一場移出 costRuns，本場花費才算得完整
+   * @private
+   * @param {CostRun} run
+   */
+  async retireRun(run) {
+    await APIKeyManager.costWriteQueue;
+    TabSession.costRuns.delete(run.source);
+  }
+
+  /**
+   * Service Worker 重啟後，依快照接回這個分頁
+   *
+   * Offscreen 裡的擷取管線沒停過，這裡不重新擷取，只重建辨識引擎與翻譯並接手那條管線；
+   * 頁面上的 overlay 也還在，不必再送 ENABLE_SUBTITLES。記帳沿用快照裡的 costSource，
+   * 本場花費接著累計。回收前那一段逐字稿已隨記憶體消失，從恢復這一刻另起一場。
+   *
+   * 恢復不了（分頁已關、管線已不在、引擎對不上管線）就當作停用：收掉管線與 overlay、刪掉快照。
+   *
+   * @param {import('./session-state.js').SessionSnapshot} snapshot
+   * @param {import('./audio-capture.js').LiveCapture|null} live - Offscreen 裡這個分頁的管線
+   * @returns {Promise<boolean>} 是否恢復
+   */
+  async restore(snapshot, live) {
+    const { tabId } = this;
+    const generation = ++this.generation;
+    const isStale = () => this.generation !== generation;
+    this.isEnabling = true;
+
+    let engine = null;
+    let translator = null;
+    const capture = live ? new AudioCapture() : null;
+    capture?.adopt(tabId);
+
+    const giveUp = async (reason) => {
+      if (this.engine === engine) this.engine = null;
+      if (this.translator === translator) this.translator = null;
+
+      translator?.close();
+      await Promise.allSettled([engine?.close(), capture?.stop()]);
+      if (snapshot.run) await this.retireRun(snapshot.run);
+      if (isStale()) return false;
+
+      console.warn(`[TabSession] 無法恢復 Tab ${tabId}：${reason}`);
+      this.cacheSession = null;
+      this.forget();
+      try {
+        await chrome.tabs.sendMessage(tabId, { type: 'DISABLE_SUBTITLES' });
+      } catch {
+        // 分頁已關或 Content Script 已卸載
+      }
+      return false;
+    };
+
+    try {
+      let tab;
+      try {
+        tab = await chrome.tabs.get(tabId);
+      } catch {
+        return await giveUp('分頁已關閉');
+      }
+      if (isStale()) return await giveUp('恢復流程已被停用中止');
+
+      this.tab = { title: tab.title || snapshot.tab.title, url: tab.url || snapshot.tab.url };
+
+      if (snapshot.cached) {
+        const timeline = await this.findCachedTimeline(this.tab.url);
+        if (isStale()) return await giveUp('恢復流程已被停用中止');
+        this.cacheSession = timeline
+          ? { overrideBudget: snapshot.budgetOverride, timeline }
+          : null;
+      }
+
+      if (!snapshot.recognizing) {
+        // 只在重播：沒有管線要接（有的話是殘留，收掉）
+        await capture?.stop();
+        if (!this.cacheSession) return await giveUp('字幕紀錄已不存在');
+        this.persist();
+        console.log(`[TabSession] 已恢復重播模式 (Tab ${tabId})`);
+        return true;
+      }
+
+      if (!live) {
+        return await giveUp('擷取管線已不在');
+      }
+
+      const run = snapshot.run ?? { source: crypto.randomUUID(), spent: 0 };
+      TabSession.costRuns.set(run.source, run);
+
+      const created = await this.createEngine(run.source, snapshot, this.tab.url);
+      engine = created.engine;
+      if (isStale()) return await giveUp('恢復流程已被停用中止');
+
+      // 設定裡的引擎可能已被移除（resolve 退回預設），音訊形式就對不上管線
+      if (engine.input !== live.input) {
+        return await giveUp(`辨識引擎 ${created.engineId} 與擷取管線的音訊形式不符`);
+      }
+
+      translator = await this.createTranslator(run.source);
+      if (isStale()) return await giveUp('恢復流程已被停用中止');
+
+      this.engine = engine;
+      this.translator = translator;
+      this.audioCapture = capture;
+      this.isActive = true;
+      this.engineId = created.engineId;
+      this.model = created.model;
+      this.language = created.language;
+      this.diarize = created.diarize;
+      this.keywords = created.keywords;
+      this.speakers = snapshot.speakers ?? [];
+      this.speakerNames = snapshot.speakerNames ?? {};
+      this.transcript.start({ ...this.tab, engineId: created.engineId, language: created.language });
+      this.transcript.setSpeakerNames(this.speakerNames);
+      this.budgetOverride = snapshot.budgetOverride;
+      this.run = run;
+      this.stopReason = null;
+      this.paused = Boolean(snapshot.paused);
+      this.persist();
+      // 暫停中被回收：新引擎剛連上，重新計時（Service Worker 被回收前的計時器已不在）
+      if (this.paused) this.scheduleSuspend();
+
+      console.log(`[TabSession] 已恢復 ${created.engineId} (Tab ${tabId})`);
+      return true;
+    } catch (error) {
+      await ErrorHandler.handle(error, { operation: 'restore_session', tabId });
+      return await giveUp(error.message || '恢復失敗');
+    } finally {
+      this.isEnabling = false;
+    }
+  }
+
+  /**
+   * 存下快照；有在顯示字幕才存（寫入失敗只影響 Service Worker 被回收後能否恢復）
+   */
+  persist() {
+    if (!this.isActive && !this.cacheSession) return;
+
+    SessionState.save(this.toSnapshot()).catch((error) => {
+      console.warn('[TabSession] 儲存工作階段快照失敗:', error.message);
+    });
+  }
+
+  /**
+   * @private
+   */
+  forget() {
+    SessionState.remove(this.tabId).catch((error) => {
+      console.warn('[TabSession] 刪除工作階段快照失敗:', error.message);
+    });
+  }
+
+  /**
+   * @private
+   * @returns {import('./session-state.js').SessionSnapshot}
+   */
+  toSnapshot() {
+    return {
+      tabId: this.tabId,
+      tab: this.tab,
+      recognizing: this.isActive,
+      cached: Boolean(this.cacheSession),
+      engineId: this.engineId,
+      model: this.model,
+      language: this.language,
+      budgetOverride: this.budgetOverride || Boolean(this.cacheSession?.overrideBudget),
+      paused: this.paused,
+      diarize: this.diarize,
+      keywords: this.keywords,
+      speakers: this.speakers,
+      speakerNames: this.speakerNames,
+      run: this.run && { source: this.run.source, spent: this.run.spent },
+    };
+  }
+
+  /**
+   * 這個分頁的狀態（Popup 的啟用中分頁列表）
+   *
+   * @returns {TabSessionStatus}
+   */
+  getStatus() {
+    return {
+      tabId: this.tabId,
+      active: this.isActive || Boolean(this.cacheSession),
+      recognizing: this.isActive,
+      cached: Boolean(this.cacheSession),
+      title: this.tab.title,
+      engineId: this.engineId,
+      language: this.language,
+      spent: this.run?.spent ?? 0,
+      paused: this.paused,
+      speakers: this.speakers.map((speaker) => ({ speaker, name: this.speakerNames[speaker] ?? null })),
+      stopReason: this.stopReason,
+    };
+  }
+}
+
+/**
+ * @typedef {Object} CostRun
+ * @property {string} source - 記帳標記，隨 init() 的 costSource 交給引擎與翻譯
+ * @property {number} spent - 這一場累計的花費（USD）
+ */
+
+/**
+ * @typedef {Object} TabSessionStatus
+ * @property {number} tabId
+ * @property {boolean} active - 顯示字幕中（含只重播字幕紀錄）
+ * @property {boolean} recognizing - 即時辨識中
+ * @property {boolean} cached - 重播字幕紀錄中
+ * @property {string|null} title
+ * @property {string|null} engineId
+ * @property {string|null} language
+ * @property {number} spent - 這一場的花費（USD）
+ * @property {boolean} paused - 影片暫停中
+ * @property {Array<{speaker: number, name: string|null}>} speakers - 這一場出現過的講者；name 為 null 時用預設標籤
+ * @property {{code: string, message: string}|null} stopReason
+ */
+
+/**
+ * @typedef {Object} VideoState
+ * @property {'play'|'pause'|'seeked'|'ended'|'ratechange'} event
+ * @property {number} currentTime - 秒
+ * @property {boolean} paused
+ * @property {number} playbackRate
+ */
+
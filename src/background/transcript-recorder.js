@@ -0,0 +1,171 @@
+/**
+ * TranscriptRecorder - 整場逐字稿記錄與匯出
+ *
+ * Overlay 只留最近 30 秒的字幕，停用後畫面上的東西就沒了。
+ * 這裡在 Service Worker 端把每一行 final 字幕連同起訖時間與逐字資訊收下來，
+ * 停用後仍保留到下一次啟用，供 Popup 下載 SRT / WebVTT / 純文字 / JSON（格式見 transcript-format.js）。
+ * 每場結束時由 SubtitleService 存進 TranscriptStore，之後在逐字稿庫頁面查閱。
+ *
+ * 時間軸：
+ * - 影片時間（Whisper）：直接沿用，匯出的字幕檔可對齊原影片
+ * - 串流時間（Deepgram）：以本次啟用為 0 點；重連後 Deepgram 從 0 重新計時，
+ *   這裡接續前一段，避免時間倒退
+ */
+import { TimeBase } from './transcription-engine.js';
+import { exportTranscript } from '../lib/transcript-format.js';
+import { BabelBridgeError, ErrorCodes } from '../lib/errors.js';
+
+export class TranscriptRecorder {
+  constructor() {
+    /** @type {import('../lib/transcript-format.js').TranscriptSession|null} */
+    this.session = null;
+    this.recording = false;
+
+    // 串流時間軸的接續：重連後 start 會從 0 重來
+    this.streamOffset = 0;
+    this.lastStreamStart = 0;
+  }
+
+  /**
+   * 開始新的一場（會清掉上一場）
+   *
+   * @param {Object} info
+   * @param {string|null} [info.title] - 分頁標題，用於檔名
+   * @param {string|null} [info.url] - 分頁網址，存檔時換算影片識別
+   * @param {string} [info.engineId]
+   * @param {string} [info.language]
+   */
+  start({ title = null, url = null, engineId = null, language = null } = {}) {
+    this.session = {
+      id: crypto.randomUUID(),
+      title,
+      url,
+      engineId,
+      language,
+      timeBase: null,
+      startedAt: Date.now(),
+      endedAt: null,
+      captions: [],
+      translations: [],
+      speakerNames: {},
+    };
+    this.recording = true;
+    this.streamOffset = 0;
+    this.lastStreamStart = 0;
+  }
+
+  /**
+   * 結束這一場；記錄保留到下一次 start()
+   *
+   * @returns {boolean} 是否真的結束了一場（重複呼叫回傳 false，呼叫端據此只存檔一次）
+   */
+  stop() {
+    if (!this.recording) return false;
+    this.recording = false;
+    this.session.endedAt = Date.now();
+    return true;
+  }
+
+  /**
+   * 記下一行 final 字幕（interim 之後會被取代，不收）
+   *
+   * @param {import('./transcription-engine.js').TranscriptEvent} event
+   * @param {number} captionId
+   */
+  addCaption(event, captionId) {
+    if (!this.recording || !event.isFinal || !event.text?.trim()) return;
+
+    const session = this.session;
+    session.timeBase = session.timeBase || event.timeBase;
+
+    const elapsed = (event.timestamp - session.startedAt) / 1000;
+    const hasTiming = typeof event.start === 'number';
+    let shift = 0;
+
+    if (hasTiming && event.timeBase === TimeBase.STREAM) {
+      // start 倒退代表引擎重連、重新計時：以收到的時間接回整場時間軸
+      if (event.start < this.lastStreamStart) {
+        this.streamOffset = Math.max(elapsed - (event.end - event.start || 0), this.lastEnd());
+      }
+      this.lastStreamStart = event.start;
+      shift = this.streamOffset;
+    }
+
+    const start = hasTiming ? event.start + shift : elapsed;
+    const end = typeof event.end === 'number' ? event.end + shift : start;
+
+    session.captions.push({
+      id: captionId,
+      start,
+      end: Math.max(end, start),
+      text: event.text.trim(),
+      confidence: event.confidence,
+      words: (event.words || []).map((word) => ({
+        ...word,
+        start: word.start + shift,
+        end: word.end + shift,
+      })),
+    });
+  }
+
+  /**
+   * 記下定版譯文（provisional 之後會被覆蓋，不收）
+   *
+   * @param {{captionIds: number[], translation: string, provisional?: boolean}} update
+   */
+  addTranslation(update) {
+    if (!this.recording || update.provisional) return;
+
+    this.session.translations.push({
+      captionIds: [...update.captionIds],
+      text: update.translation,
+    });
+  }
+
+  /**
+   * 使用者改的講者名稱，匯出時取代預設標籤（停用後仍可改名再匯出）
+   *
+   * @param {Object<string, string>} names - { [speaker]: name }
+   */
+  setSpeakerNames(names) {
+    if (!this.session) return;
+    this.session.speakerNames = { ...names };
+  }
+
+  /**
+   * 供 Popup 判斷能否下載
+   *
+   * @returns {{recording: boolean, title: string|null, captionCount: number, startedAt: number|null, endedAt: number|null}}
+   */
+  getSummary() {
+    return {
+      recording: this.recording,
+      title: this.session?.title ?? null,
+      captionCount: this.session?.captions.length ?? 0,
+      startedAt: this.session?.startedAt ?? null,
+      endedAt: this.session?.endedAt ?? null,
+    };
+  }
+
+  /**
+   * 匯出（播放中也可匯出目前為止的內容）
+   *
+   * @param {string} format - 見 TranscriptFormat
+   * @returns {{filename: string, mimeType: string, content: string}}
+   */
+  export(format) {
+    if (!this.session || this.session.captions.length === 0) {
+      throw new BabelBridgeError(ErrorCodes.TRANSCRIPT_EMPTY, '目前沒有可匯出的逐字稿');
+    }
+
+    return exportTranscript(this.session, format);
+  }
+
+  /**
+   * @private
+   */
+  lastEnd() {
+    const captions = this.session.captions;
+    return captions.length > 0 ? captions[captions.length - 1].end : 0;
+  }
+}
@@ -0,0 +1,227 @@
+/**
+ * TranscriptionEngine - 辨識引擎契約
+ *
+ * SubtitleService 只認這個介面，不認得任何一家供應商：
+ * - init(config)：載入金鑰、建立連線；失敗要拋錯，讓啟用流程當場中止
+ * - sendAudio(pcm) 或 sendChunk(chunk)：依 `input` 收一批 PCM 或 WAV chunk
+ * - skipAudio(seconds)：'pcm' 引擎的串流中有一段靜音被 VAD 略過（預設忽略）
+ * - suspend() / resume()：影片暫停太久時放掉連線、播放時接回，串流時間接續（預設忽略）
+ * - close()：立即生效，之後晚到的結果一律丟棄
+ * - getStats()：統計資訊
+ * - onTranscript / onError / onStateChange：回調，事件格式見 TranscriptEvent
+ * - onUtteranceEnd / onSpeechStarted：一段話講完、又有人開口（有語音偵測的引擎才會送）
+ *
+ * 新增供應商（或測試替身）時繼承本類別、在 engine-registry.js 註冊一個 ID 即可，
+ * 不必動 Service Worker 的編排流程。
+ */
+import { BabelBridgeError, ErrorCodes } from '../lib/errors.js';
+
+/**
+ * 引擎要的音訊形式，Offscreen Document 依此決定分批轉發或切塊
+ */
+export const EngineInput = {
+  PCM: 'pcm', // 連續 Int16 PCM，經 PCM_BATCH 每 100ms 送達一批
+  CHUNK: 'chunk', // Rolling Window WAV chunk，經 WHISPER_AUDIO_CHUNK 送達
+};
+
+/**
+ * 辨識結果的時間軸
+ */
+export const TimeBase = {
+  STREAM: 'stream', // 相對音訊串流開始；Content Script 收到即顯示
+  VIDEO: 'video', // 影片絕對時間；Content Script 依 video.currentTime 顯示
+};
+
+export class TranscriptionEngine {
+  constructor() {
+    /** @type {string} 見 EngineInput */
+    this.input = EngineInput.PCM;
+
+    // 回調函數
+    this.onTranscript = null; // (event: TranscriptEvent) => void
+    this.onError = null; // (error) => void
+    this.onStateChange = null; // (newState, oldState) => void
+    this.onUtteranceEnd = null; // (event: UtteranceEndEvent) => void
+    this.onSpeechStarted = null; // (event: SpeechStartedEvent) => void
+  }
+
+  /**
+   * 初始化
+   * @param {EngineConfig} [_config]
+   * @returns {Promise<void>}
+   */
+  async init(_config = {}) {
+    throw this.notSupported('init');
+  }
+
+  /**
+   * 送入一段 PCM（input 為 'pcm' 的引擎實作），長度不固定
+   * @param {ArrayBuffer} _audioData - 16kHz, Mono, Int16
+   */
+  sendAudio(_audioData) {
+    throw this.notSupported('sendAudio');
+  }
+
+  /**
+   * 串流中有一段靜音沒送（Offscreen 的 VAD 略過），時間軸要往前推
+   *
+   * 預設忽略：不在意串流時間的引擎（測試替身）不必實作。
+   * @param {number} _seconds
+   */
+  skipAudio(_seconds) {}
+
+  /**
+   * 影片暫停太久，先放掉常駐連線（之後會 resume() 或 close()）
+   *
+   * 預設忽略：沒有常駐連線的引擎（Whisper 逐 chunk 呼叫 API）不必實作。
+   * @returns {Promise<void>}
+   */
+  async suspend() {}
+
+  /**
+   * 影片重新播放，接回 suspend() 放掉的連線；串流時間從暫停處接續
+   * @returns {Promise<void>}
+   */
+  async resume() {}
+
+  /**
+   * 送入一個 WAV chunk（input 為 'chunk' 的引擎實作）
+   * @param {Object} _chunk - WHISPER_AUDIO_CHUNK 的 data
+   */
+  sendChunk(_chunk) {
+    throw this.notSupported('sendChunk');
+  }
+
+  /**
+   * 關閉引擎
+   * @returns {Promise<void>}
+   */
+  async close() {}
+
+  /**
+   * 取得統計資訊
+   * @returns {Object}
+   */
+  getStats() {
+    return {};
+  }
+
+  /**
+   * 正規化後送出辨識結果
+   *
+   * 子類別只需給出自己手上的欄位，缺的補上預設值，
+   * 下游因此不必再分辨是哪個引擎產生的。
+   *
+   * @protected
+   * @param {Partial<TranscriptEvent> & {text: string}} event
+   */
+  emitTranscript(event) {
+    if (!this.onTranscript) return;
+
+    const isFinal = event.isFinal ?? true;
+    this.onTranscript({
+      text: event.text,
+      isFinal,
+      speechFinal: isFinal && (event.speechFinal ?? true),
+      confidence: event.confidence ?? null,
+      start: event.start ?? null,
+      end: event.end ?? null,
+      timeBase: event.timeBase || TimeBase.STREAM,
+      words: event.words || [],
+      streamPosition: event.streamPosition ?? null,
+      timestamp: event.timestamp || Date.now(),
+    });
+  }
+
+  /**
+   * @protected
+   */
+  emitError(error) {
+    if (this.onError) {
+      this.onError(error);
+    }
+  }
+
+  /**
+   * @protected
+   */
+  emitStateChange(newState, oldState) {
+    if (this.onStateChange) {
+      this.onStateChange(newState, oldState);
+    }
+  }
+
+  /**
+   * @protected
+   * @param {UtteranceEndEvent} event
+   */
+  emitUtteranceEnd(event) {
+    this.onUtteranceEnd?.(event);
+  }
+
+  /**
+   * @protected
+   * @param {SpeechStartedEvent} event
+   */
+  emitSpeechStarted(event) {
+    this.onSpeechStarted?.(event);
+  }
+
+  /**
+   * @private
+   */
+  notSupported(method) {
+    return new BabelBridgeError(
+      ErrorCodes.INIT_FAILED,
+      `${this.constructor.name} 未實作 ${method}()`
+    );
+  }
+}
+
+/**
+ * @typedef {Object} EngineConfig
+ * @property {string} [model] - 模型 ID（僅部分引擎使用）
+ * @property {string} [language] - 辨識語言（'zh-TW'、'en'、'multi' 等）
+ * @property {string} [websocketUrl] - 覆寫串流端點（開發用，僅 Deepgram 相容引擎使用）
+ * @property {string} [costSource] - 記帳標記，寫入成本帳本時帶上，用來把花費歸到對應分頁的場次
+ * @property {boolean} [wordTimestamps] - 需要逐字時間（字幕開了逐字高亮）；本來就附逐字時間的引擎可忽略
+ * @property {boolean} [diarize] - 區分講者，逐字時間帶上 speaker（僅支援的引擎使用）
+ * @property {string[]} [keywords] - 自訂詞彙（glossary.js），各引擎以自己的方式加權
+ */
+
+/**
+ * @typedef {Object} TranscriptWord
+ * @property {string} text - 字詞（有標點版本時用標點版本）
+ * @property {number} start - 秒，時間軸同所屬事件
+ * @property {number} end - 秒
+ * @property {number} [confidence]
+ * @property {number} [speaker] - 講者編號（0 起算），開了 diarize 才有
+ */
+
+/**
+ * @typedef {Object} TranscriptEvent
+ * @property {string} text - 辨識文字
+ * @property {boolean} isFinal - false 為 interim，之後會被同一段的 final 取代
+ * @property {boolean} speechFinal - 這個 final 是一句話的結尾（Deepgram 的 speech_final）。
+ *   一句話可能分成好幾個 final 送來；不分段的引擎每個 final 都是 true
+ * @property {number|null} confidence
+ * @property {number|null} start - 秒，時間軸見 timeBase
+ * @property {number|null} end - 秒
+ * @property {string} timeBase - 見 TimeBase
+ * @property {Array<TranscriptWord>} words - 逐字時間；引擎不提供時為空陣列
+ * @property {number|null} streamPosition - 串流時間軸：送出這個結果時，引擎已收到的音訊長度（秒）。
+ *   Content Script 拿它對上當下的影片時間，把逐字時間換成影片時間；影片時間軸為 null
+ * @property {number} timestamp - 收到結果的時間（Date.now()）
+ */
+
+/**
+ * @typedef {Object} UtteranceEndEvent
+ * @property {number|null} lastWordEnd - 最後一個字結束的串流時間（秒）
+ * @property {number} timestamp - 收到的時間（Date.now()）
+ */
+
+/**
+ * @typedef {Object} SpeechStartedEvent
+ * @property {number|null} start - 語音開始的串流時間（秒）
+ * @property {number} timestamp - 收到的時間（Date.now()）
+ */
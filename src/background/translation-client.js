@@ -0,0 +1,253 @@
+/**
+ * TranslationClient - OpenAI GPT 字幕翻譯
+ *
+ * 把定版（final）字幕送到 Chat Completions，取回目標語言的譯文。
+ * 每次成功呼叫都依回應的 usage 記入 GPT 成本。
+ */
+import { BabelBridgeError, ErrorCodes } from '../lib/errors.js';
+import { TRANSLATION_CONFIG, UI_CONFIG } from '../lib/config.js';
+import { ErrorHandler } from '../lib/error-handler.js';
+import { APIKeyManager } from '../lib/api-key-manager.js';
+
+export class TranslationClient {
+  constructor() {
+    this.apiKey = null;
+    this.targetLanguage = TRANSLATION_CONFIG.DEFAULT_TARGET_LANGUAGE;
+    this.costSource = null;
+  }
+
+  /**
+   * 初始化（載入 API Key）
+   * @param {Object} [config]
+   * @param {string} [config.targetLanguage] - 目標語言代碼，見 UI_CONFIG.SUPPORTED_LANGUAGES
+   * @param {string} [config.costSource] - 記帳標記，見 EngineConfig.costSource
+   */
+  async init(config = {}) {
+    if (config.targetLanguage) {
+      this.targetLanguage = config.targetLanguage;
+    }
+    this.costSource = config.costSource ?? null;
+
+    try {
+      this.apiKey = await APIKeyManager.getKey();
+    } catch (error) {
+      if (error.code === ErrorCodes.CRYPTO_DECRYPTION_FAILED) {
+        throw new BabelBridgeError(
+          ErrorCodes.API_KEY_INVALID,
+          'API Key 解密失敗，請重新輸入 API Key（可能是更換了瀏覽器或電腦）',
+          { originalError: error }
+        );
+      }
+      throw error;
+    }
+
+    if (!this.apiKey) {
+      throw new BabelBridgeError(
+        ErrorCodes.API_KEY_MISSING,
+        '翻譯需要 OpenAI API Key，請在 Popup 設定'
+      );
+    }
+
+    console.log('[TranslationClient] 已初始化', { targetLanguage: this.targetLanguage });
+  }
+
+  /**
+   * 翻譯一段字幕
+   * @param {string} text - 原文
+   * @param {Object} [options]
+   * @param {string} [options.targetLanguage] - 覆寫 init() 設定的目標語言
+   * @param {Array<{text: string, translation: string}>} [options.context] - 前文（舊到新）
+   * @param {string} [options.title] - 頁面或影片標題，幫助模型判斷專有名詞與語境
+   * @returns {Promise<{text: string, inputTokens: number, outputTokens: number}>}
+   */
+  async translate(text, options = {}) {
+    if (!this.apiKey) {
+      await this.init();
+    }
+
+    const targetLanguage = options.targetLanguage || this.targetLanguage;
+    const body = {
+      model: TRANSLATION_CONFIG.MODEL,
+      temperature: TRANSLATION_CONFIG.TEMPERATURE,
+      max_tokens: TRANSLATION_CONFIG.MAX_TOKENS,
+      messages: this.buildMessages(text, targetLanguage, options),
+    };
+
+    // 重試次數只算這一句：暫定與定版譯文、各分頁的翻譯同時在跑，
+    // 共用 ErrorHandler 的重試計數會互相吃掉次數
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const result = await this.makeRequest(body);
+        const translation = this.parseResponse(result);
+
+        // 記帳失敗不影響譯文：成本統計是輔助資訊，不該讓字幕少一行
+        APIKeyManager.trackGPTUsage(
+          translation.inputTokens,
+          translation.outputTokens,
+          this.costSource
+        ).catch((error) => {
+          console.error('[TranslationClient] 記錄 GPT 用量失敗:', error);
+        });
+
+        return translation;
+      } catch (error) {
+        const retryable = ErrorHandler.isRetryable(ErrorHandler.normalizeError(error));
+        if (!retryable || attempt >= TRANSLATION_CONFIG.MAX_RETRIES) {
+          // 不在這裡通知使用者：呼叫端知道是哪個分頁，由它決定 toast 顯示在哪
+          throw error;
+        }
+
+        // 指數退避
+        const delay = TRANSLATION_CONFIG.RETRY_DELAY * Math.pow(2, attempt);
+        console.warn(
+          `[TranslationClient] ${delay}ms 後重試 (${attempt + 1}/${TRANSLATION_CONFIG.MAX_RETRIES})`,
+          error.code
+        );
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * 組出 Chat Completions 的 messages
+   *
+   * 前文以 user/assistant 對話輪次放入，而不是塞進 system prompt：
+   * 模型會把它們當成「已經這樣翻過」，用詞與人名譯法較能前後一致。
+   *
+   * @private
+   */
+  buildMessages(text, targetLanguage, options = {}) {
+    const languageName = TranslationClient.getLanguageName(targetLanguage);
+
+    let systemPrompt =
+      `${TRANSLATION_CONFIG.SYSTEM_PROMPT}\n` +
+      `Translate into ${languageName} (${targetLanguage}). ` +
+      'Reply with the translation only, without quotes or explanations.';
+
+    if (options.title) {
+      systemPrompt += `\nThe subtitles come from: "${options.title}".`;
+    }
+
+    const messages = [{ role: 'system', content: systemPrompt }];
+
+    for (const entry of options.context || []) {
+      messages.push({ role: 'user', content: entry.text });
+      messages.push({ role: 'assistant', content: entry.translation });
+    }
+
+    messages.push({ role: 'user', content: text });
+    return messages;
+  }
+
+  /**
+   * 發送 HTTP 請求
+   * @private
+   */
+  async makeRequest(body) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), TRANSLATION_CONFIG.TIMEOUT);
+
+    try {
+      const response = await fetch(TRANSLATION_CONFIG.API_URL, {
+        method: 'POST',
+        headers: {
+          Authorization: `Bearer ${this.apiKey}`,
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(body),
+        signal: controller.signal,
+      });
+
+      clearTimeout(timeoutId);
+
+      if (!response.ok) {
+        await this.handleErrorResponse(response);
+      }
+
+      return await response.json();
+    } catch (error) {
+      clearTimeout(timeoutId);
+
+      if (error.name === 'AbortError') {
+        throw new BabelBridgeError(
+          ErrorCodes.TRANSLATION_FAILED,
+          `Request timeout (${TRANSLATION_CONFIG.TIMEOUT}ms)`
+        );
+      }
+
+      if (error instanceof BabelBridgeError) {
+        throw error;
+      }
+
+      throw new BabelBridgeError(ErrorCodes.API_NETWORK_ERROR, `Network error: ${error.message}`, {
+        originalError: error,
+      });
+    }
+  }
+
+  /**
+   * 處理 API 錯誤回應
+   * @private
+   */
+  async handleErrorResponse(response) {
+    let errorData;
+    try {
+      errorData = await response.json();
+    } catch {
+      errorData = { message: response.statusText };
+    }
+
+    const errorMessage = errorData.error?.message || errorData.message || 'Unknown error';
+
+    switch (response.status) {
+      case 401:
+        throw new BabelBridgeError(ErrorCodes.API_KEY_INVALID, 'Invalid API Key', {
+          responseData: errorData,
+        });
+
+      case 429:
+        throw new BabelBridgeError(ErrorCodes.API_RATE_LIMIT, 'Rate limit exceeded', {
+          responseData: errorData,
+        });
+
+      default:
+        throw new BabelBridgeError(
+          ErrorCodes.TRANSLATION_FAILED,
+          `API error (${response.status}): ${errorMessage}`,
+          { status: response.status, responseData: errorData }
+        );
+    }
+  }
+
+  /**
+   * 解析 Chat Completions 回應
+   * @private
+   */
+  parseResponse(response) {
+    const content = response.choices?.[0]?.message?.content;
+
+    if (typeof content !== 'string') {
+      throw new BabelBridgeError(
+        ErrorCodes.TRANSLATION_FAILED,
+        'Invalid response format: missing choices[0].message.content',
+        { response }
+      );
+    }
+
+    return {
+      text: content.trim(),
+      inputTokens: response.usage?.prompt_tokens || 0,
+      outputTokens: response.usage?.completion_tokens || 0,
+    };
+  }
+
+  /**
+   * 語言代碼 → 顯示名稱（給 prompt 用，找不到就直接用代碼）
+   * @param {string} code
+   * @returns {string}
+   */
+  static getLanguageName(code) {
+    const language = UI_CONFIG.SUPPORTED_LANGUAGES.find((lang) => lang.code === code);
+    return language ? language.name : code;
+  }
+}
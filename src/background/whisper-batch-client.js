@@ -0,0 +1,247 @@
+/**
+ * WhisperBatchClient - Whisper 批次辨識管線
+ *
+ * 把 Offscreen Document 送來的 Rolling Window chunk 串成完整管線：
+ * 1. Base64 → WAV Blob
+ * 2. WhisperClient.transcribe()（verbose_json，含 segment 時間戳；字幕開了逐字高亮時另要逐字時間）
+ * 3. OverlapProcessor.process() 以音訊時間去重
+ * 4. 換成影片絕對時間（chunk 帶的對時點 + 音訊秒數 × 播放速度），每個新 segment 以 TranscriptEvent 經 onTranscript 回傳
+ *
+ * chunk 彼此重疊，OverlapProcessor 必須依序看到每一段才能比對重疊區，
+ * 因此所有請求排進同一條佇列，前一段辨識完才處理下一段。
+ */
+import { TranscriptionEngine, EngineInput, TimeBase } from './transcription-engine.js';
+import { WhisperClient } from './whisper-client.js';
+import { OverlapProcessor } from './subtitle-processor.js';
+import { APIKeyManager } from '../lib/api-key-manager.js';
+import { BabelBridgeError, ErrorCodes } from '../lib/errors.js';
+import { OVERLAP_CONFIG } from '../lib/config.js';
+import { base64ToArrayBuffer } from '../lib/audio-encoding.js';
+import { buildWhisperPrompt } from '../lib/glossary.js';
+
+export class WhisperBatchClient extends TranscriptionEngine {
+  constructor() {
+    super();
+    this.input = EngineInput.CHUNK;
+
+    this.whisperClient = new WhisperClient();
+    this.overlapProcessor = new OverlapProcessor(OVERLAP_CONFIG);
+
+    // Whisper 的 language 參數是 ISO-639-1（'zh'），不吃 'zh-TW' 這類地區碼
+    this.language = null;
+    this.costSource = null;
+    this.wordTimestamps = false;
+    this.prompt = ''; // 自訂詞彙組成的 prompt，空字串時不送
+
+    // 依序處理的佇列；close() 之後仍在跑的那一段完成時不再回調
+    this.queue = Promise.resolve();
+    this.closed = false;
+
+    this.stats = {
+      chunksReceived: 0,
+      chunksTranscribed: 0,
+      segmentsEmitted: 0,
+      audioSeconds: 0,
+      errors: 0,
+      startTime: null,
+      endTime: null,
+    };
+
+    console.log('[WhisperBatchClient] 實例已建立');
+  }
+
+  /**
+   * 初始化（載入 OpenAI API Key）
+   * @param {Object} [config]
+   * @param {string} [config.language] - 辨識語言（'zh-TW'、'en'、'multi' 等）
+   * @param {string} [config.costSource] - 記帳標記
+   * @param {boolean} [config.wordTimestamps] - 要逐字時間（逐字高亮用）
+   * @param {string[]} [config.keywords] - 自訂詞彙，放進每一段的 prompt
+   * @returns {Promise<void>}
+   */
+  async init(config = {}) {
+    this.language = WhisperBatchClient.toWhisperLanguage(config.language);
+    this.costSource = config.costSource ?? null;
+    this.wordTimestamps = Boolean(config.wordTimestamps);
+    this.prompt = buildWhisperPrompt(config.keywords ?? []);
+    this.closed = false;
+    this.overlapProcessor.reset();
+
+    // 金鑰缺失要在啟用時就失敗，而不是等第一個 chunk 才在背景默默報錯
+    await this.whisperClient.init();
+
+    this.stats.startTime = Date.now();
+    console.log('[WhisperBatchClient] ✅ 初始化完成', {
+      language: this.language,
+      wordTimestamps: this.wordTimestamps,
+      prompt: this.prompt,
+    });
+  }
+
+  /**
+   * 送入一個 Rolling Window chunk（來自 Offscreen Document）
+   * @param {WhisperChunkMessage} chunk
+   */
+  sendChunk(chunk) {
+    if (this.closed) {
+      console.warn('[WhisperBatchClient] 已關閉，忽略 chunk', chunk.chunkIndex);
+      return;
+    }
+
+    this.stats.chunksReceived++;
+
+    this.queue = this.queue
+      .then(() => this.processChunk(chunk))
+      .catch((error) => {
+        this.stats.errors++;
+        console.error(`[WhisperBatchClient] ❌ Chunk ${chunk.chunkIndex} 處理失敗:`, error);
+        if (!this.closed) {
+          this.emitError(error);
+        }
+      });
+  }
+
+  /**
+   * 處理單一 chunk
+   * @private
+   */
+  async processChunk(chunk) {
+    if (this.closed) return;
+
+    const audioBlob = WhisperBatchClient.createAudioBlob(chunk);
+    const response = await this.whisperClient.transcribe(audioBlob, {
+      language: this.language,
+      mimeType: chunk.mimeType,
+      wordTimestamps: this.wordTimestamps,
+      prompt: this.prompt,
+    });
+
+    // 計費以上傳長度為準（含重疊區），與 Whisper 實際收費一致
+    this.stats.audioSeconds += chunk.duration;
+    APIKeyManager.trackWhisperUsage(chunk.duration, this.costSource).catch((error) => {
+      console.error('[WhisperBatchClient] 記錄 Whisper 用量失敗:', error);
+    });
+
+    if (this.closed) return;
+
+    // 序號 0 是重新對時（啟用、播放、跳轉、改速度）後的第一段：音訊時間從 0 重算，
+    // 與上一段對不上，重疊區不比對
+    if (chunk.chunkIndex === 0) {
+      this.overlapProcessor.reset();
+    }
+
+    // 去重在音訊時間上做（重疊區長度以音訊秒數計），之後才換成影片時間：
+    // 對時點的影片時間 + 音訊秒數 × 播放速度
+    const segments = this.overlapProcessor.process(response, chunk.audioStartTime);
+    const videoStartTime = chunk.videoStartTime || 0;
+    const playbackRate = chunk.playbackRate || 1;
+    const toVideoTime = (time) => videoStartTime + time * playbackRate;
+
+    this.stats.chunksTranscribed++;
+    this.stats.segmentsEmitted += segments.length;
+
+    console.log(`[WhisperBatchClient] Chunk ${chunk.chunkIndex} 完成`, {
+      chunkStartTime: toVideoTime(chunk.audioStartTime).toFixed(2),
+      playbackRate,
+      rawSegments: response.segments.length,
+      newSegments: segments.length,
+    });
+
+    // 沒要逐字時間時只有 segment 級時間戳，words 留空
+    for (const segment of segments) {
+      this.emitTranscript({
+        text: segment.text,
+        isFinal: true,
+        confidence: segment.confidence !== undefined ? Number(segment.confidence) : null,
+        start: toVideoTime(segment.start),
+        end: toVideoTime(segment.end),
+        timeBase: TimeBase.VIDEO,
+        words: segment.words?.map((word) => ({
+          ...word,
+          start: toVideoTime(word.start),
+          end: toVideoTime(word.end),
+        })),
+      });
+    }
+  }
+
+  /**
+   * 關閉管線
+   *
+   * 不等待進行中的請求：停用要立即生效，晚到的結果由 closed 旗標丟棄。
+   */
+  async close() {
+    this.closed = true;
+    this.stats.endTime = Date.now();
+    this.overlapProcessor.reset();
+
+    console.log('[WhisperBatchClient] 🔴 已關閉', {
+      chunksReceived: this.stats.chunksReceived,
+      chunksTranscribed: this.stats.chunksTranscribed,
+      segmentsEmitted: this.stats.segmentsEmitted,
+      audioSeconds: this.stats.audioSeconds.toFixed(1),
+      errors: this.stats.errors,
+    });
+  }
+
+  /**
+   * 取得統計資訊
+   */
+  getStats() {
+    return { ...this.stats };
+  }
+
+  /**
+   * 從訊息內容重建音訊 Blob
+   *
+   * @param {WhisperChunkMessage} chunk
+   * @returns {Blob}
+   */
+  static createAudioBlob(chunk) {
+    if (!chunk?.audioBase64) {
+      throw new BabelBridgeError(
+        ErrorCodes.AUDIO_ENCODING_FAILED,
+        'Whisper chunk 缺少音訊資料',
+        { chunkIndex: chunk?.chunkIndex }
+      );
+    }
+
+    try {
+      const buffer = base64ToArrayBuffer(chunk.audioBase64);
+      return new Blob([buffer], { type: chunk.mimeType || 'audio/wav' });
+    } catch (error) {
+      throw new BabelBridgeError(
+        ErrorCodes.AUDIO_ENCODING_FAILED,
+        `Whisper chunk 解碼失敗: ${error.message}`,
+        { chunkIndex: chunk.chunkIndex, originalError: error }
+      );
+    }
+  }
+
+  /**
+   * Deepgram 語言碼 → Whisper 語言碼
+   *
+   * 'multi' 代表自動偵測，Whisper 不帶 language 即是自動偵測。
+   *
+   * @param {string} [language]
+   * @returns {string|null}
+   */
+  static toWhisperLanguage(language) {
+    if (!language || language === 'multi') {
+      return null;
+    }
+    return language.split('-')[0].toLowerCase();
+  }
+}
+
+/**
+ * @typedef {Object} WhisperChunkMessage
+ * @property {string} audioBase64 - WAV 內容（Base64）
+ * @property {string} mimeType - 'audio/wav'
+ * @property {number} chunkIndex - chunk 序號，重新對時後從 0 起算
+ * @property {number} audioStartTime - 相對對時點（秒，音訊時間）
+ * @property {number} audioEndTime - 相對對時點（秒，音訊時間）
+ * @property {number} duration - 長度（秒）
+ * @property {number} videoStartTime - 對時點的影片時間（秒）
+ * @property {number} [playbackRate] - 對時時的播放速度，音訊 1 秒對應幾秒影片；預設 1
+ */
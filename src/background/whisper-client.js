@@ -46,7 +46,8 @@ export class WhisperClient {
   /**
    * 轉錄音訊
    * @param {Blob} audioBlob - MP3 音訊 Blob
-   * @param {Object} options - 選項
+   * @param {Object} options - 選項（wordTimestamps: 一併要逐字時間，分到各 segment 的 words；
+   *   prompt: 自訂詞彙組成的提示，見 glossary.js buildWhisperPrompt()）
    * @returns {Promise<Object>} Whisper 辨識結果
    */
   async transcribe(audioBlob, options = {}) {
@@ -61,10 +62,20 @@ export class WhisperClient {
     formData.append('response_format', WHISPER_CONFIG.RESPONSE_FORMAT);
     formData.append('temperature', options.temperature || WHISPER_CONFIG.TEMPERATURE);
 
+    // 只要求 word 時 segments 會被省略，兩種都要列出
+    if (options.wordTimestamps) {
+      formData.append('timestamp_granularities[]', 'word');
+      formData.append('timestamp_granularities[]', 'segment');
+    }
+
     if (options.language || WHISPER_CONFIG.LANGUAGE) {
       formData.append('language', options.language || WHISPER_CONFIG.LANGUAGE);
     }
 
+    if (options.prompt) {
+      formData.append('prompt', options.prompt);
+    }
+
     // 發送請求 (含重試邏輯)
     let lastError;
     for (let attempt = 0; attempt <= WHISPER_CONFIG.MAX_RETRIES; attempt++) {
@@ -215,7 +226,9 @@ export class WhisperClient {
      *       "no_speech_prob": 0.01
      *     },
      *     ...
-     *   ]
+     *   ],
+     *   // 要求 timestamp_granularities[]=word 時才有，與 segments 分開、不分段
+     *   "words": [{ "word": "Hello", "start": 0.0, "end": 0.6 }, ...]
      * }
      */
 
@@ -237,10 +250,28 @@ export class WhisperClient {
         end: seg.end,
         text: seg.text.trim(),
         confidence: this.calculateConfidence(seg),
+        ...(Array.isArray(response.words) && { words: this.wordsInSegment(response.words, seg) }),
       })),
     };
   }
 
+  /**
+   * 挑出落在 segment 內的字（以字的中點判斷，跨界的字只歸一邊）
+   * @private
+   */
+  wordsInSegment(words, segment) {
+    return words
+      .filter((word) => {
+        const midpoint = (word.start + word.end) / 2;
+        return midpoint >= segment.start && midpoint < segment.end;
+      })
+      .map((word) => ({
+        text: word.word.trim(),
+        start: word.start,
+        end: word.end,
+      }));
+  }
+
   /**
    * 計算置信度分數 (基於 Whisper 的 logprob 和 no_speech_prob)
    * @private
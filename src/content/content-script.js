@@ -4,9 +4,21 @@
  * 職責:
  * 1. 接收來自 Background 的字幕資料
  * 2. 渲染字幕 Overlay
- * 3. 監聽影片事件 (play/pause/seek) 並同步顯示字幕
+ * 3. 監聽影片事件 (play/pause/seek) 並同步顯示字幕，播放狀態回報給 Background（暫停時不送音訊）
+ * 4. 顯示播放中的錯誤提示 (toast)
+ * 5. 重播同一部影片的字幕紀錄，並回報播放位置是否在紀錄涵蓋範圍內
+ * 6. 逐字高亮：字幕帶逐字時間時，逐字標出播放到的位置
+ * 7. 講者標示：逐字時間帶講者編號時，換人講的地方加上講者標籤
+ * 8. 串流字幕依語音事件開新行、收尾（speech_final、UTTERANCE_END、SPEECH_STARTED）
+ * 9. 多行顯示：滾動（roll-up）與整段（pop-on）模式同時顯示 2-3 行
+ * 10. 排版：依每行字數換行，太長的字幕拆成依序顯示的幾頁
  */
-import { MessageTypes } from '../lib/config.js';
+import { MessageTypes, NOTIFICATION_CONFIG, UI_CONFIG } from '../lib/config.js';
+import { normalizeSubtitleStyle, subtitleStyleToCss } from '../lib/subtitle-style.js';
+import { isTimeCovered, coveredSeconds } from '../lib/transcript-cache.js';
+import { speakerTurns, speakerLabel, speakerColor, needsSpaceBetween, joinWords } from '../lib/speakers.js';
+import { selectCaptionLines } from '../lib/caption-modes.js';
+import { layoutCaption, timedPageIndex, livePageIndex, readingSeconds } from '../lib/caption-layout.js';
 
 const SEGMENT_RETENTION_SECONDS = 30;
 
@@ -15,15 +27,23 @@ const SEGMENT_RETENTION_SECONDS = 30;
  * 負責偵測並監聽頁面中的 video 元素
  */
 class VideoMonitor {
-  constructor(onTimeUpdate) {
+  /**
+   * @param {(currentTime: number) => void} onTimeUpdate
+   * @param {(event: string, state: {currentTime: number, paused: boolean, playbackRate: number}) => void} [onStateChange]
+   *   play / pause / seeked / ended / ratechange
+   */
+  constructor(onTimeUpdate, onStateChange) {
     this.videoElement = null;
     this.onTimeUpdate = onTimeUpdate;
+    this.onStateChange = onStateChange;
     this.isMonitoring = false;
     this.boundHandlers = {
       timeupdate: this.handleTimeUpdate.bind(this),
       play: this.handlePlay.bind(this),
       pause: this.handlePause.bind(this),
       seeked: this.handleSeeked.bind(this),
+      ended: this.handleEnded.bind(this),
+      ratechange: this.handleRateChange.bind(this),
     };
     this.findAndAttach();
   }
@@ -80,6 +100,8 @@ class VideoMonitor {
     video.addEventListener('play', this.boundHandlers.play);
     video.addEventListener('pause', this.boundHandlers.pause);
     video.addEventListener('seeked', this.boundHandlers.seeked);
+    video.addEventListener('ended', this.boundHandlers.ended);
+    video.addEventListener('ratechange', this.boundHandlers.ratechange);
 
     this.isMonitoring = true;
 
@@ -98,6 +120,8 @@ class VideoMonitor {
     this.videoElement.removeEventListener('play', this.boundHandlers.play);
     this.videoElement.removeEventListener('pause', this.boundHandlers.pause);
     this.videoElement.removeEventListener('seeked', this.boundHandlers.seeked);
+    this.videoElement.removeEventListener('ended', this.boundHandlers.ended);
+    this.videoElement.removeEventListener('ratechange', this.boundHandlers.ratechange);
 
     this.videoElement = null;
     this.isMonitoring = false;
@@ -117,6 +141,28 @@ class VideoMonitor {
     return this.videoElement ? this.videoElement.currentTime : 0;
   }
 
+  /**
+   * 目前的播放狀態（回報給 Background 用）
+   */
+  getState() {
+    const video = this.videoElement;
+    return {
+      currentTime: video ? video.currentTime : 0,
+      paused: video ? video.paused : true,
+      playbackRate: video ? video.playbackRate : 1,
+    };
+  }
+
+  /**
+   * 通知播放狀態變化
+   * @private
+   */
+  reportState(event) {
+    if (this.onStateChange) {
+      this.onStateChange(event, this.getState());
+    }
+  }
+
   /**
    * 處理時間更新事件
    */
@@ -131,6 +177,7 @@ class VideoMonitor {
    */
   handlePlay() {
     console.log('[VideoMonitor] 影片開始播放');
+    this.reportState('play');
   }
 
   /**
@@ -138,6 +185,7 @@ class VideoMonitor {
    */
   handlePause() {
     console.log('[VideoMonitor] 影片暫停');
+    this.reportState('pause');
   }
 
   /**
@@ -145,20 +193,55 @@ class VideoMonitor {
    */
   handleSeeked() {
     console.log('[VideoMonitor] 影片跳轉到', this.getCurrentTime().toFixed(2));
+    // 先報狀態再更新顯示：跳轉前的 interim 清掉後，才依新位置找要顯示的字幕
+    this.reportState('seeked');
     if (this.onTimeUpdate) {
       this.onTimeUpdate(this.getCurrentTime());
     }
   }
+
+  /**
+   * 處理播放結束事件
+   */
+  handleEnded() {
+    console.log('[VideoMonitor] 影片播放結束');
+    this.reportState('ended');
+  }
+
+  /**
+   * 處理播放速度變更事件
+   */
+  handleRateChange() {
+    console.log('[VideoMonitor] 播放速度:', this.videoElement?.playbackRate);
+    this.reportState('ratechange');
+  }
 }
 
 /**
  * 字幕 Overlay 管理器
  */
 class SubtitleOverlay {
-  constructor() {
+  /**
+   * @param {Object} [style] - 使用者的字幕樣式（USER_SETTINGS.subtitleStyle），缺的欄位用預設值
+   */
+  constructor(style) {
     this.container = null;
+    this.style = normalizeSubtitleStyle(style);
     this.segments = []; // 儲存所有接收到的 segments（已是影片絕對時間）
     this.currentSegmentIndex = -1; // 當前顯示的 segment 索引
+    this.displayedSegment = null; // 畫面上那一行（譯文晚到時判斷要不要重繪）
+    this.displayedPage = null; // 畫面上那一行顯示到的那一頁（長字幕換頁時重繪）
+    this.cacheOffer = null; // 「載入字幕紀錄」提示
+    this.cacheCoverage = null; // 已載入紀錄的涵蓋範圍；未載入時為 null
+    this.cacheCovered = null; // 上次回報給 Service Worker 的涵蓋狀態
+    this.karaokeWords = []; // 畫面上那一行的逐字 span 與影片時間
+    this.karaokeFrame = null; // 逐字高亮的 requestAnimationFrame ID
+    this.speakerNames = {}; // 使用者改的講者名稱（SPEAKER_NAMES_UPDATE）
+    this.openLine = null; // 串流字幕還沒講完的那一行：final 片段接在這裡，直到 speech_final / UTTERANCE_END / SPEECH_STARTED
+    this.interim = null; // 多行模式：畫面最底下還沒定版的那一行
+    this.interimLine = null; // 自成一行的 interim 的 lineKey 與換頁時間，定版後新的一行沿用，畫面上不重建、不回到第一頁
+    this.lineKeySeq = 0;
+    this.lineElements = new Map(); // 多行模式：畫面上每一行的元素，key 為 lineKey 或 segment 本身
     this.videoMonitor = null;
     this.resizeObserver = null;
     this.init();
@@ -175,9 +258,13 @@ class SubtitleOverlay {
 
     // 注入到頁面
     document.body.appendChild(this.container);
+    this.applyPlacement();
 
     // 初始化 Video 監聽器
-    this.videoMonitor = new VideoMonitor(this.handleTimeUpdate.bind(this));
+    this.videoMonitor = new VideoMonitor(
+      this.handleTimeUpdate.bind(this),
+      this.handleVideoState.bind(this)
+    );
 
     console.log('[ContentScript] Subtitle overlay 已初始化');
 
@@ -247,9 +334,12 @@ class SubtitleOverlay {
 
   /**
    * 處理 Deepgram 即時字幕（直接顯示，不依賴時間戳）
+   *
+   * 一句話常分成好幾個 final 送來：同一句的 final 片段接成同一行（captionIds 記下每一段），
+   * interim 接在這一行後面顯示。speechFinal 表示這句話講完，這一行收尾，之後的字另起一行。
    */
   addDeepgramTranscript(data) {
-    const { text, isFinal, confidence } = data;
+    const { text, isFinal, speechFinal, confidence, captionId, words, streamPosition } = data;
 
     console.log('[ContentScript] 🎤 Deepgram 即時字幕:', {
       text,
@@ -263,49 +353,539 @@ class SubtitleOverlay {
     }
 
     // 即時字幕：直接顯示，不需要時間同步
-    // Final 字幕顯示 3 秒，Interim 字幕持續更新
     const currentTime = this.videoMonitor.getCurrentTime();
-    const segment = {
+    const fragment = {
       text: text.trim(),
-      start: currentTime,
-      end: currentTime + (isFinal ? 3 : 999999), // Interim 字幕一直顯示直到被 Final 替換
       confidence,
-      isFinal,
-      _deepgram: true,
+      words: this.toVideoWords(words, streamPosition),
     };
+    const line = this.openLine;
 
-    if (isFinal) {
-      // Final 字幕：加入 segments 列表
+    if (!isFinal) {
+      // Interim 字幕一直顯示直到被 Final 替換
+      if (!line && this.interimLine === null) {
+        this.interimLine = { lineKey: ++this.lineKeySeq, pageShownAt: [] };
+      }
+      this.showStreaming(
+        line
+          ? { ...line, ...appendFragment(line, fragment), isFinal: false, line }
+          : {
+              ...fragment,
+              start: currentTime,
+              end: currentTime + 999999,
+              isFinal: false,
+              captionId,
+              ...this.interimLine,
+              _deepgram: true,
+            }
+      );
+      return;
+    }
+
+    let segment = line;
+    if (segment) {
+      Object.assign(segment, appendFragment(segment, fragment), { confidence });
+      segment.captionIds.push(captionId);
+    } else {
+      // 新的一行：加入 segments 列表
+      segment = {
+        ...fragment,
+        start: currentTime,
+        isFinal: true,
+        captionId,
+        captionIds: [captionId],
+        ...(this.interimLine ?? { lineKey: ++this.lineKeySeq, pageShownAt: [] }),
+        _deepgram: true,
+      };
       this.segments.push(segment);
       this.segments.sort((a, b) => a.start - b.start);
       console.log('[ContentScript] ✅ Final 字幕已加入，總共', this.segments.length, '個');
     }
 
-    // 立即顯示（Final 和 Interim 都顯示）
-    this.showDirect(segment);
+    this.interimLine = null;
+
+    // 沒帶 speechFinal 的（不分段的引擎）每個 final 都是完整的一句
+    if (speechFinal === false) {
+      segment.end = currentTime + UI_CONFIG.OPEN_CAPTION_SECONDS;
+      segment.open = true;
+      this.openLine = segment;
+    } else {
+      segment.end = currentTime + UI_CONFIG.FINAL_CAPTION_SECONDS;
+      segment.closedAt = currentTime;
+      delete segment.open;
+      this.openLine = null;
+    }
+
+    this.showStreaming(segment);
   }
 
   /**
-   * 直接顯示字幕（不經過時間查找）
+   * 顯示串流字幕：單行模式直接顯示這一行，多行模式記下 interim 後重排所有行
+   * @private
    */
-  showDirect(segment) {
-    // 清空容器
+  showStreaming(segment) {
+    if (!this.isMultiLine()) {
+      this.showDirect(segment);
+      return;
+    }
+
+    this.interim = segment.isFinal === false ? segment : null;
+    this.renderLines(this.videoMonitor.getCurrentTime());
+  }
+
+  /**
+   * 一段話講完（UTTERANCE_END）：還沒講完的那一行收尾，沒等到定版的 interim 已經過時，收掉
+   */
+  handleUtteranceEnd() {
+    const line = this.closeLine();
+
+    if (this.isMultiLine()) {
+      this.clearInterim();
+      this.renderLines(this.videoMonitor.getCurrentTime());
+      return;
+    }
+
+    if (this.displayedSegment?.isFinal === false) {
+      if (line) {
+        this.showDirect(line);
+      } else {
+        this.hide();
+      }
+    }
+  }
+
+  /**
+   * 又有人開口（SPEECH_STARTED）：上一行到此為止，接下來的字另起一行
+   */
+  handleSpeechStarted() {
+    this.closeLine();
+  }
+
+  /**
+   * 收掉還沒講完的那一行：最多再留 FINAL_CAPTION_SECONDS
+   * @private
+   * @returns {Object|null} 收掉的那一行
+   */
+  closeLine() {
+    const line = this.openLine;
+    if (!line) return null;
+
+    const currentTime = this.videoMonitor.getCurrentTime();
+    this.openLine = null;
+    line.end = Math.min(line.end, currentTime + UI_CONFIG.FINAL_CAPTION_SECONDS);
+    line.closedAt = currentTime;
+    delete line.open;
+    return line;
+  }
+
+  /**
+   * 串流時間軸的逐字時間換成影片時間
+   *
+   * streamPosition 是 Service Worker 送出這則結果時已收到的音訊長度，那段音訊的結尾
+   * 約在 KARAOKE_CAPTURE_LATENCY 之前播出；往回推的串流秒數依播放速度換成影片秒數。
+   * 每則結果各自對時，暫停、跳轉、略過靜音都不會累積誤差。
+   *
+   * @param {Array<{text: string, start: number, end: number, speaker?: number}>} [words]
+   * @param {number|null} [streamPosition]
+   * @returns {Array<{text: string, start: number, end: number, speaker?: number}>} 沒有可用的時間時為空陣列
+   */
+  toVideoWords(words, streamPosition) {
+    if (!words?.length || typeof streamPosition !== 'number') {
+      return [];
+    }
+
+    const { currentTime, playbackRate } = this.videoMonitor.getState();
+    const anchor = currentTime - UI_CONFIG.KARAOKE_CAPTURE_LATENCY * playbackRate;
+    const toVideoTime = (seconds) => anchor - (streamPosition - seconds) * playbackRate;
+
+    return words.map(word => ({
+      ...word,
+      start: toVideoTime(word.start),
+      end: toVideoTime(word.end),
+    }));
+  }
+
+  /**
+   * 補上譯文（來自 TRANSLATION_UPDATE）
+   *
+   * 譯文以句為單位，涵蓋一或多行字幕（captionIds）。同一句會先收到 provisional、
+   * 成句後再收到定版，兩次都原地覆寫那幾行；正在畫面上的就立即重繪。
+   */
+  applyTranslation(data) {
+    const { captionIds, translation, provisional } = data;
+    const ids = new Set(captionIds);
+
+    const targets = this.segments.filter(seg => (seg.captionIds || [seg.captionId]).some(id => ids.has(id)));
+    if (targets.length === 0) {
+      console.log('[ContentScript] 譯文對應的字幕已不在，略過:', captionIds);
+      return;
+    }
+
+    for (const segment of targets) {
+      if (segment.captionIds) {
+        // 串流字幕的一行可能有好幾句：各句的譯文依序接起來（以每句第一個 captionId 區分）
+        segment.translations = { ...segment.translations, [captionIds[0]]: { translation, provisional } };
+        const parts = Object.keys(segment.translations)
+          .sort((a, b) => Number(a) - Number(b))
+          .map(key => segment.translations[key]);
+        segment.translation = joinWords(parts.map(part => part.translation));
+        segment.translationProvisional = parts.some(part => part.provisional);
+      } else {
+        segment.translation = translation;
+        segment.translationProvisional = Boolean(provisional);
+      }
+    }
+
+    if (this.isMultiLine()) {
+      this.renderLines(this.videoMonitor.getCurrentTime());
+    } else if (targets.includes(this.displayedSegment)) {
+      this.renderSegment(this.displayedSegment);
+    }
+  }
+
+  /**
+   * 套用新的字幕樣式（來自 STYLE_UPDATE），畫面上那一行立即重繪
+   */
+  applyStyle(style) {
+    const previousMode = this.style.displayMode;
+    this.style = normalizeSubtitleStyle(style);
+    this.applyPlacement();
+
+    if (this.style.displayMode !== previousMode) {
+      // 換模式：清掉畫面，依新模式重新找要顯示的字幕
+      this.hide();
+      this.container.replaceChildren();
+      this.updateDisplay(this.videoMonitor.getCurrentTime());
+    } else {
+      this.redraw();
+    }
+
+    console.log('[ContentScript] 🎨 已套用字幕樣式:', this.style);
+  }
+
+  /**
+   * 套用講者名稱（來自 SPEAKER_NAMES_UPDATE），畫面上那一行立即重繪
+   *
+   * @param {Object<string, string>} names
+   */
+  applySpeakerNames(names) {
+    this.speakerNames = names || {};
+    this.redraw();
+  }
+
+  /**
+   * 樣式、講者名稱這類不在字幕內容裡的設定變了：畫面上的字幕整個重畫
+   * @private
+   */
+  redraw() {
+    if (this.isMultiLine()) {
+      this.clearLines();
+      this.renderLines(this.videoMonitor.getCurrentTime());
+    } else if (this.displayedSegment) {
+      this.renderSegment(this.displayedSegment);
+    }
+  }
+
+  /**
+   * 是否為滾動或整段的多行模式
+   * @private
+   */
+  isMultiLine() {
+    return this.style.displayMode !== 'single';
+  }
+
+  /**
+   * 上/下方位置與邊距。邊距走 CSS 變數，全螢幕時的額外間距才能在 CSS 裡疊加
+   * @private
+   */
+  applyPlacement() {
+    this.container.classList.toggle('babel-subtitle-top', this.style.position === 'top');
+    this.container.style.setProperty('--babel-subtitle-offset', `${this.style.offset}px`);
+  }
+
+  /**
+   * 將 segment 畫到容器上（有譯文時改為原文 + 譯文雙行）
+   */
+  renderSegment(segment) {
+    // 清空容器 (使用 DOM API，避免 Trusted Types 錯誤)
     while (this.container.firstChild) {
       this.container.removeChild(this.container.firstChild);
     }
+    this.karaokeWords = [];
 
-    // 建立字幕元素
+    const page = this.captionPage(segment, this.videoMonitor.getCurrentTime());
+    this.container.appendChild(this.createSubtitleElement(segment, page));
+    this.container.style.display = 'flex';
+    this.displayedSegment = segment;
+    this.displayedPage = page.lines.join('\n');
+    this.syncKaraoke();
+  }
+
+  /**
+   * 這一行字幕此刻要顯示的那一頁（layoutCaption() 依每行字數換行，每頁最多 CAPTION_MAX_LINES 行）
+   *
+   * 有時間範圍的字幕依時間輪到各頁；串流字幕到了才顯示，依閱讀時間換頁，
+   * 並把結束時間延到還沒輪到的頁都看得完。
+   * @private
+   * @returns {import('../lib/caption-layout.js').CaptionPage}
+   */
+  captionPage(segment, currentTime) {
+    const pages = layoutCaption(segment, { maxCharsPerLine: this.style.maxCharsPerLine });
+    if (pages.length === 1) {
+      return pages[0];
+    }
+
+    if (!segment._deepgram) {
+      return pages[timedPageIndex(pages, segment.start, segment.end, currentTime)];
+    }
+
+    segment.pageShownAt ??= [];
+    const index = livePageIndex(pages, segment.pageShownAt, currentTime);
+    const remaining = pages.slice(index).reduce((sum, page) => sum + readingSeconds(page), 0);
+    segment.end = Math.max(segment.end, segment.pageShownAt[index] + remaining);
+    return pages[index];
+  }
+
+  /**
+   * 多行模式：依播放位置挑出要顯示的行（selectCaptionLines()），與畫面上的行比對後增刪
+   *
+   * 沒變的行留在原地，新的一行才有淡入動畫；內容變了的行（interim 長字、譯文送到）原地換掉。
+   * 不移動既有的元素，重新插入會讓動畫重播。
+   */
+  renderLines(currentTime) {
+    const lines = selectCaptionLines(this.segments, currentTime, {
+      mode: this.style.displayMode,
+      lineCount: this.style.lineCount,
+      lineFadeSeconds: this.style.lineFadeSeconds,
+      interim: this.interim,
+    });
+
+    if (lines.length === 0) {
+      this.hide();
+      return;
+    }
+
+    const keys = lines.map(({ segment }) => segment.lineKey ?? segment);
+    for (const [key, entry] of this.lineElements) {
+      if (!keys.includes(key)) {
+        entry.element.remove();
+        this.lineElements.delete(key);
+      }
+    }
+
+    lines.forEach(({ segment, fading }, index) => {
+      const key = keys[index];
+      const entry = this.lineElements.get(key);
+      const page = this.captionPage(segment, currentTime);
+      const signature = [page.lines.join('\n'), segment.translation, segment.translationProvisional, segment.isFinal].join('\u0000');
+
+      if (!entry || entry.signature !== signature) {
+        const wordCount = this.karaokeWords.length;
+        const element = this.createSubtitleElement(segment, page);
+        const words = this.karaokeWords.splice(wordCount);
+
+        if (entry) {
+          element.classList.add('babel-subtitle-static');
+          entry.element.replaceWith(element);
+        } else {
+          // 插在下一個已經在畫面上的行之前（通常是最底下）
+          const next = keys.slice(index + 1).find((nextKey) => this.lineElements.has(nextKey));
+          this.container.insertBefore(element, next !== undefined ? this.lineElements.get(next).element : null);
+        }
+        this.lineElements.set(key, { element, signature, words });
+      }
+
+      this.lineElements.get(key).element.classList.toggle('babel-subtitle-fading', fading);
+    });
+
+    this.container.style.display = 'flex';
+    this.displayedSegment = lines[lines.length - 1].segment;
+    this.karaokeWords = keys.flatMap((key) => this.lineElements.get(key).words);
+    this.syncKaraoke();
+  }
+
+  /**
+   * 清掉多行模式畫面上的行
+   * @private
+   */
+  clearLines() {
+    for (const { element } of this.lineElements.values()) {
+      element.remove();
+    }
+    this.lineElements.clear();
+  }
+
+  /**
+   * 建立一行字幕元素（有譯文時改為原文 + 譯文雙行），逐字 span 記進 karaokeWords
+   * @private
+   * @param {Object} segment
+   * @param {import('../lib/caption-layout.js').CaptionPage} page - 原文要顯示的那一頁
+   */
+  createSubtitleElement(segment, page) {
     const subtitleEl = document.createElement('div');
     subtitleEl.className = 'babel-subtitle';
-    subtitleEl.textContent = segment.text;
+    Object.assign(subtitleEl.style, subtitleStyleToCss(this.style));
+
+    if (segment.translation) {
+      subtitleEl.classList.add('babel-subtitle-dual');
+
+      const originalEl = document.createElement('div');
+      originalEl.className = 'babel-subtitle-original';
+      this.fillText(originalEl, page);
+
+      // 譯文只換行不分頁：整句譯文跟著原文的每一頁
+      const translationEl = document.createElement('div');
+      translationEl.className = 'babel-subtitle-translation';
+      translationEl.textContent = layoutCaption(
+        { text: segment.translation },
+        { maxCharsPerLine: this.style.maxCharsPerLine, maxLines: Infinity }
+      )[0].lines.join('\n');
+
+      // 句子還沒講完時的暫定譯文，成句後會被定版譯文覆蓋
+      if (segment.translationProvisional) {
+        translationEl.classList.add('babel-subtitle-provisional');
+      }
+
+      subtitleEl.appendChild(originalEl);
+      subtitleEl.appendChild(translationEl);
+    } else {
+      this.fillText(subtitleEl, page);
+    }
 
     // Interim 字幕半透明
-    if (!segment.isFinal) {
+    if (segment.isFinal === false) {
       subtitleEl.style.opacity = '0.7';
     }
 
-    this.container.appendChild(subtitleEl);
-    this.container.style.display = 'flex';
+    subtitleEl.style.setProperty('--babel-karaoke-color', this.style.highlightColor);
+    return subtitleEl;
+  }
+
+  /**
+   * 畫面上有逐字 span 時開始逐 frame 標示，沒有就停
+   * @private
+   */
+  syncKaraoke() {
+    if (this.karaokeWords.length > 0) {
+      this.updateKaraoke(this.videoMonitor.getCurrentTime());
+      this.startKaraoke();
+    } else {
+      this.stopKaraoke();
+    }
+  }
+
+  /**
+   * 填入原文：開了逐字高亮且有逐字時間時每個字一個 span；帶講者時每段前面加講者標籤；
+   * 兩者皆無時純文字。換行處放 \n（.babel-subtitle 為 white-space: pre-line）
+   * @private
+   * @param {HTMLElement} element
+   * @param {import('../lib/caption-layout.js').CaptionPage} page
+   */
+  fillText(element, page) {
+    const words = page.wordLines.flat();
+    const karaoke = this.style.karaoke && words.length > 0;
+    const turns = speakerTurns(words);
+
+    if (!karaoke && turns.length === 0) {
+      element.textContent = page.lines.join('\n');
+      return;
+    }
+
+    // 換行處的第一個字
+    const lineStarts = new Set(page.wordLines.slice(1).map(line => line[0]));
+
+    // 沒有講者資訊時整行當成一段
+    (turns.length > 0 ? turns : [{ speaker: null, words }]).forEach((turn, index) => {
+      if (index > 0) {
+        element.appendChild(document.createTextNode(lineStarts.has(turn.words[0]) ? '\n' : ' '));
+      }
+      if (turn.speaker !== null) {
+        const labelEl = document.createElement('span');
+        labelEl.className = 'babel-speaker-label';
+        labelEl.textContent = `${speakerLabel(turn.speaker, this.speakerNames)}: `;
+        labelEl.style.color = speakerColor(turn.speaker);
+        element.appendChild(labelEl);
+      }
+
+      if (karaoke) {
+        this.appendWordSpans(element, turn.words, lineStarts);
+      } else {
+        const lines = [];
+        for (const word of turn.words) {
+          if (lines.length === 0 || lineStarts.has(word)) lines.push([]);
+          lines[lines.length - 1].push(word.text);
+        }
+        element.appendChild(document.createTextNode(lines.map(joinWords).join('\n')));
+      }
+    });
+  }
+
+  /**
+   * 每個字一個 span，記進 karaokeWords 供 updateKaraoke() 標示
+   * @private
+   * @param {HTMLElement} element
+   * @param {Array<{text: string, start: number, end: number}>} words
+   * @param {Set<Object>} lineStarts - 換行處的第一個字
+   */
+  appendWordSpans(element, words, lineStarts) {
+    let previous = null;
+    for (const word of words) {
+      if (previous !== null && lineStarts.has(word)) {
+        element.appendChild(document.createTextNode('\n'));
+      } else if (previous !== null && needsSpaceBetween(previous, word.text)) {
+        element.appendChild(document.createTextNode(' '));
+      }
+
+      const wordEl = document.createElement('span');
+      wordEl.className = 'babel-word';
+      wordEl.textContent = word.text;
+      element.appendChild(wordEl);
+
+      this.karaokeWords.push({ element: wordEl, start: word.start, end: word.end });
+      previous = word.text;
+    }
+  }
+
+  /**
+   * 依播放位置標出已唸到（spoken）與正在唸（active）的字
+   */
+  updateKaraoke(currentTime) {
+    for (const word of this.karaokeWords) {
+      word.element.classList.toggle('babel-word-spoken', currentTime >= word.start);
+      word.element.classList.toggle('babel-word-active', currentTime >= word.start && currentTime < word.end);
+    }
+  }
+
+  /**
+   * timeupdate 每秒只有約 4 次，跟不上一個字的長度；逐字高亮的那一行在畫面上時改逐 frame 更新
+   * @private
+   */
+  startKaraoke() {
+    if (this.karaokeFrame !== null) return;
+
+    const tick = () => {
+      this.updateKaraoke(this.videoMonitor.getCurrentTime());
+      this.karaokeFrame = requestAnimationFrame(tick);
+    };
+    this.karaokeFrame = requestAnimationFrame(tick);
+  }
+
+  /**
+   * @private
+   */
+  stopKaraoke() {
+    if (this.karaokeFrame !== null) {
+      cancelAnimationFrame(this.karaokeFrame);
+      this.karaokeFrame = null;
+    }
+    this.karaokeWords = [];
+  }
+
+  /**
+   * 直接顯示字幕（不經過時間查找）
+   */
+  showDirect(segment) {
+    this.renderSegment(segment);
 
     console.log('[ContentScript] 📺 顯示字幕:', segment.text, `[${segment.isFinal ? 'Final' : 'Interim'}]`);
   }
@@ -315,6 +895,148 @@ class SubtitleOverlay {
    */
   handleTimeUpdate(currentTime) {
     this.updateDisplay(currentTime);
+    this.reportCoverage(currentTime);
+  }
+
+  /**
+   * 播放狀態變化：跳轉後清掉 interim，並回報給 Service Worker（暫停時停送音訊、播完時收尾）
+   */
+  handleVideoState(event, state) {
+    if (event === 'seeked') {
+      this.closeLine();
+      this.clearInterim();
+    }
+
+    chrome.runtime
+      .sendMessage({ type: MessageTypes.VIDEO_STATE_CHANGED, data: { event, ...state } })
+      .catch((error) => {
+        console.warn('[ContentScript] 無法回報影片播放狀態:', error.message);
+      });
+  }
+
+  /**
+   * 收掉畫面上的 interim 字幕（跳轉前那段話的辨識，已經對不上畫面）
+   */
+  clearInterim() {
+    if (this.isMultiLine()) {
+      this.interim = null;
+      this.interimLine = null;
+      return;
+    }
+    if (this.displayedSegment?.isFinal === false) {
+      this.hide();
+    }
+  }
+
+  /**
+   * 提示使用者這部影片有字幕紀錄，可直接載入或重新辨識
+   *
+   * @param {{captionCount: number, coverage: Array<[number, number]>}} cached
+   */
+  offerCachedTranscript({ captionCount, coverage }) {
+    const minutes = Math.max(1, Math.round(coveredSeconds(coverage) / 60));
+
+    this.cacheOffer = document.createElement('div');
+    this.cacheOffer.id = 'babel-bridge-cache-offer';
+    this.cacheOffer.className = 'babel-cache-offer';
+
+    const message = document.createElement('span');
+    message.textContent = `這部影片有 ${captionCount} 句字幕紀錄（約 ${minutes} 分鐘），載入後只辨識沒涵蓋的段落`;
+
+    const loadButton = document.createElement('button');
+    loadButton.textContent = '載入字幕';
+    loadButton.addEventListener('click', () => this.acceptCachedTranscript());
+
+    const liveButton = document.createElement('button');
+    liveButton.textContent = '重新辨識';
+    liveButton.className = 'babel-cache-offer-secondary';
+    liveButton.addEventListener('click', () => this.declineCachedTranscript());
+
+    this.cacheOffer.append(message, loadButton, liveButton);
+    document.body.appendChild(this.cacheOffer);
+  }
+
+  /**
+   * 向 Service Worker 取回字幕紀錄並放進時間軸
+   * @private
+   */
+  async acceptCachedTranscript() {
+    this.removeCacheOffer();
+
+    try {
+      const response = await chrome.runtime.sendMessage({ type: MessageTypes.LOAD_CACHED_TRANSCRIPT });
+      if (!response?.success) {
+        throw new Error(response?.error?.message || response?.error || '無法載入字幕紀錄');
+      }
+      // 等待回應期間可能已停用
+      if (!this.container) return;
+      this.loadCachedSegments(response.data);
+    } catch (error) {
+      console.error('[ContentScript] 載入字幕紀錄失敗:', error);
+      showToast({ message: `${error.message}，改為即時辨識` });
+      this.declineCachedTranscript();
+    }
+  }
+
+  /**
+   * 不用紀錄：整段視為沒涵蓋，Service Worker 會照常開即時辨識
+   * @private
+   */
+  declineCachedTranscript() {
+    this.removeCacheOffer();
+    this.sendCoverage(false);
+  }
+
+  /**
+   * 載入字幕紀錄：與即時 segments 放在同一條時間軸，走同一套 findSegmentIndex()/updateDisplay()。
+   * 標記 _cached 的不會被 pruneOldSegments() 清掉，往回拖曳仍看得到
+   *
+   * @param {import('../lib/transcript-cache.js').CachedTimeline} timeline
+   */
+  loadCachedSegments({ segments, coverage }) {
+    this.segments.push(...segments.map(seg => ({ ...seg, _cached: true })));
+    this.segments.sort((a, b) => a.start - b.start);
+    this.currentSegmentIndex = -1;
+    this.cacheCoverage = coverage;
+
+    console.log('[ContentScript] 📼 已載入字幕紀錄:', segments.length, '句');
+
+    const currentTime = this.videoMonitor.getCurrentTime();
+    this.updateDisplay(currentTime);
+    this.reportCoverage(currentTime);
+  }
+
+  /**
+   * 播放位置進出紀錄涵蓋範圍時通知 Service Worker 開關即時辨識（狀態沒變就不送）
+   * @private
+   */
+  reportCoverage(currentTime) {
+    if (!this.cacheCoverage) return;
+
+    const covered = isTimeCovered(this.cacheCoverage, currentTime);
+    if (covered === this.cacheCovered) return;
+
+    this.cacheCovered = covered;
+    this.sendCoverage(covered);
+  }
+
+  /**
+   * @private
+   */
+  sendCoverage(covered) {
+    chrome.runtime
+      .sendMessage({ type: MessageTypes.CACHE_COVERAGE_CHANGED, data: { covered } })
+      .catch((error) => {
+        console.warn('[ContentScript] 無法回報字幕紀錄涵蓋狀態:', error.message);
+      });
+  }
+
+  /**
+   * @private
+   */
+  removeCacheOffer() {
+    this.cacheOffer?.remove();
+    this.cacheOffer = null;
   }
 
   /**
@@ -323,6 +1045,11 @@ class SubtitleOverlay {
   updateDisplay(currentTime) {
     this.pruneOldSegments(currentTime);
 
+    if (this.isMultiLine()) {
+      this.renderLines(currentTime);
+      return;
+    }
+
     // 找出當前時間應該顯示的 segment
     const segmentIndex = this.findSegmentIndex(currentTime);
 
@@ -343,8 +1070,15 @@ class SubtitleOverlay {
       return;
     }
 
-    // 如果是相同的 segment，不需要重新渲染
+    // 如果是相同的 segment，不需要重新渲染（長字幕輪到下一頁時除外）
     if (segmentIndex === this.currentSegmentIndex) {
+      const segment = this.segments[segmentIndex];
+      if (
+        segment === this.displayedSegment &&
+        this.captionPage(segment, currentTime).lines.join('\n') !== this.displayedPage
+      ) {
+        this.renderSegment(segment);
+      }
       return;
     }
 
@@ -370,20 +1104,7 @@ class SubtitleOverlay {
    * 顯示字幕
    */
   show(segment) {
-    // 清空容器 (使用 DOM API，避免 Trusted Types 錯誤)
-    while (this.container.firstChild) {
-      this.container.removeChild(this.container.firstChild);
-    }
-
-    // 建立字幕元素
-    const subtitleEl = document.createElement('div');
-    subtitleEl.className = 'babel-subtitle';
-    subtitleEl.textContent = segment.text;
-
-    this.container.appendChild(subtitleEl);
-
-    // 顯示容器
-    this.container.style.display = 'flex';
+    this.renderSegment(segment);
 
     console.log('[ContentScript] 顯示字幕:', segment.text, `(${segment.start.toFixed(2)}s - ${segment.end.toFixed(2)}s)`);
   }
@@ -395,11 +1116,15 @@ class SubtitleOverlay {
     if (this.container.style.display !== 'none') {
       this.container.style.display = 'none';
       this.currentSegmentIndex = -1;
+      this.displayedSegment = null;
+      this.displayedPage = null;
+      this.clearLines();
+      this.stopKaraoke();
     }
   }
 
   /**
-   * 清除過舊的字幕片段，避免記憶體無限成長
+   * 清除過舊的字幕片段，避免記憶體無限成長（字幕紀錄除外：本來就整份在記憶體裡）
    */
   pruneOldSegments(currentTime) {
     if (this.segments.length === 0) {
@@ -407,23 +1132,13 @@ class SubtitleOverlay {
     }
 
     const cutoff = Math.max(0, currentTime - SEGMENT_RETENTION_SECONDS);
-    let removeCount = 0;
+    const kept = this.segments.filter(seg => seg._cached || seg.end >= cutoff);
 
-    while (
-      removeCount < this.segments.length &&
-      this.segments[removeCount].end < cutoff
-    ) {
-      removeCount++;
-    }
-
-    if (removeCount > 0) {
-      this.segments.splice(0, removeCount);
-      if (this.currentSegmentIndex !== -1) {
-        this.currentSegmentIndex -= removeCount;
-        if (this.currentSegmentIndex < -1) {
-          this.currentSegmentIndex = -1;
-        }
-      }
+    if (kept.length < this.segments.length) {
+      // 字幕紀錄與即時 segments 交錯，刪的不一定在開頭，索引改用物件找回
+      const current = this.segments[this.currentSegmentIndex];
+      this.segments = kept;
+      this.currentSegmentIndex = current ? kept.indexOf(current) : -1;
     }
   }
 
@@ -437,6 +1152,13 @@ class SubtitleOverlay {
     }
     this.segments = [];
     this.currentSegmentIndex = -1;
+    this.displayedSegment = null;
+    this.displayedPage = null;
+    this.openLine = null;
+    this.interim = null;
+    this.interimLine = null;
+    this.lineElements.clear();
+    this.stopKaraoke();
     console.log('[ContentScript] 已清除所有字幕');
   }
 
@@ -445,6 +1167,7 @@ class SubtitleOverlay {
    */
   destroy() {
     console.log('[ContentScript] 🗑️  銷毀 SubtitleOverlay');
+    this.stopKaraoke();
 
     // 清理 VideoMonitor
     if (this.videoMonitor) {
@@ -462,10 +1185,15 @@ class SubtitleOverlay {
     if (this.container && this.container.parentNode) {
       this.container.parentNode.removeChild(this.container);
     }
+    this.removeCacheOffer();
 
     this.container = null;
     this.segments = [];
     this.currentSegmentIndex = -1;
+    this.openLine = null;
+    this.interim = null;
+    this.lineElements.clear();
+    this.cacheCoverage = null;
   }
 
   /**
@@ -571,16 +1299,34 @@ class SubtitleOverlay {
   }
 }
 
+/**
+ * 把一段字幕接在一行後面（文字與逐字時間）
+ *
+ * @param {{text: string, words: Array<Object>}} line
+ * @param {{text: string, words: Array<Object>}} fragment
+ * @returns {{text: string, words: Array<Object>}}
+ */
+function appendFragment(line, fragment) {
+  return {
+    text: joinWords([line.text, fragment.text]),
+    words: [...line.words, ...fragment.words],
+  };
+}
+
 // 全域 Overlay 實例（延遲初始化）
 let overlay = null;
 
 /**
  * 初始化字幕 Overlay（僅在啟用時執行）
+ *
+ * 回應附上影片是否暫停中：在暫停的影片上啟用不會有 pause 事件
+ * @param {{style?: Object, cached?: {captionCount: number, coverage: Array<[number, number]>}}} [data]
+ *   Service Worker 附上的使用者字幕樣式；同一部影片有字幕紀錄時另附 cached
  */
-function enableSubtitles() {
+function enableSubtitles(data) {
   if (overlay) {
     console.log('[ContentScript] 字幕已啟用，跳過重複初始化');
-    return { success: true };
+    return { success: true, paused: overlay.videoMonitor.getState().paused };
   }
 
   // ✅ 啟用前先檢查頁面是否有 video 元素
@@ -594,8 +1340,11 @@ function enableSubtitles() {
   }
 
   console.log('[ContentScript] 🟢 啟用字幕功能');
-  overlay = new SubtitleOverlay();
-  return { success: true };
+  overlay = new SubtitleOverlay(data?.style);
+  if (data?.cached) {
+    overlay.offerCachedTranscript(data.cached);
+  }
+  return { success: true, paused: video.paused };
 }
 
 /**
@@ -613,6 +1362,35 @@ function disableSubtitles() {
   return { success: true };
 }
 
+// 錯誤提示（與 overlay 分開：字幕容器沒字幕時是隱藏的，停用後也已移除）
+let toastElement = null;
+let toastTimer = null;
+
+/**
+ * 顯示錯誤提示，數秒後自動消失；新的提示直接取代舊的
+ */
+function showToast({ message }) {
+  if (!toastElement) {
+    toastElement = document.createElement('div');
+    toastElement.id = 'babel-bridge-toast';
+    toastElement.className = 'babel-toast';
+    toastElement.setAttribute('role', 'alert');
+  }
+
+  // 使用 textContent，避免 Trusted Types 錯誤
+  toastElement.textContent = `⚠️ ${message}`;
+  if (!toastElement.isConnected) {
+    document.body.appendChild(toastElement);
+  }
+
+  clearTimeout(toastTimer);
+  toastTimer = setTimeout(() => {
+    toastElement.remove();
+  }, NOTIFICATION_CONFIG.TOAST_DURATION);
+
+  return { success: true };
+}
+
 /**
  * 處理來自 Background 的訊息
  */
@@ -624,7 +1402,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   switch (type) {
     case 'ENABLE_SUBTITLES':
       // 啟用字幕功能
-      sendResponse(enableSubtitles());
+      sendResponse(enableSubtitles(data));
       break;
 
     case 'DISABLE_SUBTITLES':
@@ -643,6 +1421,16 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       sendResponse({ success: true });
       break;
 
+    case MessageTypes.TRANSLATION_UPDATE:
+      if (!overlay) {
+        console.warn('[ContentScript] 字幕未啟用，忽略 TRANSLATION_UPDATE');
+        sendResponse({ success: false, error: '字幕未啟用' });
+        break;
+      }
+      overlay.applyTranslation(data);
+      sendResponse({ success: true });
+      break;
+
     case MessageTypes.CLEAR_SUBTITLES:
       if (!overlay) {
         console.warn('[ContentScript] 字幕未啟用，忽略 CLEAR_SUBTITLES');
@@ -659,20 +1447,53 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         sendResponse({ success: false, error: '字幕未啟用' });
         break;
       }
-      // TODO: 更新字幕樣式
+      overlay.applyStyle(data?.style);
+      sendResponse({ success: true });
+      break;
+
+    case MessageTypes.SPEAKER_NAMES_UPDATE:
+      if (!overlay) {
+        console.warn('[ContentScript] 字幕未啟用，忽略 SPEAKER_NAMES_UPDATE');
+        sendResponse({ success: false, error: '字幕未啟用' });
+        break;
+      }
+      overlay.applySpeakerNames(data?.names);
       sendResponse({ success: true });
       break;
 
+    case MessageTypes.UTTERANCE_END:
+      if (!overlay) {
+        sendResponse({ success: false, error: '字幕未啟用' });
+        break;
+      }
+      overlay.handleUtteranceEnd();
+      sendResponse({ success: true });
+      break;
+
+    case MessageTypes.SPEECH_STARTED:
+      if (!overlay) {
+        sendResponse({ success: false, error: '字幕未啟用' });
+        break;
+      }
+      overlay.handleSpeechStarted();
+      sendResponse({ success: true });
+      break;
+
+    case MessageTypes.SHOW_TOAST:
+      // 不需要 overlay：停用字幕的錯誤（例如超過預算）也要讓使用者看到
+      sendResponse(showToast(data));
+      break;
+
     case 'GET_VIDEO_CURRENT_TIME':
-      // 回傳影片當前時間給 Background Service Worker
+      // 回傳影片當前時間與播放速度給 Background Service Worker
       if (!overlay) {
         console.warn('[ContentScript] 字幕未啟用，無法取得影片時間');
-        sendResponse({ success: false, currentTime: 0 });
+        sendResponse({ success: false, currentTime: 0, playbackRate: 1 });
         break;
       }
-      const currentTime = overlay.videoMonitor.getCurrentTime();
-      console.log('[ContentScript] 回報影片時間:', currentTime.toFixed(2), 's');
-      sendResponse({ success: true, currentTime });
+      const { currentTime, playbackRate } = overlay.videoMonitor.getState();
+      console.log('[ContentScript] 回報影片時間:', currentTime.toFixed(2), 's', `${playbackRate}x`);
+      sendResponse({ success: true, currentTime, playbackRate });
       break;
 
     default:
@@ -3,14 +3,23 @@
  *
  * 功能:
  * 1. API Key 格式驗證與測試
- * 2. 成本追蹤 (Whisper + GPT)
- * 3. 預算警告
+ * 2. 成本追蹤 (Whisper + GPT + Deepgram)
+ * 3. 預算警告與上限（超過時由 Service Worker 停止字幕）
  * 4. 加密儲存 (AES-GCM)
  */
 import { BabelBridgeError, ErrorCodes } from './errors.js';
-import { STORAGE_KEYS, COST_CONFIG } from './config.js';
+import { STORAGE_KEYS, COST_CONFIG, DEEPGRAM_CONFIG, DEEPGRAM_MODELS } from './config.js';
 import { CryptoUtils } from './crypto-utils.js';
 
+/**
+ * 當月預算狀態
+ */
+export const BudgetLevel = {
+  OK: 'ok',
+  WARNING: 'warning', // 達提醒門檻
+  EXCEEDED: 'exceeded', // 達月度預算
+};
+
 export class APIKeyManager {
   /**
    * API Key 格式正則
@@ -29,6 +38,22 @@ export class APIKeyManager {
    */
   static API_KEY_PATTERN = /^sk-(?:proj-|admin-|org-)?[A-Za-z0-9_-]{20,}$/;
 
+  /**
+   * 成本寫入佇列
+   *
+   * addCost() 是「讀 → 改 → 寫」整份帳本。Whisper、GPT 與 Deepgram 的定期結算
+   * 會同時進來，不排隊的話後寫的會蓋掉先寫的那筆。
+   */
+  static costWriteQueue = Promise.resolve();
+
+  /**
+   * 每次記帳後的預算狀態回調 (status: BudgetStatus, entry: CostEntry) => void
+   *
+   * Service Worker 掛上後，讓越過上限的那一筆記帳直接觸發停用，
+   * 不必另外輪詢帳本。entry 帶著記帳時的 source，用來把花費歸到對應的分頁。
+   */
+  static onBudgetUpdate = null;
+
   /**
    * 驗證 API Key 格式
    * @param {string} apiKey - 要驗證的 API Key
@@ -294,14 +319,16 @@ export class APIKeyManager {
   /**
    * 記錄 Whisper 使用量
    * @param {number} durationSeconds - 音訊長度 (秒)
+   * @param {string} [source] - 記帳來源標記（見 CostEntry），不寫進帳本
    */
-  static async trackWhisperUsage(durationSeconds) {
+  static async trackWhisperUsage(durationSeconds, source) {
     const minutes = durationSeconds / 60;
     const cost = minutes * COST_CONFIG.WHISPER_PER_MINUTE;
 
     await this.addCost('whisper', {
       duration: durationSeconds,
       cost,
+      source,
     });
 
     console.log(`[APIKeyManager] Whisper 使用: ${minutes.toFixed(2)} min, $${cost.toFixed(4)}`);
@@ -311,8 +338,9 @@ export class APIKeyManager {
    * 記錄 GPT 使用量
    * @param {number} inputTokens - 輸入 tokens
    * @param {number} outputTokens - 輸出 tokens
+   * @param {string} [source]
    */
-  static async trackGPTUsage(inputTokens, outputTokens) {
+  static async trackGPTUsage(inputTokens, outputTokens, source) {
     const inputCost = (inputTokens / 1_000_000) * COST_CONFIG.GPT_INPUT_PER_1M_TOKENS;
     const outputCost = (outputTokens / 1_000_000) * COST_CONFIG.GPT_OUTPUT_PER_1M_TOKENS;
     const totalCost = inputCost + outputCost;
@@ -321,6 +349,7 @@ export class APIKeyManager {
       inputTokens,
       outputTokens,
       cost: totalCost,
+      source,
     });
 
     console.log(
@@ -329,22 +358,60 @@ export class APIKeyManager {
   }
 
   /**
-   * 新增成本記錄
+   * 記錄 Deepgram 串流用量
+   *
+   * 以實際送出的音訊長度計費（Deepgram 依處理的音訊秒數收費），
+   * 單價取 DEEPGRAM_MODELS 中該模型的 cost，找不到模型時用 DEEPGRAM_CONFIG.COST_PER_MINUTE。
+   *
+   * VAD 略過的靜音不收費，但另記秒數與照單價算出的金額，供 Popup 顯示省下多少。
+   *
+   * @param {number} durationSeconds - 串流的音訊長度 (秒)
+   * @param {string} model - 模型 ID ('nova-2'、'nova-3')
+   * @param {string} [source]
+   * @param {number} [skippedSeconds=0] - 同一段期間 VAD 略過的靜音 (秒)
+   */
+  static async trackDeepgramUsage(durationSeconds, model, source, skippedSeconds = 0) {
+    const minutes = durationSeconds / 60;
+    const pricePerMinute =
+      DEEPGRAM_MODELS.find((m) => m.id === model)?.cost ?? DEEPGRAM_CONFIG.COST_PER_MINUTE;
+    const cost = minutes * pricePerMinute;
+
+    await this.addCost('deepgram', {
+      duration: durationSeconds,
+      cost,
+      model,
+      source,
+      skipped: skippedSeconds,
+      saved: (skippedSeconds / 60) * pricePerMinute,
+    });
+
+    console.log(
+      `[APIKeyManager] Deepgram 使用 (${model}): ${minutes.toFixed(2)} min, $${cost.toFixed(4)}` +
+        (skippedSeconds > 0 ? `，略過靜音 ${(skippedSeconds / 60).toFixed(2)} min` : '')
+    );
+  }
+
+  /**
+   * 新增成本記錄（排進 costWriteQueue 依序寫入）
+   * @private
+   */
+  static addCost(type, data) {
+    const write = this.costWriteQueue.then(() => this.writeCost(type, data));
+    // 佇列本身不能因為單筆失敗而卡住，錯誤仍由呼叫端的 promise 收到
+    this.costWriteQueue = write.catch(() => {});
+    return write;
+  }
+
+  /**
    * @private
    */
-  static async addCost(type, data) {
+  static async writeCost(type, data) {
     const tracking = await this.getCostTracking();
     const currentMonth = this.getCurrentMonth();
 
-    if (!tracking[currentMonth]) {
-      tracking[currentMonth] = {
-        whisper: { duration: 0, cost: 0, calls: 0 },
-        gpt: { inputTokens: 0, outputTokens: 0, cost: 0, calls: 0 },
-        total: 0,
-      };
-    }
-
-    const monthData = tracking[currentMonth];
+    // 舊版本存下的月份沒有 deepgram 欄位，補齊後再累加
+    const monthData = this.normalizeMonth(tracking[currentMonth]);
+    tracking[currentMonth] = monthData;
 
     if (type === 'whisper') {
       monthData.whisper.duration += data.duration;
@@ -355,16 +422,25 @@ export class APIKeyManager {
       monthData.gpt.outputTokens += data.outputTokens;
       monthData.gpt.cost += data.cost;
       monthData.gpt.calls++;
+    } else if (type === 'deepgram') {
+      // 定期結算的片段不是 API 呼叫，不計 calls；另依模型分帳，單價不同
+      monthData.deepgram.duration += data.duration;
+      monthData.deepgram.cost += data.cost;
+      const byModel = (monthData.deepgram.models[data.model] ??= { duration: 0, cost: 0 });
+      byModel.duration += data.duration;
+      byModel.cost += data.cost;
+      monthData.deepgram.skipped += data.skipped ?? 0;
+      monthData.deepgram.saved += data.saved ?? 0;
     }
 
-    monthData.total = monthData.whisper.cost + monthData.gpt.cost;
+    monthData.total = monthData.whisper.cost + monthData.gpt.cost + monthData.deepgram.cost;
 
     await chrome.storage.local.set({
       [STORAGE_KEYS.COST_TRACKING]: tracking,
     });
 
     // 檢查預算警告
-    await this.checkBudgetWarning(monthData.total);
+    await this.checkBudgetWarning(monthData.total, { type, cost: data.cost, source: data.source });
   }
 
   /**
@@ -382,13 +458,23 @@ export class APIKeyManager {
     const tracking = await this.getCostTracking();
     const currentMonth = this.getCurrentMonth();
 
-    return (
-      tracking[currentMonth] || {
-        whisper: { duration: 0, cost: 0, calls: 0 },
-        gpt: { inputTokens: 0, outputTokens: 0, cost: 0, calls: 0 },
-        total: 0,
-      }
-    );
+    return this.normalizeMonth(tracking[currentMonth]);
+  }
+
+  /**
+   * 補齊單月帳本的欄位（沒有資料時回傳全零）
+   * @private
+   */
+  static normalizeMonth(monthData) {
+    const month = {
+      whisper: { duration: 0, cost: 0, calls: 0 },
+      gpt: { inputTokens: 0, outputTokens: 0, cost: 0, calls: 0 },
+      deepgram: { duration: 0, cost: 0, models: {}, skipped: 0, saved: 0 },
+      total: 0,
+      ...monthData,
+    };
+    month.deepgram = { duration: 0, cost: 0, models: {}, skipped: 0, saved: 0, ...month.deepgram };
+    return month;
   }
 
   /**
@@ -407,44 +493,121 @@ export class APIKeyManager {
   }
 
   /**
-   * 檢查預算警告
+   * 檢查預算警告，並把狀態連同這一筆記帳交給 onBudgetUpdate
    * @private
+   * @param {number} currentCost
+   * @param {CostEntry} [entry]
+   * @returns {Promise<BudgetStatus>}
    */
-  static async checkBudgetWarning(currentCost) {
-    const settings = await this.getUserSettings();
-    const budget = settings.monthlyBudget || 10; // 預設 $10 USD
-
-    const percentage = (currentCost / budget) * 100;
+  static async checkBudgetWarning(currentCost, entry) {
+    const status = await this.getBudgetStatus(currentCost);
 
-    if (percentage >= 100) {
+    if (status.level === BudgetLevel.EXCEEDED) {
       console.warn('[APIKeyManager] ⚠️ 已超過月度預算!', {
         current: currentCost.toFixed(2),
-        budget,
+        budget: status.budget,
       });
-      // TODO: 發送通知給使用者
-    } else if (percentage >= 80) {
-      console.warn('[APIKeyManager] ⚠️ 已達月度預算 80%', {
+    } else if (status.level === BudgetLevel.WARNING) {
+      console.warn(`[APIKeyManager] ⚠️ 已達月度預算 ${status.warningThreshold}%`, {
         current: currentCost.toFixed(2),
-        budget,
-        percentage: percentage.toFixed(1),
+        budget: status.budget,
+        percentage: status.percentage.toFixed(1),
       });
-      // TODO: 發送通知給使用者
     }
+
+    this.onBudgetUpdate?.(status, entry);
+    return status;
+  }
+
+  /**
+   * 取得當月預算狀態
+   * @param {number} [spent] - 當月總花費；省略時從帳本讀取
+   * @returns {Promise<BudgetStatus>}
+   */
+  static async getBudgetStatus(spent) {
+    const settings = await this.getUserSettings();
+    const total = spent ?? (await this.getCurrentMonthStats()).total;
+    const percentage = (total / settings.monthlyBudget) * 100;
+
+    let level = BudgetLevel.OK;
+    if (percentage >= 100) {
+      level = BudgetLevel.EXCEEDED;
+    } else if (settings.enableBudgetWarning && percentage >= settings.warningThreshold) {
+      level = BudgetLevel.WARNING;
+    }
+
+    return {
+      spent: total,
+      budget: settings.monthlyBudget,
+      percentage,
+      level,
+      warningThreshold: settings.warningThreshold,
+      sessionBudget: settings.sessionBudget,
+      enforce: settings.enforceBudget,
+    };
   }
 
   /**
-   * 取得使用者設定
-   * @returns {Promise<{monthlyBudget: number, enableBudgetWarning: boolean}>}
-   * @private
+   * 取得使用者設定（缺少的欄位補上預設值）
+   * @returns {Promise<UserSettings>}
    */
   static async getUserSettings() {
     const result = await chrome.storage.local.get(STORAGE_KEYS.USER_SETTINGS);
-    return /** @type {{monthlyBudget: number, enableBudgetWarning: boolean}} */ (
-      result[STORAGE_KEYS.USER_SETTINGS] || {
-        monthlyBudget: 10,
-        enableBudgetWarning: true,
-      }
-    );
+    return {
+      ...this.getDefaultSettings(),
+      .../** @type {Partial<UserSettings>|undefined} */ (result[STORAGE_KEYS.USER_SETTINGS]),
+    };
+  }
+
+  /**
+   * 更新使用者設定（只覆寫傳入的欄位）
+   * @param {Partial<UserSettings>} changes
+   * @returns {Promise<UserSettings>} 合併後的設定
+   * @throws {BabelBridgeError} 數值不合法時
+   */
+  static async saveUserSettings(changes) {
+    const settings = { ...(await this.getUserSettings()), ...changes };
+
+    const invalid = (field, message) =>
+      new BabelBridgeError(ErrorCodes.SETTINGS_INVALID, message, {
+        field,
+        value: settings[field],
+      });
+
+    if (!Number.isFinite(settings.monthlyBudget) || settings.monthlyBudget <= 0) {
+      throw invalid('monthlyBudget', '每月預算必須大於 0');
+    }
+    if (
+      !Number.isFinite(settings.warningThreshold) ||
+      settings.warningThreshold <= 0 ||
+      settings.warningThreshold > 100
+    ) {
+      throw invalid('warningThreshold', '提醒門檻必須介於 1 到 100 之間');
+    }
+    if (!Number.isFinite(settings.sessionBudget) || settings.sessionBudget < 0) {
+      throw invalid('sessionBudget', '單次上限不可為負數');
+    }
+
+    await chrome.storage.local.set({
+      [STORAGE_KEYS.USER_SETTINGS]: settings,
+    });
+
+    console.log('[APIKeyManager] 使用者設定已儲存', settings);
+    return settings;
+  }
+
+  /**
+   * @private
+   * @returns {UserSettings}
+   */
+  static getDefaultSettings() {
+    return {
+      monthlyBudget: COST_CONFIG.DEFAULT_MONTHLY_BUDGET,
+      warningThreshold: COST_CONFIG.DEFAULT_WARNING_THRESHOLD,
+      sessionBudget: COST_CONFIG.DEFAULT_SESSION_BUDGET,
+      enableBudgetWarning: true,
+      enforceBudget: true,
+    };
   }
 
   /**
@@ -483,3 +646,32 @@ export class APIKeyManager {
     };
   }
 }
+
+/**
+ * @typedef {Object} UserSettings
+ * @property {number} monthlyBudget - 每月預算 (USD)
+ * @property {number} warningThreshold - 提醒門檻 (月度預算的百分比)
+ * @property {number} sessionBudget - 單次啟用的花費上限 (USD)，0 為不限
+ * @property {boolean} enableBudgetWarning
+ * @property {boolean} enforceBudget - 超過預算時停止字幕、擋下啟用
+ * @property {import('./subtitle-style.js').SubtitleStyle} [subtitleStyle] - 見 UI_CONFIG.DEFAULT_STYLE
+ */
+
+/**
+ * @typedef {Object} CostEntry
+ * @property {string} type - 'whisper' | 'gpt' | 'deepgram'
+ * @property {number} cost - 這一筆的花費 (USD)
+ * @property {string} [source] - 記帳來源標記：引擎與翻譯 init 時收到的 costSource，
+ *   Service Worker 用它把花費歸到對應的分頁；帳本本身只分月份與類型
+ */
+
+/**
+ * @typedef {Object} BudgetStatus
+ * @property {number} spent - 當月總花費 (USD)
+ * @property {number} budget - 每月預算 (USD)
+ * @property {number} percentage
+ * @property {string} level - 見 BudgetLevel
+ * @property {number} warningThreshold
+ * @property {number} sessionBudget
+ * @property {boolean} enforce
+ */
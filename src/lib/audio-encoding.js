@@ -0,0 +1,94 @@
+/**
+ * 音訊編碼工具 - WAV 封裝與 Base64 傳輸
+ *
+ * Offscreen Document 與 Service Worker 共用：
+ * - Offscreen 把 Int16 PCM 包成 WAV，再轉 Base64 送出
+ * - Service Worker 把 Base64 還原成 Blob，交給 WhisperClient 上傳
+ *
+ * 為何用 Base64：chrome.runtime.sendMessage 只保證可 JSON 序列化的資料，
+ * ArrayBuffer / Blob 直接傳會變成空物件（見 docs/DEVELOPMENT.md 設計決策）。
+ */
+
+/** WAV header 固定 44 bytes（PCM、無擴充區塊） */
+const WAV_HEADER_SIZE = 44;
+
+/**
+ * 將 Int16 PCM 封裝成 WAV（RIFF / PCM / little-endian）
+ *
+ * @param {Int16Array} samples - Mono linear16 樣本
+ * @param {number} sampleRate - 採樣率（Hz）
+ * @returns {ArrayBuffer} 可直接上傳 Whisper 的 WAV 檔內容
+ */
+export function encodeWav(samples, sampleRate) {
+  const dataSize = samples.length * 2;
+  const buffer = new ArrayBuffer(WAV_HEADER_SIZE + dataSize);
+  const view = new DataView(buffer);
+
+  writeAscii(view, 0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  writeAscii(view, 8, 'WAVE');
+
+  // fmt chunk
+  writeAscii(view, 12, 'fmt ');
+  view.setUint32(16, 16, true); // chunk size
+  view.setUint16(20, 1, true); // audio format = PCM
+  view.setUint16(22, 1, true); // channels = mono
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * 2, true); // byte rate
+  view.setUint16(32, 2, true); // block align
+  view.setUint16(34, 16, true); // bits per sample
+
+  // data chunk
+  writeAscii(view, 36, 'data');
+  view.setUint32(40, dataSize, true);
+
+  new Int16Array(buffer, WAV_HEADER_SIZE).set(samples);
+
+  return buffer;
+}
+
+/**
+ * ArrayBuffer → Base64
+ *
+ * 分段呼叫 String.fromCharCode：一次展開整個 3 秒 WAV（~96KB）會超過引數上限。
+ *
+ * @param {ArrayBuffer} buffer
+ * @returns {string}
+ */
+export function arrayBufferToBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const CHUNK = 0x8000;
+  let binary = '';
+
+  for (let i = 0; i < bytes.length; i += CHUNK) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + CHUNK));
+  }
+
+  return btoa(binary);
+}
+
+/**
+ * Base64 → ArrayBuffer
+ *
+ * @param {string} base64
+ * @returns {ArrayBuffer}
+ */
+export function base64ToArrayBuffer(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+
+  return bytes.buffer;
+}
+
+/**
+ * @private
+ */
+function writeAscii(view, offset, text) {
+  for (let i = 0; i < text.length; i++) {
+    view.setUint8(offset + i, text.charCodeAt(i));
+  }
+}
@@ -0,0 +1,241 @@
+/**
+ * 字幕排版 - 依每行字數換行，超過行數上限拆成依序顯示的幾頁
+ *
+ * Content Script 的 SubtitleOverlay 畫每一行字幕前經過這裡：
+ * - 寬度以半形字計，中日韓文字與全形標點算 2（subtitleStyle.maxCharsPerLine 是半形字數）
+ * - 斷點只在字詞之間：有逐字時間時以字為單位，否則拉丁文以空白切、中日韓文字逐字切，標點黏著前一個字
+ * - 斷在哪裡依 LanguageRules.breakPriority()：句末 > 句中標點 > 片語邊界 > 一般字詞邊界，
+ *   但每行至少填到一半，不為了標點留下很短的一行
+ * - 每 UI_CONFIG.CAPTION_MAX_LINES 行為一頁；有時間範圍的字幕依字數（或逐字時間）分配各頁時間，
+ *   串流字幕到了才顯示，依閱讀速度輪到下一頁
+ */
+import { UI_CONFIG } from './config.js';
+import { LanguageRules } from './language-rules.js';
+import { needsSpaceBetween } from './speakers.js';
+
+// 全形：中日韓文字、諺文、全形標點與全形英數
+const FULL_WIDTH_CHARS = '\u1100-\u115f\u2e80-\ua4cf\uac00-\ud7a3\uf900-\ufaff\ufe30-\ufe4f\uff00-\uff60\uffe0-\uffe6';
+const FULL_WIDTH = new RegExp(`[${FULL_WIDTH_CHARS}]`);
+// 全形字逐字、其餘連在一起（中文裡夾的英文字、數字）
+const FULL_WIDTH_RUN = new RegExp(`[${FULL_WIDTH_CHARS}]|[^${FULL_WIDTH_CHARS}]+`, 'g');
+// 不放行首的收尾標點（黏在前一個字）與不放行尾的開頭括號（黏在後一個字）
+const CLOSING_PUNCTUATION = /^[、。，．！？：；」』）】〉》”’…ー]$/;
+const OPENING_PUNCTUATION = /^[「『（【〈《“‘]$/;
+
+// 每行至少填到上限的這個比例，才考慮提早在標點斷開
+const MIN_LINE_FILL = 0.5;
+
+/**
+ * 文字寬度（半形字數，全形字算 2）
+ *
+ * @param {string} text
+ * @returns {number}
+ */
+export function textWidth(text) {
+  let width = 0;
+  for (const char of text) {
+    width += FULL_WIDTH.test(char) ? 2 : 1;
+  }
+  return width;
+}
+
+/**
+ * 把沒有逐字時間的文字切成可以換行的單位
+ *
+ * @param {string} text
+ * @returns {Array<{text: string, spaceBefore: boolean}>}
+ */
+export function tokenizeText(text) {
+  const tokens = [];
+
+  for (const part of text.trim().split(/\s+/)) {
+    if (!part) continue;
+
+    let spaceBefore = tokens.length > 0;
+    let opening = '';
+    for (const run of part.match(FULL_WIDTH_RUN)) {
+      const previous = tokens[tokens.length - 1];
+      if (CLOSING_PUNCTUATION.test(run) && previous && !spaceBefore) {
+        previous.text += run;
+      } else if (OPENING_PUNCTUATION.test(run)) {
+        opening += run;
+      } else {
+        tokens.push({ text: opening + run, spaceBefore });
+        opening = '';
+        spaceBefore = false;
+      }
+    }
+    if (opening) {
+      tokens.push({ text: opening, spaceBefore });
+    }
+  }
+  return tokens;
+}
+
+/**
+ * 換行：每行不超過 maxCharsPerLine（只有一個字就超過時自成一行）
+ *
+ * @param {Array<{text: string, spaceBefore: boolean}>} tokens
+ * @param {Object} options
+ * @param {number} options.maxCharsPerLine - 半形字數
+ * @param {string} [options.language='auto'] - 語言代碼，見 LanguageRules
+ * @returns {Array<[number, number]>} 每行的 token 範圍 [start, end)
+ */
+export function breakLines(tokens, { maxCharsPerLine, language = 'auto' }) {
+  const lines = [];
+  let lineStart = 0;
+
+  while (lineStart < tokens.length) {
+    const candidates = [];
+    let text = '';
+    let end = lineStart;
+
+    for (; end < tokens.length; end++) {
+      const next = (end > lineStart && tokens[end].spaceBefore ? ' ' : '') + tokens[end].text;
+      if (end > lineStart && textWidth(text + next) > maxCharsPerLine) break;
+      text += next;
+
+      if (end + 1 < tokens.length) {
+        candidates.push({
+          end: end + 1,
+          width: textWidth(text),
+          priority: LanguageRules.breakPriority(text, joinTokens(tokens.slice(end + 1, end + 4)), language),
+        });
+      }
+    }
+
+    if (end === tokens.length) {
+      lines.push([lineStart, end]);
+      break;
+    }
+
+    const filled = candidates.filter((candidate) => candidate.width >= maxCharsPerLine * MIN_LINE_FILL);
+    const best = (filled.length > 0 ? filled : candidates).reduce((chosen, candidate) =>
+      candidate.priority >= chosen.priority ? candidate : chosen
+    );
+    lines.push([lineStart, best.end]);
+    lineStart = best.end;
+  }
+  return lines;
+}
+
+/**
+ * 排版一行字幕，每 UI_CONFIG.CAPTION_MAX_LINES 行為一頁
+ *
+ * 有逐字時間時以字為單位換行，逐字高亮與講者標籤才對得上；每頁附上該頁的字（依行分組）。
+ *
+ * @param {{text: string, words?: Array<{text: string, start: number, end: number}>}} caption
+ * @param {Object} options
+ * @param {number} options.maxCharsPerLine
+ * @param {string} [options.language]
+ * @param {number} [options.maxLines] - 預設 UI_CONFIG.CAPTION_MAX_LINES
+ * @returns {Array<CaptionPage>} 至少一頁
+ */
+export function layoutCaption(caption, { maxCharsPerLine, language, maxLines = UI_CONFIG.CAPTION_MAX_LINES }) {
+  const words = caption.words || [];
+  const tokens =
+    words.length > 0
+      ? words.map((word, index) => ({
+          text: word.text,
+          spaceBefore: index > 0 && needsSpaceBetween(words[index - 1].text, word.text),
+        }))
+      : tokenizeText(caption.text);
+
+  const lines = breakLines(tokens, { maxCharsPerLine, language }).map(([start, end]) => ({
+    text: joinTokens(tokens.slice(start, end)),
+    words: words.slice(start, end),
+  }));
+
+  const pages = [];
+  for (let i = 0; i < lines.length; i += maxLines) {
+    const pageLines = lines.slice(i, i + maxLines);
+    pages.push({
+      lines: pageLines.map((line) => line.text),
+      wordLines: words.length > 0 ? pageLines.map((line) => line.words) : [],
+    });
+  }
+  return pages.length > 0 ? pages : [{ lines: [caption.text], wordLines: [] }];
+}
+
+/**
+ * 有時間範圍的字幕（Whisper、字幕紀錄）此刻輪到第幾頁
+ *
+ * 各頁的開始時間：每頁都有逐字時間時取該頁第一個字，否則依字數比例分配 [start, end]。
+ *
+ * @param {Array<CaptionPage>} pages
+ * @param {number} start
+ * @param {number} end
+ * @param {number} currentTime
+ * @returns {number}
+ */
+export function timedPageIndex(pages, start, end, currentTime) {
+  const widths = pages.map(pageWidth);
+  const total = widths.reduce((sum, width) => sum + width, 0);
+  const timed = pages.every((page) => page.wordLines.length > 0);
+
+  let index = 0;
+  let elapsed = 0;
+  for (let i = 1; i < pages.length; i++) {
+    elapsed += widths[i - 1];
+    const pageStart = timed ? pages[i].wordLines[0][0].start : start + ((end - start) * elapsed) / total;
+    if (currentTime >= pageStart) {
+      index = i;
+    }
+  }
+  return index;
+}
+
+/**
+ * 串流字幕此刻輪到第幾頁：每頁第一次顯示時記下時間，看滿閱讀時間才換下一頁
+ *
+ * 一行字幕邊講邊長時，前一頁早就在畫面上，長出新的一頁時多半已看夠，立即換頁；
+ * 一次送來好幾頁時依序輪播。
+ *
+ * @param {Array<CaptionPage>} pages
+ * @param {Array<number>} shownAt - 各頁第一次顯示的時間，會直接寫入
+ * @param {number} currentTime
+ * @returns {number}
+ */
+export function livePageIndex(pages, shownAt, currentTime) {
+  let index = 0;
+  for (; index < pages.length - 1; index++) {
+    shownAt[index] ??= currentTime;
+    if (currentTime < shownAt[index] + readingSeconds(pages[index])) break;
+  }
+  shownAt[index] ??= currentTime;
+  return index;
+}
+
+/**
+ * 一頁至少要留多久才看得完（UI_CONFIG.CAPTION_READING_SPEED 半形字/秒）
+ *
+ * @param {CaptionPage} page
+ * @returns {number}
+ */
+export function readingSeconds(page) {
+  return Math.max(UI_CONFIG.CAPTION_MIN_PAGE_SECONDS, pageWidth(page) / UI_CONFIG.CAPTION_READING_SPEED);
+}
+
+/**
+ * @private
+ * @param {Array<{text: string, spaceBefore: boolean}>} tokens
+ * @returns {string}
+ */
+function joinTokens(tokens) {
+  return tokens.map((token, index) => (index > 0 && token.spaceBefore ? ' ' : '') + token.text).join('');
+}
+
+/**
+ * @private
+ * @param {CaptionPage} page
+ * @returns {number}
+ */
+function pageWidth(page) {
+  return page.lines.reduce((sum, line) => sum + textWidth(line), 0);
+}
+
+/**
+ * @typedef {Object} CaptionPage
+ * @property {string[]} lines - 各行文字
+ * @property {Array<Array<{text: string, start: number, end: number}>>} wordLines - 各行的字；沒有逐字時間時為空陣列
+ */
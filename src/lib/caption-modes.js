@@ -0,0 +1,97 @@
+/**
+ * 多行字幕 - 滾動（roll-up）與整段（pop-on）模式要顯示哪幾行
+ *
+ * 單行模式（single）一次只顯示一行，由 SubtitleOverlay.findSegmentIndex() 處理；
+ * 另外兩種模式同時顯示最多 lineCount 行，由這裡依播放位置挑出：
+ * - rollup：像新聞直播字幕，新的一行從底部加入、舊的往上推；還在講的那一行（含 interim）在最底下長出來
+ * - popon：只顯示講完的行，湊滿 lineCount 行為一頁，下一行來時整頁換掉；不顯示 interim
+ *
+ * 兩種模式的每一行各自在講完後再留 lineFadeSeconds 才淡出，最後 UI_CONFIG.CAPTION_FADE_OUT_SECONDS 標為 fading。
+ * 行的「講完」時間：串流字幕收尾時記下的 closedAt，其他字幕（Whisper、字幕紀錄）用 end。
+ */
+import { UI_CONFIG } from './config.js';
+
+/**
+ * 挑出此刻要顯示的字幕行（由上到下）
+ *
+ * popon 模式會在行上記下所屬的頁（captionPage，該頁第一行），分頁一經決定就不再變：
+ * 較舊的行被 pruneOldSegments() 清掉後，剩下的行不會重新分頁而在畫面上跳動。
+ *
+ * @template {CaptionLine} T
+ * @param {Array<T>} segments - 依 start 排序
+ * @param {number} currentTime - 影片時間
+ * @param {Object} options
+ * @param {string} options.mode - 'rollup' | 'popon'
+ * @param {number} options.lineCount - 最多幾行
+ * @param {number} options.lineFadeSeconds - 講完後再留幾秒
+ * @param {T|null} [options.interim] - 還沒定版的字幕（rollup 才顯示）；接在未講完的行後面時帶 line
+ * @returns {Array<{segment: T, fading: boolean}>}
+ */
+export function selectCaptionLines(segments, currentTime, { mode, lineCount, lineFadeSeconds, interim = null }) {
+  const expiresAt = (segment) => (segment.closedAt ?? segment.end) + lineFadeSeconds;
+  const started = segments.filter((segment) => segment.start <= currentTime);
+
+  let lines;
+  if (mode === 'popon') {
+    const page = currentPage(
+      started.filter((segment) => !segment.open),
+      lineCount,
+      expiresAt
+    );
+    lines = page.filter((segment) => currentTime < expiresAt(segment));
+  } else {
+    lines = started.filter((segment) => currentTime < expiresAt(segment) && segment !== interim?.line);
+    if (interim) {
+      lines.push(interim);
+    }
+    lines = lines.slice(-lineCount);
+  }
+
+  return lines.map((segment) => ({
+    segment,
+    // interim 與還沒講完的行不淡出
+    fading:
+      segment !== interim &&
+      !segment.open &&
+      currentTime >= expiresAt(segment) - UI_CONFIG.CAPTION_FADE_OUT_SECONDS,
+  }));
+}
+
+/**
+ * popon 的分頁：依序把講完的行排進頁裡，頁滿了或上一頁都已淡出才開新頁
+ * @private
+ * @param {Array<CaptionLine>} lines - 講完的行，依 start 排序
+ * @param {number} lineCount
+ * @param {(segment: CaptionLine) => number} expiresAt
+ * @returns {Array<CaptionLine>} 最後一頁
+ */
+function currentPage(lines, lineCount, expiresAt) {
+  let page = [];
+  let pageExpiresAt = -Infinity;
+
+  for (const line of lines) {
+    if (!line.captionPage) {
+      const full = page.length >= lineCount || pageExpiresAt <= line.start;
+      line.captionPage = full ? line : page[0].captionPage;
+    }
+    if (page[0]?.captionPage !== line.captionPage) {
+      page = [];
+      pageExpiresAt = -Infinity;
+    }
+    page.push(line);
+    pageExpiresAt = Math.max(pageExpiresAt, expiresAt(line));
+  }
+  return page;
+}
+
+/**
+ * @typedef {Object} CaptionLine
+ * @property {string} text
+ * @property {number} start - 影片時間
+ * @property {number} end - 影片時間
+ * @property {number} [closedAt] - 串流字幕這一行收尾的影片時間
+ * @property {boolean} [open] - 串流字幕還沒講完的那一行
+ * @property {boolean} [isFinal]
+ * @property {CaptionLine} [line] - interim 接在哪一行後面
+ * @property {CaptionLine} [captionPage] - popon 模式所屬頁的第一行
+ */
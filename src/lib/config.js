@@ -89,6 +89,15 @@ Translate the following subtitle text accurately while preserving:
 3. Proper names and technical terms
 Keep translations concise and suitable for on-screen display.`,
 
+  // 預設目標語言（UI_CONFIG.SUPPORTED_LANGUAGES 的代碼）
+  DEFAULT_TARGET_LANGUAGE: 'zh-TW',
+
+  // 串流翻譯：final 片段累積成句再翻
+  CONTEXT_SENTENCES: 3, // 隨請求附上的前文句數
+  SENTENCE_TIMEOUT: 3000, // 遲遲等不到句末標點時，多久後強制成句 (毫秒)
+  MAX_SENTENCE_LENGTH: 200, // 單句字元上限，超過就先翻
+  PROVISIONAL_TRANSLATION: true, // 句子未完成前先翻已到的片段，成句後再覆蓋
+
   // 重試配置
   MAX_RETRIES: 3,
   RETRY_DELAY: 1000,
@@ -150,22 +159,64 @@ export const COST_CONFIG = {
 
   // 預估平均 tokens (每分鐘字幕)
   ESTIMATED_TOKENS_PER_MINUTE: 150,
+
+  // 預算預設值（使用者可在 Popup 調整，存於 STORAGE_KEYS.USER_SETTINGS）
+  DEFAULT_MONTHLY_BUDGET: 10, // USD
+  DEFAULT_WARNING_THRESHOLD: 80, // 達月度預算的百分比時提醒
+  DEFAULT_SESSION_BUDGET: 0, // 單次啟用的花費上限 (USD)，0 為不限
 };
 
 /**
  * UI 配置
  */
 export const UI_CONFIG = {
-  // 字幕樣式預設值
+  // 字幕樣式預設值（存於 USER_SETTINGS.subtitleStyle，經 normalizeSubtitleStyle() 補齊與夾限）
   DEFAULT_STYLE: {
-    fontSize: '24px',
+    fontSize: 24, // px
     fontFamily: 'Arial, sans-serif',
     color: '#FFFFFF',
-    backgroundColor: 'rgba(0, 0, 0, 0.8)',
-    position: 'bottom-center',
-    offset: 50, // 距離底部像素
+    backgroundColor: '#000000',
+    backgroundOpacity: 0.85, // 0-1
+    edgeStyle: 'shadow', // 'none' | 'shadow' | 'outline'
+    position: 'bottom', // 'bottom' | 'top'
+    offset: 60, // 距離影片上/下緣的像素
+    karaoke: false, // 逐字高亮：播放到哪個字就標出哪個字（需要逐字時間戳）
+    highlightColor: '#FFD54F', // 已唸到的字的顏色
+    displayMode: 'single', // 'single' | 'rollup'（滾動）| 'popon'（整段）
+    lineCount: 2, // 多行模式最多幾行（2-3）
+    lineFadeSeconds: 4, // 多行模式每一行講完後再留幾秒
+    maxCharsPerLine: 42, // 每行最多幾個半形字（中日韓文字算 2）
   },
 
+  // 字幕排版（src/lib/caption-layout.js）：一頁最多幾行，超過的拆成下一頁
+  CAPTION_MAX_LINES: 2,
+  // 串流字幕一次送來好幾頁時，每頁至少留的閱讀時間：半形字/秒，且不少於 CAPTION_MIN_PAGE_SECONDS
+  CAPTION_READING_SPEED: 17,
+  CAPTION_MIN_PAGE_SECONDS: 1.5,
+
+  // 多行模式的一行淡出所需時間（秒），與 subtitle-overlay.css 的 .babel-subtitle-fading 一致
+  CAPTION_FADE_OUT_SECONDS: 0.5,
+
+  // 逐字高亮：影片播出到那段音訊送達 Service Worker 的平均延遲（秒，播放速度 1x 時）。
+  // 20ms frame 加上湊滿 100ms 的一批（AUDIO_PORT_CONFIG.BATCH_FRAMES），平均約 0.1 秒
+  KARAOKE_CAPTURE_LATENCY: 0.1,
+
+  // 串流字幕：一段話講完後還留在畫面上的秒數；還沒講完的那一行最多留多久
+  // （收不到 speech_final / UtteranceEnd 時，不讓它一直掛著）
+  FINAL_CAPTION_SECONDS: 3,
+  OPEN_CAPTION_SECONDS: 10,
+
+  // 講者標籤顏色（依講者編號輪流使用，見 src/lib/speakers.js）
+  SPEAKER_COLORS: ['#4FC3F7', '#FF8A65', '#AED581', '#BA68C8', '#F06292', '#4DB6AC'],
+
+  // 字幕字型選項
+  SUBTITLE_FONTS: [
+    { value: 'Arial, sans-serif', name: 'Arial' },
+    { value: "'Noto Sans TC', 'Microsoft JhengHei', 'PingFang TC', sans-serif", name: '黑體' },
+    { value: "'Noto Serif TC', 'PMingLiU', serif", name: '明體' },
+    { value: "'Courier New', monospace", name: '等寬' },
+  ],
+
   // 支援的語言
   SUPPORTED_LANGUAGES: [
     { code: 'zh-TW', name: '繁體中文' },
@@ -187,6 +238,10 @@ export const DEEPGRAM_CONFIG = {
   AUTH_URL: 'https://api.deepgram.com/v1/auth/token',
   WEBSOCKET_URL: 'wss://api.deepgram.com/v1/listen',
 
+  // 本機模擬伺服器（scripts/mock-deepgram-server.js），辨識引擎 'deepgram-local' 使用
+  LOCAL_WEBSOCKET_URL: 'ws://localhost:8787/v1/listen',
+  LOCAL_API_KEY: 'local-dev', // 模擬伺服器只要求非空金鑰
+
   // 模型設定
   MODEL: 'nova-2', // Nova-2 標準模型
   LANGUAGE: 'zh-TW', // 預設繁體中文（Nova-2 不支援 multi，僅 Nova-3 支援）
@@ -203,11 +258,19 @@ export const DEEPGRAM_CONFIG = {
   PUNCTUATE: true, // 自動標點
   SMART_FORMAT: true, // 智能格式化
   ENDPOINTING: 300, // 300ms 靜音視為句子結束
+  // 字與字之間隔這麼久（毫秒）就送 UtteranceEnd：背景有聲音、endpointing 等不到靜音時，
+  // 靠它判斷一句話講完。Deepgram 要求至少 1000；0 表示不要求
+  UTTERANCE_END_MS: 1000,
+  VAD_EVENTS: true, // 語音開始時送 SpeechStarted
 
   // 連線管理
   KEEPALIVE_INTERVAL: 5000, // 5 秒發送 KeepAlive
+  USAGE_FLUSH_INTERVAL: 30000, // 每 30 秒把已串流的秒數寫入成本帳本
   RECONNECT_MAX_RETRIES: 5, // 最多重連 5 次
   RECONNECT_DELAY: 1000, // 重連延遲 1 秒
+  // 斷線到重連成功之間暫存的音訊上限（秒），連上後依序補送。
+  // 涵蓋 5 次重連的退避時間（1+2+3+4+5 秒）；再久就只補最近這一段
+  RECONNECT_BUFFER_SECONDS: 15,
 
   // 成本計算（Nova-2 定價）
   COST_PER_MINUTE: 0.0043, // $0.0043/分鐘
@@ -307,6 +370,45 @@ export const RECOGNITION_MODES = [
   },
 ];
 
+/**
+ * 辨識引擎選項
+ *
+ * 兩條管線共用同一條 AudioWorklet PCM 擷取，差在 PCM 之後怎麼送：
+ * Deepgram 逐 frame 串流，Whisper 由 Offscreen 切成 Rolling Window 再批次上傳。
+ */
+export const RECOGNITION_ENGINES = [
+  {
+    id: 'deepgram',
+    name: '⚡ Deepgram 即時串流',
+    hint: '延遲 2-3 秒，適合直播、會議',
+  },
+  {
+    id: 'whisper',
+    name: '🎯 OpenAI Whisper 批次',
+    hint: '延遲 5-7 秒，準確度高，適合預錄影片（需 OpenAI Key）',
+  },
+  {
+    id: 'deepgram-local',
+    name: '🧪 本機模擬 Deepgram',
+    hint: '連到 npm run mock:deepgram 啟動的本機伺服器，不消耗 Deepgram 額度（開發用）',
+    devOnly: true, // Popup 只在目前設定就是它時列出
+  },
+];
+
+/**
+ * 自訂詞彙（glossary.js）
+ *
+ * Deepgram 的 keywords / keyterm 逐詞放在 WebSocket URL 上，詞太多會讓網址過長；
+ * Whisper 的 prompt 只看最後 224 個 token，超過的部分會被丟掉。
+ */
+export const GLOSSARY_CONFIG = {
+  MAX_TERMS: 100, // 合併全域、網站、辨識模式三份後最多送幾個詞
+  MAX_TERM_LENGTH: 50, // 單一詞的字數上限，再長多半是貼錯的句子
+  // Whisper prompt 的寬度上限（半形字數，中日韓文字算 2，見 caption-layout.js textWidth），
+  // 約略對應 224 token；放不下的詞不送
+  WHISPER_PROMPT_MAX_WIDTH: 400,
+};
+
 /**
  * AudioWorklet PCM 處理配置
  */
@@ -315,8 +417,105 @@ export const AUDIO_WORKLET_CONFIG = {
   INPUT_SAMPLE_RATE: 48000, // 瀏覽器預設
   OUTPUT_SAMPLE_RATE: 16000, // Deepgram 要求
   CHANNELS: 1, // Mono
+  // 降混方式：'mix' 各聲道平均（預設，置中與單邊的對白都保留）；'left' / 'right' 只取單一聲道
+  CHANNEL_MODE: 'mix',
+};
+
+/**
+ * Offscreen → Service Worker 音訊傳輸配置
+ *
+ * 音訊走長連線 Port 而非逐則 sendMessage；PCM frame 先湊成一批、Base64 後再送
+ */
+export const AUDIO_PORT_CONFIG = {
+  PORT_NAME: 'babel-bridge-audio',
+
+  // 每批 frame 數：5 × 20ms = 100ms，每秒 10 則訊息。再大會拖慢 interim 字幕
+  BATCH_FRAMES: 5,
+};
+
+/**
+ * 語音活動偵測（VAD，Offscreen 的 Deepgram 路徑）
+ *
+ * Deepgram 依送出的音訊長度計費，靜音與片頭音樂不送，改由 KeepAlive 維持連線。
+ * 判斷依據是音量（相對於自動追蹤的背景噪音）與頻譜（能量集中在人聲頻段、不像白噪音那樣平坦）。
+ */
+export const VAD_CONFIG = {
+  DEFAULT_SENSITIVITY: 'medium',
+
+  // 判定為語音後，再多送這麼久才停：句尾的輕音不被切掉，
+  // 也要長於 DEEPGRAM_CONFIG.ENDPOINTING，Deepgram 才看得到句子結束、送出 final
+  HANGOVER_MS: 600,
+  // 開始送之前補上這麼長的前一段音訊，字首的子音不被切掉
+  PRE_ROLL_MS: 300,
+  // 連續幾個 frame 像語音才開始送，單一個喀噠聲不觸發
+  ONSET_FRAMES: 2,
+  // 靜音期間每累積這麼多 frame 向 Service Worker 回報一次（1 秒），時間軸與省下的用量才跟得上
+  SILENCE_REPORT_FRAMES: 50,
+
+  // 人聲頻段（Hz）
+  SPEECH_BAND: [300, 3400],
+  FFT_SIZE: 512,
 };
 
+/**
+ * VAD 靈敏度：越靈敏越不容易漏掉小聲的對白，但也會多送一些噪音
+ * - margin：高於背景噪音幾 dB 才算有聲音
+ * - minEnergy：絕對下限（dBFS），背景極安靜時不會把呼吸聲當成語音
+ * - minBandRatio：人聲頻段占總能量的最低比例，擋低頻隆隆聲與高頻嘶聲
+ *   （男聲基頻低於 300Hz，門檻不能太高；白噪音約 0.4，靠平坦度擋）
+ * - maxFlatness：人聲頻段的頻譜平坦度上限（白噪音約 0.55，母音約 0.1-0.3）
+ * 'off' 關閉 VAD，所有音訊照送
+ */
+export const VAD_SENSITIVITIES = [
+  { id: 'off', name: '關閉（全部送出）' },
+  {
+    id: 'low',
+    name: '低（只送明顯的對白）',
+    margin: 12,
+    minEnergy: -45,
+    minBandRatio: 0.35,
+    maxFlatness: 0.4,
+  },
+  {
+    id: 'medium',
+    name: '中（建議）',
+    margin: 9,
+    minEnergy: -50,
+    minBandRatio: 0.25,
+    maxFlatness: 0.45,
+  },
+  {
+    id: 'high',
+    name: '高（小聲的對白也送）',
+    margin: 6,
+    minEnergy: -55,
+    minBandRatio: 0.15,
+    maxFlatness: 0.5,
+  },
+];
+
+/**
+ * 影片播放狀態（Content Script 經 VIDEO_STATE_CHANGED 回報）
+ *
+ * 暫停時不送音訊；暫停太久就關掉辨識連線（Deepgram 暫停期間靠 KeepAlive 撐著，
+ * 不收費但佔著一條連線），按下播放再接回來。
+ */
+export const PLAYBACK_CONFIG = {
+  DEFAULT_PAUSE_IDLE_SECONDS: 60,
+  // 影片播完後等這麼久才結束這一場：最後一句的 final 還在路上
+  ENDED_GRACE_PERIOD: 3000,
+};
+
+/**
+ * 暫停多久後關掉辨識連線（秒），0 為暫停時一直保持連線
+ */
+export const PAUSE_IDLE_OPTIONS = [
+  { seconds: 15, name: '15 秒' },
+  { seconds: 60, name: '1 分鐘（建議）' },
+  { seconds: 300, name: '5 分鐘' },
+  { seconds: 0, name: '不中斷' },
+];
+
 /**
  * 儲存鍵名
  */
@@ -333,12 +532,50 @@ export const STORAGE_KEYS = {
   DEEPGRAM_PROJECT_UUID: 'deepgram_project_uuid',
   DEEPGRAM_MODEL: 'deepgram_model', // 'nova-2' | 'nova-3'
   DEEPGRAM_LANGUAGE: 'deepgram_language', // 'multi' | 'en' | 'zh-TW' | ...
+  DEEPGRAM_DIARIZE: 'deepgram_diarize', // boolean：區分講者（diarize），預設關閉
   DEEPGRAM_RECOGNITION_MODE: 'deepgram_recognition_mode', // 場景導向模式 ID
+  GLOSSARY: 'glossary', // 自訂詞彙 { global, sites, modes }，見 glossary.js；各引擎共用
+  DEEPGRAM_WEBSOCKET_URL: 'deepgram_websocket_url', // 開發用：覆寫 DEEPGRAM_CONFIG.WEBSOCKET_URL，Popup 不提供設定
+  VAD_SENSITIVITY: 'vad_sensitivity', // VAD_SENSITIVITIES 的 ID，預設 VAD_CONFIG.DEFAULT_SENSITIVITY
+  PAUSE_IDLE_SECONDS: 'pause_idle_seconds', // PAUSE_IDLE_OPTIONS 的秒數，預設 PLAYBACK_CONFIG.DEFAULT_PAUSE_IDLE_SECONDS
+
+  // 辨識引擎
+  RECOGNITION_ENGINE: 'recognition_engine', // EngineRegistry 的 ID：'deepgram' | 'whisper' | 'deepgram-local'
+
+  // 翻譯
+  TRANSLATION_ENABLED: 'translation_enabled', // boolean
+  TRANSLATION_TARGET_LANGUAGE: 'translation_target_language', // UI_CONFIG.SUPPORTED_LANGUAGES 代碼
+  TRANSLATION_INCLUDE_TITLE: 'translation_include_title', // boolean，預設開啟
 
   // 通用
   USER_SETTINGS: 'user_settings',
   COST_TRACKING: 'cost_tracking',
-  SUBTITLE_CACHE: 'subtitle_cache',
+  LAST_ERROR: 'last_error', // 最近一次通知使用者的錯誤，Popup 重開時顯示
+  SUBTITLE_CACHE: 'subtitle_cache', // IndexedDB 資料庫名稱（TranscriptStore），不在 chrome.storage
+  TAB_SESSION_PREFIX: 'tab_session_', // chrome.storage.session，後接 tabId：工作階段快照，Service Worker 被回收後據此恢復
+};
+
+/**
+ * 逐字稿庫（TranscriptStore，IndexedDB）
+ */
+export const TRANSCRIPT_STORE_CONFIG = {
+  DB_VERSION: 1,
+  STORE_NAME: 'transcripts',
+  MAX_RECORDS: 500, // 超過時從最舊的開始刪
+  MAX_BYTES: 50 * 1024 * 1024, // 50 MB，以 JSON 大小估算
+  WARNING_RATIO: 0.8, // 逐字稿庫頁面在用量超過 80% 時提醒
+  COVERAGE_GAP: 10, // 重播紀錄時，字幕間隔不超過 10 秒視為連續涵蓋（講者停頓）
+  COVERAGE_LOOKAHEAD: 2, // 距涵蓋範圍尾端 2 秒內就先開即時辨識，補上連線時間
+};
+
+/**
+ * 使用者通知（ErrorHandler.notifyUser）
+ */
+export const NOTIFICATION_CONFIG = {
+  DEDUP_WINDOW: 60000, // 同一錯誤碼 60 秒內只通知一次（重連風暴會連續噴同一種錯）
+  RATE_LIMIT_WINDOW: 60000,
+  RATE_LIMIT_MAX: 3, // 每個視窗最多 3 則，不分錯誤碼
+  TOAST_DURATION: 6000, // Content Script toast 顯示時間
 };
 
 /**
@@ -351,15 +588,26 @@ export const MessageTypes = {
   UPDATE_SETTINGS: 'UPDATE_SETTINGS',
   VERIFY_API_KEY: 'VERIFY_API_KEY',
   GET_COST_STATS: 'GET_COST_STATS',
+  GET_TRANSCRIPT_SUMMARY: 'GET_TRANSCRIPT_SUMMARY',
+  EXPORT_TRANSCRIPT: 'EXPORT_TRANSCRIPT',
+  GET_SESSIONS: 'GET_SESSIONS',
+  RENAME_SPEAKER: 'RENAME_SPEAKER',
 
   // Background → Content
   SUBTITLE_UPDATE: 'SUBTITLE_UPDATE',
+  TRANSLATION_UPDATE: 'TRANSLATION_UPDATE',
   STYLE_UPDATE: 'STYLE_UPDATE',
+  SPEAKER_NAMES_UPDATE: 'SPEAKER_NAMES_UPDATE',
+  UTTERANCE_END: 'UTTERANCE_END', // 一段話講完：收掉過時的字幕
+  SPEECH_STARTED: 'SPEECH_STARTED', // 又有人開口：上一行字幕到此為止
   CLEAR_SUBTITLES: 'CLEAR_SUBTITLES',
+  SHOW_TOAST: 'SHOW_TOAST',
 
   // Content → Background
   VIDEO_STATE_CHANGED: 'VIDEO_STATE_CHANGED',
   SUBTITLE_RENDERED: 'SUBTITLE_RENDERED',
+  LOAD_CACHED_TRANSCRIPT: 'LOAD_CACHED_TRANSCRIPT',
+  CACHE_COVERAGE_CHANGED: 'CACHE_COVERAGE_CHANGED',
 
   // 錯誤回報
   ERROR: 'ERROR',
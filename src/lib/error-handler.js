@@ -1,11 +1,72 @@
 /**
  * 錯誤處理器 - 統一處理所有錯誤,包含重試邏輯與使用者通知
+ *
+ * 使用者通知分三處：
+ * - 播放中（context 帶 tabId）的錯誤：Content Script 在 overlay 上顯示 toast
+ * - 讓字幕整個停擺的錯誤或沒有分頁可顯示時：chrome.notifications 系統通知
+ * - 一律寫入 STORAGE_KEYS.LAST_ERROR，Popup 重開時顯示
  */
 import { BabelBridgeError, ErrorCodes } from './errors.js';
+import { MessageTypes, NOTIFICATION_CONFIG, STORAGE_KEYS } from './config.js';
+
+/**
+ * 使用者看得懂、也知道下一步怎麼做的訊息；每個 ErrorCodes 都要有一條
+ */
+const USER_MESSAGES = {
+  [ErrorCodes.API_KEY_INVALID]: '無效的 OpenAI API Key,請檢查設定',
+  [ErrorCodes.API_KEY_MISSING]: '尚未設定 OpenAI API Key',
+  [ErrorCodes.API_RATE_LIMIT]: 'API 請求頻率過高,請稍後再試',
+  [ErrorCodes.API_NETWORK_ERROR]: '網路連線錯誤,請檢查網路狀態',
+  [ErrorCodes.API_RESPONSE_ERROR]: 'OpenAI 回應異常,請稍後再試',
+  [ErrorCodes.AUDIO_CAPTURE_FAILED]: '音訊擷取失敗',
+  [ErrorCodes.AUDIO_PERMISSION_DENIED]: '需要音訊權限才能使用',
+  [ErrorCodes.AUDIO_ENCODING_FAILED]: '音訊編碼失敗,部分字幕可能遺漏',
+  [ErrorCodes.WHISPER_TRANSCRIPTION_FAILED]: '語音辨識失敗',
+  [ErrorCodes.WHISPER_UNSUPPORTED_FORMAT]: 'Whisper 不支援此音訊格式',
+  [ErrorCodes.TRANSLATION_FAILED]: '翻譯失敗',
+  [ErrorCodes.STORAGE_READ_ERROR]: '讀取設定失敗',
+  [ErrorCodes.STORAGE_WRITE_ERROR]: '儲存設定失敗',
+  [ErrorCodes.SETTINGS_INVALID]: '設定值不合法',
+  [ErrorCodes.BUDGET_EXCEEDED]: '已達預算上限，字幕已停止',
+  [ErrorCodes.TRANSCRIPT_EMPTY]: '目前沒有可匯出的逐字稿',
+  [ErrorCodes.CRYPTO_ERROR]: 'API Key 加密失敗,請重新儲存',
+  [ErrorCodes.CRYPTO_KEY_DERIVATION_FAILED]: 'API Key 加密失敗,請重新儲存',
+  [ErrorCodes.CRYPTO_DECRYPTION_FAILED]: '無法解密已儲存的 API Key,請重新輸入',
+  [ErrorCodes.DEEPGRAM_API_KEY_INVALID]: '無效的 Deepgram API Key,請檢查設定',
+  [ErrorCodes.DEEPGRAM_API_KEY_NOT_FOUND]: '尚未設定 Deepgram API Key',
+  [ErrorCodes.DEEPGRAM_API_KEY_DECRYPT_FAILED]: '無法解密 Deepgram API Key,請重新輸入',
+  [ErrorCodes.DEEPGRAM_API_KEY_PERMISSION_DENIED]: 'Deepgram API Key 權限不足,需要 usage:write',
+  [ErrorCodes.DEEPGRAM_RATE_LIMIT_EXCEEDED]: 'Deepgram 請求頻率過高,請稍後再試',
+  [ErrorCodes.DEEPGRAM_WEBSOCKET_ERROR]: 'Deepgram 辨識服務回報錯誤',
+  [ErrorCodes.DEEPGRAM_SERVICE_UNAVAILABLE]: 'Deepgram 服務暫時無法使用,請稍後再試',
+  [ErrorCodes.DEEPGRAM_NETWORK_ERROR]: '與 Deepgram 的連線中斷,正在重新連線',
+  [ErrorCodes.INIT_FAILED]: '初始化失敗,請重新啟用字幕',
+  // UNKNOWN_ERROR 不列：沒有更好的說法，直接沿用原始訊息
+};
+
+/**
+ * 會讓字幕整個停擺的錯誤：overlay 可能已經不在，改用系統通知
+ */
+const SYSTEM_NOTICE_CODES = new Set([
+  ErrorCodes.API_KEY_INVALID,
+  ErrorCodes.API_KEY_MISSING,
+  ErrorCodes.AUDIO_CAPTURE_FAILED,
+  ErrorCodes.AUDIO_PERMISSION_DENIED,
+  ErrorCodes.BUDGET_EXCEEDED,
+  ErrorCodes.DEEPGRAM_API_KEY_INVALID,
+  ErrorCodes.DEEPGRAM_API_KEY_NOT_FOUND,
+  ErrorCodes.DEEPGRAM_API_KEY_DECRYPT_FAILED,
+  ErrorCodes.DEEPGRAM_API_KEY_PERMISSION_DENIED,
+  ErrorCodes.DEEPGRAM_SERVICE_UNAVAILABLE,
+]);
 
 export class ErrorHandler {
   static retryState = new Map();
 
+  // 通知去重與限流
+  static lastNoticeAt = new Map(); // code → 上次通知時間
+  static noticeLog = []; // 視窗內每則通知的時間
+
   /**
    * 處理錯誤的主要入口
    * @param {Error|BabelBridgeError} error
@@ -79,6 +140,7 @@ export class ErrorHandler {
       ErrorCodes.API_RATE_LIMIT,
       ErrorCodes.AUDIO_ENCODING_FAILED,
       ErrorCodes.WHISPER_TRANSCRIPTION_FAILED,
+      ErrorCodes.TRANSLATION_FAILED,
     ];
 
     return retryableCodes.includes(error.code);
@@ -125,40 +187,157 @@ export class ErrorHandler {
 
   /**
    * 通知使用者錯誤
+   *
+   * context.silent 為 true 時只記錄 last error、不跳通知（呼叫端已自行顯示，例如 Popup）。
+   *
+   * @param {BabelBridgeError} error
+   * @param {{tabId?: number, silent?: boolean, operation?: string}} context
    */
   static async notifyUser(error, context) {
     const userMessage = this.getUserMessage(error);
 
-    // 透過 chrome.notifications 顯示通知 (需在 manifest 加入 notifications 權限)
-    // 目前先用 console 代替
+    // 被去重、限流掉的錯誤也要留下，Popup 重開時看到的是最新的那一則
+    await this.saveLastError(error, userMessage, context);
+
+    if (context.silent) {
+      return;
+    }
+
+    if (!this.shouldNotify(error.code)) {
+      console.warn('[ErrorHandler] 通知已抑制（重複或過於頻繁）:', error.code);
+      return;
+    }
+
     console.error('[User Notice]', userMessage);
 
-    // TODO: 實作 notification UI
-    // chrome.notifications.create({
-    //   type: 'basic',
-    //   iconUrl: 'icons/icon48.png',
-    //   title: 'Babel Bridge Error',
-    //   message: userMessage,
-    // });
+    if (context.tabId && !SYSTEM_NOTICE_CODES.has(error.code)) {
+      await this.showToast(context.tabId, error.code, userMessage);
+    } else {
+      await this.showSystemNotification(error.code, userMessage);
+    }
+  }
+
+  /**
+   * 去重與限流：同一錯誤碼 DEDUP_WINDOW 內只通知一次，
+   * 所有錯誤合計每 RATE_LIMIT_WINDOW 最多 RATE_LIMIT_MAX 則
+   *
+   * @param {string} code
+   * @param {number} [now]
+   * @returns {boolean} 是否該通知
+   */
+  static shouldNotify(code, now = Date.now()) {
+    const last = this.lastNoticeAt.get(code);
+    if (last !== undefined && now - last < NOTIFICATION_CONFIG.DEDUP_WINDOW) {
+      return false;
+    }
+
+    this.noticeLog = this.noticeLog.filter(
+      (time) => now - time < NOTIFICATION_CONFIG.RATE_LIMIT_WINDOW
+    );
+    if (this.noticeLog.length >= NOTIFICATION_CONFIG.RATE_LIMIT_MAX) {
+      return false;
+    }
+
+    this.lastNoticeAt.set(code, now);
+    this.noticeLog.push(now);
+    return true;
+  }
+
+  /**
+   * 清除去重與限流狀態
+   */
+  static resetNoticeState() {
+    this.lastNoticeAt.clear();
+    this.noticeLog = [];
+  }
+
+  /**
+   * 在播放中的分頁顯示 toast（Content Script 可能已卸載，失敗就改用系統通知）
+   * @private
+   */
+  static async showToast(tabId, code, message) {
+    try {
+      await chrome.tabs.sendMessage(tabId, {
+        type: MessageTypes.SHOW_TOAST,
+        data: { code, message },
+      });
+    } catch (error) {
+      console.warn('[ErrorHandler] 無法顯示 toast，改用系統通知:', error.message);
+      await this.showSystemNotification(code, message);
+    }
+  }
+
+  /**
+   * 顯示系統通知（以錯誤碼為 ID，同類通知會取代而非堆疊）
+   * @private
+   */
+  static async showSystemNotification(code, message) {
+    // Content Script、Offscreen 沒有 chrome.notifications
+    if (!chrome.notifications?.create) {
+      return;
+    }
+
+    try {
+      await chrome.notifications.create(`babel-bridge-${code}`, {
+        type: 'basic',
+        iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+        title: 'Babel Bridge',
+        message,
+      });
+    } catch (error) {
+      console.warn('[ErrorHandler] 系統通知失敗:', error.message);
+    }
+  }
+
+  /**
+   * 保存最近一次錯誤，Popup 重開時顯示
+   * @private
+   */
+  static async saveLastError(error, userMessage, context) {
+    try {
+      await chrome.storage.local.set({
+        [STORAGE_KEYS.LAST_ERROR]: {
+          code: error.code,
+          message: userMessage,
+          detail: error.message,
+          operation: context.operation || null,
+          timestamp: error.timestamp,
+        },
+      });
+    } catch (storageError) {
+      console.warn('[ErrorHandler] 無法保存錯誤紀錄:', storageError.message);
+    }
+  }
+
+  /**
+   * 取得最近一次錯誤
+   * @returns {Promise<LastError|null>}
+   */
+  static async getLastError() {
+    const result = await chrome.storage.local.get(STORAGE_KEYS.LAST_ERROR);
+    return /** @type {LastError|undefined} */ (result[STORAGE_KEYS.LAST_ERROR]) || null;
+  }
+
+  /**
+   * 清除最近一次錯誤（使用者在 Popup 按下關閉）
+   */
+  static async clearLastError() {
+    await chrome.storage.local.remove(STORAGE_KEYS.LAST_ERROR);
   }
 
   /**
    * 取得使用者友善的錯誤訊息
    */
   static getUserMessage(error) {
-    const messages = {
-      [ErrorCodes.API_KEY_INVALID]: '無效的 OpenAI API Key,請檢查設定',
-      [ErrorCodes.API_KEY_MISSING]: '尚未設定 OpenAI API Key',
-      [ErrorCodes.API_RATE_LIMIT]: 'API 請求頻率過高,請稍後再試',
-      [ErrorCodes.API_NETWORK_ERROR]: '網路連線錯誤,請檢查網路狀態',
-      [ErrorCodes.AUDIO_CAPTURE_FAILED]: '音訊擷取失敗',
-      [ErrorCodes.AUDIO_PERMISSION_DENIED]: '需要音訊權限才能使用',
-      [ErrorCodes.WHISPER_TRANSCRIPTION_FAILED]: '語音辨識失敗',
-      [ErrorCodes.TRANSLATION_FAILED]: '翻譯失敗',
-      [ErrorCodes.STORAGE_READ_ERROR]: '讀取設定失敗',
-      [ErrorCodes.STORAGE_WRITE_ERROR]: '儲存設定失敗',
-    };
-
-    return messages[error.code] || `發生錯誤: ${error.message}`;
+    return USER_MESSAGES[error.code] || `發生錯誤: ${error.message}`;
   }
 }
+
+/**
+ * @typedef {Object} LastError
+ * @property {string} code - ErrorCodes
+ * @property {string} message - getUserMessage() 的結果
+ * @property {string} detail - 原始錯誤訊息（除錯用）
+ * @property {string|null} operation
+ * @property {number} timestamp
+ */
@@ -73,6 +73,13 @@ export const ErrorCodes = {
   // 儲存相關
   STORAGE_READ_ERROR: 'STORAGE_READ_ERROR',
   STORAGE_WRITE_ERROR: 'STORAGE_WRITE_ERROR',
+  SETTINGS_INVALID: 'SETTINGS_INVALID',
+
+  // 預算相關
+  BUDGET_EXCEEDED: 'BUDGET_EXCEEDED',
+
+  // 逐字稿相關
+  TRANSCRIPT_EMPTY: 'TRANSCRIPT_EMPTY',
 
   // 加密相關
   CRYPTO_ERROR: 'CRYPTO_ERROR',
@@ -0,0 +1,340 @@
+/**
+ * 自訂詞彙 - 人名、產品名、專有名詞等容易辨識錯的詞，啟用字幕時交給辨識引擎加權
+ *
+ * 詞彙表存在 STORAGE_KEYS.GLOSSARY，分三種範圍：
+ * - global：每個網站、每種辨識模式都套用
+ * - sites：依網站（getSiteKey() 的主機名稱）
+ * - modes：依辨識模式（RECOGNITION_MODES 的 id）
+ *
+ * 啟用時 resolveGlossaryTerms() 把三份合併去重，Deepgram 以 keywords（Nova-2）或
+ * keyterm（Nova-3）送出，Whisper 以 buildWhisperPrompt() 組成 prompt。
+ * Popup 另可匯入、匯出 CSV（scope,target,term 三欄）。
+ */
+import { GLOSSARY_CONFIG, RECOGNITION_MODES } from './config.js';
+import { textWidth } from './caption-layout.js';
+import { getSiteKey } from './page-identity.js';
+
+/** 全域、網站、辨識模式 */
+export const GLOSSARY_SCOPES = ['global', 'site', 'mode'];
+
+const CSV_HEADER = ['scope', 'target', 'term'];
+
+/**
+ * 整理詞彙清單：去掉前後空白與重複（不分大小寫，保留先出現的寫法），略過空白與過長的詞
+ *
+ * @param {unknown} terms
+ * @returns {string[]}
+ */
+export function normalizeTerms(terms) {
+  if (!Array.isArray(terms)) return [];
+
+  const seen = new Set();
+  const result = [];
+  for (const term of terms) {
+    if (typeof term !== 'string') continue;
+
+    const text = term.trim().replace(/\s+/g, ' ');
+    const key = text.toLowerCase();
+    if (!text || text.length > GLOSSARY_CONFIG.MAX_TERM_LENGTH || seen.has(key)) continue;
+
+    seen.add(key);
+    result.push(text);
+  }
+  return result;
+}
+
+/**
+ * 補齊詞彙表的結構；來源是 storage 或匯入的檔案，格式不對的部分直接略過
+ *
+ * @param {unknown} [glossary]
+ * @returns {Glossary}
+ */
+export function normalizeGlossary(glossary) {
+  const raw = /** @type {Partial<Glossary>} */ (isObject(glossary) ? glossary : {});
+
+  return {
+    global: normalizeTerms(raw.global),
+    sites: normalizeTermMap(raw.sites, normalizeSiteTarget),
+    modes: normalizeTermMap(raw.modes, normalizeModeTarget),
+  };
+}
+
+/**
+ * 某個範圍的詞
+ *
+ * @param {Glossary} glossary
+ * @param {string} scope - GLOSSARY_SCOPES
+ * @param {string|null} [target] - site 為網站、mode 為辨識模式 ID；global 不用
+ * @returns {string[]}
+ */
+export function getScopeTerms(glossary, scope, target = null) {
+  if (scope === 'site') return glossary.sites[target] ?? [];
+  if (scope === 'mode') return glossary.modes[target] ?? [];
+  return glossary.global;
+}
+
+/**
+ * 換掉某個範圍的詞（不改原本的詞彙表）；清空的網站與辨識模式直接移除
+ *
+ * @param {Glossary} glossary
+ * @param {string} scope - GLOSSARY_SCOPES
+ * @param {string|null} target
+ * @param {string[]} terms
+ * @returns {Glossary}
+ */
+export function setScopeTerms(glossary, scope, target, terms) {
+  const normalized = normalizeTerms(terms);
+  if (scope === 'global') return { ...glossary, global: normalized };
+
+  const key = scope === 'site' ? 'sites' : 'modes';
+  const map = { ...glossary[key] };
+  if (normalized.length > 0) {
+    map[target] = normalized;
+  } else {
+    delete map[target];
+  }
+  return { ...glossary, [key]: map };
+}
+
+/**
+ * 合併兩份詞彙表（匯入 CSV 時併進現有的）
+ *
+ * @param {Glossary} base
+ * @param {Glossary} extra
+ * @returns {Glossary}
+ */
+export function mergeGlossaries(base, extra) {
+  const mergeMaps = (a, b) => {
+    const merged = { ...a };
+    for (const [target, terms] of Object.entries(b)) {
+      merged[target] = normalizeTerms([...(merged[target] ?? []), ...terms]);
+    }
+    return merged;
+  };
+
+  return {
+    global: normalizeTerms([...base.global, ...extra.global]),
+    sites: mergeMaps(base.sites, extra.sites),
+    modes: mergeMaps(base.modes, extra.modes),
+  };
+}
+
+/**
+ * 這次啟用要送給辨識引擎的詞：全域、網站、辨識模式依序合併去重，最多 GLOSSARY_CONFIG.MAX_TERMS 個
+ *
+ * @param {unknown} glossary - storage 裡的原始值
+ * @param {Object} context
+ * @param {string|null} [context.url] - 分頁網址
+ * @param {string|null} [context.modeId] - 辨識模式 ID
+ * @returns {string[]}
+ */
+export function resolveGlossaryTerms(glossary, { url = null, modeId = null } = {}) {
+  const normalized = normalizeGlossary(glossary);
+  const site = getSiteKey(url);
+
+  return normalizeTerms([
+    ...normalized.global,
+    ...((site && normalized.sites[site]) || []),
+    ...((modeId && normalized.modes[modeId]) || []),
+  ]).slice(0, GLOSSARY_CONFIG.MAX_TERMS);
+}
+
+/**
+ * Whisper 的 prompt：以頓號串起詞彙，超過 GLOSSARY_CONFIG.WHISPER_PROMPT_MAX_WIDTH 的詞不放
+ *
+ * Whisper 把 prompt 當成前文，照著裡面的寫法拼字，列出詞彙就有加權的效果。
+ *
+ * @param {string[]} terms
+ * @returns {string} 沒有詞時為空字串
+ */
+export function buildWhisperPrompt(terms) {
+  let prompt = '';
+  for (const term of terms) {
+    const next = prompt ? `${prompt}、${term}` : term;
+    if (textWidth(next) > GLOSSARY_CONFIG.WHISPER_PROMPT_MAX_WIDTH) break;
+    prompt = next;
+  }
+  return prompt;
+}
+
+/**
+ * 匯出 CSV：scope,target,term，每個詞一列
+ *
+ * @param {Glossary} glossary
+ * @returns {string}
+ */
+export function glossaryToCsv(glossary) {
+  const rows = [CSV_HEADER];
+  for (const term of glossary.global) {
+    rows.push(['global', '', term]);
+  }
+  for (const [site, terms] of Object.entries(glossary.sites)) {
+    for (const term of terms) rows.push(['site', site, term]);
+  }
+  for (const [modeId, terms] of Object.entries(glossary.modes)) {
+    for (const term of terms) rows.push(['mode', modeId, term]);
+  }
+  return rows.map((row) => row.map(escapeCsvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * 匯入 CSV
+ *
+ * 欄位同 glossaryToCsv()，標題列可省略；只有一欄的列視為全域詞，
+ * 方便直接匯入一行一個詞的清單。範圍或對象不認得的列略過並計入 skipped。
+ *
+ * @param {string} text
+ * @returns {{glossary: Glossary, imported: number, skipped: number}}
+ */
+export function parseGlossaryCsv(text) {
+  const raw = { global: [], sites: {}, modes: {} };
+  let imported = 0;
+  let skipped = 0;
+
+  // 試算表軟體存的 UTF-8 CSV 常帶 BOM
+  const rows = parseCsvRows(text.replace(/^\ufeff/, ''));
+  if (rows[0]?.map((field) => field.trim().toLowerCase()).join() === CSV_HEADER.join()) {
+    rows.shift();
+  }
+
+  for (const row of rows) {
+    const fields = row.map((field) => field.trim());
+    if (fields.every((field) => !field)) continue;
+
+    const [scope, target, term] = fields.length === 1 ? ['global', '', fields[0]] : fields;
+    const site = scope === 'site' ? normalizeSiteTarget(target) : null;
+    const modeId = scope === 'mode' ? normalizeModeTarget(target) : null;
+
+    if (!term || !(scope === 'global' || site || modeId)) {
+      skipped++;
+      continue;
+    }
+
+    if (site) {
+      (raw.sites[site] ??= []).push(term);
+    } else if (modeId) {
+      (raw.modes[modeId] ??= []).push(term);
+    } else {
+      raw.global.push(term);
+    }
+    imported++;
+  }
+
+  return { glossary: normalizeGlossary(raw), imported, skipped };
+}
+
+/**
+ * 網站欄位可以是主機名稱或完整網址
+ * @private
+ * @param {unknown} target
+ * @returns {string|null}
+ */
+function normalizeSiteTarget(target) {
+  if (typeof target !== 'string' || !target.trim()) return null;
+
+  const value = target.trim();
+  return getSiteKey(/^https?:\/\//i.test(value) ? value : `https://${value}`);
+}
+
+/**
+ * @private
+ * @param {unknown} target
+ * @returns {string|null}
+ */
+function normalizeModeTarget(target) {
+  const mode = RECOGNITION_MODES.find((candidate) => candidate.id === target);
+  return mode ? mode.id : null;
+}
+
+/**
+ * @private
+ * @param {unknown} map
+ * @param {(target: string) => string|null} normalizeTarget
+ * @returns {Object<string, string[]>}
+ */
+function normalizeTermMap(map, normalizeTarget) {
+  const result = {};
+  if (!isObject(map)) return result;
+
+  for (const [target, terms] of Object.entries(map)) {
+    const key = normalizeTarget(target);
+    if (!key) continue;
+
+    const normalized = normalizeTerms([...(result[key] ?? []), ...normalizeTerms(terms)]);
+    if (normalized.length > 0) {
+      result[key] = normalized;
+    }
+  }
+  return result;
+}
+
+/**
+ * @private
+ * @param {unknown} value
+ * @returns {value is Object}
+ */
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * @private
+ * @param {string} field
+ * @returns {string}
+ */
+function escapeCsvField(field) {
+  return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+}
+
+/**
+ * 拆 CSV（RFC 4180：雙引號包住的欄位可含逗號、換行，"" 為一個雙引號）
+ * @private
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * @typedef {Object} Glossary
+ * @property {string[]} global
+ * @property {Object<string, string[]>} sites - 網站 → 詞
+ * @property {Object<string, string[]>} modes - 辨識模式 ID → 詞
+ */
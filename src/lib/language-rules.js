@@ -8,6 +8,16 @@
  * @license MIT
  */
 
+// 換行點：開頭括號、引號之後與收尾標點之前不斷（中日文的避頭尾）
+const OPENING_MARK = /[「『（【〈《“‘([]$/
+const CLOSING_MARK = /^[、。，．！？：；」』）】〉》”’…ー,.!?;:)\]]/
+
+// 句中標點：各語言規則裡「應該合併」的逗號類，在這裡斷開最自然
+const CLAUSE_MARK = /[,，、;；:：—]$/
+
+// 片語邊界：連接詞、介系詞之前
+const PHRASE_START = /^(and|but|or|so|because|that|which|who|when|while|if|although|though|to|of|in|on|at|for|with|from|about|after|before|但是|可是|不過|因為|所以|而且|並且|然後|如果|雖然|或者|還是|以及)(?![a-z])/i
+
 /**
  * 語言規則管理器
  *
@@ -310,6 +320,84 @@ export class LanguageRules {
     return this._shouldMergeEnglish(seg1, seg2)
   }
 
+  /**
+   * 判斷文字是否已是完整句子（以句末標點結束）
+   *
+   * 與 shouldMerge 的差別：shouldMerge 在沒有標點時預設「不合併」，
+   * 但串流字幕的 final 片段常常沒有標點、話還沒講完，這裡只有看到句末標點才算完整。
+   * 結尾的引號、括號會先略過（例如 `他說：「好。」`）。
+   *
+   * @param {string} text - 待判斷文字
+   * @param {string} [language='auto'] - 語言代碼
+   * @returns {boolean} 是否為完整句子
+   *
+   * @example
+   * LanguageRules.isSentenceEnd('今天天氣很好。', 'zh-TW')  // true
+   * LanguageRules.isSentenceEnd('I met Dr.', 'en')           // false
+   */
+  static isSentenceEnd(text, language = 'auto') {
+    const trimmed = text.trim().replace(/["'」』）)]+$/, '')
+    if (!trimmed) {
+      return false
+    }
+
+    let normalized = language.toLowerCase()
+    if (normalized === 'auto' || normalized === 'multi') {
+      normalized = this.detectLanguage(trimmed)
+    }
+
+    switch (normalized.split('-')[0]) {
+      case 'zh':
+        return /[。！？；：!?]$/.test(trimmed)
+
+      case 'ja':
+      case 'jp':
+        return /[。！？!?]$/.test(trimmed)
+
+      case 'ko':
+      case 'kr':
+        return /[.!?。！？]$/.test(trimmed)
+
+      case 'en': {
+        // 縮寫的句點不是句末
+        const abbreviation = /\b(Mr|Mrs|Ms|Dr|Prof|Sr|Jr|etc|e\.g|i\.e|vs|Ph\.D)\.$/.test(trimmed)
+        return !abbreviation && /[.!?;:]$/.test(trimmed)
+      }
+
+      default:
+        return /[.!?;:。！？]$/.test(trimmed)
+    }
+  }
+
+  /**
+   * 換行點的優先順序
+   *
+   * 字幕太長要拆成幾行時，在 before 與 after 之間斷開合不合適，數字越大越好。
+   * 句末沿用 isSentenceEnd() 的各語言規則（縮寫的句點不算），句中標點與各語言
+   * _shouldMerge*() 裡的逗號、頓號一致。
+   *
+   * @param {string} before - 斷點前的文字（這一行到斷點為止）
+   * @param {string} after - 斷點後的文字
+   * @param {string} [language='auto'] - 語言代碼
+   * @returns {number} 3 句末、2 句中標點、1 片語邊界、0 一般字詞邊界、-1 不該斷
+   *
+   * @example
+   * LanguageRules.breakPriority('今天天氣很好，', '我們去散步')  // 2
+   * LanguageRules.breakPriority('I met Dr.', 'Smith', 'en')      // 0
+   */
+  static breakPriority(before, after, language = 'auto') {
+    const text1 = before.trim()
+    const text2 = after.trim()
+    if (!text1 || !text2 || OPENING_MARK.test(text1) || CLOSING_MARK.test(text2)) {
+      return -1
+    }
+
+    if (this.isSentenceEnd(text1, language)) return 3
+    if (CLAUSE_MARK.test(text1)) return 2
+    if (PHRASE_START.test(text2)) return 1
+    return 0
+  }
+
   /**
    * 檢測文字的主要語言
    *
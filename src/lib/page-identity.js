@@ -0,0 +1,102 @@
+/**
+ * 頁面識別 - 正規化網址與影片識別碼
+ *
+ * 同一部影片的網址常帶著不同的追蹤參數、播放位置或播放清單，
+ * 逐字稿庫以這裡算出的 key 歸檔，同一部影片的多場紀錄才會歸在一起：
+ * - canonicalizeUrl()：去掉 hash、追蹤參數與 www，其餘參數排序
+ * - getVideoKey()：認得的影片站台給 `youtube:<id>` 這類穩定 ID，其餘退回正規化網址
+ * - getSiteKey()：網站（去掉 www 的主機名稱），自訂詞彙依它分網站存放
+ */
+
+// 不影響內容的參數：分享追蹤、播放位置、播放清單
+const IGNORED_PARAMS = /^(utm_.*|fbclid|gclid|si|feature|ref|ref_src|spm_id_from|vd_source|t|list|index|pp)$/;
+
+const YOUTUBE_HOSTS = new Set(['youtube.com', 'm.youtube.com', 'music.youtube.com']);
+
+/**
+ * 正規化網址；不是 http(s) 網址時回傳 null
+ *
+ * @param {string|null|undefined} url
+ * @returns {string|null}
+ */
+export function canonicalizeUrl(url) {
+  const parsed = parseHttpUrl(url);
+  if (!parsed) return null;
+
+  const params = [...parsed.searchParams.entries()]
+    .filter(([key]) => !IGNORED_PARAMS.test(key))
+    .sort(([a], [b]) => a.localeCompare(b));
+
+  const search = new URLSearchParams(params).toString();
+  const path = parsed.pathname.replace(/\/+$/, '') || '/';
+
+  return `${parsed.protocol}//${normalizeHost(parsed.hostname)}${path}${search ? `?${search}` : ''}`;
+}
+
+/**
+ * 影片識別碼
+ *
+ * @param {string|null|undefined} url
+ * @returns {string|null} 'youtube:<id>' | 'bilibili:<bvid>' | 'url:<canonical>'；無法識別時為 null
+ */
+export function getVideoKey(url) {
+  const parsed = parseHttpUrl(url);
+  if (!parsed) return null;
+
+  const host = normalizeHost(parsed.hostname);
+  const segments = parsed.pathname.split('/').filter(Boolean);
+
+  if (YOUTUBE_HOSTS.has(host)) {
+    const id =
+      segments[0] === 'watch'
+        ? parsed.searchParams.get('v')
+        : ['shorts', 'embed', 'live'].includes(segments[0])
+          ? segments[1]
+          : null;
+    if (id) return `youtube:${id}`;
+  }
+
+  if (host === 'youtu.be' && segments[0]) {
+    return `youtube:${segments[0]}`;
+  }
+
+  if (host === 'bilibili.com' && segments[0] === 'video' && segments[1]) {
+    // 分 P 影片以 ?p= 區分，第 1 P 不帶參數
+    const part = parsed.searchParams.get('p');
+    return `bilibili:${segments[1]}${part && part !== '1' ? `:p${part}` : ''}`;
+  }
+
+  return `url:${canonicalizeUrl(url)}`;
+}
+
+/**
+ * 網站識別碼：小寫、去掉 www 的主機名稱
+ *
+ * @param {string|null|undefined} url
+ * @returns {string|null} 例如 'youtube.com'；不是 http(s) 網址時為 null
+ */
+export function getSiteKey(url) {
+  const parsed = parseHttpUrl(url);
+  return parsed ? normalizeHost(parsed.hostname) : null;
+}
+
+/**
+ * @private
+ */
+function parseHttpUrl(url) {
+  if (!url) return null;
+
+  try {
+    const parsed = new URL(url);
+    return ['http:', 'https:'].includes(parsed.protocol) ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @private
+ */
+function normalizeHost(hostname) {
+  return hostname.toLowerCase().replace(/^www\./, '');
+}
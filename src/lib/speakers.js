@@ -0,0 +1,100 @@
+/**
+ * 講者標示 - 講者分段、名稱與字詞接合
+ *
+ * Deepgram 開了 diarize 之後每個字帶 speaker（0 起算的編號），一行字幕裡可能換人講。
+ * Content Script 的 overlay 與逐字稿匯出（transcript-format.js）共用這裡的分段與命名，
+ * 畫面上看到的「Speaker 1:」與匯出的檔案一致。
+ *
+ * 講者名稱以 { [speaker]: name } 存在各分頁的工作階段（TabSession.speakerNames），
+ * 沒改名的講者用預設標籤。
+ */
+import { UI_CONFIG } from './config.js';
+
+// 中日韓文字與全形標點：字與字之間不加空白
+const CJK_CHAR = /[\u2e80-\u9fff\uac00-\ud7af\uf900-\ufaff\uff00-\uffef]/;
+
+/**
+ * 講者標籤：改過名用名稱，否則「Speaker N」（從 1 起算）
+ *
+ * @param {number} speaker
+ * @param {Object<string, string>} [names]
+ * @returns {string}
+ */
+export function speakerLabel(speaker, names = {}) {
+  return names[speaker] || `Speaker ${speaker + 1}`;
+}
+
+/**
+ * 講者在 overlay 上的標籤顏色（依編號輪流使用 UI_CONFIG.SPEAKER_COLORS）
+ *
+ * @param {number} speaker
+ * @returns {string}
+ */
+export function speakerColor(speaker) {
+  const colors = UI_CONFIG.SPEAKER_COLORS;
+  return colors[speaker % colors.length];
+}
+
+/**
+ * 把逐字時間依講者切成連續的幾段
+ *
+ * @param {Array<{text: string, speaker?: number}>} words
+ * @returns {Array<{speaker: number, words: Array<{text: string, speaker?: number}>}>}
+ *   沒有講者資訊（沒開 diarize、Whisper）時為空陣列
+ */
+export function speakerTurns(words) {
+  if (!words.some((word) => typeof word.speaker === 'number')) return [];
+
+  const turns = [];
+  for (const word of words) {
+    const last = turns[turns.length - 1];
+    // 少數沒標到講者的字併入前一段
+    const speaker = typeof word.speaker === 'number' ? word.speaker : (last?.speaker ?? 0);
+    if (last && last.speaker === speaker) {
+      last.words.push(word);
+    } else {
+      turns.push({ speaker, words: [word] });
+    }
+  }
+  return turns;
+}
+
+/**
+ * 兩個字之間要不要補空白（任一邊是中日韓文字或全形標點就不補）
+ *
+ * @param {string} previous
+ * @param {string} next
+ * @returns {boolean}
+ */
+export function needsSpaceBetween(previous, next) {
+  return !CJK_CHAR.test(previous.slice(-1)) && !CJK_CHAR.test(next[0]);
+}
+
+/**
+ * 把字詞接回一行文字
+ *
+ * @param {string[]} texts
+ * @returns {string}
+ */
+export function joinWords(texts) {
+  return texts.reduce(
+    (line, text) => (line && needsSpaceBetween(line, text) ? `${line} ${text}` : line + text),
+    ''
+  );
+}
+
+/**
+ * 字幕文字加上講者標籤，換人講就換行：「Speaker 1: …\nSpeaker 2: …」
+ *
+ * @param {{text: string, words?: Array<{text: string, speaker?: number}>}} caption
+ * @param {Object<string, string>} [names]
+ * @returns {string} 沒有講者資訊時原樣回傳 caption.text
+ */
+export function labelCaptionText(caption, names = {}) {
+  const turns = speakerTurns(caption.words || []);
+  if (turns.length === 0) return caption.text;
+
+  return turns
+    .map((turn) => `${speakerLabel(turn.speaker, names)}: ${joinWords(turn.words.map((word) => word.text))}`)
+    .join('\n');
+}
@@ -0,0 +1,119 @@
+/**
+ * 字幕樣式 - 設定值正規化與 CSS 轉換
+ *
+ * Popup 預覽與 Content Script 的 SubtitleOverlay 共用，兩邊畫出來的才會一致：
+ * - normalizeSubtitleStyle()：補上預設值、夾限數值、擋掉不認得的選項
+ * - subtitleStyleToCss()：轉成要套到 .babel-subtitle 的 inline style
+ *
+ * 設定存在 STORAGE_KEYS.USER_SETTINGS 的 subtitleStyle，預設值見 UI_CONFIG.DEFAULT_STYLE。
+ */
+import { UI_CONFIG } from './config.js';
+
+export const EDGE_STYLES = ['none', 'shadow', 'outline'];
+export const POSITIONS = ['bottom', 'top'];
+/** 單行、滾動（roll-up）、整段（pop-on），多行模式見 caption-modes.js */
+export const DISPLAY_MODES = ['single', 'rollup', 'popon'];
+
+const FONT_SIZE_RANGE = [12, 64];
+const OFFSET_RANGE = [0, 400];
+const LINE_COUNT_RANGE = [2, 3];
+const LINE_FADE_RANGE = [1, 15];
+const CHARS_PER_LINE_RANGE = [10, 80];
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+/** 文字邊緣效果；outline 用四向陰影模擬描邊，-webkit-text-stroke 會吃掉中文筆畫 */
+const TEXT_SHADOWS = {
+  none: 'none',
+  shadow: '2px 2px 4px rgba(0, 0, 0, 0.8)',
+  outline: '-1px -1px 0 #000, 1px -1px 0 #000, -1px 1px 0 #000, 1px 1px 0 #000',
+};
+
+/**
+ * 補齊並夾限樣式設定
+ *
+ * 來源是 storage 與訊息，可能是舊版本存下的殘缺值或格式不對的值，
+ * 不合法的欄位一律退回預設值，而不是讓 overlay 畫壞。
+ *
+ * @param {Partial<SubtitleStyle>} [style]
+ * @returns {SubtitleStyle}
+ */
+export function normalizeSubtitleStyle(style = {}) {
+  const defaults = UI_CONFIG.DEFAULT_STYLE;
+  const pick = (value, isValid, fallback) => (isValid(value) ? value : fallback);
+
+  return {
+    fontSize: clamp(style.fontSize, FONT_SIZE_RANGE, defaults.fontSize),
+    fontFamily: pick(style.fontFamily, (v) => typeof v === 'string' && v.trim() !== '', defaults.fontFamily),
+    color: pick(style.color, (v) => HEX_COLOR.test(v), defaults.color),
+    backgroundColor: pick(style.backgroundColor, (v) => HEX_COLOR.test(v), defaults.backgroundColor),
+    backgroundOpacity: clamp(style.backgroundOpacity, [0, 1], defaults.backgroundOpacity),
+    edgeStyle: pick(style.edgeStyle, (v) => EDGE_STYLES.includes(v), defaults.edgeStyle),
+    position: pick(style.position, (v) => POSITIONS.includes(v), defaults.position),
+    offset: clamp(style.offset, OFFSET_RANGE, defaults.offset),
+    karaoke: pick(style.karaoke, (v) => typeof v === 'boolean', defaults.karaoke),
+    highlightColor: pick(style.highlightColor, (v) => HEX_COLOR.test(v), defaults.highlightColor),
+    displayMode: pick(style.displayMode, (v) => DISPLAY_MODES.includes(v), defaults.displayMode),
+    lineCount: Math.round(clamp(style.lineCount, LINE_COUNT_RANGE, defaults.lineCount)),
+    lineFadeSeconds: clamp(style.lineFadeSeconds, LINE_FADE_RANGE, defaults.lineFadeSeconds),
+    maxCharsPerLine: Math.round(clamp(style.maxCharsPerLine, CHARS_PER_LINE_RANGE, defaults.maxCharsPerLine)),
+  };
+}
+
+/**
+ * 轉成 .babel-subtitle 的 inline style（camelCase，可直接 Object.assign 到 element.style）
+ *
+ * @param {SubtitleStyle} style - 已正規化的樣式
+ * @returns {{fontSize: string, fontFamily: string, color: string, background: string, textShadow: string}}
+ */
+export function subtitleStyleToCss(style) {
+  return {
+    fontSize: `${style.fontSize}px`,
+    fontFamily: style.fontFamily,
+    color: style.color,
+    background: hexToRgba(style.backgroundColor, style.backgroundOpacity),
+    textShadow: TEXT_SHADOWS[style.edgeStyle],
+  };
+}
+
+/**
+ * @private
+ * @param {*} value
+ * @param {number[]} range - [min, max]
+ * @param {number} fallback
+ * @returns {number}
+ */
+function clamp(value, [min, max], fallback) {
+  const number = Number(value);
+  if (value === null || value === undefined || value === '' || !Number.isFinite(number)) {
+    return fallback;
+  }
+  return Math.min(max, Math.max(min, number));
+}
+
+/**
+ * @private
+ */
+function hexToRgba(hex, alpha) {
+  const r = parseInt(hex.slice(1, 3), 16);
+  const g = parseInt(hex.slice(3, 5), 16);
+  const b = parseInt(hex.slice(5, 7), 16);
+  return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+}
+
+/**
+ * @typedef {Object} SubtitleStyle
+ * @property {number} fontSize - px
+ * @property {string} fontFamily - CSS font-family
+ * @property {string} color - #RRGGBB
+ * @property {string} backgroundColor - #RRGGBB
+ * @property {number} backgroundOpacity - 0-1
+ * @property {string} edgeStyle - 見 EDGE_STYLES
+ * @property {string} position - 見 POSITIONS
+ * @property {number} offset - 距離影片上/下緣的像素
+ * @property {boolean} karaoke - 逐字高亮（字幕帶逐字時間時才有作用）
+ * @property {string} highlightColor - #RRGGBB，逐字高亮時已唸到的字
+ * @property {string} displayMode - 見 DISPLAY_MODES
+ * @property {number} lineCount - 多行模式最多顯示幾行
+ * @property {number} lineFadeSeconds - 多行模式每一行講完後再留幾秒
+ * @property {number} maxCharsPerLine - 每行最多幾個半形字（中日韓文字算 2），見 caption-layout.js
+ */
@@ -0,0 +1,160 @@
+/**
+ * 字幕紀錄重播 - 把逐字稿庫裡同一部影片的紀錄組成可直接播放的時間軸
+ *
+ * 只有影片時間軸（TimeBase.VIDEO）的紀錄能重播：串流時間軸以啟用那一刻為 0 點，
+ * 對不回影片進度。同一部影片可能有多筆紀錄（每次只補辨識沒涵蓋的段落），
+ * 這裡合併成一條時間軸，重疊處以較新的紀錄為準。
+ *
+ * Service Worker 用 buildCachedTimeline() 組時間軸，Content Script 用 isTimeCovered()
+ * 判斷目前播放位置要不要開即時辨識。
+ */
+import { TRANSCRIPT_STORE_CONFIG } from './config.js';
+
+/**
+ * 由字幕推算涵蓋範圍：相鄰字幕間隔不超過 gapTolerance 秒就視為連續
+ * （講者停頓不算沒涵蓋，否則每次停頓都會開一次即時辨識）
+ *
+ * @param {Array<{start: number, end: number}>} captions - 依 start 排序
+ * @param {number} [gapTolerance]
+ * @returns {Array<[number, number]>}
+ */
+export function buildCoverage(captions, gapTolerance = TRANSCRIPT_STORE_CONFIG.COVERAGE_GAP) {
+  /** @type {Array<[number, number]>} */
+  const ranges = [];
+
+  for (const caption of captions) {
+    const last = ranges[ranges.length - 1];
+    if (last && caption.start - last[1] <= gapTolerance) {
+      last[1] = Math.max(last[1], caption.end);
+    } else {
+      ranges.push([caption.start, caption.end]);
+    }
+  }
+
+  return ranges;
+}
+
+/**
+ * 合併同一部影片的多筆紀錄
+ *
+ * @param {Array<import('./transcript-store.js').TranscriptRecord>} records
+ * @returns {CachedTimeline|null} 沒有可重播的紀錄時為 null
+ */
+export function buildCachedTimeline(records) {
+  const usable = records
+    .filter((record) => record.timeBase === 'video' && record.captions.length > 0)
+    .sort((a, b) => b.startedAt - a.startedAt);
+
+  if (usable.length === 0) return null;
+
+  /** @type {Array<CachedSegment>} */
+  const segments = [];
+  /** @type {Array<[number, number]>} */
+  let coverage = [];
+
+  for (const record of usable) {
+    const translations = translationsByCaption(record);
+
+    // 較新的紀錄已涵蓋的時段不再收舊紀錄的字幕，避免同一句出現兩個版本
+    const fresh = record.captions.filter((caption) => {
+      const midpoint = (caption.start + caption.end) / 2;
+      return !coverage.some(([start, end]) => midpoint >= start && midpoint <= end);
+    });
+
+    fresh.forEach((caption) => {
+      segments.push({
+        text: caption.text,
+        start: caption.start,
+        end: caption.end,
+        words: caption.words || [],
+        translation: translations.get(caption.id) || null,
+      });
+    });
+
+    coverage = mergeRanges([...coverage, ...buildCoverage(record.captions)]);
+  }
+
+  segments.sort((a, b) => a.start - b.start);
+
+  return {
+    recordIds: usable.map((record) => record.id),
+    segments,
+    coverage,
+  };
+}
+
+/**
+ * 目前播放位置是否在紀錄涵蓋範圍內
+ *
+ * 保留 lookahead 秒的餘裕：快播到涵蓋範圍尾端時就先開即時辨識，
+ * 連線建立的那一兩秒才不會沒有字幕。
+ *
+ * @param {Array<[number, number]>} coverage
+ * @param {number} time - 秒
+ * @param {number} [lookahead]
+ * @returns {boolean}
+ */
+export function isTimeCovered(coverage, time, lookahead = TRANSCRIPT_STORE_CONFIG.COVERAGE_LOOKAHEAD) {
+  return coverage.some(([start, end]) => time >= start && time + lookahead <= end);
+}
+
+/**
+ * 涵蓋的總秒數（Content Script 提示用）
+ *
+ * @param {Array<[number, number]>} coverage
+ * @returns {number}
+ */
+export function coveredSeconds(coverage) {
+  return coverage.reduce((sum, [start, end]) => sum + (end - start), 0);
+}
+
+/**
+ * @private
+ * @param {Array<[number, number]>} ranges
+ * @returns {Array<[number, number]>}
+ */
+function mergeRanges(ranges) {
+  /** @type {Array<[number, number]>} */
+  const merged = [];
+
+  [...ranges]
+    .sort((a, b) => a[0] - b[0])
+    .forEach(([start, end]) => {
+      const last = merged[merged.length - 1];
+      if (last && start <= last[1]) {
+        last[1] = Math.max(last[1], end);
+      } else {
+        merged.push([start, end]);
+      }
+    });
+
+  return merged;
+}
+
+/**
+ * 譯文以句為單位涵蓋多行字幕，每一行都掛上整句譯文（與即時顯示時一致）
+ * @private
+ */
+function translationsByCaption(record) {
+  const map = new Map();
+  (record.translations || []).forEach(({ captionIds, text }) => {
+    captionIds.forEach((id) => map.set(id, text));
+  });
+  return map;
+}
+
+/**
+ * @typedef {Object} CachedSegment
+ * @property {string} text
+ * @property {number} start - 影片時間（秒）
+ * @property {number} end
+ * @property {Array<import('../background/transcription-engine.js').TranscriptWord>} words - 逐字時間（影片時間），逐字高亮用
+ * @property {string|null} translation
+ */
+
+/**
+ * @typedef {Object} CachedTimeline
+ * @property {Array<string>} recordIds - 參與合併的紀錄（新到舊）
+ * @property {Array<CachedSegment>} segments - 依 start 排序
+ * @property {Array<[number, number]>} coverage - 涵蓋範圍（已合併、排序）
+ */
@@ -0,0 +1,180 @@
+/**
+ * 逐字稿格式化 - SRT / WebVTT / 純文字 / JSON
+ *
+ * Service Worker 的 TranscriptRecorder（本場）與逐字稿庫頁面（歷史紀錄）共用，
+ * 兩邊下載到的檔案格式一致。有講者資訊的字幕加上講者標籤（見 speakers.js）。
+ */
+import { BabelBridgeError, ErrorCodes } from './errors.js';
+import { labelCaptionText } from './speakers.js';
+
+/**
+ * 匯出格式
+ */
+export const TranscriptFormat = {
+  SRT: 'srt',
+  VTT: 'vtt',
+  TXT: 'txt',
+  JSON: 'json',
+};
+
+const MIME_TYPES = {
+  [TranscriptFormat.SRT]: 'application/x-subrip',
+  [TranscriptFormat.VTT]: 'text/vtt',
+  [TranscriptFormat.TXT]: 'text/plain',
+  [TranscriptFormat.JSON]: 'application/json',
+};
+
+// 沒有結束時間（或起訖相同）的字幕至少顯示這麼久，播放器才看得到
+const MIN_CUE_DURATION = 1;
+
+/**
+ * 依格式產生下載內容與檔名
+ *
+ * @param {TranscriptSession} session
+ * @param {string} format - 見 TranscriptFormat
+ * @returns {{filename: string, mimeType: string, content: string}}
+ */
+export function exportTranscript(session, format) {
+  if (!MIME_TYPES[format]) {
+    throw new BabelBridgeError(ErrorCodes.SETTINGS_INVALID, `不支援的匯出格式: ${format}`);
+  }
+
+  const builders = {
+    [TranscriptFormat.SRT]: () => formatSRT(session.captions, session.speakerNames),
+    [TranscriptFormat.VTT]: () => formatVTT(session.captions, session.speakerNames),
+    [TranscriptFormat.TXT]: () => formatText(session),
+    [TranscriptFormat.JSON]: () => JSON.stringify(session, null, 2),
+  };
+
+  return {
+    filename: buildFilename(session.title, session.startedAt, format),
+    mimeType: MIME_TYPES[format],
+    content: builders[format](),
+  };
+}
+
+/**
+ * 秒數轉字幕時間碼（SRT 用逗號、WebVTT 用句點分隔毫秒）
+ *
+ * @param {number} seconds
+ * @param {string} [separator=',']
+ * @returns {string} HH:MM:SS,mmm
+ */
+export function formatTimestamp(seconds, separator = ',') {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(ms, 3)}`;
+}
+
+/**
+ * @param {Array<TranscriptCaption>} captions
+ * @param {Object<string, string>} [speakerNames]
+ * @returns {string}
+ */
+export function formatSRT(captions, speakerNames = {}) {
+  return captions
+    .map((caption, index) => {
+      const { start, end } = cueTiming(caption);
+      const text = labelCaptionText(caption, speakerNames);
+      return `${index + 1}\n${formatTimestamp(start)} --> ${formatTimestamp(end)}\n${text}\n`;
+    })
+    .join('\n');
+}
+
+/**
+ * @param {Array<TranscriptCaption>} captions
+ * @param {Object<string, string>} [speakerNames]
+ * @returns {string}
+ */
+export function formatVTT(captions, speakerNames = {}) {
+  const cues = captions.map((caption) => {
+    const { start, end } = cueTiming(caption);
+    const text = escapeVTT(labelCaptionText(caption, speakerNames));
+    return `${formatTimestamp(start, '.')} --> ${formatTimestamp(end, '.')}\n${text}\n`;
+  });
+
+  return ['WEBVTT\n', ...cues].join('\n');
+}
+
+/**
+ * 純文字：標題一行，之後每行一句字幕（換人講時另起一行）
+ *
+ * @param {TranscriptSession} session
+ * @returns {string}
+ */
+export function formatText(session) {
+  const lines = session.captions.map((caption) => labelCaptionText(caption, session.speakerNames));
+  const header = session.title ? [session.title, ''] : [];
+  return [...header, ...lines].join('\n') + '\n';
+}
+
+/**
+ * 由分頁標題產生檔名，去掉檔案系統不接受的字元
+ *
+ * @param {string|null} title
+ * @param {number} startedAt
+ * @param {string} extension
+ * @returns {string}
+ */
+export function buildFilename(title, startedAt, extension) {
+  const base = (title || '')
+    .replace(/[\\/:*?"<>|]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, 80)
+    .trim();
+
+  const date = new Date(startedAt);
+  const pad = (value) => String(value).padStart(2, '0');
+  const stamp = `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-${pad(date.getHours())}${pad(date.getMinutes())}`;
+
+  return `${base || 'babel-bridge'}-${stamp}.${extension}`;
+}
+
+/**
+ * @private
+ */
+function cueTiming(caption) {
+  return {
+    start: caption.start,
+    end: Math.max(caption.end, caption.start + MIN_CUE_DURATION),
+  };
+}
+
+/**
+ * WebVTT 的 cue 文字會被當成標記解析；跳脫 > 之後也不會再出現 -->
+ * @private
+ */
+function escapeVTT(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * @typedef {Object} TranscriptCaption
+ * @property {number} id - captionId，與譯文的 captionIds 對應
+ * @property {number} start - 秒，時間軸見 TranscriptSession.timeBase
+ * @property {number} end - 秒
+ * @property {string} text
+ * @property {number|null} confidence
+ * @property {Array<import('../background/transcription-engine.js').TranscriptWord>} words
+ */
+
+/**
+ * @typedef {Object} TranscriptSession
+ * @property {string} id
+ * @property {string|null} title - 分頁標題
+ * @property {string|null} url - 分頁網址
+ * @property {string|null} engineId
+ * @property {string|null} language - 辨識語言設定
+ * @property {string|null} timeBase - 見 TimeBase；收到第一句之前為 null
+ * @property {number} startedAt
+ * @property {number|null} endedAt
+ * @property {Array<TranscriptCaption>} captions
+ * @property {Array<{captionIds: number[], text: string}>} translations
+ * @property {Object<string, string>} [speakerNames] - 使用者改的講者名稱 { [speaker]: name }（舊紀錄沒有）
+ */
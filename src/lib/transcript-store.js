@@ -0,0 +1,329 @@
+/**
+ * TranscriptStore - 逐字稿庫（IndexedDB）
+ *
+ * 每一場字幕結束時由 Service Worker 存入一筆，逐字稿庫頁面（src/library/）
+ * 讀同一個資料庫做列表、搜尋、重新命名、重新匯出與刪除。
+ *
+ * 用 IndexedDB 而非 chrome.storage.local：一場一小時的逐字稿含逐字時間約 1 MB，
+ * chrome.storage 每次讀寫都是整個值序列化，量一大就拖慢所有設定讀取。
+ * 資料庫名稱沿用 STORAGE_KEYS.SUBTITLE_CACHE。
+ *
+ * 每筆以 id 為主鍵，並以 videoKey（見 page-identity.js）建索引，
+ * 同一部影片換了追蹤參數或播放位置仍歸在一起。總量受 TRANSCRIPT_STORE_CONFIG 限制，
+ * 超過時從最舊的開始刪。
+ */
+import { STORAGE_KEYS, TRANSCRIPT_STORE_CONFIG } from './config.js';
+import { canonicalizeUrl, getVideoKey } from './page-identity.js';
+import { BabelBridgeError, ErrorCodes } from './errors.js';
+
+const { STORE_NAME } = TRANSCRIPT_STORE_CONFIG;
+
+export class TranscriptStore {
+  /** @type {Promise<IDBDatabase>|null} */
+  static dbPromise = null;
+
+  /**
+   * 存入一場逐字稿（同 id 覆寫），存完順便執行容量上限
+   *
+   * @param {import('./transcript-format.js').TranscriptSession} session
+   * @param {Object} [extra]
+   * @param {number} [extra.cost] - 本場花費（USD）
+   * @returns {Promise<TranscriptRecord>}
+   */
+  static async save(session, { cost = 0 } = {}) {
+    const record = buildRecord(session, cost);
+
+    await this.transact('readwrite', (store) => store.put(record));
+    console.log(`[TranscriptStore] 已存入逐字稿 ${record.id}（${record.captions.length} 句）`);
+
+    await this.enforceQuota();
+    return record;
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<TranscriptRecord|undefined>}
+   */
+  static async get(id) {
+    return this.transact('readonly', (store) => store.get(id));
+  }
+
+  /**
+   * 列出逐字稿摘要（新到舊），可依標題、網址與字幕內容搜尋
+   *
+   * @param {string} [query]
+   * @returns {Promise<Array<TranscriptSummary>>}
+   */
+  static async list(query = '') {
+    const records = /** @type {Array<TranscriptRecord>} */ (
+      await this.transact('readonly', (store) => store.getAll())
+    );
+
+    return records
+      .filter((record) => matchesQuery(record, query))
+      .map(toSummary)
+      .sort((a, b) => b.startedAt - a.startedAt);
+  }
+
+  /**
+   * 同一部影片的所有紀錄（新到舊）
+   *
+   * @param {string} videoKey
+   * @returns {Promise<Array<TranscriptRecord>>}
+   */
+  static async findByVideoKey(videoKey) {
+    const records = /** @type {Array<TranscriptRecord>} */ (
+      await this.transact('readonly', (store) => store.index('videoKey').getAll(videoKey))
+    );
+    return records.sort((a, b) => b.startedAt - a.startedAt);
+  }
+
+  /**
+   * 重新命名；空字串表示還原成原始分頁標題
+   *
+   * @param {string} id
+   * @param {string} title
+   * @returns {Promise<TranscriptRecord>}
+   */
+  static async rename(id, title) {
+    const record = await this.get(id);
+    if (!record) {
+      throw new BabelBridgeError(ErrorCodes.STORAGE_READ_ERROR, `找不到逐字稿: ${id}`);
+    }
+
+    record.title = title.trim() || record.originalTitle;
+    await this.transact('readwrite', (store) => store.put(record));
+    return record;
+  }
+
+  /**
+   * @param {string} id
+   */
+  static async delete(id) {
+    await this.transact('readwrite', (store) => store.delete(id));
+    console.log(`[TranscriptStore] 已刪除逐字稿 ${id}`);
+  }
+
+  /**
+   * 用量（供逐字稿庫頁面顯示），percentage 取筆數與容量兩者較滿的一邊
+   *
+   * @returns {Promise<StoreUsage>}
+   */
+  static async getUsage() {
+    const summaries = await this.list();
+    const bytes = summaries.reduce((sum, item) => sum + item.size, 0);
+    const { MAX_RECORDS, MAX_BYTES, WARNING_RATIO } = TRANSCRIPT_STORE_CONFIG;
+    const ratio = Math.max(summaries.length / MAX_RECORDS, bytes / MAX_BYTES);
+
+    return {
+      count: summaries.length,
+      bytes,
+      maxRecords: MAX_RECORDS,
+      maxBytes: MAX_BYTES,
+      percentage: ratio * 100,
+      warning: ratio >= WARNING_RATIO,
+    };
+  }
+
+  /**
+   * 超過筆數或容量上限時刪掉最舊的紀錄
+   *
+   * @returns {Promise<Array<string>>} 被刪除的 id
+   */
+  static async enforceQuota() {
+    const evicted = selectEvictions(await this.list(), {
+      maxRecords: TRANSCRIPT_STORE_CONFIG.MAX_RECORDS,
+      maxBytes: TRANSCRIPT_STORE_CONFIG.MAX_BYTES,
+    });
+
+    if (evicted.length > 0) {
+      await this.transact('readwrite', (store) => {
+        evicted.forEach((id) => store.delete(id));
+      });
+      console.warn(`[TranscriptStore] 超過容量上限，已刪除 ${evicted.length} 筆最舊的逐字稿`);
+    }
+
+    return evicted;
+  }
+
+  /**
+   * @private
+   */
+  static open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(
+          STORAGE_KEYS.SUBTITLE_CACHE,
+          TRANSCRIPT_STORE_CONFIG.DB_VERSION
+        );
+
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+          store.createIndex('videoKey', 'videoKey');
+          store.createIndex('startedAt', 'startedAt');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+
+      // 開啟失敗不快取，下次呼叫再試
+      this.dbPromise.catch(() => {
+        this.dbPromise = null;
+      });
+    }
+
+    return this.dbPromise;
+  }
+
+  /**
+   * 在單一交易內執行操作，交易完成後回傳最後一個 request 的結果
+   *
+   * @private
+   * @param {IDBTransactionMode} mode
+   * @param {(store: IDBObjectStore) => IDBRequest|void} operation
+   * @returns {Promise<any>}
+   */
+  static async transact(mode, operation) {
+    const code = mode === 'readonly' ? ErrorCodes.STORAGE_READ_ERROR : ErrorCodes.STORAGE_WRITE_ERROR;
+
+    try {
+      const db = await this.open();
+
+      return await new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, mode);
+        const request = operation(transaction.objectStore(STORE_NAME));
+
+        transaction.oncomplete = () => resolve(request ? request.result : undefined);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+      });
+    } catch (error) {
+      if (error instanceof BabelBridgeError) throw error;
+      throw new BabelBridgeError(code, `逐字稿庫存取失敗: ${error?.message}`, { mode });
+    }
+  }
+}
+
+/**
+ * 由 TranscriptRecorder 的 session 組出要存的紀錄
+ *
+ * @param {import('./transcript-format.js').TranscriptSession} session
+ * @param {number} cost
+ * @returns {TranscriptRecord}
+ */
+export function buildRecord(session, cost) {
+  const record = {
+    ...session,
+    originalTitle: session.title,
+    canonicalUrl: canonicalizeUrl(session.url),
+    videoKey: getVideoKey(session.url),
+    cost,
+    savedAt: Date.now(),
+    size: 0,
+  };
+
+  record.size = new TextEncoder().encode(JSON.stringify(record)).length;
+  return record;
+}
+
+/**
+ * 列表用的摘要，不帶字幕內容
+ *
+ * @param {TranscriptRecord} record
+ * @returns {TranscriptSummary}
+ */
+export function toSummary(record) {
+  return {
+    id: record.id,
+    title: record.title,
+    url: record.url,
+    videoKey: record.videoKey,
+    engineId: record.engineId,
+    language: record.language,
+    startedAt: record.startedAt,
+    endedAt: record.endedAt,
+    captionCount: record.captions.length,
+    cost: record.cost,
+    size: record.size,
+  };
+}
+
+/**
+ * 關鍵字比對：標題、網址、字幕原文與譯文，不分大小寫
+ *
+ * @param {TranscriptRecord} record
+ * @param {string} query
+ * @returns {boolean}
+ */
+export function matchesQuery(record, query) {
+  const keyword = query.trim().toLowerCase();
+  if (!keyword) return true;
+
+  const fields = [
+    record.title,
+    record.url,
+    ...record.captions.map((caption) => caption.text),
+    ...(record.translations || []).map((translation) => translation.text),
+  ];
+
+  return fields.some((field) => field?.toLowerCase().includes(keyword));
+}
+
+/**
+ * 挑出要刪的紀錄：由新到舊累計，超過筆數或容量上限之後的全部刪除。
+ * 最新的一筆一定保留，即使它本身就超過容量上限——那是使用者剛錄完的。
+ *
+ * @param {Array<TranscriptSummary>} summaries
+ * @param {{maxRecords: number, maxBytes: number}} limits
+ * @returns {Array<string>} 要刪除的 id
+ */
+export function selectEvictions(summaries, { maxRecords, maxBytes }) {
+  const newestFirst = [...summaries].sort((a, b) => b.startedAt - a.startedAt);
+  const evicted = [];
+  let bytes = 0;
+
+  newestFirst.forEach((item, index) => {
+    bytes += item.size;
+    if (index > 0 && (index >= maxRecords || bytes > maxBytes)) {
+      evicted.push(item.id);
+    }
+  });
+
+  return evicted;
+}
+
+/**
+ * @typedef {import('./transcript-format.js').TranscriptSession & {
+ *   originalTitle: string|null,
+ *   canonicalUrl: string|null,
+ *   videoKey: string|null,
+ *   cost: number,
+ *   savedAt: number,
+ *   size: number
+ * }} TranscriptRecord
+ */
+
+/**
+ * @typedef {Object} TranscriptSummary
+ * @property {string} id
+ * @property {string|null} title
+ * @property {string|null} url
+ * @property {string|null} videoKey
+ * @property {string|null} engineId
+ * @property {string|null} language
+ * @property {number} startedAt
+ * @property {number|null} endedAt
+ * @property {number} captionCount
+ * @property {number} cost - USD
+ * @property {number} size - bytes（JSON 估算）
+ */
+
+/**
+ * @typedef {Object} StoreUsage
+ * @property {number} count
+ * @property {number} bytes
+ * @property {number} maxRecords
+ * @property {number} maxBytes
+ * @property {number} percentage - 0-100+
+ * @property {boolean} warning - 超過 WARNING_RATIO
+ */
@@ -0,0 +1,270 @@
+/**
+ * 逐字稿庫頁面
+ *
+ * 直接讀寫 TranscriptStore（與 Service Worker 共用同一個 IndexedDB），
+ * 不經訊息轉送：這個頁面開著時 Service Worker 不一定醒著。
+ */
+import { TranscriptStore } from '../lib/transcript-store.js';
+import { TranscriptFormat, exportTranscript } from '../lib/transcript-format.js';
+import { ErrorHandler } from '../lib/error-handler.js';
+
+const SEARCH_DEBOUNCE = 200;
+
+// DOM 元素
+const usageText = document.getElementById('usage-text');
+const usagePercentage = document.getElementById('usage-percentage');
+const usageBarFill = document.getElementById('usage-bar-fill');
+const usageWarning = document.getElementById('usage-warning');
+const searchInput = /** @type {HTMLInputElement} */ (document.getElementById('search-input'));
+const listStatus = document.getElementById('list-status');
+const transcriptList = document.getElementById('transcript-list');
+const emptyState = document.getElementById('empty-state');
+
+let searchTimer = null;
+
+/**
+ * 初始化
+ */
+async function init() {
+  await Promise.all([loadTranscripts(), loadUsage()]);
+}
+
+/**
+ * 載入並渲染列表（依搜尋框內容過濾）
+ */
+async function loadTranscripts() {
+  try {
+    const query = searchInput.value;
+    const summaries = await TranscriptStore.list(query);
+
+    renderTranscripts(summaries);
+    emptyState.hidden = summaries.length > 0;
+    emptyState.textContent = query.trim() ? '找不到符合的逐字稿' : '尚無逐字稿';
+  } catch (error) {
+    console.error('[Library] 載入逐字稿失敗:', error);
+    showStatus(ErrorHandler.getUserMessage(error), 'error');
+  }
+}
+
+/**
+ * 載入用量
+ */
+async function loadUsage() {
+  try {
+    const usage = await TranscriptStore.getUsage();
+    const percentage = Math.min(100, usage.percentage);
+
+    usageText.textContent = `${usage.count} / ${usage.maxRecords} 筆，${formatBytes(usage.bytes)} / ${formatBytes(usage.maxBytes)}`;
+    usagePercentage.textContent = `${percentage.toFixed(0)}%`;
+    usageBarFill.style.width = `${percentage}%`;
+    usageBarFill.classList.toggle('warning', usage.warning);
+    usageWarning.hidden = !usage.warning;
+  } catch (error) {
+    console.error('[Library] 載入用量失敗:', error);
+    usageText.textContent = '無法取得用量';
+  }
+}
+
+/**
+ * @param {Array<import('../lib/transcript-store.js').TranscriptSummary>} summaries
+ */
+function renderTranscripts(summaries) {
+  transcriptList.innerHTML = '';
+
+  summaries.forEach((summary) => {
+    const item = document.createElement('li');
+    item.className = 'transcript-item';
+    item.dataset.id = summary.id;
+
+    const title = document.createElement('h2');
+    title.className = 'transcript-title';
+    title.textContent = summary.title || '未命名分頁';
+    item.appendChild(title);
+
+    if (summary.url) {
+      const link = document.createElement('a');
+      link.className = 'transcript-url';
+      link.href = summary.url;
+      link.target = '_blank';
+      link.rel = 'noopener';
+      link.textContent = summary.url;
+      item.appendChild(link);
+    }
+
+    const meta = document.createElement('p');
+    meta.className = 'transcript-meta';
+    meta.textContent = [
+      new Date(summary.startedAt).toLocaleString('zh-TW'),
+      summary.endedAt ? formatDuration(summary.endedAt - summary.startedAt) : null,
+      `${summary.captionCount} 句`,
+      summary.engineId,
+      summary.language,
+      `$${summary.cost.toFixed(4)}`,
+      formatBytes(summary.size),
+    ]
+      .filter(Boolean)
+      .join(' · ');
+    item.appendChild(meta);
+
+    const actions = document.createElement('div');
+    actions.className = 'transcript-actions';
+    Object.values(TranscriptFormat).forEach((format) => {
+      actions.appendChild(createButton(format.toUpperCase(), 'export', { format }));
+    });
+    actions.appendChild(createButton('重新命名', 'rename'));
+    actions.appendChild(createButton('刪除', 'delete', {}, 'btn btn-danger'));
+    item.appendChild(actions);
+
+    transcriptList.appendChild(item);
+  });
+}
+
+/**
+ * @private
+ */
+function createButton(label, action, data = {}, className = 'btn') {
+  const button = document.createElement('button');
+  button.className = className;
+  button.textContent = label;
+  button.dataset.action = action;
+  Object.assign(button.dataset, data);
+  return button;
+}
+
+/**
+ * 重新匯出
+ * @param {string} id
+ * @param {string} format
+ */
+async function exportRecord(id, format) {
+  try {
+    const record = await TranscriptStore.get(id);
+    if (!record) throw new Error('找不到這筆逐字稿，可能已被刪除');
+
+    const { filename, mimeType, content } = exportTranscript(record, format);
+    const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    // 下載是非同步開始的，等這一輪事件跑完再釋放
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+
+    showStatus(`✓ 已下載 ${filename}`, 'success');
+  } catch (error) {
+    console.error('[Library] 匯出失敗:', error);
+    showStatus(`✗ ${error.message}`, 'error');
+  }
+}
+
+/**
+ * 把標題換成輸入框；Enter 或離開時儲存，Esc 取消。留空則還原成原始分頁標題
+ * @param {HTMLElement} item
+ */
+function startRename(item) {
+  const title = item.querySelector('.transcript-title');
+  if (!title) return;
+
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'title-input';
+  input.value = title.textContent;
+  title.replaceWith(input);
+  input.focus();
+  input.select();
+
+  let settled = false;
+  const finish = async (save) => {
+    if (settled) return;
+    settled = true;
+
+    if (save) {
+      try {
+        const record = await TranscriptStore.rename(item.dataset.id, input.value);
+        title.textContent = record.title || '未命名分頁';
+      } catch (error) {
+        console.error('[Library] 重新命名失敗:', error);
+        showStatus(ErrorHandler.getUserMessage(error), 'error');
+      }
+    }
+    input.replaceWith(title);
+  };
+
+  input.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter') finish(true);
+    if (event.key === 'Escape') finish(false);
+  });
+  input.addEventListener('blur', () => finish(true));
+}
+
+/**
+ * 刪除（需確認）
+ * @param {string} id
+ */
+async function deleteRecord(id) {
+  if (!confirm('確定刪除這筆逐字稿？刪除後無法復原。')) return;
+
+  try {
+    await TranscriptStore.delete(id);
+    showStatus('✓ 已刪除', 'success');
+    await Promise.all([loadTranscripts(), loadUsage()]);
+  } catch (error) {
+    console.error('[Library] 刪除失敗:', error);
+    showStatus(ErrorHandler.getUserMessage(error), 'error');
+  }
+}
+
+/**
+ * 顯示狀態訊息
+ */
+function showStatus(message, type) {
+  listStatus.textContent = message;
+  listStatus.className = `status ${type}`;
+}
+
+/**
+ * @private
+ */
+function formatBytes(bytes) {
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * @private
+ */
+function formatDuration(ms) {
+  const totalSeconds = Math.round(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${String(seconds).padStart(2, '0')}`;
+}
+
+// 事件監聽 - 列表按鈕（事件委派，列表重繪後不必重新綁定）
+transcriptList.addEventListener('click', (event) => {
+  const button = /** @type {HTMLElement} */ (event.target).closest('button');
+  const item = button?.closest('.transcript-item');
+  if (!button || !(item instanceof HTMLElement)) return;
+
+  const { id } = item.dataset;
+  switch (button.dataset.action) {
+    case 'export':
+      exportRecord(id, button.dataset.format);
+      break;
+    case 'rename':
+      startRename(item);
+      break;
+    case 'delete':
+      deleteRecord(id);
+      break;
+  }
+});
+
+// 事件監聽 - 搜尋（輸入停頓後才查，避免每個字都掃一次資料庫）
+searchInput.addEventListener('input', () => {
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(loadTranscripts, SEARCH_DEBOUNCE);
+});
+
+// 初始化
+init();
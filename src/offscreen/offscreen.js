@@ -8,20 +8,34 @@
  * Deepgram 流程（即時串流）：
  * Service Worker → getMediaStreamId() → streamId
  * → Offscreen Document (AudioWorklet) → PCM linear16 frames (20ms)
+ * → VoiceActivityDetector（靜音只回報長度，不送音訊）
+ * → PCMBatcher（每 100ms 一批）→ Base64
  * → Service Worker → DeepgramStreamClient → WebSocket
  *
+ * Whisper 流程（批次）：
+ * 同一條 AudioWorklet → PCMChunker（3 秒視窗、1 秒重疊）→ WAV → Base64
+ * → Service Worker → WhisperBatchClient → Whisper API → OverlapProcessor
+ *
+ * 音訊一律經長連線 Port（AUDIO_PORT_CONFIG.PORT_NAME）送往 Service Worker，
+ * 控制訊息（開始、停止、查詢管線）仍走 chrome.runtime.sendMessage。
+ *
  * @author Claude (AI Coding Assistant)
  * @date 2025-11-16
  */
+import { PCMChunker } from './pcm-chunker.js';
+import { PCMBatcher } from './pcm-batcher.js';
+import { VoiceActivityDetector } from './voice-activity-detector.js';
+import { encodeWav, arrayBufferToBase64 } from '../lib/audio-encoding.js';
+import { AUDIO_PORT_CONFIG, AUDIO_WORKLET_CONFIG } from '../lib/config.js';
 
 // === 狀態 ===
-let mediaStream = null;
-let audioContext = null;
-let workletNode = null;
-let sourceNode = null;
-let isProcessing = false;
-let frameCount = 0;
-let mirrorAudioElement = null;
+// 每個分頁一條擷取管線（tabId → CaptureGraph），多個分頁同時開字幕時互不干擾
+/** @type {Map<number, CaptureGraph>} */
+const captures = new Map();
+
+// 送音訊的 Port。Service Worker 被回收時會斷線，下一批音訊再連（連線本身就會喚醒它）
+/** @type {chrome.runtime.Port|null} */
+let audioPort = null;
 
 /**
  * 處理來自 Service Worker 的訊息
@@ -37,9 +51,26 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       return true; // 異步回應
 
     case 'OFFSCREEN_STOP_AUDIO_CAPTURE':
-      handleStopAudioCapture(sendResponse);
+      handleStopAudioCapture(data?.tabId, sendResponse);
       return true;
 
+    case 'OFFSCREEN_REANCHOR_CAPTURE':
+      reanchorCapture(data);
+      sendResponse({ success: true });
+      return false;
+
+    case 'OFFSCREEN_GET_CAPTURES':
+      // Service Worker 重啟後查詢還在跑的管線，決定接回或收掉
+      sendResponse({
+        success: true,
+        captures: [...captures.values()].map(({ tabId, input, videoStartTime }) => ({
+          tabId,
+          input,
+          videoStartTime,
+        })),
+      });
+      return false;
+
     default:
       // 不回應不認識的訊息，讓 Service Worker 處理
       // console.warn('[Offscreen Deepgram] 未知訊息類型:', type);
@@ -55,18 +86,51 @@ async function handleStartAudioCapture(captureData, sendResponse) {
   console.log('[Offscreen Deepgram] 🎙️ 開始音訊擷取（AudioWorklet PCM）');
   console.log('[Offscreen Deepgram] ========================================');
 
-  try {
-    const { streamId, tabId, videoStartTime } = captureData;
+  const { streamId, tabId, videoStartTime, playbackRate, vadSensitivity = 'off' } = captureData;
 
+  try {
     console.log('[Offscreen Deepgram] StreamID:', streamId);
     console.log('[Offscreen Deepgram] TabID:', tabId);
     console.log('[Offscreen Deepgram] 影片起始時間:', videoStartTime, 's');
-
-    // 清理舊資源
-    await stopAudioCapture();
+    console.log('[Offscreen Deepgram] 播放速度:', playbackRate, 'x');
+    console.log('[Offscreen Deepgram] 音訊形式:', captureData.input || 'pcm');
+    console.log('[Offscreen Deepgram] VAD 靈敏度:', vadSensitivity);
+
+    // 清理同一分頁的舊管線（其他分頁的不動）
+    await stopAudioCapture(tabId);
+
+    /** @type {CaptureGraph} */
+    const capture = {
+      tabId,
+      input: captureData.input || 'pcm',
+      videoStartTime: videoStartTime || 0,
+      mediaStream: null,
+      audioContext: null,
+      workletNode: null,
+      sourceNode: null,
+      mirrorAudioElement: null,
+      pcmChunker: null,
+      pcmBatcher: null,
+      vad: null,
+      frameCount: 0,
+    };
+    captures.set(tabId, capture);
+
+    if (capture.input === 'chunk') {
+      capture.pcmChunker = new PCMChunker({ videoStartTime: capture.videoStartTime, playbackRate });
+      capture.pcmChunker.onChunkReady = (chunk) => sendWhisperChunk(capture, chunk);
+    } else {
+      capture.pcmBatcher = new PCMBatcher();
+      capture.pcmBatcher.onBatchReady = (batch) => sendPCMBatch(capture, batch);
+
+      // Whisper 的 chunk 時間由樣本數推算，不能挖掉靜音，VAD 只接在 Deepgram 路徑
+      if (vadSensitivity !== 'off') {
+        capture.vad = createVoiceActivityDetector(capture, vadSensitivity);
+      }
+    }
 
     // 1. 取得 tab 音訊串流
-    mediaStream = await navigator.mediaDevices.getUserMedia({
+    capture.mediaStream = await navigator.mediaDevices.getUserMedia({
       audio: {
         mandatory: {
           chromeMediaSource: 'tab',
@@ -79,10 +143,11 @@ async function handleStartAudioCapture(captureData, sendResponse) {
 
     console.log('[Offscreen Deepgram] ✅ MediaStream 已取得');
 
-    await startMirrorAudioPlayback(mediaStream);
+    await startMirrorAudioPlayback(capture);
 
     // 2. 建立 AudioContext (48kHz 預設)
-    audioContext = new AudioContext();
+    const audioContext = new AudioContext();
+    capture.audioContext = audioContext;
     if (audioContext.state === 'suspended') {
       try {
         await audioContext.resume();
@@ -97,7 +162,7 @@ async function handleStartAudioCapture(captureData, sendResponse) {
       state: audioContext.state,
     });
 
-    // 3. 載入 AudioWorklet 模組
+    // 3. 載入 AudioWorklet 模組（每個 AudioContext 各自載入）
     await audioContext.audioWorklet.addModule(
       chrome.runtime.getURL('src/offscreen/pcm-processor.js')
     );
@@ -105,78 +170,216 @@ async function handleStartAudioCapture(captureData, sendResponse) {
     console.log('[Offscreen Deepgram] ✅ PCM processor 已載入');
 
     // 4. 建立 AudioWorklet 節點
-    workletNode = new AudioWorkletNode(audioContext, 'pcm-processor');
+    capture.workletNode = new AudioWorkletNode(audioContext, 'pcm-processor', {
+      processorOptions: {
+        outputSampleRate: AUDIO_WORKLET_CONFIG.OUTPUT_SAMPLE_RATE,
+        channelMode: AUDIO_WORKLET_CONFIG.CHANNEL_MODE,
+      },
+    });
 
     // 5. 監聽 PCM frames
-    workletNode.port.onmessage = (event) => {
-      handlePCMFrame(event.data, tabId);
+    capture.workletNode.port.onmessage = (event) => {
+      handlePCMFrame(capture, event.data);
     };
 
     // 6. 連接音訊管線: Source → Worklet (不需要連到 Destination)
-    sourceNode = audioContext.createMediaStreamSource(mediaStream);
-    sourceNode.connect(workletNode);
+    capture.sourceNode = audioContext.createMediaStreamSource(capture.mediaStream);
+    capture.sourceNode.connect(capture.workletNode);
 
-    isProcessing = true;
-    frameCount = 0;
-
-    console.log('[Offscreen Deepgram] ✅ 音訊管線已建立（48kHz → 16kHz PCM）');
+    console.log(
+      `[Offscreen Deepgram] ✅ Tab ${tabId} 音訊管線已建立（48kHz → 16kHz PCM），目前 ${captures.size} 條`
+    );
 
     sendResponse({ success: true });
   } catch (error) {
     console.error('[Offscreen Deepgram] ❌ 啟動失敗:', error);
-    await stopAudioCapture();
+    await stopAudioCapture(tabId);
     sendResponse({ success: false, error: error.message });
   }
 }
 
 /**
  * 處理 PCM frame（來自 AudioWorklet）
+ * @param {CaptureGraph} capture
  */
-function handlePCMFrame(frameData, tabId) {
+function handlePCMFrame(capture, frameData) {
   const { type, data, frameIndex, sampleCount, sampleRate } = frameData;
 
   if (type === 'PCM_FRAME') {
-    frameCount++;
+    capture.frameCount++;
 
     // 只在首次和每 100 frames 記錄（避免 console 污染）
-    if (frameCount === 1 || frameCount % 100 === 0) {
+    if (capture.frameCount === 1 || capture.frameCount % 100 === 0) {
       console.log('[Offscreen Deepgram] 🎵 PCM Frame', {
+        tabId: capture.tabId,
         frameIndex,
         sampleCount,
         sampleRate,
         byteLength: data.byteLength,
-        frameCount,
+        frameCount: capture.frameCount,
       });
     }
 
-    // 轉發到 Service Worker → DeepgramStreamClient
-    // 注意：chrome.runtime.sendMessage 不支援直接傳輸 ArrayBuffer
-    // 需要轉換為 Array，在 Service Worker 端重建
-    const pcmArray = Array.from(new Int16Array(data));
+    // Whisper 模式：累積成 Rolling Window chunk，湊滿才送
+    if (capture.pcmChunker) {
+      capture.pcmChunker.push(new Int16Array(data));
+      return;
+    }
 
-    chrome.runtime.sendMessage({
-      type: 'DEEPGRAM_PCM_FRAME',
+    // Deepgram 模式：有 VAD 時只有語音段進批次，否則全部湊滿一批再送
+    if (capture.vad) {
+      capture.vad.push(new Int16Array(data), frameIndex);
+      return;
+    }
+    capture.pcmBatcher?.push(new Int16Array(data), frameIndex, sampleRate);
+  } else if (type === 'STATS') {
+    // 統計資訊
+    console.log('[Offscreen Deepgram] 📊 統計:', capture.tabId, frameData.stats);
+  }
+}
+
+/**
+ * 建立 Deepgram 路徑的 VAD：語音段交給 pcmBatcher，靜音段只回報長度
+ * @param {CaptureGraph} capture
+ * @param {string} sensitivity
+ * @returns {VoiceActivityDetector}
+ */
+function createVoiceActivityDetector(capture, sensitivity) {
+  const vad = new VoiceActivityDetector({ sensitivity });
+  const sampleRate = AUDIO_WORKLET_CONFIG.OUTPUT_SAMPLE_RATE;
+
+  vad.onSpeech = (samples, frameIndex) => {
+    capture.pcmBatcher?.push(samples, frameIndex, sampleRate);
+  };
+  // 一段話說完就把不足一批的尾段送出，不必等到下一段話
+  vad.onSpeechEnd = () => capture.pcmBatcher?.flush();
+  vad.onSilence = ({ frameIndex, frameCount }) => {
+    postAudio({
+      type: 'PCM_SILENCE',
       data: {
-        pcmArray, // Int16 陣列（會在 Service Worker 重建為 ArrayBuffer）
         frameIndex,
-        sampleCount,
-        sampleRate,
-        tabId,
+        frameCount,
+        duration: (frameCount * AUDIO_WORKLET_CONFIG.FRAME_SIZE_MS) / 1000,
+        tabId: capture.tabId,
       },
-    }).catch((error) => {
-      console.error('[Offscreen Deepgram] ❌ 轉發 PCM frame 失敗:', error);
     });
-  } else if (type === 'STATS') {
-    // 統計資訊
-    console.log('[Offscreen Deepgram] 📊 統計:', frameData.stats);
+  };
+
+  return vad;
+}
+
+/**
+ * 將一批 PCM 送往 Service Worker → DeepgramStreamClient
+ *
+ * Port 與 sendMessage 一樣只傳可 JSON 序列化的資料，ArrayBuffer 會變成空物件；
+ * Base64 字串比 Int16 數字陣列小一半以上，解碼也不必逐個數字轉換。
+ * @param {CaptureGraph} capture
+ * @param {import('./pcm-batcher.js').PCMBatch} batch
+ */
+function sendPCMBatch(capture, batch) {
+  postAudio({
+    type: 'PCM_BATCH',
+    data: {
+      audioBase64: arrayBufferToBase64(batch.samples.buffer),
+      frameIndex: batch.frameIndex,
+      frameCount: batch.frameCount,
+      sampleRate: batch.sampleRate,
+      tabId: capture.tabId,
+    },
+  });
+}
+
+/**
+ * 將 Whisper chunk 編碼成 WAV 並送往 Service Worker
+ *
+ * 音訊走 Base64：Port 無法可靠傳遞 ArrayBuffer / Blob。
+ * @param {CaptureGraph} capture
+ */
+function sendWhisperChunk(capture, chunk) {
+  const wav = encodeWav(chunk.samples, chunk.sampleRate);
+
+  console.log('[Offscreen Deepgram] 🎧 Chunk 準備完成', {
+    tabId: capture.tabId,
+    chunkIndex: chunk.index,
+    audioTime: `${chunk.audioStartTime.toFixed(2)}s - ${chunk.audioEndTime.toFixed(2)}s`,
+    bytes: wav.byteLength,
+  });
+
+  postAudio({
+    type: 'WHISPER_AUDIO_CHUNK',
+    data: {
+      audioBase64: arrayBufferToBase64(wav),
+      mimeType: 'audio/wav',
+      chunkIndex: chunk.index,
+      audioStartTime: chunk.audioStartTime,
+      audioEndTime: chunk.audioEndTime,
+      duration: chunk.duration,
+      videoStartTime: chunk.videoStartTime,
+      playbackRate: chunk.playbackRate,
+      tabId: capture.tabId,
+    },
+  });
+}
+
+/**
+ * 影片播放、跳轉或改速度後重新對時（只有 Whisper 的 chunk 需要，Deepgram 以串流時間對時）
+ * @param {{tabId: number, videoTime: number, playbackRate: number}} data
+ */
+function reanchorCapture({ tabId, videoTime, playbackRate }) {
+  const capture = captures.get(tabId);
+  if (!capture?.pcmChunker) return;
+
+  console.log('[Offscreen Deepgram] ⏱️ 重新對時', { tabId, videoTime, playbackRate });
+  capture.pcmChunker.reanchor(videoTime, playbackRate);
+  capture.videoStartTime = videoTime;
+}
+
+/**
+ * 經音訊 Port 送出；Port 已斷（Service Worker 被回收）就重連後再送一次
+ * @param {{type: string, data: Object}} message
+ */
+function postAudio(message) {
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      connectAudioPort().postMessage(message);
+      return;
+    } catch (error) {
+      audioPort = null;
+      if (attempt > 0) {
+        console.error('[Offscreen Deepgram] ❌ 轉發音訊失敗:', error);
+      }
+    }
+  }
+}
+
+/**
+ * @returns {chrome.runtime.Port}
+ */
+function connectAudioPort() {
+  if (!audioPort) {
+    const port = chrome.runtime.connect({ name: AUDIO_PORT_CONFIG.PORT_NAME });
+    port.onDisconnect.addListener(() => {
+      if (audioPort === port) {
+        audioPort = null;
+      }
+      console.log('[Offscreen Deepgram] 🔌 音訊 Port 已斷線，下一批音訊再重連');
+    });
+    audioPort = port;
+    console.log('[Offscreen Deepgram] 🔌 音訊 Port 已連線');
   }
+  return audioPort;
 }
 
 /**
  * 停止音訊擷取
+ * @param {number|undefined} tabId - 未帶時停止全部（相容舊訊息格式）
  */
-function handleStopAudioCapture(sendResponse) {
-  stopAudioCapture()
+function handleStopAudioCapture(tabId, sendResponse) {
+  const stopping = tabId === undefined
+    ? Promise.all([...captures.keys()].map(stopAudioCapture))
+    : stopAudioCapture(tabId);
+
+  stopping
     .then(() => sendResponse({ success: true }))
     .catch((error) => {
       console.error('[Offscreen Deepgram] ❌ 停止失敗:', error);
@@ -184,52 +387,65 @@ function handleStopAudioCapture(sendResponse) {
     });
 }
 
-async function stopAudioCapture() {
-  console.log('[Offscreen Deepgram] 🛑 停止音訊擷取');
+/**
+ * @param {number} tabId
+ */
+async function stopAudioCapture(tabId) {
+  const capture = captures.get(tabId);
+  if (!capture) {
+    return;
+  }
+
+  console.log(`[Offscreen Deepgram] 🛑 停止 Tab ${tabId} 音訊擷取`);
+  captures.delete(tabId);
 
-  isProcessing = false;
+  // 不足一個視窗（或一批）的尾段直接捨棄：停用後 Service Worker 已關閉辨識引擎，送了也沒人收
+  capture.pcmChunker = null;
+  capture.pcmBatcher = null;
+  if (capture.vad) {
+    console.log('[Offscreen Deepgram] 🤫 VAD 統計:', tabId, capture.vad.stats);
+    capture.vad = null;
+  }
 
   // 斷開音訊節點
-  if (sourceNode) {
+  if (capture.sourceNode) {
     try {
-      sourceNode.disconnect();
+      capture.sourceNode.disconnect();
     } catch (error) {
       console.warn('[Offscreen Deepgram] sourceNode disconnect 錯誤:', error.message);
     }
-    sourceNode = null;
+    capture.sourceNode = null;
   }
 
-  if (workletNode) {
+  if (capture.workletNode) {
     try {
-      workletNode.disconnect();
-      workletNode.port.onmessage = null;
+      capture.workletNode.disconnect();
+      capture.workletNode.port.onmessage = null;
     } catch (error) {
       console.warn('[Offscreen Deepgram] workletNode disconnect 錯誤:', error.message);
     }
-    workletNode = null;
+    capture.workletNode = null;
   }
 
   // 關閉 AudioContext
-  if (audioContext) {
+  if (capture.audioContext) {
     try {
-      await audioContext.close();
+      await capture.audioContext.close();
     } catch (error) {
       console.warn('[Offscreen Deepgram] AudioContext close 錯誤:', error.message);
     }
-    audioContext = null;
+    capture.audioContext = null;
   }
 
   // 停止 MediaStream
-  if (mediaStream) {
-    mediaStream.getTracks().forEach((track) => track.stop());
-    mediaStream = null;
+  if (capture.mediaStream) {
+    capture.mediaStream.getTracks().forEach((track) => track.stop());
+    capture.mediaStream = null;
   }
 
-  stopMirrorAudioPlayback();
+  stopMirrorAudioPlayback(capture);
 
-  frameCount = 0;
-
-  console.log('[Offscreen Deepgram] ✅ 已清理所有資源');
+  console.log(`[Offscreen Deepgram] ✅ 已清理 Tab ${tabId} 的資源，剩 ${captures.size} 條`);
 }
 
 console.log('[Offscreen Deepgram] ========================================');
@@ -238,31 +454,40 @@ console.log('[Offscreen Deepgram] AudioWorklet PCM processing ready');
 console.log('[Offscreen Deepgram] UserAgent:', navigator.userAgent);
 console.log('[Offscreen Deepgram] ========================================');
 
-function ensureMirrorAudioElement() {
-  if (!mirrorAudioElement) {
-    mirrorAudioElement = document.createElement('audio');
-    mirrorAudioElement.setAttribute('data-role', 'babel-bridge-audio-mirror');
-    mirrorAudioElement.autoplay = true;
-    mirrorAudioElement.playsInline = true;
-    mirrorAudioElement.muted = false;
-    mirrorAudioElement.volume = 1;
-    mirrorAudioElement.style.position = 'absolute';
-    mirrorAudioElement.style.left = '-9999px';
-    mirrorAudioElement.style.width = '1px';
-    mirrorAudioElement.style.height = '1px';
-    document.body.appendChild(mirrorAudioElement);
-    console.log('[Offscreen Deepgram] 🎧 鏡射音訊 <audio> 元素已建立');
+/**
+ * 每條管線一個鏡射 <audio>：tabCapture 會把分頁靜音，要靠它把聲音播回去
+ * @param {CaptureGraph} capture
+ */
+function ensureMirrorAudioElement(capture) {
+  if (!capture.mirrorAudioElement) {
+    const audioElement = document.createElement('audio');
+    audioElement.setAttribute('data-role', 'babel-bridge-audio-mirror');
+    audioElement.dataset.tabId = String(capture.tabId);
+    audioElement.autoplay = true;
+    audioElement.muted = false;
+    audioElement.volume = 1;
+    audioElement.style.position = 'absolute';
+    audioElement.style.left = '-9999px';
+    audioElement.style.width = '1px';
+    audioElement.style.height = '1px';
+    document.body.appendChild(audioElement);
+    capture.mirrorAudioElement = audioElement;
+    console.log(`[Offscreen Deepgram] 🎧 Tab ${capture.tabId} 鏡射音訊 <audio> 元素已建立`);
   }
-  return mirrorAudioElement;
+  return capture.mirrorAudioElement;
 }
 
-async function startMirrorAudioPlayback(stream) {
+/**
+ * @param {CaptureGraph} capture
+ */
+async function startMirrorAudioPlayback(capture) {
+  const stream = capture.mediaStream;
   if (!stream) {
     console.warn('[Offscreen Deepgram] ⚠️ 無法啟動鏡射播放：mediaStream 為空');
     return;
   }
 
-  const audioElement = ensureMirrorAudioElement();
+  const audioElement = ensureMirrorAudioElement(capture);
 
   if (audioElement.srcObject !== stream) {
     audioElement.srcObject = stream;
@@ -282,16 +507,39 @@ async function startMirrorAudioPlayback(stream) {
   }
 }
 
-function stopMirrorAudioPlayback() {
-  if (!mirrorAudioElement) {
+/**
+ * @param {CaptureGraph} capture
+ */
+function stopMirrorAudioPlayback(capture) {
+  const audioElement = capture.mirrorAudioElement;
+  if (!audioElement) {
     return;
   }
 
   try {
-    mirrorAudioElement.pause();
-    mirrorAudioElement.srcObject = null;
+    audioElement.pause();
+    audioElement.srcObject = null;
+    audioElement.remove();
+    capture.mirrorAudioElement = null;
     console.log('[Offscreen Deepgram] 🔇 鏡射音訊播放已停止');
   } catch (error) {
     console.warn('[Offscreen Deepgram] ⚠️ 停止鏡射音訊播放失敗:', error);
   }
 }
+
+/**
+ * 一個分頁的擷取管線
+ * @typedef {Object} CaptureGraph
+ * @property {number} tabId
+ * @property {string} input - 'pcm' 交給 pcmBatcher 分批轉發；'chunk' 交給 pcmChunker 累積成 WAV chunk
+ * @property {number} videoStartTime - 最近一次對時（啟用、播放、跳轉）的影片時間（秒），Whisper chunk 換算影片時間用
+ * @property {MediaStream|null} mediaStream
+ * @property {AudioContext|null} audioContext
+ * @property {AudioWorkletNode|null} workletNode
+ * @property {MediaStreamAudioSourceNode|null} sourceNode
+ * @property {HTMLAudioElement|null} mirrorAudioElement
+ * @property {PCMChunker|null} pcmChunker - 只有 'chunk' 形式（Whisper）才有
+ * @property {PCMBatcher|null} pcmBatcher - 只有 'pcm' 形式（Deepgram）才有
+ * @property {VoiceActivityDetector|null} vad - 'pcm' 形式且 VAD 未關閉時才有
+ * @property {number} frameCount
+ */
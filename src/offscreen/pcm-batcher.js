@@ -0,0 +1,81 @@
+/**
+ * PCMBatcher - Deepgram 路徑的 PCM frame 批次（Offscreen Document）
+ *
+ * AudioWorklet 每 20ms 送出一個 frame，逐個轉發就是每秒 50 則訊息，
+ * 每則都要序列化、喚起 Service Worker 的 handler。這裡湊滿 batchFrames 個
+ * frame 才合併成一段連續的 Int16 PCM 交出去；Deepgram 收的是位元組串流，
+ * 切多大送都一樣。
+ */
+import { AUDIO_PORT_CONFIG } from '../lib/config.js';
+
+export class PCMBatcher {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.batchFrames] - 每批 frame 數
+   */
+  constructor(options = {}) {
+    this.batchFrames = options.batchFrames ?? AUDIO_PORT_CONFIG.BATCH_FRAMES;
+
+    /** @type {Array<Int16Array>} */
+    this.frames = [];
+    this.firstFrameIndex = 0;
+    this.sampleRate = 16000;
+
+    /** @type {((batch: PCMBatch) => void)|null} */
+    this.onBatchReady = null;
+  }
+
+  /**
+   * 推入一個 PCM frame
+   * @param {Int16Array} frame
+   * @param {number} frameIndex - AudioWorklet 的 frame 序號（從 1 起算）
+   * @param {number} sampleRate
+   */
+  push(frame, frameIndex, sampleRate) {
+    if (this.frames.length === 0) {
+      this.firstFrameIndex = frameIndex;
+      this.sampleRate = sampleRate;
+    }
+    this.frames.push(frame);
+
+    if (this.frames.length >= this.batchFrames) {
+      this.flush();
+    }
+  }
+
+  /**
+   * 送出目前累積的 frame
+   */
+  flush() {
+    if (this.frames.length === 0) return;
+
+    const length = this.frames.reduce((sum, frame) => sum + frame.length, 0);
+    const samples = new Int16Array(length);
+    let offset = 0;
+    for (const frame of this.frames) {
+      samples.set(frame, offset);
+      offset += frame.length;
+    }
+
+    /** @type {PCMBatch} */
+    const batch = {
+      samples,
+      frameIndex: this.firstFrameIndex,
+      frameCount: this.frames.length,
+      sampleRate: this.sampleRate,
+    };
+    this.frames = [];
+
+    if (this.onBatchReady) {
+      this.onBatchReady(batch);
+    }
+  }
+}
+
+/**
+ * @typedef {Object} PCMBatch
+ * @property {Int16Array<ArrayBuffer>} samples - 依序串接的 PCM
+ * @property {number} frameIndex - 第一個 frame 的序號
+ * @property {number} frameCount
+ * @property {number} sampleRate
+ */
@@ -0,0 +1,147 @@
+/**
+ * PCMChunker - Whisper 路徑的 Rolling Window 切塊（Offscreen Document）
+ *
+ * 與 background/audio-chunker.js 相同的切塊策略，但輸入改為 AudioWorklet
+ * 已降採樣好的 16kHz Int16 frame，不再經過 ScriptProcessorNode
+ * （後者在 Offscreen Document 會與 tabCapture 觸發瀏覽器凍結，見 DEVELOPMENT.md）。
+ *
+ * ┌─────────┬─────────┐
+ * │ Chunk 0 │         │
+ * └─────────┴─────────┘
+ *      ┌─────────┬─────────┐
+ *      │ Overlap │ Chunk 1 │
+ *      └─────────┴─────────┘
+ *
+ * 每個 chunk 長 CHUNK_DURATION 秒，與前一個 chunk 重疊 OVERLAP_DURATION 秒，
+ * 重疊區交給 Service Worker 的 OverlapProcessor 去重。
+ *
+ * chunk 的時間是「對時點的影片時間 + 擷取到的音訊秒數 × 播放速度」。分頁擷取在影片暫停時照樣
+ * 產生（靜音的）音訊、跳轉時影片位置整段跳開，所以播放、跳轉、改速度時要以 reanchor() 重新對時。
+ */
+import { CHUNK_CONFIG } from '../lib/config.js';
+
+export class PCMChunker {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.sampleRate=16000] - 輸入 PCM 採樣率
+   * @param {number} [options.chunkDuration] - 每段長度（秒）
+   * @param {number} [options.overlapDuration] - 重疊長度（秒）
+   * @param {number} [options.videoStartTime=0] - 擷取開始時的影片時間（秒）
+   * @param {number} [options.playbackRate=1] - 擷取開始時的影片播放速度
+   */
+  constructor(options = {}) {
+    this.sampleRate = options.sampleRate || 16000;
+
+    // 對時點：音訊時間 0 對應的影片時間，與影片的播放速度
+    this.videoStartTime = options.videoStartTime || 0;
+    this.playbackRate = options.playbackRate > 0 ? options.playbackRate : 1;
+
+    const chunkDuration = options.chunkDuration ?? CHUNK_CONFIG.CHUNK_DURATION;
+    const overlapDuration = options.overlapDuration ?? CHUNK_CONFIG.OVERLAP_DURATION;
+
+    this.chunkSamples = Math.round(this.sampleRate * chunkDuration);
+    this.overlapSamples = Math.round(this.sampleRate * overlapDuration);
+    this.stepSamples = this.chunkSamples - this.overlapSamples;
+
+    // 預先配置一個 chunk 大小的緩衝區，切完用 copyWithin 保留重疊區。
+    // 不用 Array.push/splice：每秒 50 個 frame，陣列搬移的成本會一路累積。
+    this.buffer = new Int16Array(this.chunkSamples);
+    this.bufferLength = 0;
+
+    this.chunkIndex = 0;
+    this.totalSamples = 0;
+
+    /** @type {((chunk: PCMChunk) => void)|null} */
+    this.onChunkReady = null;
+  }
+
+  /**
+   * 推入一個 PCM frame
+   * @param {Int16Array} frame
+   */
+  push(frame) {
+    let offset = 0;
+
+    while (offset < frame.length) {
+      const writable = Math.min(frame.length - offset, this.chunkSamples - this.bufferLength);
+      this.buffer.set(frame.subarray(offset, offset + writable), this.bufferLength);
+      this.bufferLength += writable;
+      this.totalSamples += writable;
+      offset += writable;
+
+      if (this.bufferLength === this.chunkSamples) {
+        this.emit(this.buffer.slice(0, this.chunkSamples));
+
+        // 保留尾端重疊區作為下一段的開頭
+        this.buffer.copyWithin(0, this.stepSamples, this.chunkSamples);
+        this.bufferLength = this.overlapSamples;
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  emit(samples) {
+    const audioStartTime = (this.chunkIndex * this.stepSamples) / this.sampleRate;
+    const duration = samples.length / this.sampleRate;
+
+    /** @type {PCMChunk} */
+    const chunk = {
+      index: this.chunkIndex,
+      samples,
+      sampleRate: this.sampleRate,
+      audioStartTime,
+      audioEndTime: audioStartTime + duration,
+      duration,
+      overlapStart: this.chunkIndex > 0 ? this.overlapSamples / this.sampleRate : 0,
+      overlapEnd: this.overlapSamples / this.sampleRate,
+      videoStartTime: this.videoStartTime,
+      playbackRate: this.playbackRate,
+    };
+
+    this.chunkIndex++;
+
+    if (this.onChunkReady) {
+      this.onChunkReady(chunk);
+    }
+  }
+
+  /**
+   * 重設狀態
+   */
+  reset() {
+    this.bufferLength = 0;
+    this.chunkIndex = 0;
+    this.totalSamples = 0;
+  }
+
+  /**
+   * 重新對時：捨棄還沒湊滿的音訊，之後的音訊從 videoTime 起算
+   *
+   * 捨棄的是暫停期間的靜音或跳轉前的位置，送出去時間也對不上。
+   * 序號從 0 重新開始，Service Worker 據此知道重疊區不必跟上一段比對。
+   *
+   * @param {number} videoTime - 此刻的影片時間（秒）
+   * @param {number} [playbackRate=1]
+   */
+  reanchor(videoTime, playbackRate = 1) {
+    this.reset();
+    this.videoStartTime = videoTime;
+    this.playbackRate = playbackRate > 0 ? playbackRate : 1;
+  }
+}
+
+/**
+ * @typedef {Object} PCMChunk
+ * @property {number} index - chunk 序號
+ * @property {Int16Array} samples - 該段 PCM
+ * @property {number} sampleRate - 採樣率
+ * @property {number} audioStartTime - 相對擷取開始的起點（秒）
+ * @property {number} audioEndTime - 相對擷取開始的終點（秒）
+ * @property {number} duration - 長度（秒）
+ * @property {number} overlapStart - 前重疊區長度（秒）
+ * @property {number} overlapEnd - 後重疊區長度（秒）
+ * @property {number} videoStartTime - 音訊時間 0 對應的影片時間（秒）
+ * @property {number} playbackRate - 音訊 1 秒對應幾秒影片
+ */
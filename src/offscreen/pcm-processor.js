@@ -7,28 +7,178 @@
  * 的 reference 提供，標準 DOM lib 沒有收錄。
  *
  * 功能：
- * 1. 接收 48kHz stereo 音訊（瀏覽器預設）
- * 2. 重採樣至 16kHz mono（Deepgram 要求）
- * 3. 轉換為 linear16 PCM 格式
- * 4. 以 20ms frames 發送到主執行緒
+ * 1. 接收 48kHz stereo 音訊（瀏覽器預設，也可能是 44.1kHz 或單聲道）
+ * 2. 降混為 mono：預設各聲道平均；也可指定只取左或右聲道
+ * 3. 以 windowed-sinc 多相濾波器重採樣至 16kHz（Deepgram 要求），先低通再抽取，避免混疊
+ * 4. 轉換為 linear16 PCM 格式
+ * 5. 以 20ms frames 發送到主執行緒
+ *
+ * 不經 Vite 打包（build script 直接複製），所以不能 import 專案模組；
+ * 設定由 offscreen.js 以 processorOptions 傳入（見 AUDIO_WORKLET_CONFIG）。
  *
  * @author Claude (AI Coding Assistant)
  * @date 2025-11-16
  */
 
+/**
+ * 降混方式
+ */
+const ChannelMode = {
+  MIX: 'mix', // 所有聲道平均：置中與偏左、偏右的對白都保留
+  LEFT: 'left',
+  RIGHT: 'right',
+};
+
+// 濾波器設計：每側 ZERO_CROSSINGS 個 sinc 零點，截止頻率為輸出 Nyquist 的 CUTOFF_RATIO 倍。
+// 48k → 16k 時約 145 taps，截止約 6.8kHz、8kHz 以上衰減 70dB 以上（Blackman 窗）
+const ZERO_CROSSINGS = 24;
+const CUTOFF_RATIO = 0.85;
+
+/**
+ * 有理數比例的多相重採樣器（windowed-sinc）
+ *
+ * 輸入率 : 輸出率 = M : L（約分後）。概念上先插入 L-1 個零升採樣、低通、再每 M 個取一個，
+ * 實際只計算要輸出的那些點：每個輸出只用到 L 組相位係數中的一組，48k → 16k（L = 1, M = 3）
+ * 就是每 3 個輸入算一次 FIR。輸入歷史放在預先配置的環狀緩衝區，寫入兩份，
+ * 卷積時可以連續讀取、不必取模，也不會有 Array.push / shift 的搬移與配置。
+ */
+class PolyphaseResampler {
+  /**
+   * @param {number} inputRate
+   * @param {number} outputRate
+   */
+  constructor(inputRate, outputRate) {
+    const divisor = gcd(inputRate, outputRate);
+    this.up = outputRate / divisor; // L
+    this.down = inputRate / divisor; // M
+
+    const factor = Math.max(this.up, this.down);
+    const length = 2 * ZERO_CROSSINGS * factor + 1;
+    this.taps = Math.ceil(length / this.up);
+    this.coefficients = designPolyphaseFilter(length, this.up, this.taps, CUTOFF_RATIO / (2 * factor));
+
+    // 環狀緩衝區：每個樣本同時寫在 writeIndex 與 writeIndex + taps
+    this.history = new Float32Array(this.taps * 2);
+    this.writeIndex = 0;
+
+    // 下一個輸出對應的輸入位置（已收到的輸入樣本計數）與相位
+    this.inputIndex = 0;
+    this.nextInputIndex = 0;
+    this.phase = 0;
+  }
+
+  /**
+   * 推入一個輸入樣本，每產生一個輸出樣本就呼叫一次 emit
+   *
+   * @param {number} sample
+   * @param {(sample: number) => void} emit
+   */
+  push(sample, emit) {
+    const { taps } = this;
+    this.history[this.writeIndex] = sample;
+    this.history[this.writeIndex + taps] = sample;
+
+    // 最新的樣本在 newest，往前 taps - 1 個都在同一段連續記憶體裡
+    const newest = this.writeIndex + taps;
+
+    while (this.nextInputIndex === this.inputIndex) {
+      const offset = this.phase * taps;
+      let sum = 0;
+      for (let k = 0; k < taps; k++) {
+        sum += this.coefficients[offset + k] * this.history[newest - k];
+      }
+      emit(sum);
+
+      this.phase += this.down;
+      this.nextInputIndex += Math.floor(this.phase / this.up);
+      this.phase %= this.up;
+    }
+
+    this.inputIndex++;
+    this.writeIndex = this.writeIndex + 1 === taps ? 0 : this.writeIndex + 1;
+  }
+}
+
+/**
+ * 設計低通原型濾波器（Blackman 窗 sinc）並拆成 L 組相位
+ *
+ * 每組相位各自正規化成總和 1，直流增益固定為 1，不會因相位不同而有週期性的音量起伏。
+ *
+ * @param {number} length - 原型濾波器長度（奇數，升採樣後的取樣點）
+ * @param {number} up - L
+ * @param {number} taps - 每組相位的係數數
+ * @param {number} cutoff - 截止頻率（相對升採樣率，cycles/sample）
+ * @returns {Float32Array} coefficients[phase * taps + k]
+ */
+function designPolyphaseFilter(length, up, taps, cutoff) {
+  const center = (length - 1) / 2;
+  const prototype = new Float64Array(length);
+
+  for (let n = 0; n < length; n++) {
+    const x = n - center;
+    const sinc = x === 0 ? 2 * cutoff : Math.sin(2 * Math.PI * cutoff * x) / (Math.PI * x);
+    const window =
+      0.42 -
+      0.5 * Math.cos((2 * Math.PI * n) / (length - 1)) +
+      0.08 * Math.cos((4 * Math.PI * n) / (length - 1));
+    prototype[n] = sinc * window;
+  }
+
+  const coefficients = new Float32Array(up * taps);
+
+  for (let phase = 0; phase < up; phase++) {
+    let sum = 0;
+    for (let k = 0; k < taps; k++) {
+      const n = phase + k * up;
+      if (n < length) sum += prototype[n];
+    }
+    for (let k = 0; k < taps; k++) {
+      const n = phase + k * up;
+      coefficients[phase * taps + k] = n < length && sum !== 0 ? prototype[n] / sum : 0;
+    }
+  }
+
+  return coefficients;
+}
+
+/**
+ * @param {number} a
+ * @param {number} b
+ * @returns {number}
+ */
+function gcd(a, b) {
+  let x = Math.round(a);
+  let y = Math.round(b);
+  while (y) {
+    [x, y] = [y, x % y];
+  }
+  return x;
+}
+
 class PCMProcessor extends AudioWorkletProcessor {
+  /**
+   * @param {Object} [options]
+   * @param {{outputSampleRate?: number, channelMode?: string}} [options.processorOptions]
+   */
   constructor(options) {
     super();
 
+    const processorOptions = options?.processorOptions || {};
+
     // 音訊參數
     this.inputSampleRate = sampleRate; // 瀏覽器提供（通常 48000）
-    this.outputSampleRate = 16000; // Deepgram 要求
+    this.outputSampleRate = processorOptions.outputSampleRate || 16000; // Deepgram 要求
     this.channels = 1; // Mono
+    this.channelMode = Object.values(ChannelMode).includes(processorOptions.channelMode)
+      ? processorOptions.channelMode
+      : ChannelMode.MIX;
+
+    // 重採樣
+    this.resampler = new PolyphaseResampler(this.inputSampleRate, this.outputSampleRate);
+    this.emitSample = this.appendSample.bind(this);
 
-    // 重採樣參數
-    this.resampleRatio = this.inputSampleRate / this.outputSampleRate;
-    this.resampleBuffer = [];
-    this.resamplePosition = 0;
+    // 降混用的暫存（一個 render quantum 128 samples，超過時重新配置）
+    this.monoBuffer = new Float32Array(128);
 
     // Frame buffer (20ms = 320 samples at 16kHz)
     this.frameSize = Math.floor(this.outputSampleRate * 0.02); // 320 samples
@@ -38,11 +188,14 @@ class PCMProcessor extends AudioWorkletProcessor {
     // 統計
     this.totalSamples = 0;
     this.totalFrames = 0;
+    this.inputChannels = 0;
 
     console.log('[PCMProcessor] 初始化', {
       inputSampleRate: this.inputSampleRate,
       outputSampleRate: this.outputSampleRate,
-      resampleRatio: this.resampleRatio.toFixed(2),
+      resampleRatio: `${this.resampler.up}/${this.resampler.down}`,
+      filterTaps: this.resampler.taps,
+      channelMode: this.channelMode,
       frameSize: this.frameSize,
     });
   }
@@ -54,84 +207,90 @@ class PCMProcessor extends AudioWorkletProcessor {
     const input = inputs[0];
 
     // 如果沒有輸入，返回 true 繼續運行
-    if (!input || input.length === 0) {
+    if (!input || input.length === 0 || !input[0] || input[0].length === 0) {
       return true;
     }
 
-    // 取得第一個聲道（stereo → mono：只取 left channel）
-    const inputChannel = input[0];
+    const mono = this.downmix(input);
+    this.inputChannels = input.length;
+    this.totalSamples += mono.length;
 
-    if (!inputChannel || inputChannel.length === 0) {
-      return true;
+    // 重採樣：每產生一個 16kHz 樣本就經 appendSample() 放進 frame buffer
+    for (let i = 0; i < mono.length; i++) {
+      this.resampler.push(mono[i], this.emitSample);
     }
 
-    this.totalSamples += inputChannel.length;
+    return true; // 繼續處理
+  }
 
-    // 重採樣並緩衝
-    for (let i = 0; i < inputChannel.length; i++) {
-      this.resampleBuffer.push(inputChannel[i]);
+  /**
+   * 多聲道 → mono
+   *
+   * 只取左聲道會丟掉混在右邊的對白；平均則置中的人聲音量不變、單邊的減半。
+   * 指定的聲道不存在（來源本來就是單聲道）時退回第一個聲道。
+   *
+   * @param {Float32Array[]} input
+   * @returns {Float32Array}
+   */
+  downmix(input) {
+    if (input.length === 1) {
+      return input[0];
+    }
 
-      // 當累積足夠 samples 可產生一個輸出 sample
-      while (this.resampleBuffer.length >= this.resampleRatio) {
-        const outputSample = this.linearInterpolate();
+    if (this.channelMode === ChannelMode.LEFT) {
+      return input[0];
+    }
+    if (this.channelMode === ChannelMode.RIGHT) {
+      return input[1];
+    }
 
-        // 添加到 frame buffer
-        this.frameBuffer[this.frameBufferIndex++] = outputSample;
+    const length = input[0].length;
+    if (this.monoBuffer.length !== length) {
+      this.monoBuffer = new Float32Array(length);
+    }
 
-        // 當 frame buffer 滿時，轉換並發送
-        if (this.frameBufferIndex >= this.frameSize) {
-          this.sendPCMFrame();
-          this.frameBufferIndex = 0;
-        }
+    const mono = this.monoBuffer;
+    const scale = 1 / input.length;
+    for (let i = 0; i < length; i++) {
+      let sum = 0;
+      for (let channel = 0; channel < input.length; channel++) {
+        sum += input[channel][i];
       }
+      mono[i] = sum * scale;
     }
 
-    return true; // 繼續處理
+    return mono;
   }
 
   /**
-   * 線性插值重採樣
+   * 收一個重採樣後的樣本，湊滿一個 frame 就送出
+   * @param {number} sample
    */
-  linearInterpolate() {
-    if (this.resampleBuffer.length < 2) {
-      return this.resampleBuffer.shift() || 0;
-    }
-
-    const fraction = this.resamplePosition % 1;
-    const index = Math.floor(this.resamplePosition);
+  appendSample(sample) {
+    this.frameBuffer[this.frameBufferIndex++] = sample;
 
-    const sample1 = this.resampleBuffer[index] || 0;
-    const sample2 = this.resampleBuffer[index + 1] || 0;
-
-    const interpolated = sample1 + (sample2 - sample1) * fraction;
-
-    this.resamplePosition += this.resampleRatio;
-
-    // 移除已使用的 samples
-    while (this.resamplePosition >= 1.0 && this.resampleBuffer.length > 0) {
-      this.resampleBuffer.shift();
-      this.resamplePosition -= 1.0;
+    if (this.frameBufferIndex >= this.frameSize) {
+      this.sendPCMFrame();
+      this.frameBufferIndex = 0;
     }
-
-    return interpolated;
   }
 
   /**
    * 轉換 Float32 PCM → Int16 PCM 並發送到主執行緒
    */
   sendPCMFrame() {
-    // Float32 [-1.0, 1.0] → Int16 [-32768, 32767]
+    // Float32 [-1.0, 1.0] → Int16 [-32767, 32767]
     const int16Buffer = new Int16Array(this.frameSize);
 
     for (let i = 0; i < this.frameSize; i++) {
       const float = this.frameBuffer[i];
-      // Clamp to [-1.0, 1.0] and convert
+      // Clamp to [-1.0, 1.0] and convert（四捨五入，正負對稱）
       const clamped = Math.max(-1, Math.min(1, float));
-      int16Buffer[i] = Math.floor(clamped * 32767);
+      int16Buffer[i] = Math.round(clamped * 32767);
     }
 
-    // 轉換為 ArrayBuffer 發送
-    const arrayBuffer = int16Buffer.buffer.slice(0);
+    // 新配置的 buffer 直接轉移所有權，不必再複製
+    const arrayBuffer = int16Buffer.buffer;
 
     this.totalFrames++;
 
@@ -151,7 +310,7 @@ class PCMProcessor extends AudioWorkletProcessor {
         stats: {
           totalFrames: this.totalFrames,
           totalSamples: this.totalSamples,
-          resampleBufferSize: this.resampleBuffer.length,
+          inputChannels: this.inputChannels,
         },
       });
     }
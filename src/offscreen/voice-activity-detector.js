@@ -0,0 +1,320 @@
+/**
+ * VoiceActivityDetector - Deepgram 路徑的語音活動偵測（Offscreen Document）
+ *
+ * Deepgram 依送出的音訊長度計費，而影片裡常有長段靜音與片頭音樂。這裡逐個 20ms frame
+ * 判斷像不像人聲，只把語音段交給 PCMBatcher；靜音段只回報長度（onSilence），
+ * Service Worker 據此推進時間軸、記下省下的用量，連線則靠 KeepAlive 維持。
+ *
+ * 判斷一個 frame 像人聲要同時滿足：
+ * - 音量高於背景噪音 margin dB（背景噪音自動追蹤：往下快、往上慢），且不低於 minEnergy
+ * - 人聲頻段（VAD_CONFIG.SPEECH_BAND）占總能量的比例夠高：低頻隆隆聲、高頻嘶聲不算
+ * - 人聲頻段的頻譜不平坦：母音有諧波峰，白噪音、風聲是平的
+ *
+ * 狀態切換：連續 ONSET_FRAMES 個 frame 像人聲才開始送，並補上 PRE_ROLL_MS 的前段（字首子音）；
+ * 開始後持續 HANGOVER_MS 都不像人聲才停（句尾輕音，也讓 Deepgram 的 endpointing 看得到句子結束）。
+ *
+ * 每個 frame 不是經 onSpeech 交出，就是計入 onSilence，且依 frameIndex 順序，不重複、不遺漏。
+ */
+import { AUDIO_WORKLET_CONFIG, VAD_CONFIG, VAD_SENSITIVITIES } from '../lib/config.js';
+
+// 背景噪音追蹤速率（每 frame，dB 的指數平滑係數）
+const FLOOR_FALL_RATE = 0.1;
+const FLOOR_RISE_RATE = 0.02;
+// 判定為語音的 frame 也讓背景噪音極慢地上升，持續的穩定噪音（空調、風扇）終究會被當成背景
+const FLOOR_RISE_RATE_DURING_SPEECH = 0.001;
+
+const EPSILON = 1e-10;
+
+export class VoiceActivityDetector {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.sensitivity] - VAD_SENSITIVITIES 的 ID（'off' 以外）；不認得時用預設
+   * @param {number} [options.sampleRate]
+   * @param {number} [options.frameSize] - 每個 frame 的樣本數
+   */
+  constructor(options = {}) {
+    const frameMs = AUDIO_WORKLET_CONFIG.FRAME_SIZE_MS;
+    this.sampleRate = options.sampleRate ?? AUDIO_WORKLET_CONFIG.OUTPUT_SAMPLE_RATE;
+    this.frameSize = options.frameSize ?? (this.sampleRate * frameMs) / 1000;
+
+    const preset =
+      VAD_SENSITIVITIES.find((item) => item.id === options.sensitivity && item.id !== 'off') ??
+      VAD_SENSITIVITIES.find((item) => item.id === VAD_CONFIG.DEFAULT_SENSITIVITY);
+    this.sensitivity = preset.id;
+    this.thresholds = {
+      margin: preset.margin,
+      minEnergy: preset.minEnergy,
+      minBandRatio: preset.minBandRatio,
+      maxFlatness: preset.maxFlatness,
+    };
+
+    this.hangoverFrames = Math.ceil(VAD_CONFIG.HANGOVER_MS / frameMs);
+    this.onsetFrames = VAD_CONFIG.ONSET_FRAMES;
+    // 前段含觸發用的 onset frame，觸發點之前仍留足 PRE_ROLL_MS
+    this.preRollFrames = Math.ceil(VAD_CONFIG.PRE_ROLL_MS / frameMs) + this.onsetFrames;
+    this.reportFrames = VAD_CONFIG.SILENCE_REPORT_FRAMES;
+
+    // 狀態
+    this.speaking = false;
+    this.speechRun = 0;
+    this.hangover = 0;
+    /** @type {number|null} 背景噪音（dBFS），第一個 frame 進來時初始化（見 classify()） */
+    this.noiseFloor = null;
+    /** @type {Array<{samples: Int16Array, frameIndex: number}>} */
+    this.preRoll = [];
+    this.silentFrames = 0;
+    this.silenceStartIndex = 0;
+
+    this.stats = {
+      speechFrames: 0,
+      skippedFrames: 0,
+    };
+
+    this.setupFFT(VAD_CONFIG.FFT_SIZE);
+
+    /** @type {((samples: Int16Array, frameIndex: number) => void)|null} */
+    this.onSpeech = null;
+    /** @type {(() => void)|null} 語音段結束（hangover 用完），Offscreen 據此把不足一批的尾段送出 */
+    this.onSpeechEnd = null;
+    /** @type {((silence: SilenceReport) => void)|null} */
+    this.onSilence = null;
+  }
+
+  /**
+   * 推入一個 PCM frame
+   * @param {Int16Array} samples
+   * @param {number} frameIndex - AudioWorklet 的 frame 序號（從 1 起算）
+   */
+  push(samples, frameIndex) {
+    const speechLike = this.classify(samples);
+
+    if (this.speaking) {
+      this.emitSpeech(samples, frameIndex);
+
+      if (speechLike) {
+        this.hangover = this.hangoverFrames;
+      } else if (--this.hangover <= 0) {
+        this.speaking = false;
+        this.onSpeechEnd?.();
+      }
+      return;
+    }
+
+    this.speechRun = speechLike ? this.speechRun + 1 : 0;
+    this.preRoll.push({ samples, frameIndex });
+
+    if (this.speechRun >= this.onsetFrames) {
+      this.speaking = true;
+      this.speechRun = 0;
+      this.hangover = this.hangoverFrames;
+
+      // 先把靜音的零頭報掉，再送前段：Service Worker 端的時間軸才是連續的
+      this.reportSilence();
+      this.preRoll.forEach((frame) => this.emitSpeech(frame.samples, frame.frameIndex));
+      this.preRoll = [];
+      return;
+    }
+
+    if (this.preRoll.length >= this.preRollFrames) {
+      const { frameIndex: skippedIndex } = this.preRoll.shift();
+      if (this.silentFrames === 0) {
+        this.silenceStartIndex = skippedIndex;
+      }
+      this.silentFrames++;
+
+      if (this.silentFrames >= this.reportFrames) {
+        this.reportSilence();
+      }
+    }
+  }
+
+  /**
+   * 這個 frame 像不像人聲（順便更新背景噪音）
+   *
+   * 不是 private：測試與除錯時直接看判斷結果。
+   *
+   * @param {Int16Array} samples
+   * @returns {boolean}
+   */
+  classify(samples) {
+    const { margin, minEnergy, minBandRatio, maxFlatness } = this.thresholds;
+
+    let sumSquares = 0;
+    for (let i = 0; i < samples.length; i++) {
+      const value = samples[i] / 32768;
+      sumSquares += value * value;
+    }
+    const energy = 10 * Math.log10(sumSquares / Math.max(1, samples.length) + EPSILON);
+
+    // 從低處起算：啟用時常常正在講話，拿第一個 frame 當背景會漏掉開頭幾句
+    if (this.noiseFloor === null) {
+      this.noiseFloor = Math.min(energy, minEnergy - margin);
+    }
+
+    let speechLike = false;
+    // 夠大聲才算頻譜，靜音 frame 省下一次 FFT
+    if (energy >= Math.max(this.noiseFloor + margin, minEnergy)) {
+      const { bandRatio, flatness } = this.analyzeSpectrum(samples);
+      speechLike = bandRatio >= minBandRatio && flatness <= maxFlatness;
+    }
+
+    const rate =
+      energy < this.noiseFloor
+        ? FLOOR_FALL_RATE
+        : speechLike
+          ? FLOOR_RISE_RATE_DURING_SPEECH
+          : FLOOR_RISE_RATE;
+    this.noiseFloor += (energy - this.noiseFloor) * rate;
+
+    return speechLike;
+  }
+
+  /**
+   * 人聲頻段的能量比例與頻譜平坦度（幾何平均 / 算術平均，0 = 純音，1 = 完全平坦）
+   *
+   * @private
+   * @param {Int16Array} samples
+   * @returns {{bandRatio: number, flatness: number}}
+   */
+  analyzeSpectrum(samples) {
+    const { re, im, window } = this.fft;
+    const length = Math.min(samples.length, window.length);
+
+    re.fill(0);
+    im.fill(0);
+    for (let i = 0; i < length; i++) {
+      re[i] = (samples[i] / 32768) * window[i];
+    }
+    this.transform();
+
+    const [lowBin, highBin] = this.fft.band;
+    let total = 0;
+    let band = 0;
+    let logSum = 0;
+
+    // 略過直流（bin 0）
+    for (let k = 1; k <= this.fft.size / 2; k++) {
+      const power = re[k] * re[k] + im[k] * im[k];
+      total += power;
+      if (k >= lowBin && k <= highBin) {
+        band += power;
+        logSum += Math.log(power + EPSILON);
+      }
+    }
+
+    const bins = highBin - lowBin + 1;
+    const geometricMean = Math.exp(logSum / bins);
+    const arithmeticMean = band / bins;
+
+    return {
+      bandRatio: total > 0 ? band / total : 0,
+      flatness: arithmeticMean > 0 ? geometricMean / arithmeticMean : 1,
+    };
+  }
+
+  /**
+   * @private
+   * @param {Int16Array} samples
+   * @param {number} frameIndex
+   */
+  emitSpeech(samples, frameIndex) {
+    this.stats.speechFrames++;
+    this.onSpeech?.(samples, frameIndex);
+  }
+
+  /**
+   * 回報累積的靜音 frame
+   * @private
+   */
+  reportSilence() {
+    if (this.silentFrames === 0) return;
+
+    const report = { frameIndex: this.silenceStartIndex, frameCount: this.silentFrames };
+    this.stats.skippedFrames += this.silentFrames;
+    this.silentFrames = 0;
+    this.onSilence?.(report);
+  }
+
+  /**
+   * 預先算好 FFT 的 Hann 視窗、旋轉因子與位元反轉表
+   * @private
+   * @param {number} size - 2 的次方，不小於 frameSize
+   */
+  setupFFT(size) {
+    const window = new Float64Array(Math.min(this.frameSize, size));
+    for (let i = 0; i < window.length; i++) {
+      window[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (window.length - 1));
+    }
+
+    const cos = new Float64Array(size / 2);
+    const sin = new Float64Array(size / 2);
+    for (let i = 0; i < size / 2; i++) {
+      cos[i] = Math.cos((2 * Math.PI * i) / size);
+      sin[i] = -Math.sin((2 * Math.PI * i) / size);
+    }
+
+    const bits = Math.log2(size);
+    const reversed = new Uint32Array(size);
+    for (let i = 0; i < size; i++) {
+      let value = 0;
+      for (let bit = 0; bit < bits; bit++) {
+        value = (value << 1) | ((i >> bit) & 1);
+      }
+      reversed[i] = value;
+    }
+
+    const binWidth = this.sampleRate / size;
+    const [low, high] = VAD_CONFIG.SPEECH_BAND;
+
+    this.fft = {
+      size,
+      window,
+      cos,
+      sin,
+      reversed,
+      re: new Float64Array(size),
+      im: new Float64Array(size),
+      band: [Math.ceil(low / binWidth), Math.min(size / 2, Math.floor(high / binWidth))],
+    };
+  }
+
+  /**
+   * 原地做 radix-2 FFT（this.fft.re / im）
+   * @private
+   */
+  transform() {
+    const { size, cos, sin, reversed, re, im } = this.fft;
+
+    for (let i = 0; i < size; i++) {
+      const j = reversed[i];
+      if (j > i) {
+        [re[i], re[j]] = [re[j], re[i]];
+        [im[i], im[j]] = [im[j], im[i]];
+      }
+    }
+
+    for (let half = 1; half < size; half *= 2) {
+      const step = size / (half * 2);
+      for (let start = 0; start < size; start += half * 2) {
+        for (let k = 0; k < half; k++) {
+          const wr = cos[k * step];
+          const wi = sin[k * step];
+          const a = start + k;
+          const b = a + half;
+          const tr = re[b] * wr - im[b] * wi;
+          const ti = re[b] * wi + im[b] * wr;
+          re[b] = re[a] - tr;
+          im[b] = im[a] - ti;
+          re[a] += tr;
+          im[a] += ti;
+        }
+      }
+    }
+  }
+}
+
+/**
+ * @typedef {Object} SilenceReport
+ * @property {number} frameIndex - 第一個略過的 frame 序號
+ * @property {number} frameCount - 連續略過的 frame 數
+ */
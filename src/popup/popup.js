@@ -1,9 +1,39 @@
 /**
  * Popup UI 控制邏輯
  */
-import { APIKeyManager } from '../lib/api-key-manager.js';
+import { APIKeyManager, BudgetLevel } from '../lib/api-key-manager.js';
 import { DeepgramKeyManager } from '../lib/deepgram-key-manager.js';
-import { MessageTypes, STORAGE_KEYS, RECOGNITION_MODES } from '../lib/config.js';
+import { ErrorHandler } from '../lib/error-handler.js';
+import { normalizeSubtitleStyle, subtitleStyleToCss } from '../lib/subtitle-style.js';
+import { speakerLabel } from '../lib/speakers.js';
+import { getSiteKey } from '../lib/page-identity.js';
+import {
+  GLOSSARY_SCOPES,
+  normalizeGlossary,
+  getScopeTerms,
+  setScopeTerms,
+  mergeGlossaries,
+  glossaryToCsv,
+  parseGlossaryCsv,
+} from '../lib/glossary.js';
+import {
+  MessageTypes,
+  STORAGE_KEYS,
+  RECOGNITION_MODES,
+  RECOGNITION_ENGINES,
+  TRANSLATION_CONFIG,
+  UI_CONFIG,
+  VAD_CONFIG,
+  VAD_SENSITIVITIES,
+  PLAYBACK_CONFIG,
+  PAUSE_IDLE_OPTIONS,
+} from '../lib/config.js';
+
+// DOM 元素 - 最近一次錯誤
+const lastErrorBox = document.getElementById('last-error');
+const lastErrorMessage = document.getElementById('last-error-message');
+const lastErrorTime = document.getElementById('last-error-time');
+const dismissLastErrorBtn = document.getElementById('dismiss-last-error');
 
 // DOM 元素 - Tab 切換
 // getElementById / querySelectorAll 只保證回傳 HTMLElement / Element，
@@ -44,20 +74,133 @@ const recognitionModeSelect = /** @type {HTMLSelectElement} */ (
   document.getElementById('recognition-mode')
 );
 const recognitionHint = document.getElementById('recognition-hint');
+const vadSensitivitySelect = /** @type {HTMLSelectElement} */ (
+  document.getElementById('vad-sensitivity')
+);
+const pauseIdleSelect = /** @type {HTMLSelectElement} */ (
+  document.getElementById('pause-idle')
+);
+const diarizeInput = /** @type {HTMLInputElement} */ (
+  document.getElementById('deepgram-diarize')
+);
 
 // DOM 元素 - 字幕控制
+const recognitionEngineSelect = /** @type {HTMLSelectElement} */ (
+  document.getElementById('recognition-engine')
+);
+const engineHint = document.getElementById('engine-hint');
 const enableBtn = /** @type {HTMLButtonElement} */ (document.getElementById('enable-btn'));
 const disableBtn = /** @type {HTMLButtonElement} */ (
   document.getElementById('disable-btn')
 );
 const statusText = document.getElementById('status-text');
+const liveTabsGroup = document.getElementById('live-tabs-group');
+const liveTabsList = document.getElementById('live-tabs');
+
+// DOM 元素 - 翻譯設定
+const translationEnabledInput = /** @type {HTMLInputElement} */ (
+  document.getElementById('translation-enabled')
+);
+const translationTargetSelect = /** @type {HTMLSelectElement} */ (
+  document.getElementById('translation-target')
+);
+const translationIncludeTitleInput = /** @type {HTMLInputElement} */ (
+  document.getElementById('translation-include-title')
+);
+
+// DOM 元素 - 自訂詞彙
+const glossaryScopeSelect = /** @type {HTMLSelectElement} */ (
+  document.getElementById('glossary-scope')
+);
+const glossaryTermsInput = /** @type {HTMLTextAreaElement} */ (
+  document.getElementById('glossary-terms')
+);
+const glossaryImportBtn = document.getElementById('glossary-import-btn');
+const glossaryExportBtn = document.getElementById('glossary-export-btn');
+const glossaryImportFile = /** @type {HTMLInputElement} */ (
+  document.getElementById('glossary-import-file')
+);
+const glossaryStatus = document.getElementById('glossary-status');
+
+// Popup 開啟時所在的分頁；停用、逐字稿都以它為準
+let currentTabId = null;
+// 目前分頁的網站（自訂詞彙「此網站」的範圍），不是一般網頁時為 null
+let currentSiteKey = null;
+
+// 自訂詞彙，各範圍的詞見 glossary.js
+let glossary = normalizeGlossary();
+
+// DOM 元素 - 逐字稿
+const transcriptStatus = document.getElementById('transcript-status');
+const exportButtons = /** @type {NodeListOf<HTMLButtonElement>} */ (
+  document.querySelectorAll('.export-btn')
+);
+const openLibraryBtn = document.getElementById('open-library-btn');
+
+// DOM 元素 - 字幕樣式
+const stylePreview = document.getElementById('style-preview');
+const stylePreviewSubtitle = document.getElementById('style-preview-subtitle');
+const styleFontSizeInput = /** @type {HTMLInputElement} */ (
+  document.getElementById('style-font-size')
+);
+const styleFontSizeValue = document.getElementById('style-font-size-value');
+const styleFontFamilySelect = /** @type {HTMLSelectElement} */ (
+  document.getElementById('style-font-family')
+);
+const styleColorInput = /** @type {HTMLInputElement} */ (document.getElementById('style-color'));
+const styleBackgroundColorInput = /** @type {HTMLInputElement} */ (
+  document.getElementById('style-background-color')
+);
+const styleBackgroundOpacityInput = /** @type {HTMLInputElement} */ (
+  document.getElementById('style-background-opacity')
+);
+const styleBackgroundOpacityValue = document.getElementById('style-background-opacity-value');
+const styleEdgeSelect = /** @type {HTMLSelectElement} */ (document.getElementById('style-edge'));
+const stylePositionSelect = /** @type {HTMLSelectElement} */ (
+  document.getElementById('style-position')
+);
+const styleOffsetInput = /** @type {HTMLInputElement} */ (document.getElementById('style-offset'));
+const styleMaxCharsInput = /** @type {HTMLInputElement} */ (document.getElementById('style-max-chars'));
+const styleKaraokeInput = /** @type {HTMLInputElement} */ (document.getElementById('style-karaoke'));
+const styleHighlightColorInput = /** @type {HTMLInputElement} */ (
+  document.getElementById('style-highlight-color')
+);
+const styleDisplayModeSelect = /** @type {HTMLSelectElement} */ (
+  document.getElementById('style-display-mode')
+);
+const styleLineCountSelect = /** @type {HTMLSelectElement} */ (
+  document.getElementById('style-line-count')
+);
+const styleLineFadeInput = /** @type {HTMLInputElement} */ (document.getElementById('style-line-fade'));
+const stylePreviewSpoken = document.getElementById('style-preview-spoken');
+const resetStyleBtn = document.getElementById('reset-style-btn');
 
 // DOM 元素 - 成本統計
+const deepgramCostEl = document.getElementById('deepgram-cost');
+const deepgramSkippedEl = document.getElementById('deepgram-skipped');
 const whisperCostEl = document.getElementById('whisper-cost');
 const gptCostEl = document.getElementById('gpt-cost');
 const totalCostEl = document.getElementById('total-cost');
 const refreshStatsBtn = document.getElementById('refresh-stats-btn');
 
+// DOM 元素 - 預算
+const monthlyBudgetInput = /** @type {HTMLInputElement} */ (
+  document.getElementById('monthly-budget')
+);
+const budgetWarningThresholdInput = /** @type {HTMLInputElement} */ (
+  document.getElementById('budget-warning-threshold')
+);
+const sessionBudgetInput = /** @type {HTMLInputElement} */ (
+  document.getElementById('session-budget')
+);
+const enforceBudgetInput = /** @type {HTMLInputElement} */ (
+  document.getElementById('enforce-budget')
+);
+const budgetStatusText = document.getElementById('budget-status');
+const overrideBudgetBtn = /** @type {HTMLButtonElement} */ (
+  document.getElementById('override-budget-btn')
+);
+
 /**
  * Tab 切換功能
  */
@@ -97,6 +240,9 @@ async function init() {
   initTabs();
 
   try {
+    // Popup 關著時發生的錯誤
+    await loadLastError();
+
     // 載入 OpenAI API Key 狀態
     await loadOpenaiKeyInfo();
 
@@ -107,13 +253,74 @@ async function init() {
     renderRecognitionModes();
     await loadRecognitionSettings();
 
-    // 載入成本統計
+    // 渲染 VAD 靈敏度選單並載入設定
+    renderVadSensitivities();
+    await loadVadSensitivity();
+
+    // 渲染暫停斷線時間選單並載入設定
+    renderPauseIdleOptions();
+    await loadPauseIdleSetting();
+    await loadDiarizeSetting();
+
+    // 渲染辨識引擎選單並載入設定
+    await loadEngineSetting();
+
+    // 目前分頁與其他字幕中的分頁
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    currentTabId = tab?.id ?? null;
+    currentSiteKey = getSiteKey(tab?.url);
+    await loadLiveSessions();
+
+    // 最近一次啟用的逐字稿
+    await loadTranscriptSummary();
+
+    // 渲染翻譯語言選單並載入設定
+    renderTranslationLanguages();
+    await loadTranslationSettings();
+
+    // 自訂詞彙（範圍選單依目前網站與辨識模式渲染）
+    await loadGlossary();
+
+    // 渲染字型選單並載入字幕樣式
+    renderSubtitleFonts();
+    await loadSubtitleStyle();
+
+    // 載入成本統計與預算設定
     await loadCostStats();
+    await loadBudgetSettings();
   } catch (error) {
     console.error('初始化失敗:', error);
   }
 }
 
+/**
+ * 顯示最近一次錯誤（ErrorHandler 寫入，使用者按「知道了」才清除）
+ */
+async function loadLastError() {
+  const lastError = await ErrorHandler.getLastError();
+
+  if (!lastError) {
+    lastErrorBox.hidden = true;
+    return;
+  }
+
+  lastErrorMessage.textContent = `⚠️ ${lastError.message}`;
+  lastErrorTime.textContent = new Date(lastError.timestamp).toLocaleString('zh-TW');
+  lastErrorBox.hidden = false;
+}
+
+/**
+ * 清除最近一次錯誤
+ */
+async function dismissLastError() {
+  try {
+    await ErrorHandler.clearLastError();
+    lastErrorBox.hidden = true;
+  } catch (error) {
+    console.error('[Popup] 清除錯誤紀錄失敗:', error);
+  }
+}
+
 /**
  * 載入 OpenAI API Key 資訊
  */
@@ -432,41 +639,530 @@ function handleRecognitionModeChange() {
   const modeId = recognitionModeSelect.value;
   updateRecognitionHint(modeId);
   saveRecognitionSettings();
+
+  // 自訂詞彙的「辨識模式」範圍跟著換
+  renderGlossaryScopes();
+  showGlossaryTerms();
+}
+
+/**
+ * 渲染 VAD 靈敏度選單
+ */
+function renderVadSensitivities() {
+  vadSensitivitySelect.innerHTML = '';
+
+  VAD_SENSITIVITIES.forEach(sensitivity => {
+    const option = document.createElement('option');
+    option.value = sensitivity.id;
+    option.textContent = sensitivity.name;
+    vadSensitivitySelect.appendChild(option);
+  });
+}
+
+/**
+ * 載入 VAD 靈敏度
+ */
+async function loadVadSensitivity() {
+  try {
+    const result = await chrome.storage.local.get(STORAGE_KEYS.VAD_SENSITIVITY);
+    vadSensitivitySelect.value = /** @type {string|undefined} */ (
+      result[STORAGE_KEYS.VAD_SENSITIVITY]
+    ) || VAD_CONFIG.DEFAULT_SENSITIVITY;
+  } catch (error) {
+    console.error('[Popup] 載入 VAD 靈敏度失敗:', error);
+  }
+}
+
+/**
+ * 儲存 VAD 靈敏度（下次啟用字幕時生效）
+ */
+async function saveVadSensitivity() {
+  try {
+    await chrome.storage.local.set({
+      [STORAGE_KEYS.VAD_SENSITIVITY]: vadSensitivitySelect.value,
+    });
+    console.log('[Popup] VAD 靈敏度已儲存:', vadSensitivitySelect.value);
+  } catch (error) {
+    console.error('[Popup] 儲存 VAD 靈敏度失敗:', error);
+  }
+}
+
+/**
+ * 渲染暫停多久後關閉連線的選單
+ */
+function renderPauseIdleOptions() {
+  pauseIdleSelect.innerHTML = '';
+
+  PAUSE_IDLE_OPTIONS.forEach(option => {
+    const element = document.createElement('option');
+    element.value = String(option.seconds);
+    element.textContent = option.name;
+    pauseIdleSelect.appendChild(element);
+  });
+}
+
+/**
+ * 載入暫停斷線時間
+ */
+async function loadPauseIdleSetting() {
+  try {
+    const result = await chrome.storage.local.get(STORAGE_KEYS.PAUSE_IDLE_SECONDS);
+    const seconds = result[STORAGE_KEYS.PAUSE_IDLE_SECONDS];
+    pauseIdleSelect.value = String(
+      typeof seconds === 'number' ? seconds : PLAYBACK_CONFIG.DEFAULT_PAUSE_IDLE_SECONDS
+    );
+  } catch (error) {
+    console.error('[Popup] 載入暫停斷線時間失敗:', error);
+  }
+}
+
+/**
+ * 儲存暫停斷線時間（下次暫停時生效）
+ */
+async function savePauseIdleSetting() {
+  try {
+    await chrome.storage.local.set({
+      [STORAGE_KEYS.PAUSE_IDLE_SECONDS]: Number(pauseIdleSelect.value),
+    });
+    console.log('[Popup] 暫停斷線時間已儲存:', pauseIdleSelect.value);
+  } catch (error) {
+    console.error('[Popup] 儲存暫停斷線時間失敗:', error);
+  }
+}
+
+/**
+ * 載入區分講者設定
+ */
+async function loadDiarizeSetting() {
+  try {
+    const result = await chrome.storage.local.get(STORAGE_KEYS.DEEPGRAM_DIARIZE);
+    diarizeInput.checked = result[STORAGE_KEYS.DEEPGRAM_DIARIZE] === true;
+  } catch (error) {
+    console.error('[Popup] 載入區分講者設定失敗:', error);
+  }
+}
+
+/**
+ * 儲存區分講者設定（下次啟用字幕時生效）
+ */
+async function saveDiarizeSetting() {
+  try {
+    await chrome.storage.local.set({ [STORAGE_KEYS.DEEPGRAM_DIARIZE]: diarizeInput.checked });
+    console.log('[Popup] 區分講者設定已儲存:', diarizeInput.checked);
+  } catch (error) {
+    console.error('[Popup] 儲存區分講者設定失敗:', error);
+  }
+}
+
+/**
+ * 渲染辨識引擎選單
+ *
+ * 開發用引擎（devOnly）不對一般使用者列出，只在目前設定就是它時出現，
+ * 選單才不會顯示成空白。
+ *
+ * @param {string} currentEngineId - 目前設定的辨識引擎 ID
+ */
+function renderRecognitionEngines(currentEngineId) {
+  recognitionEngineSelect.innerHTML = '';
+
+  RECOGNITION_ENGINES.filter(engine => !engine.devOnly || engine.id === currentEngineId).forEach(engine => {
+    const option = document.createElement('option');
+    option.value = engine.id;
+    option.textContent = engine.name;
+    recognitionEngineSelect.appendChild(option);
+  });
+}
+
+/**
+ * 載入辨識引擎設定
+ */
+async function loadEngineSetting() {
+  try {
+    const result = await chrome.storage.local.get(STORAGE_KEYS.RECOGNITION_ENGINE);
+    const engineId = /** @type {string} */ (
+      result[STORAGE_KEYS.RECOGNITION_ENGINE] || 'deepgram'
+    );
+
+    renderRecognitionEngines(engineId);
+    recognitionEngineSelect.value = engineId;
+    updateEngineHint(engineId);
+  } catch (error) {
+    console.error('[Popup] 載入辨識引擎設定失敗:', error);
+  }
+}
+
+/**
+ * 更新辨識引擎提示文字
+ * @param {string} engineId - 辨識引擎 ID
+ */
+function updateEngineHint(engineId) {
+  const engine = RECOGNITION_ENGINES.find(e => e.id === engineId);
+  if (!engine) return;
+
+  engineHint.textContent = `💡 ${engine.hint}`;
+}
+
+/**
+ * 處理辨識引擎變更（下次啟用時生效）
+ */
+async function handleEngineChange() {
+  const engineId = recognitionEngineSelect.value;
+  updateEngineHint(engineId);
+
+  try {
+    await chrome.storage.local.set({ [STORAGE_KEYS.RECOGNITION_ENGINE]: engineId });
+    console.log('[Popup] 辨識引擎已儲存:', engineId);
+  } catch (error) {
+    console.error('[Popup] 儲存辨識引擎失敗:', error);
+  }
+}
+
+/**
+ * 渲染翻譯目標語言選單
+ */
+function renderTranslationLanguages() {
+  translationTargetSelect.innerHTML = '';
+
+  UI_CONFIG.SUPPORTED_LANGUAGES.forEach(language => {
+    const option = document.createElement('option');
+    option.value = language.code;
+    option.textContent = language.name;
+    translationTargetSelect.appendChild(option);
+  });
+}
+
+/**
+ * 載入翻譯設定
+ */
+async function loadTranslationSettings() {
+  try {
+    const result = await chrome.storage.local.get([
+      STORAGE_KEYS.TRANSLATION_ENABLED,
+      STORAGE_KEYS.TRANSLATION_TARGET_LANGUAGE,
+      STORAGE_KEYS.TRANSLATION_INCLUDE_TITLE,
+    ]);
+
+    translationEnabledInput.checked = Boolean(result[STORAGE_KEYS.TRANSLATION_ENABLED]);
+    // 未設定視為開啟，與 Service Worker 的判斷一致
+    translationIncludeTitleInput.checked = result[STORAGE_KEYS.TRANSLATION_INCLUDE_TITLE] !== false;
+    translationTargetSelect.value = /** @type {string} */ (
+      result[STORAGE_KEYS.TRANSLATION_TARGET_LANGUAGE] ||
+        TRANSLATION_CONFIG.DEFAULT_TARGET_LANGUAGE
+    );
+    translationTargetSelect.disabled = !translationEnabledInput.checked;
+    translationIncludeTitleInput.disabled = !translationEnabledInput.checked;
+  } catch (error) {
+    console.error('[Popup] 載入翻譯設定失敗:', error);
+  }
+}
+
+/**
+ * 儲存翻譯設定（下次啟用時生效）
+ */
+async function saveTranslationSettings() {
+  translationTargetSelect.disabled = !translationEnabledInput.checked;
+  translationIncludeTitleInput.disabled = !translationEnabledInput.checked;
+
+  try {
+    await chrome.storage.local.set({
+      [STORAGE_KEYS.TRANSLATION_ENABLED]: translationEnabledInput.checked,
+      [STORAGE_KEYS.TRANSLATION_TARGET_LANGUAGE]: translationTargetSelect.value,
+      [STORAGE_KEYS.TRANSLATION_INCLUDE_TITLE]: translationIncludeTitleInput.checked,
+    });
+
+    console.log('[Popup] 翻譯設定已儲存:', {
+      enabled: translationEnabledInput.checked,
+      targetLanguage: translationTargetSelect.value,
+      includeTitle: translationIncludeTitleInput.checked,
+    });
+  } catch (error) {
+    console.error('[Popup] 儲存翻譯設定失敗:', error);
+  }
+}
+
+/**
+ * 渲染自訂詞彙的範圍選單（標出目前的網站與辨識模式），保留原本的選擇
+ */
+function renderGlossaryScopes() {
+  const mode = RECOGNITION_MODES.find((m) => m.id === recognitionModeSelect.value);
+  const labels = {
+    global: '全域',
+    site: currentSiteKey ? `此網站（${currentSiteKey}）` : '此網站（此頁不適用）',
+    mode: `辨識模式：${mode?.name ?? recognitionModeSelect.value}`,
+  };
+  const selected = glossaryScopeSelect.value || 'global';
+
+  glossaryScopeSelect.innerHTML = '';
+  GLOSSARY_SCOPES.forEach((scope) => {
+    const option = document.createElement('option');
+    option.value = scope;
+    option.textContent = labels[scope];
+    option.disabled = scope === 'site' && !currentSiteKey;
+    glossaryScopeSelect.appendChild(option);
+  });
+  glossaryScopeSelect.value = selected;
+}
+
+/**
+ * 目前選的範圍對應的網站或辨識模式（全域為 null）
+ * @returns {string|null}
+ */
+function glossaryTarget() {
+  const scope = glossaryScopeSelect.value;
+  if (scope === 'site') return currentSiteKey;
+  if (scope === 'mode') return recognitionModeSelect.value;
+  return null;
+}
+
+/**
+ * 在編輯框顯示目前範圍的詞（一行一個）
+ */
+function showGlossaryTerms() {
+  const terms = getScopeTerms(glossary, glossaryScopeSelect.value, glossaryTarget());
+  glossaryTermsInput.value = terms.join('\n');
+}
+
+/**
+ * 載入自訂詞彙
+ */
+async function loadGlossary() {
+  try {
+    const result = await chrome.storage.local.get(STORAGE_KEYS.GLOSSARY);
+    glossary = normalizeGlossary(result[STORAGE_KEYS.GLOSSARY]);
+  } catch (error) {
+    console.error('[Popup] 載入自訂詞彙失敗:', error);
+  }
+
+  renderGlossaryScopes();
+  showGlossaryTerms();
+}
+
+/**
+ * 儲存自訂詞彙（下次啟用時生效）
+ * @param {import('../lib/glossary.js').Glossary} next
+ */
+async function saveGlossary(next) {
+  await chrome.storage.local.set({ [STORAGE_KEYS.GLOSSARY]: next });
+  glossary = next;
+  showGlossaryTerms();
+}
+
+/**
+ * 編輯框改完：換掉目前範圍的詞
+ */
+async function saveGlossaryTerms() {
+  try {
+    const scope = glossaryScopeSelect.value;
+    const target = glossaryTarget();
+    const next = setScopeTerms(glossary, scope, target, glossaryTermsInput.value.split('\n'));
+    await saveGlossary(next);
+
+    const count = getScopeTerms(next, scope, target).length;
+    showStatus(glossaryStatus, `✓ 已儲存 ${count} 個詞`, 'success');
+  } catch (error) {
+    console.error('[Popup] 儲存自訂詞彙失敗:', error);
+    showStatus(glossaryStatus, `✗ ${error.message}`, 'error');
+  }
+}
+
+/**
+ * 匯入 CSV：併進現有的詞彙，不覆蓋
+ */
+async function importGlossary() {
+  const [file] = glossaryImportFile.files;
+  if (!file) return;
+
+  try {
+    const { glossary: imported, imported: count, skipped } = parseGlossaryCsv(await file.text());
+    await saveGlossary(mergeGlossaries(glossary, imported));
+
+    const skippedText = skipped > 0 ? `，略過 ${skipped} 列無法辨識的資料` : '';
+    showStatus(glossaryStatus, `✓ 已匯入 ${count} 個詞${skippedText}`, 'success');
+  } catch (error) {
+    console.error('[Popup] 匯入自訂詞彙失敗:', error);
+    showStatus(glossaryStatus, `✗ ${error.message}`, 'error');
+  } finally {
+    // 同一個檔案再選一次也要觸發 change
+    glossaryImportFile.value = '';
+  }
+}
+
+/**
+ * 匯出 CSV（全部範圍）
+ */
+function exportGlossary() {
+  // 加上 BOM，試算表軟體才認得是 UTF-8
+  const csv = `\ufeff${glossaryToCsv(glossary)}`;
+  const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv;charset=utf-8' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = 'babel-bridge-glossary.csv';
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+
+  showStatus(glossaryStatus, '✓ 已下載 babel-bridge-glossary.csv', 'success');
+}
+
+/**
+ * 渲染字幕字型選單
+ */
+function renderSubtitleFonts() {
+  styleFontFamilySelect.innerHTML = '';
+
+  UI_CONFIG.SUBTITLE_FONTS.forEach((font) => {
+    const option = document.createElement('option');
+    option.value = font.value;
+    option.textContent = font.name;
+    styleFontFamilySelect.appendChild(option);
+  });
+}
+
+/**
+ * 載入字幕樣式
+ */
+async function loadSubtitleStyle() {
+  try {
+    const settings = await APIKeyManager.getUserSettings();
+    fillStyleInputs(normalizeSubtitleStyle(settings.subtitleStyle));
+  } catch (error) {
+    console.error('[Popup] 載入字幕樣式失敗:', error);
+  }
+}
+
+/**
+ * 把樣式填回表單並更新預覽
+ * @param {import('../lib/subtitle-style.js').SubtitleStyle} style
+ */
+function fillStyleInputs(style) {
+  styleFontSizeInput.value = String(style.fontSize);
+  styleFontFamilySelect.value = style.fontFamily;
+  styleColorInput.value = style.color.toLowerCase();
+  styleBackgroundColorInput.value = style.backgroundColor.toLowerCase();
+  styleBackgroundOpacityInput.value = String(Math.round(style.backgroundOpacity * 100));
+  styleEdgeSelect.value = style.edgeStyle;
+  stylePositionSelect.value = style.position;
+  styleOffsetInput.value = String(style.offset);
+  styleMaxCharsInput.value = String(style.maxCharsPerLine);
+  styleKaraokeInput.checked = style.karaoke;
+  styleHighlightColorInput.value = style.highlightColor.toLowerCase();
+  styleDisplayModeSelect.value = style.displayMode;
+  styleLineCountSelect.value = String(style.lineCount);
+  styleLineFadeInput.value = String(style.lineFadeSeconds);
+
+  updateStylePreview();
+}
+
+/**
+ * 從表單讀出樣式（經正規化，表單值不合法時退回預設）
+ * @returns {import('../lib/subtitle-style.js').SubtitleStyle}
+ */
+function readStyleInputs() {
+  return normalizeSubtitleStyle({
+    fontSize: Number(styleFontSizeInput.value),
+    fontFamily: styleFontFamilySelect.value,
+    color: styleColorInput.value,
+    backgroundColor: styleBackgroundColorInput.value,
+    backgroundOpacity: Number(styleBackgroundOpacityInput.value) / 100,
+    edgeStyle: styleEdgeSelect.value,
+    position: stylePositionSelect.value,
+    offset: Number(styleOffsetInput.value),
+    maxCharsPerLine: Number(styleMaxCharsInput.value),
+    karaoke: styleKaraokeInput.checked,
+    highlightColor: styleHighlightColorInput.value,
+    displayMode: styleDisplayModeSelect.value,
+    lineCount: Number(styleLineCountSelect.value),
+    lineFadeSeconds: Number(styleLineFadeInput.value),
+  });
+}
+
+/**
+ * 即時預覽（拖動滑桿時也會觸發，不寫入 storage）
+ */
+function updateStylePreview() {
+  const style = readStyleInputs();
+
+  Object.assign(stylePreviewSubtitle.style, subtitleStyleToCss(style));
+  stylePreview.classList.toggle('top', style.position === 'top');
+  // 預覽框約為實際影片的 1/4 高，邊距等比縮小才看得出相對位置
+  stylePreview.style.padding = `${Math.round(style.offset / 4)}px 0`;
+  // 逐字高亮：預覽成唸到一半的樣子
+  stylePreviewSpoken.style.color = style.karaoke ? style.highlightColor : '';
+  styleHighlightColorInput.disabled = !style.karaoke;
+  styleLineCountSelect.disabled = style.displayMode === 'single';
+  styleLineFadeInput.disabled = style.displayMode === 'single';
+
+  styleFontSizeValue.textContent = `${style.fontSize}px`;
+  styleBackgroundOpacityValue.textContent = `${Math.round(style.backgroundOpacity * 100)}%`;
+}
+
+/**
+ * 儲存字幕樣式並即時套用到正在顯示字幕的分頁
+ */
+async function saveSubtitleStyle() {
+  const subtitleStyle = readStyleInputs();
+  updateStylePreview();
+
+  try {
+    await APIKeyManager.saveUserSettings({ subtitleStyle });
+    await chrome.runtime.sendMessage({
+      type: MessageTypes.UPDATE_SETTINGS,
+      data: { subtitleStyle },
+    });
+
+    console.log('[Popup] 字幕樣式已儲存:', subtitleStyle);
+  } catch (error) {
+    console.error('[Popup] 儲存字幕樣式失敗:', error);
+  }
+}
+
+/**
+ * 恢復預設字幕樣式
+ */
+async function resetSubtitleStyle() {
+  fillStyleInputs(normalizeSubtitleStyle());
+  await saveSubtitleStyle();
 }
 
 /**
  * 啟用字幕
+ * @param {boolean} [overrideBudget=false] - 已超過預算仍啟用（僅限本次）
  */
-async function enableSubtitles() {
+async function enableSubtitles(overrideBudget = false) {
   enableBtn.disabled = true;
+  overrideBudgetBtn.hidden = true;
   statusText.textContent = '啟動中...';
 
   try {
-    // 取得當前 tab
-    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-
-    if (!tab) {
+    if (!currentTabId) {
       throw new Error('無法取得當前分頁');
     }
 
     // 發送啟用訊息到 Background
     const response = await chrome.runtime.sendMessage({
       type: MessageTypes.ENABLE_SUBTITLES,
-      data: { tabId: tab.id },
+      data: { tabId: currentTabId, overrideBudget },
     });
 
     if (response.success) {
-      statusText.textContent = '✓ 已啟用字幕';
+      // 同一部影片有字幕紀錄時先不辨識，由影片上的提示選擇載入或重新辨識
+      statusText.textContent = response.cached ? '✓ 已啟用字幕，找到字幕紀錄，請在影片上選擇' : '✓ 已啟用字幕';
       statusText.className = 'status success';
       enableBtn.disabled = true;
       disableBtn.disabled = false;
+      await loadLiveSessions();
     } else if (response.inProgress) {
       // 前一次啟用還在跑（多半是 Popup 關掉重開後又按了一次）。這不是失敗，
       // 顯示紅色 ✗ 會誤導；按鈕留著可按，讓使用者稍後重試。
-      // 註：Popup 目前不會主動同步 Background 狀態，所以只能等使用者再按一次。
+      // 註：啟用到一半的分頁不在 GET_SESSIONS 裡，所以只能等使用者再按一次。
       statusText.textContent = `⏳ ${response.error}`;
       statusText.className = 'status';
       enableBtn.disabled = false;
+    } else if (response.budgetExceeded) {
+      // 超過預算是使用者設下的上限，不是故障：說明原因並讓使用者決定是否放行本次
+      statusText.textContent = `⚠️ ${response.error}，字幕未啟用`;
+      statusText.className = 'status error';
+      enableBtn.disabled = false;
+      overrideBudgetBtn.hidden = false;
     } else {
       // 友善的錯誤提示
       throw new Error(response.error || '啟用失敗');
@@ -484,7 +1180,7 @@ async function enableSubtitles() {
 }
 
 /**
- * 停用字幕
+ * 停用目前分頁的字幕（其他分頁不受影響）
  */
 async function disableSubtitles() {
   disableBtn.disabled = true;
@@ -493,6 +1189,7 @@ async function disableSubtitles() {
   try {
     const response = await chrome.runtime.sendMessage({
       type: MessageTypes.DISABLE_SUBTITLES,
+      data: { tabId: currentTabId },
     });
 
     if (response.success) {
@@ -500,6 +1197,8 @@ async function disableSubtitles() {
       statusText.className = 'status';
       enableBtn.disabled = false;
       disableBtn.disabled = true;
+      await loadLiveSessions();
+      await loadTranscriptSummary();
     } else {
       throw new Error(response.error || '停用失敗');
     }
@@ -510,6 +1209,223 @@ async function disableSubtitles() {
   }
 }
 
+/**
+ * 載入字幕中的分頁：列出每個分頁的引擎、語言與本場花費，並依目前分頁的狀態切換啟用／停用按鈕
+ */
+async function loadLiveSessions() {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: MessageTypes.GET_SESSIONS,
+    });
+    if (!response?.success) return;
+
+    /** @type {Array<import('../background/tab-session.js').TabSessionStatus>} */
+    const sessions = response.data;
+    const current = sessions.find((session) => session.tabId === currentTabId);
+
+    if (current) {
+      statusText.textContent = current.recognizing ? '✓ 字幕啟用中' : '✓ 字幕啟用中（重播字幕紀錄）';
+      statusText.className = 'status success';
+      enableBtn.disabled = true;
+      disableBtn.disabled = false;
+    }
+
+    renderLiveSessions(sessions);
+  } catch (error) {
+    console.error('[Popup] 載入字幕中的分頁失敗:', error);
+  }
+}
+
+/**
+ * @param {Array<import('../background/tab-session.js').TabSessionStatus>} sessions
+ */
+function renderLiveSessions(sessions) {
+  liveTabsList.innerHTML = '';
+  liveTabsGroup.hidden = sessions.length === 0;
+
+  sessions.forEach((session) => {
+    const item = document.createElement('li');
+    item.className = 'live-tab';
+    item.classList.toggle('current', session.tabId === currentTabId);
+
+    const info = document.createElement('div');
+    info.className = 'live-tab-info';
+
+    // 點標題切到那個分頁
+    const title = document.createElement('button');
+    title.className = 'live-tab-title';
+    title.textContent = session.title || '未命名分頁';
+    title.title = title.textContent;
+    title.addEventListener('click', () => focusTab(session.tabId));
+    info.appendChild(title);
+
+    const meta = document.createElement('span');
+    meta.className = 'live-tab-meta';
+    meta.textContent = session.recognizing
+      ? [session.engineId, session.language, `$${session.spent.toFixed(4)}`, session.paused && '暫停中']
+          .filter(Boolean)
+          .join(' · ')
+      : '重播字幕紀錄';
+    info.appendChild(meta);
+
+    if (session.speakers?.length > 0) {
+      info.appendChild(renderSpeakerNames(session));
+    }
+    item.appendChild(info);
+
+    const stop = document.createElement('button');
+    stop.className = 'btn btn-small btn-danger';
+    stop.textContent = '停用';
+    stop.addEventListener('click', () => disableTab(session.tabId));
+    item.appendChild(stop);
+
+    liveTabsList.appendChild(item);
+  });
+}
+
+/**
+ * 講者改名欄位：留空恢復預設的「Speaker N」
+ * @param {import('../background/tab-session.js').TabSessionStatus} session
+ * @returns {HTMLElement}
+ */
+function renderSpeakerNames(session) {
+  const container = document.createElement('div');
+  container.className = 'live-tab-speakers';
+
+  session.speakers.forEach(({ speaker, name }) => {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'speaker-name';
+    input.placeholder = speakerLabel(speaker);
+    input.value = name || '';
+    input.maxLength = 40;
+    input.addEventListener('change', () => renameSpeaker(session.tabId, speaker, input.value));
+    container.appendChild(input);
+  });
+
+  return container;
+}
+
+/**
+ * @param {number} tabId
+ * @param {number} speaker
+ * @param {string} name
+ */
+async function renameSpeaker(tabId, speaker, name) {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: MessageTypes.RENAME_SPEAKER,
+      data: { tabId, speaker, name },
+    });
+    if (!response.success) {
+      throw new Error(response.error || '講者改名失敗');
+    }
+  } catch (error) {
+    console.error('[Popup] 講者改名失敗:', error);
+    showStatus(statusText, `✗ ${error.message}`, 'error');
+  }
+}
+
+/**
+ * 停用列表中的某個分頁
+ * @param {number} tabId
+ */
+async function disableTab(tabId) {
+  if (tabId === currentTabId) {
+    await disableSubtitles();
+    return;
+  }
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: MessageTypes.DISABLE_SUBTITLES,
+      data: { tabId },
+    });
+    if (!response.success) {
+      throw new Error(response.error || '停用失敗');
+    }
+    await loadLiveSessions();
+  } catch (error) {
+    console.error('[Popup] 停用分頁失敗:', error);
+    showStatus(statusText, `✗ ${error.message}`, 'error');
+  }
+}
+
+/**
+ * 切到指定分頁（含所在視窗）
+ * @param {number} tabId
+ */
+async function focusTab(tabId) {
+  try {
+    const tab = await chrome.tabs.update(tabId, { active: true });
+    await chrome.windows.update(tab.windowId, { focused: true });
+  } catch (error) {
+    console.error('[Popup] 切換分頁失敗:', error);
+  }
+}
+
+/**
+ * 載入逐字稿摘要，決定下載按鈕是否可用
+ */
+async function loadTranscriptSummary() {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: MessageTypes.GET_TRANSCRIPT_SUMMARY,
+      data: { tabId: currentTabId },
+    });
+    if (!response?.success) return;
+
+    const { captionCount, title, recording } = response.data;
+    const hasTranscript = captionCount > 0;
+
+    exportButtons.forEach((button) => {
+      button.disabled = !hasTranscript;
+    });
+
+    if (!hasTranscript) {
+      transcriptStatus.textContent = recording ? '記錄中，尚無字幕' : '尚無逐字稿';
+      return;
+    }
+
+    const state = recording ? '記錄中' : '上一場';
+    transcriptStatus.textContent = `${state}：${title || '未命名分頁'}（${captionCount} 句）`;
+  } catch (error) {
+    console.error('[Popup] 載入逐字稿摘要失敗:', error);
+  }
+}
+
+/**
+ * 下載逐字稿
+ * @param {string} format - 'srt' | 'vtt' | 'txt' | 'json'
+ */
+async function exportTranscript(format) {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: MessageTypes.EXPORT_TRANSCRIPT,
+      data: { tabId: currentTabId, format },
+    });
+
+    if (!response.success) {
+      // BabelBridgeError 經訊息傳回來是 toJSON() 的物件
+      throw new Error(response.error?.message || response.error || '匯出失敗');
+    }
+
+    const { filename, mimeType, content } = response.data;
+    const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    // 下載是非同步開始的，等這一輪事件跑完再釋放
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+
+    showStatus(transcriptStatus, `✓ 已下載 ${filename}`, 'success');
+  } catch (error) {
+    console.error('[Popup] 匯出逐字稿失敗:', error);
+    showStatus(transcriptStatus, `✗ ${error.message}`, 'error');
+  }
+}
+
 /**
  * 載入成本統計
  */
@@ -520,17 +1436,70 @@ async function loadCostStats() {
     });
 
     if (response.success) {
-      const { whisper, gpt, total } = response.data;
+      const { deepgram, whisper, gpt, total } = response.data;
 
+      deepgramCostEl.textContent = `$${deepgram.cost.toFixed(4)}（${(deepgram.duration / 60).toFixed(1)} 分鐘）`;
+      deepgramSkippedEl.textContent = `${(deepgram.skipped / 60).toFixed(1)} 分鐘（省下 $${deepgram.saved.toFixed(4)}）`;
       whisperCostEl.textContent = `$${whisper.cost.toFixed(4)}`;
       gptCostEl.textContent = `$${gpt.cost.toFixed(4)}`;
       totalCostEl.textContent = `$${total.toFixed(4)}`;
+
+      await updateBudgetStatus();
     }
   } catch (error) {
     console.error('載入成本統計失敗:', error);
   }
 }
 
+/**
+ * 載入預算設定與當月使用比例
+ */
+async function loadBudgetSettings() {
+  try {
+    const settings = await APIKeyManager.getUserSettings();
+
+    monthlyBudgetInput.value = String(settings.monthlyBudget);
+    budgetWarningThresholdInput.value = String(settings.warningThreshold);
+    sessionBudgetInput.value = String(settings.sessionBudget);
+    enforceBudgetInput.checked = settings.enforceBudget;
+  } catch (error) {
+    console.error('[Popup] 載入預算設定失敗:', error);
+  }
+}
+
+/**
+ * 儲存預算設定（立即生效，下一筆記帳就會依新上限判斷）
+ */
+async function saveBudgetSettings() {
+  try {
+    await APIKeyManager.saveUserSettings({
+      monthlyBudget: Number(monthlyBudgetInput.value),
+      warningThreshold: Number(budgetWarningThresholdInput.value),
+      sessionBudget: Number(sessionBudgetInput.value),
+      enforceBudget: enforceBudgetInput.checked,
+    });
+    await updateBudgetStatus();
+  } catch (error) {
+    showStatus(budgetStatusText, `✗ ${error.message}`, 'error');
+  }
+}
+
+/**
+ * 顯示當月花費佔預算的比例
+ */
+async function updateBudgetStatus() {
+  const status = await APIKeyManager.getBudgetStatus();
+  const summary = `本月 $${status.spent.toFixed(2)} / $${status.budget.toFixed(2)}（${status.percentage.toFixed(0)}%）`;
+
+  if (status.level === BudgetLevel.EXCEEDED) {
+    showStatus(budgetStatusText, `⚠️ ${summary}，已達預算上限`, 'error');
+  } else if (status.level === BudgetLevel.WARNING) {
+    showStatus(budgetStatusText, `⚠️ ${summary}`, '');
+  } else {
+    showStatus(budgetStatusText, summary, '');
+  }
+}
+
 /**
  * 顯示狀態訊息
  */
@@ -539,6 +1508,9 @@ function showStatus(element, message, type) {
   element.className = `status ${type}`;
 }
 
+// 事件監聽 - 最近一次錯誤
+dismissLastErrorBtn.addEventListener('click', dismissLastError);
+
 // 事件監聽 - OpenAI
 verifyOpenaiBtn.addEventListener('click', verifyOpenaiKey);
 removeOpenaiKeyBtn.addEventListener('click', removeOpenaiKey);
@@ -549,13 +1521,66 @@ removeDeepgramKeyBtn.addEventListener('click', removeDeepgramKey);
 
 // 事件監聽 - Deepgram 辨識模式設定
 recognitionModeSelect.addEventListener('change', handleRecognitionModeChange);
+vadSensitivitySelect.addEventListener('change', saveVadSensitivity);
+pauseIdleSelect.addEventListener('change', savePauseIdleSetting);
+diarizeInput.addEventListener('change', saveDiarizeSetting);
 
 // 事件監聽 - 字幕控制
-enableBtn.addEventListener('click', enableSubtitles);
+recognitionEngineSelect.addEventListener('change', handleEngineChange);
+enableBtn.addEventListener('click', () => enableSubtitles());
+overrideBudgetBtn.addEventListener('click', () => enableSubtitles(true));
 disableBtn.addEventListener('click', disableSubtitles);
 
+// 事件監聽 - 翻譯設定
+translationEnabledInput.addEventListener('change', saveTranslationSettings);
+translationTargetSelect.addEventListener('change', saveTranslationSettings);
+translationIncludeTitleInput.addEventListener('change', saveTranslationSettings);
+
+// 事件監聽 - 自訂詞彙
+glossaryScopeSelect.addEventListener('change', showGlossaryTerms);
+glossaryTermsInput.addEventListener('change', saveGlossaryTerms);
+glossaryImportBtn.addEventListener('click', () => glossaryImportFile.click());
+glossaryImportFile.addEventListener('change', importGlossary);
+glossaryExportBtn.addEventListener('click', exportGlossary);
+
+// 事件監聽 - 逐字稿
+exportButtons.forEach((button) => {
+  button.addEventListener('click', () => exportTranscript(button.dataset.format));
+});
+openLibraryBtn.addEventListener('click', () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL('src/library/library.html') });
+});
+
+// 事件監聽 - 字幕樣式（input 只更新預覽，change 才儲存並推送）
+[
+  styleFontSizeInput,
+  styleFontFamilySelect,
+  styleColorInput,
+  styleBackgroundColorInput,
+  styleBackgroundOpacityInput,
+  styleEdgeSelect,
+  stylePositionSelect,
+  styleOffsetInput,
+  styleMaxCharsInput,
+  styleKaraokeInput,
+  styleHighlightColorInput,
+  styleDisplayModeSelect,
+  styleLineCountSelect,
+  styleLineFadeInput,
+].forEach((input) => {
+  input.addEventListener('input', updateStylePreview);
+  input.addEventListener('change', saveSubtitleStyle);
+});
+resetStyleBtn.addEventListener('click', resetSubtitleStyle);
+
 // 事件監聽 - 成本統計
 refreshStatsBtn.addEventListener('click', loadCostStats);
 
+// 事件監聽 - 預算
+monthlyBudgetInput.addEventListener('change', saveBudgetSettings);
+budgetWarningThresholdInput.addEventListener('change', saveBudgetSettings);
+sessionBudgetInput.addEventListener('change', saveBudgetSettings);
+enforceBudgetInput.addEventListener('change', saveBudgetSettings);
+
 // 初始化
 init();
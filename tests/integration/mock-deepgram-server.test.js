@@ -0,0 +1,195 @@
+/**
+ * 本機模擬 Deepgram 伺服器測試
+ *
+ * 不需要金鑰、不連外網：驗證模擬伺服器本身的協定行為，
+ * 並讓 DeepgramStreamClient 實際連上它跑一次完整的收發。
+ *
+ * @vitest-environment node
+ */
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import WebSocket from 'ws';
+import { startMockDeepgramServer } from '../../scripts/mock-deepgram-server.js';
+
+vi.mock('../../src/lib/deepgram-key-manager.js', () => ({
+  DeepgramKeyManager: { getKey: vi.fn().mockResolvedValue(null) },
+}));
+
+const { DeepgramStreamClient } = await import('../../src/background/deepgram-stream-client.js');
+
+// 16kHz Int16 單聲道：1 秒 = 32000 bytes
+const ONE_SECOND = Buffer.alloc(32000);
+
+const SCRIPT = {
+  loop: false,
+  events: [
+    { at: 0, type: 'SpeechStarted' },
+    { at: 0.5, type: 'Results', transcript: 'Hello', is_final: false },
+    { at: 1.0, type: 'Results', transcript: 'Hello world.', is_final: true, speech_final: true },
+    { at: 1.0, type: 'UtteranceEnd' },
+    { at: 2.0, type: 'Error', message: 'Simulated failure' },
+    { at: 3.0, type: 'Close', code: 1011, reason: 'NET-0001' },
+  ],
+};
+
+/** 連線並收集訊息，回傳 { ws, messages, closed } */
+function connect(url, { query = 'encoding=linear16&sample_rate=16000', key = 'test-key' } = {}) {
+  const ws = new WebSocket(`${url}?${query}`, key ? ['token', key] : []);
+  const messages = [];
+  const closed = new Promise((resolve) => {
+    ws.on('close', (code, reason) => resolve({ code, reason: reason.toString() }));
+  });
+  ws.on('message', (data) => messages.push(JSON.parse(data.toString())));
+  ws.on('error', () => {});
+
+  const opened = new Promise((resolve, reject) => {
+    ws.on('open', resolve);
+    ws.on('unexpected-response', (_req, res) => reject(res.statusCode));
+  });
+
+  return { ws, messages, closed, opened };
+}
+
+/** 等到 predicate 成立（最多 2 秒） */
+async function waitFor(predicate) {
+  const deadline = Date.now() + 2000;
+  while (!predicate()) {
+    if (Date.now() > deadline) throw new Error('等待逾時');
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+describe('Mock Deepgram server', () => {
+  let server;
+
+  beforeEach(async () => {
+    server = await startMockDeepgramServer({ port: 0, script: SCRIPT, quiet: true });
+  });
+
+  afterEach(async () => {
+    await server.close();
+  });
+
+  it('沒有金鑰時握手應回 401', async () => {
+    const { opened } = connect(server.url, { key: null });
+
+    await expect(opened).rejects.toBe(401);
+  });
+
+  it('非 linear16 編碼時握手應回 400', async () => {
+    const { opened } = connect(server.url, { query: 'encoding=opus' });
+
+    await expect(opened).rejects.toBe(400);
+  });
+
+  it('應依收到的音訊秒數送出腳本中的 Results 與 UtteranceEnd', async () => {
+    const { ws, messages, opened } = connect(server.url);
+    await opened;
+
+    ws.send(ONE_SECOND.subarray(0, 16000));
+    await waitFor(() => messages.length === 1);
+    expect(messages[0]).toMatchObject({ type: 'Results', is_final: false, start: 0, duration: 0.5 });
+
+    ws.send(ONE_SECOND.subarray(0, 16000));
+    await waitFor(() => messages.length === 3);
+
+    const final = messages[1];
+    expect(final).toMatchObject({ type: 'Results', is_final: true, speech_final: true, start: 0, duration: 1 });
+    expect(final.channel.alternatives[0].transcript).toBe('Hello world.');
+    expect(final.channel.alternatives[0].words.map((w) => w.punctuated_word)).toEqual(['Hello', 'world.']);
+    expect(messages[2]).toMatchObject({ type: 'UtteranceEnd', last_word_end: 1 });
+    ws.close();
+  });
+
+  it('連線帶 vad_events=true 才送 SpeechStarted', async () => {
+    const { ws, messages, opened } = connect(server.url, {
+      query: 'encoding=linear16&sample_rate=16000&vad_events=true',
+    });
+    await opened;
+
+    ws.send(ONE_SECOND.subarray(0, 16000));
+    await waitFor(() => messages.length === 2);
+
+    expect(messages[0]).toMatchObject({ type: 'SpeechStarted', timestamp: 0 });
+    expect(messages[1]).toMatchObject({ type: 'Results', is_final: false });
+    ws.close();
+  });
+
+  it('應送出腳本中的 Error 並以指定 close code 關閉', async () => {
+    const { ws, messages, closed, opened } = connect(server.url);
+    await opened;
+
+    ws.send(Buffer.alloc(32000 * 3));
+
+    await expect(closed).resolves.toEqual({ code: 1011, reason: 'NET-0001' });
+    expect(messages.find((m) => m.type === 'Error')).toMatchObject({ message: 'Simulated failure' });
+  });
+
+  it('Drop 應直接切斷連線而不送 close frame', async () => {
+    await server.close();
+    server = await startMockDeepgramServer({
+      port: 0,
+      quiet: true,
+      script: { loop: false, events: [{ at: 0.1, type: 'Drop' }] },
+    });
+
+    const { ws, closed, opened } = connect(server.url);
+    await opened;
+    ws.send(ONE_SECOND);
+
+    await expect(closed).resolves.toMatchObject({ code: 1006 });
+  });
+
+  it('CloseStream 應回 Metadata 後以 1000 關閉', async () => {
+    const { ws, messages, closed, opened } = connect(server.url);
+    await opened;
+
+    ws.send(JSON.stringify({ type: 'KeepAlive' }));
+    ws.send(JSON.stringify({ type: 'CloseStream' }));
+
+    await expect(closed).resolves.toMatchObject({ code: 1000 });
+    expect(messages).toEqual([expect.objectContaining({ type: 'Metadata', channels: 1 })]);
+  });
+
+  it('超過閒置時間沒有音訊應以 NET-0001 關閉', async () => {
+    await server.close();
+    server = await startMockDeepgramServer({ port: 0, quiet: true, script: SCRIPT, idleTimeout: 50 });
+
+    const { closed, opened } = connect(server.url);
+    await opened;
+
+    const { code, reason } = await closed;
+    expect(code).toBe(1011);
+    expect(reason).toContain('net0001');
+  });
+
+  describe('DeepgramStreamClient 連上模擬伺服器', () => {
+    let originalWebSocket;
+
+    beforeEach(() => {
+      originalWebSocket = globalThis.WebSocket;
+      globalThis.WebSocket = /** @type {any} */ (WebSocket);
+    });
+
+    afterEach(() => {
+      globalThis.WebSocket = originalWebSocket;
+    });
+
+    it('不需 Deepgram 金鑰即可收到正規化後的字幕', async () => {
+      const client = new DeepgramStreamClient({ websocketUrl: server.url, requireApiKey: false, trackUsage: false });
+      const events = [];
+      client.onTranscript = (event) => events.push(event);
+
+      await client.init({ model: 'nova-2', language: 'en' });
+      client.sendAudio(new ArrayBuffer(32000));
+
+      await waitFor(() => events.some((event) => event.isFinal));
+      await client.close();
+
+      expect(events.map((event) => [event.text, event.isFinal])).toEqual([
+        ['Hello', false],
+        ['Hello world.', true],
+      ]);
+      expect(events[1].words).toHaveLength(2);
+    });
+  });
+});
@@ -1,9 +1,10 @@
 /**
  * APIKeyManager 單元測試
  */
-import { describe, it, expect } from 'vitest';
-import { APIKeyManager } from '../../src/lib/api-key-manager.js';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { APIKeyManager, BudgetLevel } from '../../src/lib/api-key-manager.js';
 import { BabelBridgeError, ErrorCodes } from '../../src/lib/errors.js';
+import { STORAGE_KEYS } from '../../src/lib/config.js';
 
 describe('APIKeyManager', () => {
   describe('validateFormat', () => {
@@ -62,4 +63,162 @@ describe('APIKeyManager', () => {
       expect(month).toMatch(/^\d{4}-\d{2}$/);
     });
   });
+
+  describe('成本帳本', () => {
+    let store;
+    let originalChrome;
+
+    beforeEach(() => {
+      store = {};
+      originalChrome = globalThis.chrome;
+      globalThis.chrome = /** @type {any} */ ({
+        storage: {
+          local: {
+            get: vi.fn(async (key) => ({ [key]: store[key] })),
+            set: vi.fn(async (items) => Object.assign(store, structuredClone(items))),
+          },
+        },
+      });
+    });
+
+    afterEach(() => {
+      globalThis.chrome = originalChrome;
+    });
+
+    it('Deepgram 用量應依模型單價分帳', async () => {
+      await APIKeyManager.trackDeepgramUsage(120, 'nova-2');
+      await APIKeyManager.trackDeepgramUsage(60, 'nova-3');
+
+      const stats = await APIKeyManager.getCurrentMonthStats();
+      expect(stats.deepgram.duration).toBe(180);
+      expect(stats.deepgram.models['nova-2'].cost).toBeCloseTo(2 * 0.0043, 6);
+      expect(stats.deepgram.models['nova-3'].cost).toBeCloseTo(0.0077, 6);
+      expect(stats.deepgram.cost).toBeCloseTo(2 * 0.0043 + 0.0077, 6);
+      expect(stats.total).toBeCloseTo(stats.deepgram.cost, 6);
+    });
+
+    it('未知模型應以 COST_PER_MINUTE 計價', async () => {
+      await APIKeyManager.trackDeepgramUsage(60, 'enhanced');
+
+      const stats = await APIKeyManager.getCurrentMonthStats();
+      expect(stats.deepgram.models.enhanced.cost).toBeCloseTo(0.0043, 6);
+    });
+
+    it('VAD 略過的靜音另記秒數與省下的金額，不計入花費', async () => {
+      await APIKeyManager.trackDeepgramUsage(60, 'nova-2', undefined, 120);
+      await APIKeyManager.trackDeepgramUsage(0, 'nova-3', undefined, 60);
+
+      const stats = await APIKeyManager.getCurrentMonthStats();
+      expect(stats.deepgram.skipped).toBe(180);
+      expect(stats.deepgram.saved).toBeCloseTo(2 * 0.0043 + 0.0077, 6);
+      expect(stats.deepgram.cost).toBeCloseTo(0.0043, 6);
+      expect(stats.total).toBeCloseTo(0.0043, 6);
+    });
+
+        it('同時寫入時不應遺失任何一筆', async () => {
+      await Promise.all([
+        APIKeyManager.trackDeepgramUsage(30, 'nova-2'),
+        APIKeyManager.trackWhisperUsage(60),
+        APIKeyManager.trackDeepgramUsage(30, 'nova-2'),
+      ]);
+
+      const stats = await APIKeyManager.getCurrentMonthStats();
+      expect(stats.deepgram.duration).toBe(60);
+      expect(stats.whisper.calls).toBe(1);
+      expect(stats.total).toBeCloseTo(stats.whisper.cost + stats.deepgram.cost, 6);
+    });
+
+    it('舊版月份資料應補上 deepgram 欄位', async () => {
+      store[STORAGE_KEYS.COST_TRACKING] = {
+        [APIKeyManager.getCurrentMonth()]: {
+          whisper: { duration: 60, cost: 0.006, calls: 1 },
+          gpt: { inputTokens: 0, outputTokens: 0, cost: 0, calls: 0 },
+          total: 0.006,
+        },
+      };
+
+      expect((await APIKeyManager.getCurrentMonthStats()).deepgram.cost).toBe(0);
+
+      await APIKeyManager.trackDeepgramUsage(60, 'nova-2');
+
+      const stats = await APIKeyManager.getCurrentMonthStats();
+      expect(stats.whisper.cost).toBe(0.006);
+      expect(stats.total).toBeCloseTo(0.006 + 0.0043, 6);
+    });
+
+    describe('預算', () => {
+      afterEach(() => {
+        APIKeyManager.onBudgetUpdate = null;
+      });
+
+      it('未設定時應回傳預設值，部分設定應補齊其他欄位', async () => {
+        expect(await APIKeyManager.getUserSettings()).toEqual({
+          monthlyBudget: 10,
+          warningThreshold: 80,
+          sessionBudget: 0,
+          enableBudgetWarning: true,
+          enforceBudget: true,
+        });
+
+        store[STORAGE_KEYS.USER_SETTINGS] = { monthlyBudget: 5 };
+        const settings = await APIKeyManager.getUserSettings();
+        expect(settings.monthlyBudget).toBe(5);
+        expect(settings.enforceBudget).toBe(true);
+      });
+
+      it('不合法的設定值應拒絕儲存', async () => {
+        for (const changes of [
+          { monthlyBudget: 0 },
+          { monthlyBudget: NaN },
+          { warningThreshold: 120 },
+          { sessionBudget: -1 },
+        ]) {
+          await expect(APIKeyManager.saveUserSettings(changes)).rejects.toMatchObject({
+            code: ErrorCodes.SETTINGS_INVALID,
+          });
+        }
+        expect(store[STORAGE_KEYS.USER_SETTINGS]).toBeUndefined();
+      });
+
+      it('應依提醒門檻與預算判斷狀態', async () => {
+        await APIKeyManager.saveUserSettings({ monthlyBudget: 2, warningThreshold: 50 });
+
+        expect((await APIKeyManager.getBudgetStatus(0.5)).level).toBe(BudgetLevel.OK);
+        expect((await APIKeyManager.getBudgetStatus(1)).level).toBe(BudgetLevel.WARNING);
+        expect((await APIKeyManager.getBudgetStatus(2)).level).toBe(BudgetLevel.EXCEEDED);
+      });
+
+      it('每筆記帳後應以最新狀態呼叫 onBudgetUpdate', async () => {
+        await APIKeyManager.saveUserSettings({ monthlyBudget: 0.01, sessionBudget: 0.5 });
+        const onBudgetUpdate = vi.fn();
+        APIKeyManager.onBudgetUpdate = onBudgetUpdate;
+
+        await APIKeyManager.trackDeepgramUsage(180, 'nova-2');
+
+        expect(onBudgetUpdate).toHaveBeenCalledWith(
+          expect.objectContaining({
+            level: BudgetLevel.EXCEEDED,
+            budget: 0.01,
+            sessionBudget: 0.5,
+            enforce: true,
+          }),
+          expect.objectContaining({ type: 'deepgram' })
+        );
+        expect(onBudgetUpdate.mock.calls[0][0].spent).toBeCloseTo(3 * 0.0043, 6);
+      });
+
+      it('onBudgetUpdate 應帶上這一筆的花費與記帳來源，來源不寫進帳本', async () => {
+        const onBudgetUpdate = vi.fn();
+        APIKeyManager.onBudgetUpdate = onBudgetUpdate;
+
+        await APIKeyManager.trackWhisperUsage(60, 'run-a');
+        await APIKeyManager.trackGPTUsage(1000, 0, 'run-b');
+
+        const [[, whisperEntry], [, gptEntry]] = onBudgetUpdate.mock.calls;
+        expect(whisperEntry).toEqual({ type: 'whisper', cost: 0.006, source: 'run-a' });
+        expect(gptEntry).toMatchObject({ type: 'gpt', source: 'run-b' });
+        expect(JSON.stringify(await APIKeyManager.getCostTracking())).not.toContain('run-');
+      });
+    });
+  });
 });
@@ -0,0 +1,90 @@
+/**
+ * AudioRingBuffer 單元測試
+ */
+import { describe, it, expect, beforeEach } from 'vitest';
+import { AudioRingBuffer } from '../../src/background/audio-ring-buffer.js';
+
+describe('AudioRingBuffer', () => {
+  let buffer;
+
+  beforeEach(() => {
+    buffer = new AudioRingBuffer(1000);
+  });
+
+  it('應依存入順序取出並清空', () => {
+    const a = new ArrayBuffer(300);
+    const b = new ArrayBuffer(400);
+    buffer.push(a, 0);
+    buffer.push(b, 300);
+
+    expect(buffer.byteLength).toBe(700);
+    expect(buffer.startPosition).toBe(0);
+    expect(buffer.drain()).toEqual([
+      { data: a, position: 0 },
+      { data: b, position: 300 },
+    ]);
+    expect(buffer.byteLength).toBe(0);
+    expect(buffer.startPosition).toBeNull();
+  });
+
+  it('超過容量時從最舊的開始丟，並記下丟掉的位元組', () => {
+    buffer.push(new ArrayBuffer(400), 0);
+    buffer.push(new ArrayBuffer(400), 400);
+    buffer.push(new ArrayBuffer(400), 800);
+
+    expect(buffer.byteLength).toBe(800);
+    expect(buffer.startPosition).toBe(400);
+    expect(buffer.droppedBytes).toBe(400);
+  });
+
+  it('單段就超過容量時仍保留最新那段', () => {
+    buffer.push(new ArrayBuffer(400), 0);
+    buffer.push(new ArrayBuffer(1500), 400);
+
+    expect(buffer.length).toBe(1);
+    expect(buffer.startPosition).toBe(400);
+    expect(buffer.droppedBytes).toBe(400);
+  });
+
+  it('繞過陣列尾端後仍依存入順序取出', () => {
+    // 每段 100 bytes、容量 10 段：存 150 段，head/tail 繞 slots 好幾圈
+    for (let i = 0; i < 150; i++) {
+      buffer.push(new ArrayBuffer(100), i * 100);
+    }
+
+    expect(buffer.length).toBe(10);
+    expect(buffer.slots).toHaveLength(64);
+    expect(buffer.droppedBytes).toBe(14000);
+    expect(buffer.drain().map((entry) => entry.position)).toEqual(
+      Array.from({ length: 10 }, (_, i) => (140 + i) * 100)
+    );
+  });
+
+  it('段數超過預先配置的數量時加倍，從繞過一圈的 head 依序搬過去', () => {
+    // 先以 64 bytes 的容量存 100 段：剛好塞滿 64 個 slot，head 已繞到中間
+    buffer.maxBytes = 64;
+    for (let i = 0; i < 100; i++) {
+      buffer.push(new ArrayBuffer(1), i);
+    }
+    expect(buffer.startPosition).toBe(36);
+
+    buffer.maxBytes = 1000;
+    for (let i = 100; i < 200; i++) {
+      buffer.push(new ArrayBuffer(1), i);
+    }
+
+    expect(buffer.length).toBe(164);
+    expect(buffer.slots).toHaveLength(256);
+    expect(buffer.drain().map((entry) => entry.position)).toEqual(
+      Array.from({ length: 164 }, (_, i) => 36 + i)
+    );
+  });
+
+  it('clear() 清空但不計入丟棄', () => {
+    buffer.push(new ArrayBuffer(400), 0);
+    buffer.clear();
+
+    expect(buffer.byteLength).toBe(0);
+    expect(buffer.droppedBytes).toBe(0);
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * 字幕排版（換行、分頁與換頁時間）測試
+ */
+import { describe, it, expect } from 'vitest';
+import {
+  textWidth,
+  tokenizeText,
+  breakLines,
+  layoutCaption,
+  timedPageIndex,
+  livePageIndex,
+  readingSeconds,
+} from '../../src/lib/caption-layout.js';
+import { UI_CONFIG } from '../../src/lib/config.js';
+
+const lines = (text, maxCharsPerLine) =>
+  layoutCaption({ text }, { maxCharsPerLine, maxLines: Infinity })[0].lines;
+
+describe('textWidth / tokenizeText', () => {
+  it('中日韓文字與全形標點算 2，半形算 1', () => {
+    expect(textWidth('abc')).toBe(3);
+    expect(textWidth('你好，world')).toBe(11);
+    expect(textWidth('안녕')).toBe(4);
+  });
+
+  it('中文逐字切，標點黏著前一個字，開頭括號黏著後一個字', () => {
+    expect(tokenizeText('他說「好」。').map((token) => token.text)).toEqual(['他', '說', '「好」。']);
+  });
+
+  it('拉丁文以空白切，中文裡夾的英文連在一起並保留原本的空白', () => {
+    const tokens = tokenizeText('用 iPhone15 拍');
+    expect(tokens.map((token) => token.text)).toEqual(['用', 'iPhone15', '拍']);
+    expect(tokens.map((token) => token.spaceBefore)).toEqual([false, true, true]);
+  });
+});
+
+describe('breakLines', () => {
+  it('每行不超過字數上限', () => {
+    const text = 'the quick brown fox jumps over the lazy dog and keeps running far away';
+    for (const line of lines(text, 20)) {
+      expect(line.length).toBeLessThanOrEqual(20);
+    }
+    expect(lines(text, 20).join(' ')).toBe(text);
+  });
+
+  it('中文以全形寬度計算', () => {
+    expect(lines('一二三四五六七八九十', 10)).toEqual(['一二三四五', '六七八九十']);
+  });
+
+  it('偏好在標點斷開，但每行至少填到一半', () => {
+    expect(lines('今天天氣很好，我們一起去公園散步吧', 24)).toEqual(['今天天氣很好，', '我們一起去公園散步吧']);
+    // 逗號太前面：不為了它留下很短的一行
+    expect(lines('好，我們一起去公園散步然後回家吃飯', 24)).toEqual(['好，我們一起去公園散步', '然後回家吃飯']);
+  });
+
+  it('英文偏好句末與連接詞之前', () => {
+    expect(lines('We stayed home. The rain kept falling all day', 30)).toEqual([
+      'We stayed home.',
+      'The rain kept falling all day',
+    ]);
+    expect(lines('We stayed at home all day because it kept raining', 36)).toEqual([
+      'We stayed at home all day',
+      'because it kept raining',
+    ]);
+  });
+
+  it('單一個字就超過上限時自成一行', () => {
+    expect(breakLines(tokenizeText('a supercalifragilistic b'), { maxCharsPerLine: 10 })).toEqual([
+      [0, 1],
+      [1, 2],
+      [2, 3],
+    ]);
+  });
+});
+
+describe('layoutCaption', () => {
+  it('超過兩行時拆成下一頁', () => {
+    const pages = layoutCaption({ text: '一二三四 五六七八 九十' }, { maxCharsPerLine: 8 });
+
+    expect(pages.map((page) => page.lines)).toEqual([['一二三四', '五六七八'], ['九十']]);
+    expect(UI_CONFIG.CAPTION_MAX_LINES).toBe(2);
+  });
+
+  it('有逐字時間時以字為單位換行，並附上每行的字', () => {
+    const words = ['Hello', 'there,', 'how', 'are', 'you'].map((text, i) => ({ text, start: i, end: i + 0.5 }));
+    const [page] = layoutCaption({ text: 'Hello there, how are you', words }, { maxCharsPerLine: 14 });
+
+    expect(page.lines).toEqual(['Hello there,', 'how are you']);
+    expect(page.wordLines.map((line) => line.map((word) => word.text))).toEqual([
+      ['Hello', 'there,'],
+      ['how', 'are', 'you'],
+    ]);
+  });
+
+  it('空白文字仍回傳一頁', () => {
+    expect(layoutCaption({ text: '' }, { maxCharsPerLine: 42 })).toEqual([{ lines: [''], wordLines: [] }]);
+  });
+});
+
+describe('換頁時間', () => {
+  const pages = layoutCaption({ text: 'aaaa bbbb cccc dddd' }, { maxCharsPerLine: 4 });
+
+  it('有時間範圍的字幕依字數比例分配各頁', () => {
+    expect(pages).toHaveLength(2);
+    expect(timedPageIndex(pages, 10, 14, 11.9)).toBe(0);
+    expect(timedPageIndex(pages, 10, 14, 12)).toBe(1);
+  });
+
+  it('有逐字時間時以每頁第一個字的時間換頁', () => {
+    const words = ['aaaa', 'bbbb', 'cccc', 'dddd'].map((text, i) => ({ text, start: 10 + i, end: 10.5 + i }));
+    const timed = layoutCaption({ text: 'aaaa bbbb cccc dddd', words }, { maxCharsPerLine: 4 });
+
+    expect(timedPageIndex(timed, 10, 14, 11.9)).toBe(0);
+    expect(timedPageIndex(timed, 10, 14, 12)).toBe(1);
+  });
+
+  it('串流字幕每頁看滿閱讀時間才換下一頁', () => {
+    const shownAt = [];
+
+    expect(livePageIndex(pages, shownAt, 100)).toBe(0);
+    expect(livePageIndex(pages, shownAt, 100 + readingSeconds(pages[0]) - 0.1)).toBe(0);
+    expect(livePageIndex(pages, shownAt, 100 + readingSeconds(pages[0]))).toBe(1);
+    expect(shownAt).toEqual([100, 100 + readingSeconds(pages[0])]);
+  });
+
+  it('前一頁早就看夠時立即換頁', () => {
+    expect(livePageIndex(pages, [90], 100)).toBe(1);
+  });
+});
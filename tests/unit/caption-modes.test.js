@@ -0,0 +1,90 @@
+/**
+ * 多行字幕（滾動、整段）挑行測試
+ */
+import { describe, it, expect } from 'vitest';
+import { selectCaptionLines } from '../../src/lib/caption-modes.js';
+
+const line = (text, start, end, extra = {}) => ({ text, start, end, isFinal: true, ...extra });
+const texts = (lines) => lines.map(({ segment }) => segment.text);
+
+describe('selectCaptionLines - rollup', () => {
+  const options = { mode: 'rollup', lineCount: 2, lineFadeSeconds: 4 };
+
+  it('只留最新的 lineCount 行，新的一行在最底下', () => {
+    const segments = [line('一', 0, 1), line('二', 1, 2), line('三', 2, 3)];
+
+    expect(texts(selectCaptionLines(segments, 2.5, options))).toEqual(['二', '三']);
+  });
+
+  it('講完後停留 lineFadeSeconds，最後 0.5 秒標為淡出', () => {
+    const segments = [line('一', 0, 1)];
+
+    expect(selectCaptionLines(segments, 4, options)).toEqual([{ segment: segments[0], fading: false }]);
+    expect(selectCaptionLines(segments, 4.6, options)[0].fading).toBe(true);
+    expect(selectCaptionLines(segments, 5, options)).toEqual([]);
+  });
+
+  it('串流字幕以收尾時間起算，還沒講完的行不淡出', () => {
+    const closed = line('講完了', 0, 13, { closedAt: 10 });
+    const open = line('還在講', 11, 21, { open: true });
+
+    const lines = selectCaptionLines([closed, open], 13.8, options);
+    expect(texts(lines)).toEqual(['講完了', '還在講']);
+    expect(lines.map(({ fading }) => fading)).toEqual([true, false]);
+  });
+
+  it('interim 接在未講完的行後面時取代那一行，自成一行時放在最底下', () => {
+    const open = line('今天', 1, 11, { open: true });
+    const previous = line('你好', 0, 1);
+
+    const growing = { ...open, text: '今天天氣', isFinal: false, line: open };
+    expect(texts(selectCaptionLines([previous, open], 2, { ...options, interim: growing }))).toEqual([
+      '你好',
+      '今天天氣',
+    ]);
+
+    const standalone = line('不錯', 2, 999, { isFinal: false });
+    expect(texts(selectCaptionLines([previous, open], 2, { ...options, interim: standalone }))).toEqual([
+      '今天',
+      '不錯',
+    ]);
+  });
+
+  it('還沒播到的行不顯示', () => {
+    const segments = [line('一', 0, 1), line('二', 5, 6)];
+
+    expect(texts(selectCaptionLines(segments, 1, options))).toEqual(['一']);
+  });
+});
+
+describe('selectCaptionLines - popon', () => {
+  const options = { mode: 'popon', lineCount: 2, lineFadeSeconds: 4 };
+
+  it('湊滿一頁後下一行整頁換掉', () => {
+    const segments = [line('一', 0, 1), line('二', 1, 2), line('三', 2, 3)];
+
+    expect(texts(selectCaptionLines(segments, 1.5, options))).toEqual(['一', '二']);
+    expect(texts(selectCaptionLines(segments, 2.5, options))).toEqual(['三']);
+  });
+
+  it('不顯示 interim 與還沒講完的行', () => {
+    const done = line('講完了', 0, 1);
+    const open = line('還在講', 1, 11, { open: true });
+    const interim = line('辨識中', 2, 999, { isFinal: false });
+
+    expect(texts(selectCaptionLines([done, open], 2, { ...options, interim }))).toEqual(['講完了']);
+  });
+
+  it('上一頁都淡出後的下一行開新頁', () => {
+    const segments = [line('一', 0, 1), line('二', 10, 11), line('三', 11, 12)];
+
+    expect(texts(selectCaptionLines(segments, 11.5, options))).toEqual(['二', '三']);
+  });
+
+  it('舊的行被清掉後分頁不變', () => {
+    const segments = [line('一', 0, 1), line('二', 1, 2), line('三', 2, 3), line('四', 3, 4)];
+    expect(texts(selectCaptionLines(segments, 3.5, options))).toEqual(['三', '四']);
+
+    expect(texts(selectCaptionLines(segments.slice(1), 3.5, options))).toEqual(['三', '四']);
+  });
+});
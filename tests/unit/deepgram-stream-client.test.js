@@ -7,6 +7,13 @@
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { DeepgramStreamClient } from '../../src/background/deepgram-stream-client.js';
 import { BabelBridgeError } from '../../src/lib/errors.js';
+import { APIKeyManager } from '../../src/lib/api-key-manager.js';
+
+vi.mock('../../src/lib/api-key-manager.js', () => ({
+  APIKeyManager: {
+    trackDeepgramUsage: vi.fn(() => Promise.resolve()),
+  },
+}));
 
 // Mock WebSocket
 class MockWebSocket {
@@ -122,6 +129,9 @@ describe('DeepgramStreamClient', () => {
         interimResults: 0,
         finalResults: 0,
         errors: 0,
+        replayedBytes: 0,
+        droppedBytes: 0,
+        skippedBytes: 0,
         startTime: null,
         endTime: null,
       });
@@ -162,6 +172,36 @@ describe('DeepgramStreamClient', () => {
       expect(url).toContain('punctuate=true');
       expect(url).toContain('smart_format=true');
       expect(url).toContain('endpointing=300');
+      expect(url).not.toContain('diarize');
+      expect(url).toContain('utterance_end_ms=1000');
+      expect(url).toContain('vad_events=true');
+    });
+
+    it('utteranceEndMs 為 0、vadEvents 為 false 時不要求語音事件', async () => {
+      await client.init({ utteranceEndMs: 0, vadEvents: false });
+
+      const url = client.buildWebSocketUrl();
+
+      expect(url).not.toContain('utterance_end_ms');
+      expect(url).not.toContain('vad_events');
+    });
+
+    it('開啟區分講者時帶 diarize=true', async () => {
+      await client.init({ diarize: true });
+
+      expect(client.buildWebSocketUrl()).toContain('diarize=true');
+    });
+
+    it('自訂詞彙：Nova-2 逐詞帶 keywords，Nova-3 改帶 keyterm', async () => {
+      await client.init({ model: 'nova-2', keywords: ['Babel Bridge', '鼎泰豐'] });
+      let params = new URL(client.buildWebSocketUrl()).searchParams;
+      expect(params.getAll('keywords')).toEqual(['Babel Bridge', '鼎泰豐']);
+      expect(params.has('keyterm')).toBe(false);
+
+      await client.init({ model: 'nova-3', keywords: ['Babel Bridge'] });
+      params = new URL(client.buildWebSocketUrl()).searchParams;
+      expect(params.getAll('keyterm')).toEqual(['Babel Bridge']);
+      expect(params.has('keywords')).toBe(false);
     });
   });
 
@@ -194,8 +234,16 @@ describe('DeepgramStreamClient', () => {
       expect(transcriptCallback).toHaveBeenCalledWith({
         text: '測試字幕',
         isFinal: true,
+        speechFinal: false,
         confidence: 0.95,
-        words: expect.any(Array),
+        start: null,
+        end: null,
+        timeBase: 'stream',
+        words: [
+          { text: '測試', start: 0, end: 0.5, confidence: undefined },
+          { text: '字幕', start: 0.5, end: 1.0, confidence: undefined },
+        ],
+        streamPosition: 0,
         timestamp: expect.any(Number),
       });
 
@@ -203,6 +251,47 @@ describe('DeepgramStreamClient', () => {
       expect(client.stats.finalResults).toBe(1);
     });
 
+    it('開啟區分講者時每個字帶 speaker', () => {
+      const transcriptCallback = vi.fn();
+      client.onTranscript = transcriptCallback;
+
+      client.websocket.simulateMessage({
+        type: 'Results',
+        channel: {
+          alternatives: [
+            {
+              transcript: 'hi there',
+              confidence: 0.9,
+              words: [
+                { word: 'hi', start: 0, end: 0.3, speaker: 0 },
+                { word: 'there', start: 0.3, end: 0.6, speaker: 1 },
+              ],
+            },
+          ],
+        },
+        is_final: true,
+      });
+
+      const [event] = transcriptCallback.mock.calls[0];
+      expect(event.words.map((word) => word.speaker)).toEqual([0, 1]);
+    });
+
+    it('speech_final 的結果標記為 speechFinal，interim 一律不是', () => {
+      const events = [];
+      client.onTranscript = (event) => events.push(event);
+      const result = (overrides) => ({
+        type: 'Results',
+        channel: { alternatives: [{ transcript: '好', confidence: 0.9 }] },
+        ...overrides,
+      });
+
+      client.websocket.simulateMessage(result({ is_final: true, speech_final: true }));
+      client.websocket.simulateMessage(result({ is_final: true, speech_final: false }));
+      client.websocket.simulateMessage(result({ is_final: false, speech_final: true }));
+
+      expect(events.map((event) => event.speechFinal)).toEqual([true, false, false]);
+    });
+
     it('應該處理 interim results', () => {
       const transcriptCallback = vi.fn();
       client.onTranscript = transcriptCallback;
@@ -257,6 +346,7 @@ describe('DeepgramStreamClient', () => {
 
       expect(errorCallback).toHaveBeenCalledWith(
         expect.objectContaining({
+          code: 'DEEPGRAM_WEBSOCKET_ERROR',
           message: 'API 錯誤',
         })
       );
@@ -339,6 +429,86 @@ describe('DeepgramStreamClient', () => {
     });
   });
 
+  // Offscreen 的 VAD 把靜音挖掉，Deepgram 的時間只算它收到的音訊
+  describe('skipAudio（VAD 略過的靜音）', () => {
+    beforeEach(async () => {
+      await client.init();
+    });
+
+    it('不送出任何資料，只推進串流位置', () => {
+      client.skipAudio(2);
+
+      expect(client.websocket.sentMessages).toHaveLength(0);
+      expect(client.streamBytes).toBe(64000);
+      expect(client.stats).toMatchObject({ audioBytesSent: 0, skippedBytes: 64000 });
+    });
+
+    it('UtteranceEnd 與 SpeechStarted 的時間也換回串流時間', () => {
+      const utteranceEnds = [];
+      const speechStarts = [];
+      client.onUtteranceEnd = (event) => utteranceEnds.push(event);
+      client.onSpeechStarted = (event) => speechStarts.push(event);
+
+      client.sendAudio(new ArrayBuffer(32000)); // 串流 0 - 1 秒
+      client.skipAudio(5);
+      client.sendAudio(new ArrayBuffer(32000)); // 串流 6 - 7 秒，Deepgram 看到的是 1 - 2 秒
+
+      client.websocket.simulateMessage({ type: 'UtteranceEnd', last_word_end: 0.8 });
+      client.websocket.simulateMessage({ type: 'SpeechStarted', timestamp: 1.2 });
+      client.websocket.simulateMessage({ type: 'UtteranceEnd' });
+
+      expect(utteranceEnds.map((event) => event.lastWordEnd)).toEqual([0.8, null]);
+      expect(speechStarts[0].start).toBeCloseTo(6.2);
+    });
+
+    it('略過之後的字幕時間應加回靜音長度', () => {
+      const events = [];
+      client.onTranscript = (event) => events.push(event);
+
+      client.sendAudio(new ArrayBuffer(32000)); // 串流 0 - 1 秒
+      client.skipAudio(5);
+      client.sendAudio(new ArrayBuffer(32000)); // 串流 6 - 7 秒，Deepgram 看到的是 1 - 2 秒
+
+      client.websocket.simulateMessage({
+        type: 'Results',
+        is_final: true,
+        start: 0.5,
+        duration: 1.25,
+        channel: {
+          alternatives: [
+            {
+              transcript: '前一句 後一句',
+              confidence: 0.9,
+              words: [
+                { word: '前一句', start: 0.5, end: 1, confidence: 0.9 },
+                { word: '後一句', start: 1, end: 1.75, confidence: 0.9 },
+              ],
+            },
+          ],
+        },
+      });
+
+      expect(events[0]).toMatchObject({ start: 0.5, end: 6.75 });
+      // 剛好停在交界的字：結尾留在靜音之前，開頭算到靜音之後
+      expect(events[0].words[0]).toMatchObject({ start: 0.5, end: 1 });
+      expect(events[0].words[1]).toMatchObject({ start: 6, end: 6.75 });
+      // 已收到的音訊（含略過的靜音）走到 7 秒，Content Script 以此對上影片時間
+      expect(events[0].streamPosition).toBe(7);
+    });
+
+    it('相接的音訊不新增對照', () => {
+      client.sendAudio(new ArrayBuffer(3200));
+      client.sendAudio(new ArrayBuffer(3200));
+      client.skipAudio(1);
+      client.sendAudio(new ArrayBuffer(3200));
+
+      expect(client.timeMap).toEqual([
+        { at: 0, stream: 0 },
+        { at: 0.2, stream: 1.2 },
+      ]);
+    });
+  });
+
   // 影片暫停時無音訊，Deepgram 會在 10 秒後以 NET-0001 斷線，
   // 因此連線期間需持續送 KeepAlive text frame 維持連線。
   describe('KeepAlive 機制', () => {
@@ -390,6 +560,70 @@ describe('DeepgramStreamClient', () => {
     });
   });
 
+  // Service Worker 隨時可能被終止，用量必須定期寫入帳本而非只在 close() 結算
+  describe('用量結算', () => {
+    beforeEach(async () => {
+      vi.mocked(APIKeyManager.trackDeepgramUsage).mockClear();
+      // 與 KeepAlive 相同，結算的 setInterval 建立於 connect() 之中，須全程 fake timer
+      vi.useFakeTimers();
+      const initPromise = client.init();
+      await vi.advanceTimersByTimeAsync(200);
+      await initPromise;
+    });
+
+    it('應該定期以送出的音訊秒數記錄用量', async () => {
+      client.sendAudio(new ArrayBuffer(32000)); // 16kHz Int16 單聲道 = 1 秒
+
+      await vi.advanceTimersByTimeAsync(30000);
+
+      expect(APIKeyManager.trackDeepgramUsage).toHaveBeenCalledWith(1, 'nova-2', null, 0);
+      expect(client.unbilledBytes).toBe(0);
+    });
+
+    it('沒有送出音訊時不應記錄', async () => {
+      await vi.advanceTimersByTimeAsync(60000);
+
+      expect(APIKeyManager.trackDeepgramUsage).not.toHaveBeenCalled();
+    });
+
+    it('關閉時應結算剩餘用量並停止計時器', async () => {
+      client.sendAudio(new ArrayBuffer(16000));
+
+      await client.close();
+      await vi.advanceTimersByTimeAsync(60000);
+
+      expect(APIKeyManager.trackDeepgramUsage).toHaveBeenCalledTimes(1);
+      expect(APIKeyManager.trackDeepgramUsage).toHaveBeenCalledWith(0.5, 'nova-2', null, 0);
+      expect(client.usageFlushTimer).toBeNull();
+    });
+
+    it('VAD 略過的靜音應一併記下，只有靜音時也要記', async () => {
+      client.sendAudio(new ArrayBuffer(32000));
+      client.skipAudio(2);
+      await vi.advanceTimersByTimeAsync(30000);
+
+      expect(APIKeyManager.trackDeepgramUsage).toHaveBeenLastCalledWith(1, 'nova-2', null, 2);
+
+      client.skipAudio(5);
+      await vi.advanceTimersByTimeAsync(30000);
+
+      expect(APIKeyManager.trackDeepgramUsage).toHaveBeenLastCalledWith(0, 'nova-2', null, 5);
+      expect(client.stats.skippedBytes).toBe(7 * 32000);
+    });
+
+        it('trackUsage 為 false 時不應記錄', async () => {
+      const local = new DeepgramStreamClient({ trackUsage: false });
+      const initPromise = local.init();
+      await vi.advanceTimersByTimeAsync(200);
+      await initPromise;
+
+      local.sendAudio(new ArrayBuffer(32000));
+      await local.close();
+
+      expect(APIKeyManager.trackDeepgramUsage).not.toHaveBeenCalled();
+    });
+  });
+
   describe('狀態變更', () => {
     it('應該觸發 onStateChange 回調', async () => {
       const stateCallback = vi.fn();
@@ -515,6 +749,130 @@ describe('DeepgramStreamClient', () => {
       expect(client.keepAliveTimer).toBeNull();
     });
 
+    it('等待重連期間的音訊應暫存，連上後依序補送', async () => {
+      await client.init();
+      client.sendAudio(new ArrayBuffer(32000)); // 已送出 1 秒
+      vi.useFakeTimers();
+
+      client.websocket.close(1006, 'Abnormal closure');
+      await vi.advanceTimersByTimeAsync(100);
+
+      const first = new ArrayBuffer(3200);
+      const second = new ArrayBuffer(6400);
+      client.sendAudio(first);
+      client.sendAudio(second);
+      expect(client.reconnectBuffer.byteLength).toBe(9600);
+
+      await vi.advanceTimersByTimeAsync(1200);
+
+      expect(client.getState()).toBe('connected');
+      expect(client.websocket.sentMessages).toEqual([first, second]);
+      expect(client.stats).toMatchObject({ audioBytesSent: 41600, replayedBytes: 9600 });
+      expect(client.reconnectBuffer.byteLength).toBe(0);
+
+      // 補送之後的新音訊接在後面
+      const third = new ArrayBuffer(320);
+      client.sendAudio(third);
+      expect(client.websocket.sentMessages.at(-1)).toBe(third);
+    });
+
+    it('重連後的字幕時間應加上斷線前已送出的音訊長度', async () => {
+      await client.init();
+      client.sendAudio(new ArrayBuffer(64000)); // 2 秒
+      vi.useFakeTimers();
+
+      client.websocket.close(1006, 'Abnormal closure');
+      await vi.advanceTimersByTimeAsync(100);
+      client.sendAudio(new ArrayBuffer(16000)); // 斷線期間 0.5 秒，補送後從新連線的 0 秒開始
+      await vi.advanceTimersByTimeAsync(1200);
+
+      const events = [];
+      client.onTranscript = (event) => events.push(event);
+      client.websocket.simulateMessage({
+        type: 'Results',
+        is_final: true,
+        start: 0.25,
+        duration: 1,
+        channel: {
+          alternatives: [
+            { transcript: '補送的那句', confidence: 0.9, words: [{ word: '補送', start: 0.25, end: 0.75, confidence: 0.9 }] },
+          ],
+        },
+      });
+
+      expect(client.toStreamTime(0)).toBe(2);
+      expect(events[0]).toMatchObject({ start: 2.25, end: 3.25 });
+      expect(events[0].words[0]).toMatchObject({ start: 2.25, end: 2.75 });
+    });
+
+    it('暫存超過上限時捨棄最舊的，時間 0 點對到留下的第一段', async () => {
+      await client.init();
+      client.reconnectBuffer.maxBytes = 32000; // 1 秒
+      vi.useFakeTimers();
+
+      client.websocket.close(1006, 'Abnormal closure');
+      await vi.advanceTimersByTimeAsync(100);
+      client.sendAudio(new ArrayBuffer(32000));
+      client.sendAudio(new ArrayBuffer(32000));
+      await vi.advanceTimersByTimeAsync(1200);
+
+      expect(client.websocket.sentMessages).toHaveLength(1);
+      expect(client.toStreamTime(0)).toBe(1);
+      expect(client.stats.droppedBytes).toBe(32000);
+    });
+
+    it('重連期間略過的靜音也要算進補送音訊的時間', async () => {
+      await client.init();
+      client.sendAudio(new ArrayBuffer(32000)); // 1 秒
+      vi.useFakeTimers();
+
+      client.websocket.close(1006, 'Abnormal closure');
+      await vi.advanceTimersByTimeAsync(100);
+      client.sendAudio(new ArrayBuffer(16000)); // 串流 1.0 - 1.5 秒
+      client.skipAudio(3);
+      client.sendAudio(new ArrayBuffer(16000)); // 串流 4.5 - 5.0 秒
+      await vi.advanceTimersByTimeAsync(1200);
+
+      expect(client.websocket.sentMessages).toHaveLength(2);
+      expect(client.toStreamTime(0.25)).toBe(1.25);
+      expect(client.toStreamTime(0.75)).toBe(4.75);
+    });
+
+        it('不再重連時捨棄暫存，之後的音訊也不再暫存', async () => {
+      await client.init();
+      vi.useFakeTimers();
+      client.reconnectAttempts = 4;
+
+      client.websocket.close(1006, 'Abnormal closure');
+      await vi.advanceTimersByTimeAsync(100);
+      client.sendAudio(new ArrayBuffer(3200));
+      expect(client.reconnectBuffer.byteLength).toBe(3200);
+
+      // 最後一次重連也失敗
+      vi.spyOn(client, 'connect').mockRejectedValueOnce(new Error('連線失敗'));
+      await vi.advanceTimersByTimeAsync(5000);
+      client.handleClose({ code: 1006, reason: '', wasClean: false });
+
+      expect(client.reconnectBuffer.byteLength).toBe(0);
+      client.sendAudio(new ArrayBuffer(3200));
+      expect(client.reconnectBuffer.byteLength).toBe(0);
+    });
+
+    it('close() 應清掉暫存的音訊', async () => {
+      await client.init();
+      vi.useFakeTimers();
+
+      client.websocket.close(1006, 'Abnormal closure');
+      await vi.advanceTimersByTimeAsync(100);
+      client.sendAudio(new ArrayBuffer(3200));
+
+      await client.close();
+
+      expect(client.reconnectBuffer.byteLength).toBe(0);
+      client.sendAudio(new ArrayBuffer(3200));
+      expect(client.reconnectBuffer.byteLength).toBe(0);
+    });
+
     it('close() 後重新 init() 應恢復重連能力', async () => {
       await client.init();
       await client.close();
@@ -527,6 +885,75 @@ describe('DeepgramStreamClient', () => {
     });
   });
 
+  describe('suspend / resume（影片暫停）', () => {
+    it('suspend() 以 CloseStream 請 Deepgram 送完最後一句，並停掉 KeepAlive 與結算', async () => {
+      await client.init({ costSource: 'run-1' });
+      const socket = client.websocket;
+      client.sendAudio(new ArrayBuffer(32000));
+
+      await client.suspend();
+
+      expect(socket.sentMessages.at(-1)).toBe(JSON.stringify({ type: 'CloseStream' }));
+      expect(client.websocket).toBeNull();
+      expect(client.getState()).toBe('disconnected');
+      expect(client.keepAliveTimer).toBeNull();
+      expect(client.usageFlushTimer).toBeNull();
+      expect(APIKeyManager.trackDeepgramUsage).toHaveBeenLastCalledWith(1, 'nova-2', 'run-1', 0);
+
+      // 關閉前送回的 final 仍要收
+      const events = [];
+      client.onTranscript = (event) => events.push(event);
+      socket.simulateMessage({
+        type: 'Results',
+        is_final: true,
+        start: 0,
+        duration: 1,
+        channel: { alternatives: [{ transcript: '最後一句', confidence: 0.9, words: [] }] },
+      });
+      expect(events).toHaveLength(1);
+    });
+
+    it('舊連線晚到的關閉不影響 resume() 的新連線，也不重連', async () => {
+      await client.init();
+      const socket = client.websocket;
+      await client.suspend();
+      await client.resume();
+
+      expect(socket.onclose).toBeNull();
+      expect(client.websocket).not.toBe(socket);
+      expect(client.getState()).toBe('connected');
+      expect(client.reconnectAttempts).toBe(0);
+    });
+
+    it('暫停前後的字幕時間接得上，重新連線期間的音訊連上後補送', async () => {
+      await client.init();
+      client.sendAudio(new ArrayBuffer(64000)); // 2 秒
+      await client.suspend();
+
+      const resuming = client.resume();
+      const pending = new ArrayBuffer(3200);
+      client.sendAudio(pending); // 連線建立中，暫存
+      await resuming;
+
+      expect(client.websocket.sentMessages).toEqual([pending]);
+      expect(client.toStreamTime(0)).toBe(2);
+    });
+
+    it('沒有 suspend() 過時 resume() 不做事；close() 之後也不再 resume()', async () => {
+      await client.init();
+      const socket = client.websocket;
+
+      await client.resume();
+      expect(client.websocket).toBe(socket);
+
+      await client.suspend();
+      await client.close();
+      await client.resume();
+      expect(client.websocket).toBeNull();
+      expect(client.getState()).toBe('disconnected');
+    });
+  });
+
   describe('getStats', () => {
     it('應該回傳統計資訊副本', () => {
       const stats = client.getStats();
@@ -0,0 +1,130 @@
+/**
+ * EngineRegistry 與 TranscriptionEngine 契約測試
+ */
+import { describe, it, expect, afterEach, vi } from 'vitest';
+
+vi.mock('../../src/lib/deepgram-key-manager.js', () => ({
+  DeepgramKeyManager: { getKey: vi.fn() },
+}));
+
+vi.mock('../../src/lib/api-key-manager.js', () => ({
+  APIKeyManager: { getKey: vi.fn(), trackWhisperUsage: vi.fn() },
+}));
+
+const { EngineRegistry } = await import('../../src/background/engine-registry.js');
+const { TranscriptionEngine, EngineInput, TimeBase } = await import(
+  '../../src/background/transcription-engine.js'
+);
+const { DeepgramStreamClient } = await import('../../src/background/deepgram-stream-client.js');
+const { WhisperBatchClient } = await import('../../src/background/whisper-batch-client.js');
+const { ErrorCodes } = await import('../../src/lib/errors.js');
+
+class FakeEngine extends TranscriptionEngine {}
+
+describe('EngineRegistry', () => {
+  afterEach(() => {
+    EngineRegistry.unregister('fake');
+  });
+
+  it('內建引擎應已註冊並宣告各自的音訊形式', () => {
+    expect(EngineRegistry.list()).toEqual(expect.arrayContaining(['deepgram', 'whisper']));
+
+    const deepgram = EngineRegistry.create('deepgram');
+    const whisper = EngineRegistry.create('whisper');
+
+    expect(deepgram).toBeInstanceOf(DeepgramStreamClient);
+    expect(deepgram.input).toBe(EngineInput.PCM);
+    expect(whisper).toBeInstanceOf(WhisperBatchClient);
+    expect(whisper.input).toBe(EngineInput.CHUNK);
+  });
+
+  it('每次 create() 都應回傳新實例', () => {
+    EngineRegistry.register('fake', () => new FakeEngine());
+
+    expect(EngineRegistry.create('fake')).not.toBe(EngineRegistry.create('fake'));
+  });
+
+  it('未註冊的 ID 應拋出 INIT_FAILED', () => {
+    expect(() => EngineRegistry.create('nope')).toThrow(
+      expect.objectContaining({ code: ErrorCodes.INIT_FAILED })
+    );
+  });
+
+  it('resolve() 應把未知或空的 ID 退回預設引擎', () => {
+    EngineRegistry.register('fake', () => new FakeEngine());
+
+    expect(EngineRegistry.resolve('fake')).toBe('fake');
+    expect(EngineRegistry.resolve('nope')).toBe(EngineRegistry.DEFAULT_ENGINE);
+    expect(EngineRegistry.resolve(undefined)).toBe(EngineRegistry.DEFAULT_ENGINE);
+  });
+
+  it('工廠不是函式時應拒絕註冊', () => {
+    expect(() => EngineRegistry.register('fake', /** @type {any} */ ({}))).toThrow(TypeError);
+  });
+});
+
+describe('TranscriptionEngine', () => {
+  it('emitTranscript() 應補齊正規化欄位', () => {
+    const engine = new FakeEngine();
+    const events = [];
+    engine.onTranscript = (event) => events.push(event);
+
+    engine.emitTranscript({ text: 'hi', timestamp: 42 });
+
+    expect(events[0]).toEqual({
+      text: 'hi',
+      isFinal: true,
+      speechFinal: true,
+      confidence: null,
+      start: null,
+      end: null,
+      timeBase: TimeBase.STREAM,
+      words: [],
+      streamPosition: null,
+      timestamp: 42,
+    });
+  });
+
+  it('未實作的輸入方法應拋錯', () => {
+    const engine = new FakeEngine();
+
+    expect(() => engine.sendAudio(new ArrayBuffer(2))).toThrow(/sendAudio/);
+    expect(() => engine.sendChunk({})).toThrow(/sendChunk/);
+  });
+
+  it('Deepgram 結果應正規化為串流時間軸並帶逐字時間', () => {
+    const client = new DeepgramStreamClient();
+    const events = [];
+    client.onTranscript = (event) => events.push(event);
+
+    client.handleTranscriptResult({
+      is_final: true,
+      start: 3.2,
+      duration: 1.5,
+      channel: {
+        alternatives: [
+          {
+            transcript: 'hello world',
+            confidence: 0.98,
+            words: [
+              { word: 'hello', punctuated_word: 'Hello', start: 3.2, end: 3.6, confidence: 0.99 },
+              { word: 'world', start: 3.7, end: 4.1, confidence: 0.97 },
+            ],
+          },
+        ],
+      },
+    });
+
+    expect(events[0]).toMatchObject({
+      text: 'hello world',
+      isFinal: true,
+      start: 3.2,
+      end: 4.7,
+      timeBase: TimeBase.STREAM,
+      words: [
+        { text: 'Hello', start: 3.2, end: 3.6, confidence: 0.99 },
+        { text: 'world', start: 3.7, end: 4.1, confidence: 0.97 },
+      ],
+    });
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * ErrorHandler 使用者通知測試
+ */
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { ErrorHandler } from '../../src/lib/error-handler.js';
+import { BabelBridgeError, ErrorCodes } from '../../src/lib/errors.js';
+import { NOTIFICATION_CONFIG, STORAGE_KEYS } from '../../src/lib/config.js';
+
+describe('ErrorHandler', () => {
+  let store;
+  let originalChrome;
+
+  beforeEach(() => {
+    store = {};
+    originalChrome = globalThis.chrome;
+    globalThis.chrome = /** @type {any} */ ({
+      runtime: { getURL: (path) => `chrome-extension://test/${path}` },
+      tabs: { sendMessage: vi.fn().mockResolvedValue({ success: true }) },
+      notifications: { create: vi.fn().mockResolvedValue('id') },
+      storage: {
+        local: {
+          get: vi.fn(async (key) => ({ [key]: store[key] })),
+          set: vi.fn(async (items) => Object.assign(store, items)),
+          remove: vi.fn(async (key) => delete store[key]),
+        },
+      },
+    });
+    ErrorHandler.resetNoticeState();
+  });
+
+  afterEach(() => {
+    globalThis.chrome = originalChrome;
+  });
+
+  describe('getUserMessage', () => {
+    it('每個錯誤碼都應有專屬訊息', () => {
+      const codes = Object.values(ErrorCodes).filter((code) => code !== ErrorCodes.UNKNOWN_ERROR);
+
+      for (const code of codes) {
+        const message = ErrorHandler.getUserMessage(new BabelBridgeError(code, 'raw'));
+        expect(message, code).not.toContain('raw');
+      }
+    });
+
+    it('未知錯誤應沿用原始訊息', () => {
+      const error = new BabelBridgeError(ErrorCodes.UNKNOWN_ERROR, 'boom');
+      expect(ErrorHandler.getUserMessage(error)).toBe('發生錯誤: boom');
+    });
+  });
+
+  describe('notifyUser', () => {
+    it('播放中的錯誤應以 toast 顯示在該分頁', async () => {
+      const error = new BabelBridgeError(ErrorCodes.DEEPGRAM_NETWORK_ERROR, 'WebSocket 連線錯誤');
+
+      await ErrorHandler.notifyUser(error, { tabId: 7 });
+
+      expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(7, {
+        type: 'SHOW_TOAST',
+        data: {
+          code: ErrorCodes.DEEPGRAM_NETWORK_ERROR,
+          message: ErrorHandler.getUserMessage(error),
+        },
+      });
+      expect(chrome.notifications.create).not.toHaveBeenCalled();
+    });
+
+    it('讓字幕停擺的錯誤應改用系統通知', async () => {
+      const error = new BabelBridgeError(ErrorCodes.BUDGET_EXCEEDED, '已達預算');
+
+      await ErrorHandler.notifyUser(error, { tabId: 7 });
+
+      expect(chrome.notifications.create).toHaveBeenCalledWith(
+        'babel-bridge-BUDGET_EXCEEDED',
+        expect.objectContaining({ message: '已達預算上限，字幕已停止' })
+      );
+      expect(chrome.tabs.sendMessage).not.toHaveBeenCalled();
+    });
+
+    it('toast 送不到時應改用系統通知', async () => {
+      vi.mocked(chrome.tabs.sendMessage).mockRejectedValue(new Error('Receiving end does not exist'));
+
+      await ErrorHandler.notifyUser(new BabelBridgeError(ErrorCodes.TRANSLATION_FAILED, 'x'), {
+        tabId: 7,
+      });
+
+      expect(chrome.notifications.create).toHaveBeenCalledTimes(1);
+    });
+
+    it('應保存最近一次錯誤，silent 時只保存不通知', async () => {
+      const error = new BabelBridgeError(ErrorCodes.AUDIO_CAPTURE_FAILED, 'getUserMedia 失敗');
+
+      await ErrorHandler.notifyUser(error, { operation: 'enable_service', silent: true });
+
+      expect(await ErrorHandler.getLastError()).toEqual({
+        code: ErrorCodes.AUDIO_CAPTURE_FAILED,
+        message: '音訊擷取失敗',
+        detail: 'getUserMedia 失敗',
+        operation: 'enable_service',
+        timestamp: error.timestamp,
+      });
+      expect(chrome.notifications.create).not.toHaveBeenCalled();
+
+      await ErrorHandler.clearLastError();
+      expect(await ErrorHandler.getLastError()).toBeNull();
+    });
+
+    it('重連風暴中同一錯誤只通知一次，但最近錯誤仍會更新', async () => {
+      for (let i = 0; i < 5; i++) {
+        await ErrorHandler.notifyUser(
+          new BabelBridgeError(ErrorCodes.DEEPGRAM_NETWORK_ERROR, `第 ${i} 次`),
+          { tabId: 7 }
+        );
+      }
+
+      expect(chrome.tabs.sendMessage).toHaveBeenCalledTimes(1);
+      expect(store[STORAGE_KEYS.LAST_ERROR].detail).toBe('第 4 次');
+    });
+  });
+
+  describe('shouldNotify', () => {
+    it('同一錯誤碼超過去重視窗後應再次通知', () => {
+      expect(ErrorHandler.shouldNotify('A', 0)).toBe(true);
+      expect(ErrorHandler.shouldNotify('A', NOTIFICATION_CONFIG.DEDUP_WINDOW - 1)).toBe(false);
+      expect(ErrorHandler.shouldNotify('A', NOTIFICATION_CONFIG.DEDUP_WINDOW)).toBe(true);
+    });
+
+    it('不同錯誤碼合計也應受限流', () => {
+      const results = ['A', 'B', 'C', 'D'].map((code) => ErrorHandler.shouldNotify(code, 0));
+
+      expect(results).toEqual([true, true, true, false]);
+      expect(ErrorHandler.shouldNotify('D', NOTIFICATION_CONFIG.RATE_LIMIT_WINDOW)).toBe(true);
+    });
+  });
+});
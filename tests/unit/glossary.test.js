@@ -0,0 +1,133 @@
+/**
+ * 自訂詞彙（範圍合併、Whisper prompt 與 CSV 匯入匯出）測試
+ */
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeTerms,
+  normalizeGlossary,
+  getScopeTerms,
+  setScopeTerms,
+  mergeGlossaries,
+  resolveGlossaryTerms,
+  buildWhisperPrompt,
+  glossaryToCsv,
+  parseGlossaryCsv,
+} from '../../src/lib/glossary.js';
+import { GLOSSARY_CONFIG } from '../../src/lib/config.js';
+import { textWidth } from '../../src/lib/caption-layout.js';
+
+describe('normalizeTerms / normalizeGlossary', () => {
+  it('去掉空白與重複（不分大小寫，保留先出現的寫法），略過過長的詞', () => {
+    const tooLong = 'x'.repeat(GLOSSARY_CONFIG.MAX_TERM_LENGTH + 1);
+    expect(normalizeTerms(['  Babel   Bridge ', 'babel bridge', '', tooLong, 42, '鼎泰豐'])).toEqual([
+      'Babel Bridge',
+      '鼎泰豐',
+    ]);
+  });
+
+  it('格式不對的詞彙表補成空的三種範圍，網站去掉 www、不認得的辨識模式略過', () => {
+    expect(normalizeGlossary(null)).toEqual({ global: [], sites: {}, modes: {} });
+    expect(
+      normalizeGlossary({
+        global: 'not a list',
+        sites: { 'www.YouTube.com': ['MrBeast'], 'bilibili.com': [] },
+        modes: { en: ['Nova'], klingon: ['Qapla'] },
+      })
+    ).toEqual({ global: [], sites: { 'youtube.com': ['MrBeast'] }, modes: { en: ['Nova'] } });
+  });
+});
+
+describe('getScopeTerms / setScopeTerms / mergeGlossaries', () => {
+  it('換掉某個範圍的詞，不動原本的詞彙表；清空的網站直接移除', () => {
+    const glossary = normalizeGlossary({ sites: { 'youtube.com': ['MrBeast'] } });
+
+    const updated = setScopeTerms(glossary, 'mode', 'ja', ['日本語', ' 日本語 ']);
+    expect(getScopeTerms(updated, 'mode', 'ja')).toEqual(['日本語']);
+    expect(getScopeTerms(glossary, 'mode', 'ja')).toEqual([]);
+
+    expect(setScopeTerms(glossary, 'site', 'youtube.com', ['']).sites).toEqual({});
+  });
+
+  it('合併兩份詞彙表，同一範圍的詞去重', () => {
+    const merged = mergeGlossaries(
+      normalizeGlossary({ global: ['A'], modes: { en: ['Nova'] } }),
+      normalizeGlossary({ global: ['a', 'B'], modes: { en: ['Deepgram'] } })
+    );
+    expect(merged).toEqual({ global: ['A', 'B'], sites: {}, modes: { en: ['Nova', 'Deepgram'] } });
+  });
+});
+
+describe('resolveGlossaryTerms', () => {
+  const glossary = {
+    global: ['Babel Bridge'],
+    sites: { 'youtube.com': ['MrBeast', 'babel bridge'] },
+    modes: { en: ['Nova'] },
+  };
+
+  it('依序合併全域、這個網站與辨識模式的詞並去重', () => {
+    expect(
+      resolveGlossaryTerms(glossary, { url: 'https://www.youtube.com/watch?v=abc', modeId: 'en' })
+    ).toEqual(['Babel Bridge', 'MrBeast', 'Nova']);
+  });
+
+  it('其他網站、其他辨識模式與非一般網頁只拿到全域的詞', () => {
+    expect(resolveGlossaryTerms(glossary, { url: 'https://example.com/', modeId: 'ja' })).toEqual([
+      'Babel Bridge',
+    ]);
+    expect(resolveGlossaryTerms(glossary, { url: 'chrome://newtab/' })).toEqual(['Babel Bridge']);
+    expect(resolveGlossaryTerms(undefined)).toEqual([]);
+  });
+
+  it('最多 GLOSSARY_CONFIG.MAX_TERMS 個', () => {
+    const terms = Array.from({ length: GLOSSARY_CONFIG.MAX_TERMS + 10 }, (_, i) => `term${i}`);
+    expect(resolveGlossaryTerms({ global: terms })).toHaveLength(GLOSSARY_CONFIG.MAX_TERMS);
+  });
+});
+
+describe('buildWhisperPrompt', () => {
+  it('以頓號串起詞彙，沒有詞時為空字串', () => {
+    expect(buildWhisperPrompt(['Babel Bridge', '鼎泰豐'])).toBe('Babel Bridge、鼎泰豐');
+    expect(buildWhisperPrompt([])).toBe('');
+  });
+
+  it('超過寬度上限的詞不放', () => {
+    const terms = Array.from({ length: 100 }, () => '十個字的專有名詞喔喔');
+    const prompt = buildWhisperPrompt(terms);
+
+    expect(textWidth(prompt)).toBeLessThanOrEqual(GLOSSARY_CONFIG.WHISPER_PROMPT_MAX_WIDTH);
+    expect(prompt.endsWith('十個字的專有名詞喔喔')).toBe(true);
+  });
+});
+
+describe('glossaryToCsv / parseGlossaryCsv', () => {
+  it('匯出再匯入得到同一份詞彙表，含逗號與雙引號的詞加上引號', () => {
+    const glossary = normalizeGlossary({
+      global: ['Hello, "World"'],
+      sites: { 'youtube.com': ['MrBeast'] },
+      modes: { en: ['Nova'] },
+    });
+
+    const csv = glossaryToCsv(glossary);
+    expect(csv).toBe(
+      'scope,target,term\r\nglobal,,"Hello, ""World"""\r\nsite,youtube.com,MrBeast\r\nmode,en,Nova\r\n'
+    );
+    expect(parseGlossaryCsv(csv)).toEqual({ glossary, imported: 3, skipped: 0 });
+  });
+
+  it('沒有標題列、帶 BOM、只有一欄的清單都能匯入，網站欄可以是網址', () => {
+    const { glossary, imported } = parseGlossaryCsv(
+      '\ufeff鼎泰豐\nsite,https://www.youtube.com/watch?v=abc,MrBeast\n\n'
+    );
+    expect(imported).toBe(2);
+    expect(glossary).toEqual({ global: ['鼎泰豐'], sites: { 'youtube.com': ['MrBeast'] }, modes: {} });
+  });
+
+  it('不認得的範圍、辨識模式或沒有詞的列略過', () => {
+    const { glossary, imported, skipped } = parseGlossaryCsv(
+      'scope,target,term\nteam,,A\nmode,klingon,Qapla\nsite,youtube.com,\nglobal,,B\n'
+    );
+    expect(glossary.global).toEqual(['B']);
+    expect(imported).toBe(1);
+    expect(skipped).toBe(3);
+  });
+});
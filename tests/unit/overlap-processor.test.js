@@ -65,6 +65,31 @@ describe('OverlapProcessor', () => {
       expect(result[0].start).toBe(5.0)  // 0.0 + 5.0
       expect(result[0].end).toBe(6.0)    // 1.0 + 5.0
     })
+
+    test('逐字時間也應調整為絕對時間', () => {
+      const response = {
+        text: 'Hello world',
+        segments: [
+          {
+            id: 0, start: 0.0, end: 1.0, text: 'Hello world',
+            words: [
+              { text: 'Hello', start: 0.0, end: 0.4 },
+              { text: 'world', start: 0.5, end: 1.0 }
+            ]
+          }
+        ]
+      }
+
+      const result = processor.process(response, 5.0)
+
+      expect(result[0].words).toEqual([
+        { text: 'Hello', start: 5.0, end: 5.4 },
+        { text: 'world', start: 5.5, end: 6.0 }
+      ])
+      // 沒要逐字時間的 segment 不多出 words
+      expect(processor.process({ segments: [{ id: 0, start: 0, end: 1, text: 'Hi' }] }, 10)[0])
+        .not.toHaveProperty('words')
+    })
   })
 
   describe('重疊區去重', () => {
@@ -171,6 +196,18 @@ describe('OverlapProcessor', () => {
       expect(result[0].end).toBe(2.0)
     })
 
+    test('合併時逐字時間應接在一起', () => {
+      const segments = [
+        { start: 0.0, end: 1.0, text: '今天天氣,', words: [{ text: '今天天氣,', start: 0.0, end: 1.0 }] },
+        { start: 1.0, end: 2.0, text: '很好', words: [{ text: '很好', start: 1.0, end: 2.0 }] }
+      ]
+
+      const result = processor.mergeBrokenSentences(segments, 'zh-TW')
+
+      expect(result[0].words.map(word => word.text)).toEqual(['今天天氣,', '很好'])
+      expect(segments[0].words).toHaveLength(1)
+    })
+
     test('應該合併破碎的句子（英文）', () => {
       const segments = [
         { start: 0.0, end: 1.0, text: 'The weather is good,' },
@@ -347,6 +384,52 @@ describe('LanguageRules', () => {
     })
   })
 
+  describe('句末判斷', () => {
+    test('中文句末標點才算完整', () => {
+      expect(LanguageRules.isSentenceEnd('今天天氣很好。', 'zh-TW')).toBe(true)
+      expect(LanguageRules.isSentenceEnd('今天天氣，', 'zh-TW')).toBe(false)
+      expect(LanguageRules.isSentenceEnd('今天天氣很好', 'zh-TW')).toBe(false)
+    })
+
+    test('英文縮寫不算句末', () => {
+      expect(LanguageRules.isSentenceEnd('I met Dr.', 'en-US')).toBe(false)
+      expect(LanguageRules.isSentenceEnd('I met him.', 'en-US')).toBe(true)
+    })
+
+    test('應該略過結尾的引號', () => {
+      expect(LanguageRules.isSentenceEnd('他說：「好。」', 'zh-TW')).toBe(true)
+      expect(LanguageRules.isSentenceEnd('She said "yes."', 'en')).toBe(true)
+    })
+
+    test('auto 應依文字判斷語言', () => {
+      expect(LanguageRules.isSentenceEnd('今天天氣很好。')).toBe(true)
+      expect(LanguageRules.isSentenceEnd('Hello world')).toBe(false)
+    })
+
+    test('空字串不算完整句子', () => {
+      expect(LanguageRules.isSentenceEnd('  ')).toBe(false)
+    })
+  })
+
+  describe('換行點', () => {
+    test('句末優於句中標點，句中標點優於片語邊界', () => {
+      expect(LanguageRules.breakPriority('今天天氣很好。', '我們去散步')).toBe(3)
+      expect(LanguageRules.breakPriority('今天天氣很好，', '我們去散步')).toBe(2)
+      expect(LanguageRules.breakPriority('I stayed home', 'because it rained', 'en')).toBe(1)
+      expect(LanguageRules.breakPriority('I stayed', 'home', 'en')).toBe(0)
+    })
+
+    test('縮寫的句點不算句末', () => {
+      expect(LanguageRules.breakPriority('I met Dr.', 'Smith', 'en')).toBe(0)
+    })
+
+    test('開頭括號之後與收尾標點之前不該斷', () => {
+      expect(LanguageRules.breakPriority('他說「', '好')).toBe(-1)
+      expect(LanguageRules.breakPriority('他說', '。')).toBe(-1)
+      expect(LanguageRules.breakPriority('Hello', ', world')).toBe(-1)
+    })
+  })
+
   describe('語言檢測', () => {
     test('應該檢測中文', () => {
       expect(LanguageRules.detectLanguage('今天天氣很好')).toBe('zh')
@@ -0,0 +1,70 @@
+/**
+ * PCMBatcher 單元測試
+ */
+import { describe, it, expect, beforeEach } from 'vitest';
+import { PCMBatcher } from '../../src/offscreen/pcm-batcher.js';
+import { arrayBufferToBase64, base64ToArrayBuffer } from '../../src/lib/audio-encoding.js';
+
+/** 產生一個 20ms frame（16kHz = 320 samples），內容為遞增序號方便比對 */
+function makeFrame(startValue, length = 320) {
+  const frame = new Int16Array(length);
+  for (let i = 0; i < length; i++) {
+    frame[i] = (startValue + i) % 32768;
+  }
+  return frame;
+}
+
+describe('PCMBatcher', () => {
+  let batcher;
+  let batches;
+
+  beforeEach(() => {
+    batcher = new PCMBatcher();
+    batches = [];
+    batcher.onBatchReady = (batch) => batches.push(batch);
+  });
+
+  it('預設每 5 個 frame（100ms）一批', () => {
+    for (let i = 1; i <= 4; i++) {
+      batcher.push(makeFrame(i * 320), i, 16000);
+    }
+    expect(batches).toHaveLength(0);
+
+    batcher.push(makeFrame(5 * 320), 5, 16000);
+    expect(batches).toHaveLength(1);
+    expect(batches[0]).toMatchObject({ frameIndex: 1, frameCount: 5, sampleRate: 16000 });
+    expect(batches[0].samples.length).toBe(1600);
+  });
+
+  it('批次內的 PCM 應依序串接', () => {
+    for (let i = 1; i <= 10; i++) {
+      batcher.push(makeFrame((i - 1) * 320), i, 16000);
+    }
+
+    expect(batches.map((batch) => batch.frameIndex)).toEqual([1, 6]);
+    expect(batches[1].samples[0]).toBe(1600);
+    batches[0].samples.forEach((sample, i) => {
+      expect(sample).toBe(i);
+    });
+  });
+
+  it('flush() 送出不足一批的尾段，沒有資料時不送', () => {
+    batcher.push(makeFrame(0), 1, 16000);
+    batcher.push(makeFrame(320), 2, 16000);
+    batcher.flush();
+    batcher.flush();
+
+    expect(batches).toHaveLength(1);
+    expect(batches[0]).toMatchObject({ frameIndex: 1, frameCount: 2 });
+  });
+
+  it('Base64 往返後應與原始 PCM 相同', () => {
+    batcher = new PCMBatcher({ batchFrames: 2 });
+    batcher.onBatchReady = (batch) => batches.push(batch);
+    batcher.push(Int16Array.of(-32768, -1, 0), 1, 16000);
+    batcher.push(Int16Array.of(1, 32767), 2, 16000);
+
+    const restored = new Int16Array(base64ToArrayBuffer(arrayBufferToBase64(batches[0].samples.buffer)));
+    expect([...restored]).toEqual([-32768, -1, 0, 1, 32767]);
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * PCMChunker 單元測試
+ */
+import { describe, it, expect, beforeEach } from 'vitest';
+import { PCMChunker } from '../../src/offscreen/pcm-chunker.js';
+import { encodeWav, arrayBufferToBase64, base64ToArrayBuffer } from '../../src/lib/audio-encoding.js';
+
+/** 產生一個 20ms frame（16kHz = 320 samples），內容為遞增序號方便比對 */
+function makeFrame(startValue, length = 320) {
+  const frame = new Int16Array(length);
+  for (let i = 0; i < length; i++) {
+    frame[i] = (startValue + i) % 32768;
+  }
+  return frame;
+}
+
+describe('PCMChunker', () => {
+  let chunker;
+  let chunks;
+
+  beforeEach(() => {
+    chunker = new PCMChunker();
+    chunks = [];
+    chunker.onChunkReady = (chunk) => chunks.push(chunk);
+  });
+
+  it('應該依 CHUNK_CONFIG 計算樣本數', () => {
+    expect(chunker.chunkSamples).toBe(48000);
+    expect(chunker.overlapSamples).toBe(16000);
+    expect(chunker.stepSamples).toBe(32000);
+  });
+
+  it('不足一個 chunk 時不應輸出', () => {
+    for (let i = 0; i < 149; i++) {
+      chunker.push(makeFrame(i * 320));
+    }
+    expect(chunks.length).toBe(0);
+  });
+
+  it('滿 3 秒時應輸出第一個 chunk', () => {
+    for (let i = 0; i < 150; i++) {
+      chunker.push(makeFrame(i * 320));
+    }
+
+    expect(chunks.length).toBe(1);
+    expect(chunks[0].index).toBe(0);
+    expect(chunks[0].samples.length).toBe(48000);
+    expect(chunks[0].audioStartTime).toBe(0);
+    expect(chunks[0].audioEndTime).toBe(3);
+    expect(chunks[0].overlapStart).toBe(0);
+    expect(chunks[0].overlapEnd).toBe(1);
+  });
+
+  it('第二個 chunk 應與前一個重疊 1 秒', () => {
+    // 3 秒 + 2 秒 = 第二個 chunk 剛好湊滿
+    for (let i = 0; i < 250; i++) {
+      chunker.push(makeFrame(i * 320));
+    }
+
+    expect(chunks.length).toBe(2);
+    expect(chunks[1].audioStartTime).toBe(2);
+    expect(chunks[1].audioEndTime).toBe(5);
+    expect(chunks[1].overlapStart).toBe(1);
+
+    // 重疊區內容必須與前一個 chunk 的尾端一致
+    expect(chunks[1].samples.subarray(0, 16000)).toEqual(chunks[0].samples.subarray(32000));
+  });
+
+  it('輸出的 samples 不應被後續 frame 覆寫', () => {
+    for (let i = 0; i < 150; i++) {
+      chunker.push(makeFrame(i * 320));
+    }
+    const snapshot = chunks[0].samples.slice();
+
+    for (let i = 150; i < 250; i++) {
+      chunker.push(makeFrame(i * 320));
+    }
+
+    expect(chunks[0].samples).toEqual(snapshot);
+  });
+
+  it('跨越 chunk 邊界的 frame 應正確拆分', () => {
+    // 單一大 frame 一次塞 5 秒
+    chunker.push(makeFrame(0, 80000));
+
+    expect(chunks.length).toBe(2);
+    expect(chunks[1].samples[0]).toBe(32000);
+  });
+
+  it('reset() 後應從頭計算時間', () => {
+    chunker.push(makeFrame(0, 48000));
+    chunker.reset();
+    chunker.push(makeFrame(0, 48000));
+
+    expect(chunks[1].index).toBe(0);
+    expect(chunks[1].audioStartTime).toBe(0);
+  });
+
+  it('建立時帶的影片起點與播放速度應附在每個 chunk 上', () => {
+    chunker = new PCMChunker({ videoStartTime: 20, playbackRate: 1.5 });
+    chunker.onChunkReady = (chunk) => chunks.push(chunk);
+    chunker.push(makeFrame(0, 48000));
+
+    expect(chunks[0]).toMatchObject({ videoStartTime: 20, playbackRate: 1.5 });
+  });
+
+  it('reanchor() 應丟掉未滿的音訊，之後的 chunk 帶新的影片起點與播放速度', () => {
+    chunker.push(makeFrame(0, 48000));
+    chunker.push(makeFrame(0, 20000));
+    chunker.reanchor(42.5, 1.5);
+    chunker.push(makeFrame(0, 48000));
+
+    expect(chunks.length).toBe(2);
+    expect(chunks[0]).toMatchObject({ videoStartTime: 0, playbackRate: 1 });
+    expect(chunks[1]).toMatchObject({
+      index: 0,
+      audioStartTime: 0,
+      videoStartTime: 42.5,
+      playbackRate: 1.5,
+    });
+  });
+});
+
+describe('audio-encoding', () => {
+  it('encodeWav 應產生 16-bit mono PCM header', () => {
+    const samples = new Int16Array([0, 1, -1, 32767]);
+    const wav = encodeWav(samples, 16000);
+    const view = new DataView(wav);
+    const ascii = (offset) => String.fromCharCode(...new Uint8Array(wav, offset, 4));
+
+    expect(wav.byteLength).toBe(44 + 8);
+    expect(ascii(0)).toBe('RIFF');
+    expect(ascii(8)).toBe('WAVE');
+    expect(view.getUint16(22, true)).toBe(1);
+    expect(view.getUint32(24, true)).toBe(16000);
+    expect(view.getUint16(34, true)).toBe(16);
+    expect(view.getUint32(40, true)).toBe(8);
+    expect(Array.from(new Int16Array(wav, 44))).toEqual([0, 1, -1, 32767]);
+  });
+
+  it('Base64 來回轉換應保持內容不變', () => {
+    const wav = encodeWav(makeFrame(0, 48000), 16000);
+    const restored = base64ToArrayBuffer(arrayBufferToBase64(wav));
+
+    expect(new Uint8Array(restored)).toEqual(new Uint8Array(wav));
+  });
+});
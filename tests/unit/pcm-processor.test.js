@@ -0,0 +1,156 @@
+/**
+ * PCMProcessor（AudioWorklet）單元測試
+ *
+ * AudioWorkletGlobalScope 的全域（AudioWorkletProcessor / sampleRate / registerProcessor）
+ * 在測試環境裡補上替身，再以已知訊號餵給 process()，檢查送出的 Int16 frame。
+ */
+import { describe, it, expect, beforeEach } from 'vitest';
+
+const registered = {};
+
+globalThis.AudioWorkletProcessor = class {
+  constructor() {
+    this.port = { messages: [], postMessage: (message) => this.port.messages.push(message) };
+  }
+};
+globalThis.registerProcessor = (name, processorClass) => {
+  registered[name] = processorClass;
+};
+globalThis.sampleRate = 48000;
+
+await import('../../src/offscreen/pcm-processor.js');
+const PCMProcessor = registered['pcm-processor'];
+
+const QUANTUM = 128;
+
+/**
+ * 以 render quantum 為單位餵入訊號，回傳串接後的輸出樣本（-1 ~ 1）
+ *
+ * @param {Object} processor
+ * @param {Array<(t: number) => number>} channels - 每個聲道的訊號函式（t 為秒）
+ * @param {number} seconds
+ */
+function run(processor, channels, seconds) {
+  const rate = processor.inputSampleRate;
+  const total = Math.floor(rate * seconds);
+
+  for (let offset = 0; offset < total; offset += QUANTUM) {
+    const input = channels.map((signal) => {
+      const block = new Float32Array(QUANTUM);
+      for (let i = 0; i < QUANTUM; i++) {
+        block[i] = signal((offset + i) / rate);
+      }
+      return block;
+    });
+    processor.process([input], [], {});
+  }
+
+  const frames = processor.port.messages.filter((message) => message.type === 'PCM_FRAME');
+  const samples = [];
+  frames.forEach((frame) => samples.push(...new Int16Array(frame.data)));
+  return { frames, samples: samples.map((sample) => sample / 32767) };
+}
+
+/** 指定頻率的振幅（對輸出做單一頻率的 DFT），略過開頭濾波器的暖機段 */
+function amplitudeAt(samples, frequency, rate = 16000, skip = 320) {
+  let re = 0;
+  let im = 0;
+  const body = samples.slice(skip);
+  body.forEach((sample, n) => {
+    const angle = (2 * Math.PI * frequency * n) / rate;
+    re += sample * Math.cos(angle);
+    im -= sample * Math.sin(angle);
+  });
+  return (2 * Math.hypot(re, im)) / body.length;
+}
+
+const sine = (frequency, amplitude = 0.5) => (t) => amplitude * Math.sin(2 * Math.PI * frequency * t);
+const silence = () => 0;
+
+describe('PCMProcessor', () => {
+  beforeEach(() => {
+    globalThis.sampleRate = 48000;
+  });
+
+  it('48kHz 輸入應輸出 16kHz、每 20ms 一個 320 樣本的 frame', () => {
+    const processor = new PCMProcessor({});
+    const { frames, samples } = run(processor, [sine(440)], 1);
+
+    // 1 秒 48000 個輸入樣本 → 16000 個輸出樣本 → 50 個 frame
+    expect(frames).toHaveLength(50);
+    expect(frames[0]).toMatchObject({ frameIndex: 1, sampleCount: 320, sampleRate: 16000 });
+    expect(frames.at(-1).frameIndex).toBe(50);
+    expect(samples).toHaveLength(16000);
+  });
+
+  it('通帶內的正弦波振幅不變', () => {
+    const processor = new PCMProcessor({});
+    const { samples } = run(processor, [sine(1000, 0.5)], 1);
+
+    expect(amplitudeAt(samples, 1000)).toBeCloseTo(0.5, 2);
+  });
+
+  it('高於 8kHz 的成分應先濾掉，不折疊回可聽頻段', () => {
+    const processor = new PCMProcessor({});
+    // 12kHz 直接每 3 點取 1 點會折疊成 4kHz
+    const { samples } = run(processor, [sine(12000, 0.5)], 1);
+
+    expect(amplitudeAt(samples, 4000)).toBeLessThan(0.5 / 1000); // 衰減 60dB 以上
+  });
+
+  it('預設平均所有聲道：只在右聲道的對白也保留', () => {
+    const processor = new PCMProcessor({});
+    const { samples } = run(processor, [silence, sine(1000, 0.5)], 1);
+
+    expect(amplitudeAt(samples, 1000)).toBeCloseTo(0.25, 2);
+  });
+
+  it('兩聲道相同（置中）時音量不變', () => {
+    const processor = new PCMProcessor({});
+    const { samples } = run(processor, [sine(1000, 0.5), sine(1000, 0.5)], 1);
+
+    expect(amplitudeAt(samples, 1000)).toBeCloseTo(0.5, 2);
+  });
+
+  it('可指定只取單一聲道，單聲道來源則退回第一個聲道', () => {
+    const right = new PCMProcessor({ processorOptions: { channelMode: 'right' } });
+    const left = new PCMProcessor({ processorOptions: { channelMode: 'left' } });
+    const mono = new PCMProcessor({ processorOptions: { channelMode: 'right' } });
+    const stereo = [sine(1000, 0.5), sine(2000, 0.5)];
+
+    const fromRight = run(right, stereo, 0.5).samples;
+    const fromLeft = run(left, stereo, 0.5).samples;
+    const fromMono = run(mono, [sine(1000, 0.5)], 0.5).samples;
+
+    expect(amplitudeAt(fromRight, 2000)).toBeCloseTo(0.5, 2);
+    expect(amplitudeAt(fromRight, 1000)).toBeLessThan(0.001);
+    expect(amplitudeAt(fromLeft, 1000)).toBeCloseTo(0.5, 2);
+    expect(amplitudeAt(fromMono, 1000)).toBeCloseTo(0.5, 2);
+  });
+
+  it('44.1kHz 輸入也應輸出 16kHz', () => {
+    globalThis.sampleRate = 44100;
+    const processor = new PCMProcessor({});
+    const { samples } = run(processor, [sine(1000, 0.5)], 1);
+
+    // 最後一個 quantum 可能跨過 1 秒，容許差一個 frame
+    expect(Math.abs(samples.length - 16000)).toBeLessThanOrEqual(320);
+    expect(amplitudeAt(samples, 1000)).toBeCloseTo(0.5, 2);
+  });
+
+  it('超過滿刻度的樣本應截在 Int16 範圍內', () => {
+    const processor = new PCMProcessor({});
+    const { frames } = run(processor, [() => 2], 0.1);
+    const last = new Int16Array(frames.at(-1).data);
+
+    expect(Math.max(...last)).toBe(32767);
+  });
+
+  it('沒有輸入時不送 frame', () => {
+    const processor = new PCMProcessor({});
+
+    expect(processor.process([[]], [], {})).toBe(true);
+    expect(processor.process([], [], {})).toBe(true);
+    expect(processor.port.messages).toHaveLength(0);
+  });
+});
@@ -4,8 +4,10 @@
  * 聚焦 enable() 與 disable() 的併發行為：enable() 中間隔著數個 await，
  * 期間插進來的 disable() 若沒被處理，會留下「Popup 顯示已啟用、管線其實已被清掉」
  * 的靜默失效，或反過來留下一條沒人關的 Deepgram 連線持續消耗配額。
+ *
+ * 每個分頁各有一個 TabSession；除了「多個分頁」一節，其餘都在分頁 1 上操作。
  */
-import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 
 // service-worker.js 在載入當下就註冊三個 chrome listener，
 // chrome stub 必須在 import 之前備妥——vi.hoisted 會提到所有 import 之上執行。
@@ -14,30 +16,49 @@ vi.hoisted(() => {
     runtime: {
       onMessage: { addListener: () => {} },
       onInstalled: { addListener: () => {} },
+      onConnect: { addListener: () => {} },
       getURL: (path) => path,
     },
     tabs: {
       onRemoved: { addListener: () => {} },
+      get: async (tabId) => ({ id: tabId, title: 'Test Video', url: 'https://www.youtube.com/watch?v=abc' }),
       sendMessage: async () => ({ success: true }),
       create: async () => {},
     },
-    storage: { local: { get: async () => ({}) } },
+    storage: {
+      local: { get: async () => ({}) },
+      // 工作階段快照（SessionState），以 Map 模擬，測試間由 beforeEach 清空
+      session: {
+        items: new Map(),
+        async get() {
+          return Object.fromEntries(this.items);
+        },
+        async set(values) {
+          Object.entries(values).forEach(([key, value]) => this.items.set(key, structuredClone(value)));
+        },
+        async remove(key) {
+          this.items.delete(key);
+        },
+      },
+    },
   };
 });
 
 // 兩個依賴的 init()/start() 都刻意停在 pending，由測試決定何時完成，
 // 才能精準地在「連線建立中」「音訊啟動中」這兩個空隙插入 disable()。
-const { MockDeepgramStreamClient, MockAudioCapture, spawned } = vi.hoisted(() => {
+const { MockDeepgramStreamClient, MockWhisperBatchClient, MockAudioCapture, spawned } = vi.hoisted(() => {
   const spawned = { clients: [], captures: [] };
 
   class MockDeepgramStreamClient {
     constructor() {
+      this.input = 'pcm';
       this.closed = false;
       this.settleInit = null;
       spawned.clients.push(this);
     }
 
-    init() {
+    init(config) {
+      this.initConfig = config;
       return new Promise((resolve) => {
         this.settleInit = resolve;
       });
@@ -48,27 +69,52 @@ const { MockDeepgramStreamClient, MockAudioCapture, spawned } = vi.hoisted(() =>
     }
   }
 
+  class MockWhisperBatchClient extends MockDeepgramStreamClient {
+    constructor() {
+      super();
+      this.input = 'chunk';
+      this.chunks = [];
+    }
+
+    sendChunk(chunk) {
+      this.chunks.push(chunk);
+    }
+  }
+
   class MockAudioCapture {
     constructor() {
       this.stopped = false;
       this.settleStart = null;
       this.failStart = null;
+      this.startOptions = null;
+      this.reanchors = [];
       spawned.captures.push(this);
     }
 
-    start() {
+    static listCaptures = async () => [];
+
+    start(_tabId, options) {
+      this.startOptions = options;
       return new Promise((resolve, reject) => {
         this.settleStart = resolve;
         this.failStart = reject;
       });
     }
 
+    adopt(tabId) {
+      this.adoptedTabId = tabId;
+    }
+
+    async reanchor(videoTime, playbackRate) {
+      this.reanchors.push([videoTime, playbackRate]);
+    }
+
     async stop() {
       this.stopped = true;
     }
   }
 
-  return { MockDeepgramStreamClient, MockAudioCapture, spawned };
+  return { MockDeepgramStreamClient, MockWhisperBatchClient, MockAudioCapture, spawned };
 });
 
 vi.mock('../../src/background/deepgram-stream-client.js', () => ({
@@ -82,22 +128,90 @@ vi.mock('../../src/background/deepgram-stream-client.js', () => ({
   },
 }));
 
+vi.mock('../../src/background/whisper-batch-client.js', () => ({
+  WhisperBatchClient: MockWhisperBatchClient,
+}));
+
+// 譯文的 resolve 交給測試控制，才能在「翻譯進行中」插入 disable()
+const { MockTranslationClient } = vi.hoisted(() => {
+  class MockTranslationClient {
+    constructor() {
+      this.pending = [];
+      MockTranslationClient.instances.push(this);
+    }
+
+    async init() {}
+
+    translate(text) {
+      return new Promise((resolve, reject) => {
+        this.pending.push({ text, resolve, reject });
+      });
+    }
+  }
+  MockTranslationClient.instances = [];
+
+  return { MockTranslationClient };
+});
+
+vi.mock('../../src/background/translation-client.js', () => ({
+  TranslationClient: MockTranslationClient,
+}));
+
 vi.mock('../../src/background/audio-capture.js', () => ({
   AudioCapture: MockAudioCapture,
 }));
 
 vi.mock('../../src/lib/error-handler.js', () => ({
-  ErrorHandler: { handle: vi.fn().mockResolvedValue(undefined) },
+  ErrorHandler: {
+    handle: vi.fn().mockResolvedValue(undefined),
+    notifyUser: vi.fn().mockResolvedValue(undefined),
+    normalizeError: vi.fn((error) => error),
+  },
 }));
 
 vi.mock('../../src/lib/api-key-manager.js', () => ({
   APIKeyManager: {
     verifyAndSave: vi.fn(),
     getCurrentMonthStats: vi.fn(),
+    getBudgetStatus: vi.fn(),
+  },
+  BudgetLevel: { OK: 'ok', WARNING: 'warning', EXCEEDED: 'exceeded' },
+}));
+
+vi.mock('../../src/lib/transcript-store.js', () => ({
+  TranscriptStore: {
+    save: vi.fn().mockResolvedValue(undefined),
+    findByVideoKey: vi.fn().mockResolvedValue([]),
   },
 }));
 
 const { SubtitleService } = await import('../../src/background/service-worker.js');
+const { EngineRegistry } = await import('../../src/background/engine-registry.js');
+const { APIKeyManager } = await import('../../src/lib/api-key-manager.js');
+const { TranscriptStore } = await import('../../src/lib/transcript-store.js');
+const { ErrorHandler } = await import('../../src/lib/error-handler.js');
+const { arrayBufferToBase64 } = await import('../../src/lib/audio-encoding.js');
+
+/** 預算狀態，預設為未達任何門檻 */
+const budgetStatus = (overrides = {}) => ({
+  spent: 1,
+  budget: 10,
+  percentage: 10,
+  level: 'ok',
+  warningThreshold: 80,
+  sessionBudget: 0,
+  enforce: true,
+  ...overrides,
+});
+
+/** Offscreen 經音訊 Port 送來的一批 PCM */
+const pcmBatch = (tabId, samples = [1], frameIndex = 1) => ({
+  audioBase64: arrayBufferToBase64(new Int16Array(samples).buffer),
+  frameIndex,
+  frameCount: 1,
+  sampleRate: 16000,
+  tabId,
+});
 
 /** 清空所有 pending microtask，讓 enable() 推進到下一個 await */
 const settleMicrotasks = () => new Promise((resolve) => setTimeout(resolve, 0));
@@ -108,8 +222,8 @@ const settleMicrotasks = () => new Promise((resolve) => setTimeout(resolve, 0));
  * 回傳包在物件裡：async function 直接 return promise 會把它 await 掉，
  * 而這裡要的正是那個「還沒完成」的 enable()。
  */
-async function advanceToCapture(service, tabId = 1) {
-  const enabling = service.enable(tabId);
+async function advanceToCapture(service, tabId = 1, options = {}) {
+  const enabling = service.enable(tabId, options);
   await settleMicrotasks();
   spawned.clients.at(-1).settleInit();
   await settleMicrotasks();
@@ -119,9 +233,14 @@ async function advanceToCapture(service, tabId = 1) {
 describe('SubtitleService 連線生命週期', () => {
   let service;
 
+  /** 分頁的工作階段（斷言用，不會順手建立） */
+  const tab = (tabId = 1) => service.sessions.get(tabId);
+
   beforeEach(() => {
     spawned.clients.length = 0;
     spawned.captures.length = 0;
+    chrome.storage.session.items.clear();
+    vi.mocked(APIKeyManager.getBudgetStatus).mockResolvedValue(budgetStatus());
     service = new SubtitleService();
   });
 
@@ -131,9 +250,9 @@ describe('SubtitleService 連線生命週期', () => {
       spawned.captures[0].settleStart();
 
       await expect(enabling).resolves.toEqual({ success: true });
-      expect(service.isActive).toBe(true);
-      expect(service.deepgramClient).toBe(spawned.clients[0]);
-      expect(service.audioCapture).toBe(spawned.captures[0]);
+      expect(tab().isActive).toBe(true);
+      expect(tab().engine).toBe(spawned.clients[0]);
+      expect(tab().audioCapture).toBe(spawned.captures[0]);
       expect(spawned.clients[0].closed).toBe(false);
     });
 
@@ -141,9 +260,9 @@ describe('SubtitleService 連線生命週期', () => {
       const { enabling } = await advanceToCapture(service);
 
       // capture.start() 仍在 pending，但 PCM frame 隨時會回送到
-      // handlePCMFrame()，而它讀的是 this.deepgramClient
+      // handlePCMBatch()，而它讀的是 this.engine
       expect(spawned.captures.length).toBe(1);
-      expect(service.deepgramClient).toBe(spawned.clients[0]);
+      expect(tab().engine).toBe(spawned.clients[0]);
 
       spawned.captures[0].settleStart();
       await enabling;
@@ -152,7 +271,7 @@ describe('SubtitleService 連線生命週期', () => {
     it('啟用流程進行中應擋掉重複的 enable()', async () => {
       const { enabling } = await advanceToCapture(service);
 
-      const duplicate = await service.enable(2);
+      const duplicate = await service.enable(1);
 
       expect(duplicate.success).toBe(false);
       // Popup 靠這個欄位分辨「還在跑」與「真的失敗」，少了它會顯示成紅字錯誤
@@ -162,7 +281,7 @@ describe('SubtitleService 連線生命週期', () => {
 
       spawned.captures[0].settleStart();
       await enabling;
-      expect(service.currentTabId).toBe(1);
+      expect(tab().engine).toBe(spawned.clients[0]);
     });
 
     it('disable() 應收掉連線並回到未啟用', async () => {
@@ -170,16 +289,115 @@ describe('SubtitleService 連線生命週期', () => {
       spawned.captures[0].settleStart();
       await enabling;
 
-      await expect(service.disable()).resolves.toEqual({ success: true });
+      await expect(service.disable(1)).resolves.toEqual({ success: true });
 
-      expect(service.isActive).toBe(false);
-      expect(service.deepgramClient).toBeNull();
-      expect(service.audioCapture).toBeNull();
+      expect(tab().isActive).toBe(false);
+      expect(tab().engine).toBeNull();
+      expect(tab().audioCapture).toBeNull();
       expect(spawned.clients[0].closed).toBe(true);
       expect(spawned.captures[0].stopped).toBe(true);
     });
   });
 
+  describe('預算上限', () => {
+    /** 啟用並跑完整個流程 */
+    async function enableFully(options) {
+      const { enabling } = await advanceToCapture(service, 1, options);
+      spawned.captures.at(-1).settleStart();
+      return enabling;
+    }
+
+    it('已超過月度預算時應擋下啟用，且不建立任何連線', async () => {
+      vi.mocked(APIKeyManager.getBudgetStatus).mockResolvedValue(
+        budgetStatus({ spent: 10.5, percentage: 105, level: 'exceeded' })
+      );
+
+      const result = await service.enable(1);
+
+      expect(result.success).toBe(false);
+      // Popup 靠這個欄位顯示「本次仍要啟用」
+      expect(result.budgetExceeded).toBe(true);
+      expect(result.error).toContain('$10.00');
+      expect(spawned.clients.length).toBe(0);
+      expect(tab().isEnabling).toBe(false);
+    });
+
+    it('明確放行時即使超過預算也應啟用', async () => {
+      vi.mocked(APIKeyManager.getBudgetStatus).mockResolvedValue(
+        budgetStatus({ spent: 10.5, percentage: 105, level: 'exceeded' })
+      );
+
+      await expect(enableFully({ overrideBudget: true })).resolves.toEqual({ success: true });
+      expect(tab().budgetOverride).toBe(true);
+    });
+
+    it('關閉強制上限時超過預算仍可啟用', async () => {
+      vi.mocked(APIKeyManager.getBudgetStatus).mockResolvedValue(
+        budgetStatus({ spent: 10.5, percentage: 105, level: 'exceeded', enforce: false })
+      );
+
+      await expect(enableFully()).resolves.toEqual({ success: true });
+    });
+
+    it('啟用中越過月度預算應停用並記下原因', async () => {
+      await enableFully();
+
+      await service.handleBudgetUpdate(budgetStatus({ spent: 10, percentage: 100, level: 'exceeded' }));
+
+      expect(tab().isActive).toBe(false);
+      expect(spawned.clients[0].closed).toBe(true);
+      expect(tab().getStatus().stopReason).toEqual({
+        code: 'BUDGET_EXCEEDED',
+        message: expect.stringContaining('預算上限'),
+      });
+    });
+
+    it('單次上限只累計記在這一場的花費', async () => {
+      await enableFully();
+      const { source } = tab().run;
+
+      await service.handleBudgetUpdate(budgetStatus({ spent: 1.4, sessionBudget: 0.5 }), {
+        type: 'deepgram',
+        cost: 0.4,
+        source,
+      });
+      // 沒有記帳來源的（例如其他 Service Worker 實例寫的）不算進這一場
+      await service.handleBudgetUpdate(budgetStatus({ spent: 1.6, sessionBudget: 0.5 }), {
+        type: 'gpt',
+        cost: 0.2,
+      });
+      expect(tab().isActive).toBe(true);
+
+      await service.handleBudgetUpdate(budgetStatus({ spent: 1.7, sessionBudget: 0.5 }), {
+        type: 'deepgram',
+        cost: 0.1,
+        source,
+      });
+      expect(tab().isActive).toBe(false);
+      expect(tab().stopReason.message).toContain('單次上限');
+    });
+
+    it('本次放行後不受上限影響，停用後放行失效', async () => {
+      await enableFully({ overrideBudget: true });
+
+      await service.handleBudgetUpdate(budgetStatus({ spent: 12, percentage: 120, level: 'exceeded' }));
+      expect(tab().isActive).toBe(true);
+
+      await service.disable(1);
+      expect(tab().budgetOverride).toBe(false);
+    });
+
+    it('重新啟用後應清除上次的停止原因', async () => {
+      await enableFully();
+      await service.handleBudgetUpdate(budgetStatus({ spent: 10, percentage: 100, level: 'exceeded' }));
+
+      await enableFully();
+
+      expect(tab().isActive).toBe(true);
+      expect(tab().stopReason).toBeNull();
+    });
+  });
+
   describe('enable() 被 disable() 打斷', () => {
     it('連線建立中被打斷：不留下已啟用假象，半路的連線要收掉', async () => {
       const messagesSent = [];
@@ -193,15 +411,15 @@ describe('SubtitleService 連線生命週期', () => {
       expect(spawned.clients.length).toBe(1);
 
       // 使用者在連線還沒建好時就按下停用
-      await service.disable();
+      await service.disable(1);
 
       // 連線這時才完成，enable() 繼續往下跑
       spawned.clients[0].settleInit();
       const result = await enabling;
 
       expect(result.success).toBe(false);
-      expect(service.isActive).toBe(false);
-      expect(service.deepgramClient).toBeNull();
+      expect(tab().isActive).toBe(false);
+      expect(tab().engine).toBeNull();
       // 沒收掉的話，這條連線帶著 KeepAlive 誰也關不掉
       expect(spawned.clients[0].closed).toBe(true);
       // 停用之後不該再往下建音訊擷取
@@ -217,15 +435,15 @@ describe('SubtitleService 連線生命週期', () => {
       const { enabling } = await advanceToCapture(service);
       expect(spawned.captures.length).toBe(1);
 
-      await service.disable();
+      await service.disable(1);
 
       spawned.captures[0].settleStart();
       const result = await enabling;
 
       expect(result.success).toBe(false);
-      expect(service.isActive).toBe(false);
-      expect(service.deepgramClient).toBeNull();
-      expect(service.audioCapture).toBeNull();
+      expect(tab().isActive).toBe(false);
+      expect(tab().engine).toBeNull();
+      expect(tab().audioCapture).toBeNull();
       expect(spawned.clients[0].closed).toBe(true);
       expect(spawned.captures[0].stopped).toBe(true);
     });
@@ -233,20 +451,19 @@ describe('SubtitleService 連線生命週期', () => {
     it('被打斷之後仍能重新啟用', async () => {
       const interrupted = service.enable(1);
       await settleMicrotasks();
-      await service.disable();
+      await service.disable(1);
       spawned.clients[0].settleInit();
       await expect(interrupted).resolves.toMatchObject({ success: false });
 
       // 被作廢的那一輪必須把 isEnabling 交還，否則之後永遠啟用不了
-      expect(service.isEnabling).toBe(false);
+      expect(tab().isEnabling).toBe(false);
 
-      const { enabling } = await advanceToCapture(service, 2);
+      const { enabling } = await advanceToCapture(service);
       spawned.captures[0].settleStart();
 
       await expect(enabling).resolves.toEqual({ success: true });
-      expect(service.isActive).toBe(true);
-      expect(service.deepgramClient).toBe(spawned.clients[1]);
-      expect(service.currentTabId).toBe(2);
+      expect(tab().isActive).toBe(true);
+      expect(tab().engine).toBe(spawned.clients[1]);
       expect(spawned.clients[1].closed).toBe(false);
     });
   });
@@ -257,15 +474,15 @@ describe('SubtitleService 連線生命週期', () => {
 
       // client 此時已掛上 this（為了不漏接 PCM frame），而這條路徑上沒有
       // disable() 會來 cleanup，abort() 自己摘掉參照是唯一的清理機會
-      expect(service.deepgramClient).toBe(spawned.clients[0]);
+      expect(tab().engine).toBe(spawned.clients[0]);
 
       spawned.captures[0].failStart(new Error('tabCapture 權限被拒'));
       const result = await enabling;
 
       expect(result.success).toBe(false);
-      expect(service.isActive).toBe(false);
-      expect(service.deepgramClient).toBeNull();
-      expect(service.currentTabId).toBeNull();
+      expect(tab().isActive).toBe(false);
+      expect(tab().engine).toBeNull();
+      expect(service.getActiveSessions()).toEqual([]);
       expect(spawned.clients[0].closed).toBe(true);
     });
   });
@@ -281,11 +498,1038 @@ describe('SubtitleService 連線生命週期', () => {
       const result = await enabling;
 
       expect(result).toEqual({ success: false, error: '頁面沒有影片' });
-      expect(service.isActive).toBe(false);
-      expect(service.deepgramClient).toBeNull();
+      expect(tab().isActive).toBe(false);
+      expect(tab().engine).toBeNull();
+      expect(spawned.clients[0].closed).toBe(true);
+
+      chrome.tabs.sendMessage = async () => ({ success: true });
+    });
+  });
+
+  describe('Whisper 批次引擎', () => {
+    beforeEach(() => {
+      chrome.storage.local.get = async () => ({ recognition_engine: 'whisper' });
+    });
+
+    afterEach(() => {
+      chrome.storage.local.get = async () => ({});
+    });
+
+    it('設定為 whisper 時應建立 Whisper 管線並要求 Offscreen 切塊', async () => {
+      const { enabling } = await advanceToCapture(service);
+      spawned.captures[0].settleStart();
+
+      await expect(enabling).resolves.toEqual({ success: true });
+      expect(spawned.clients[0]).toBeInstanceOf(MockWhisperBatchClient);
+      expect(tab().engine).toBe(spawned.clients[0]);
+      expect(spawned.captures[0].startOptions).toEqual({ input: 'chunk', vadSensitivity: 'medium' });
+    });
+
+    it('字幕開了逐字高亮時應跟 Whisper 要逐字時間', async () => {
+      chrome.storage.local.get = async () => ({
+        recognition_engine: 'whisper',
+        user_settings: { subtitleStyle: { karaoke: true } },
+      });
+
+      const { enabling } = await advanceToCapture(service);
+      spawned.captures[0].settleStart();
+      await enabling;
+
+      expect(spawned.clients[0].initConfig).toMatchObject({ wordTimestamps: true });
+    });
+
+    it('音訊 chunk 應轉交給 Whisper 管線', async () => {
+      const { enabling } = await advanceToCapture(service);
+      spawned.captures[0].settleStart();
+      await enabling;
+
+      const chunk = { chunkIndex: 0, audioBase64: 'UklGRg==', audioStartTime: 0, tabId: 1 };
+      service.handleAudioChunk(chunk);
+
+      expect(spawned.clients[0].chunks).toEqual([chunk]);
+    });
+
+    it('播放、跳轉與變速時應以影片目前時間重新對時 Offscreen 的切塊', async () => {
+      const { enabling } = await advanceToCapture(service);
+      spawned.captures[0].settleStart();
+      await enabling;
+
+      const state = (event, currentTime, playbackRate = 1) => ({
+        event,
+        currentTime,
+        paused: event === 'pause',
+        playbackRate,
+      });
+      await service.handleVideoState(1, state('pause', 14));
+      await service.handleVideoState(1, state('play', 14));
+      await service.handleVideoState(1, state('seeked', 100));
+      await service.handleVideoState(1, state('ratechange', 103, 2));
+
+      expect(spawned.captures[0].reanchors).toEqual([
+        [14, 1],
+        [100, 1],
+        [103, 2],
+      ]);
+    });
+
+    it('disable() 應關閉 Whisper 管線', async () => {
+      const { enabling } = await advanceToCapture(service);
+      spawned.captures[0].settleStart();
+      await enabling;
+
+      await service.disable(1);
+
+      expect(tab().engine).toBeNull();
+      expect(spawned.clients[0].closed).toBe(true);
+      expect(spawned.captures[0].stopped).toBe(true);
+    });
+
+    it('音訊啟動中被打斷：Whisper 管線也要收掉', async () => {
+      const { enabling } = await advanceToCapture(service);
+
+      await service.disable(1);
+      spawned.captures[0].settleStart();
+      await enabling;
+
+      expect(tab().engine).toBeNull();
       expect(spawned.clients[0].closed).toBe(true);
+    });
+  });
+
+  describe('辨識引擎註冊表', () => {
+    afterEach(() => {
+      chrome.storage.local.get = async () => ({});
+      chrome.tabs.sendMessage = async () => ({ success: true });
+      EngineRegistry.unregister('fake');
+    });
+
+    it('設定值是未註冊的引擎時應退回預設引擎', async () => {
+      chrome.storage.local.get = async () => ({ recognition_engine: 'removed-provider' });
+
+      const { enabling } = await advanceToCapture(service);
+      spawned.captures[0].settleStart();
+
+      await expect(enabling).resolves.toEqual({ success: true });
+      expect(spawned.clients[0]).not.toBeInstanceOf(MockWhisperBatchClient);
+      expect(spawned.captures[0].startOptions).toEqual({ input: 'pcm', vadSensitivity: 'medium' });
+    });
+
+    it('註冊的替身引擎應可直接以 ID 啟用', async () => {
+      const fake = {
+        input: 'pcm',
+        frames: [],
+        init: vi.fn().mockResolvedValue(undefined),
+        sendAudio(pcm) {
+          this.frames.push(pcm);
+        },
+        close: vi.fn().mockResolvedValue(undefined),
+      };
+      EngineRegistry.register('fake', () => fake);
+      chrome.storage.local.get = async () => ({ recognition_engine: 'fake' });
+
+      const enabling = service.enable(1);
+      await settleMicrotasks();
+      spawned.captures[0].settleStart();
+
+      await expect(enabling).resolves.toEqual({ success: true });
+      expect(tab().engine).toBe(fake);
+      expect(fake.init).toHaveBeenCalled();
+
+      service.handlePCMBatch(pcmBatch(1, [1, -2, 32767], 11));
+      expect(fake.frames).toHaveLength(1);
+      // Base64 還原回原本的 Int16 PCM
+      expect([...new Int16Array(fake.frames[0])]).toEqual([1, -2, 32767]);
+
+      await service.disable(1);
+      expect(fake.close).toHaveBeenCalled();
+    });
+
+    it('影片時間軸的辨識結果應以 segments 送出', async () => {
+      const messagesSent = [];
+      chrome.tabs.sendMessage = async (_tabId, message) => {
+        messagesSent.push(message);
+        return { success: true };
+      };
+
+      const { enabling } = await advanceToCapture(service);
+      spawned.captures[0].settleStart();
+      await enabling;
+
+      tab().handleTranscript({
+        text: '大家好',
+        isFinal: true,
+        confidence: 0.9,
+        start: 12,
+        end: 14.5,
+        timeBase: 'video',
+        words: [],
+        timestamp: 0,
+      });
+
+      const subtitle = messagesSent.find((m) => m.type === 'SUBTITLE_UPDATE');
+      expect(subtitle.data.segments).toEqual([
+        expect.objectContaining({ text: '大家好', start: 12, end: 14.5, captionId: expect.any(Number) }),
+      ]);
+    });
+
+    it('串流時間軸的辨識結果應帶上逐字時間與串流位置', async () => {
+      const messagesSent = [];
+      chrome.tabs.sendMessage = async (_tabId, message) => {
+        messagesSent.push(message);
+        return { success: true };
+      };
+
+      const { enabling } = await advanceToCapture(service);
+      spawned.captures[0].settleStart();
+      await enabling;
+
+      const words = [{ text: '大家好', start: 3, end: 3.6, confidence: 0.9 }];
+      tab().handleTranscript({
+        text: '大家好',
+        isFinal: false,
+        confidence: 0.9,
+        start: 3,
+        end: 3.6,
+        timeBase: 'stream',
+        words,
+        streamPosition: 4.2,
+        timestamp: 0,
+      });
+
+      const subtitle = messagesSent.find((m) => m.type === 'SUBTITLE_UPDATE');
+      expect(subtitle.data).toMatchObject({ text: '大家好', isFinal: false, words, streamPosition: 4.2 });
+    });
+  });
+
+  describe('翻譯', () => {
+    let messagesSent;
+
+    beforeEach(() => {
+      MockTranslationClient.instances.length = 0;
+      messagesSent = [];
+      chrome.storage.local.get = async () => ({ translation_enabled: true });
+      chrome.tabs.sendMessage = async (_tabId, message) => {
+        messagesSent.push(message);
+        return { success: true };
+      };
+    });
+
+    afterEach(() => {
+      chrome.storage.local.get = async () => ({});
+      chrome.tabs.sendMessage = async () => ({ success: true });
+    });
+
+    async function enableWithTranslation() {
+      const { enabling } = await advanceToCapture(service);
+      spawned.captures[0].settleStart();
+      await enabling;
+      return MockTranslationClient.instances[0];
+    }
+
+    it('未開啟翻譯時不應建立翻譯 client', async () => {
+      chrome.storage.local.get = async () => ({});
+      await enableWithTranslation();
+
+      expect(tab().translator).toBeNull();
+    });
+
+    it('final 字幕應帶編號，譯文回來後以同一編號送出', async () => {
+      const translator = await enableWithTranslation();
+
+      tab().handleTranscript({ text: 'Hello.', isFinal: true });
+      const subtitle = messagesSent.find((m) => m.type === 'SUBTITLE_UPDATE');
+      expect(subtitle.data.captionId).toBeTypeOf('number');
+
+      translator.pending[0].resolve({ text: '你好' });
+      await settleMicrotasks();
+
+      const update = messagesSent.find((m) => m.type === 'TRANSLATION_UPDATE');
+      expect(update.data).toEqual({
+        captionIds: [subtitle.data.captionId],
+        translation: '你好',
+        provisional: false,
+      });
+    });
+
+    it('interim 字幕不應送去翻譯', async () => {
+      const translator = await enableWithTranslation();
+
+      tab().handleTranscript({ text: 'Hel', isFinal: false });
+
+      expect(translator.pending).toHaveLength(0);
+    });
+
+    it('speech_final 的字幕沒有句末標點也直接定版翻譯', async () => {
+      const translator = await enableWithTranslation();
+
+      spawned.clients[0].onTranscript({ text: 'and then', isFinal: true, speechFinal: true, words: [] });
+
+      const subtitle = messagesSent.find((m) => m.type === 'SUBTITLE_UPDATE');
+      expect(subtitle.data.speechFinal).toBe(true);
+      expect(translator.pending.map((request) => request.text)).toEqual(['and then']);
+      expect(tab().translator.pending).toEqual([]);
+    });
+
+    it('UtteranceEnd 時把還在累積的句子送去定版，並通知分頁收掉過時的字幕', async () => {
+      const translator = await enableWithTranslation();
+      const engine = spawned.clients[0];
+
+      engine.onTranscript({ text: 'and then', isFinal: true, speechFinal: false, words: [] });
+      expect(tab().translator.pending).toHaveLength(1);
+
+      engine.onUtteranceEnd({ lastWordEnd: 1, timestamp: Date.now() });
+      engine.onSpeechStarted({ start: 3, timestamp: Date.now() });
+      await settleMicrotasks();
+
+      expect(tab().translator.pending).toEqual([]);
+      expect(translator.pending.at(-1).text).toBe('and then');
+      expect(messagesSent.map((m) => m.type)).toEqual(
+        expect.arrayContaining(['UTTERANCE_END', 'SPEECH_STARTED'])
+      );
+    });
+
+    it('重試用完仍失敗的翻譯在這個分頁的 overlay 上提示，字幕照常', async () => {
+      const translator = await enableWithTranslation();
+      vi.mocked(ErrorHandler.notifyUser).mockClear();
+
+      tab().handleTranscript({ text: 'Hello.', isFinal: true });
+      const error = Object.assign(new Error('API error (503)'), { code: 'TRANSLATION_FAILED' });
+      translator.pending[0].reject(error);
+      await settleMicrotasks();
 
+      expect(ErrorHandler.notifyUser).toHaveBeenCalledWith(error, {
+        tabId: 1,
+        operation: 'gpt_translate',
+      });
+      expect(tab().isActive).toBe(true);
+    });
+
+    it('停用後才回來的譯文應丟棄', async () => {
+      const translator = await enableWithTranslation();
+
+      tab().handleTranscript({ text: 'Hello.', isFinal: true });
+      await service.disable(1);
+
+      translator.pending[0].resolve({ text: '你好' });
+      await settleMicrotasks();
+
+      expect(messagesSent.some((m) => m.type === 'TRANSLATION_UPDATE')).toBe(false);
+    });
+  });
+
+  describe('字幕樣式', () => {
+    let messagesSent;
+    const style = { fontSize: 32, position: 'top' };
+
+    beforeEach(() => {
+      messagesSent = [];
+      chrome.storage.local.get = async () => ({ user_settings: { subtitleStyle: style } });
+      chrome.tabs.sendMessage = async (tabId, message) => {
+        messagesSent.push({ tabId, ...message });
+        return { success: true };
+      };
+    });
+
+    afterEach(() => {
+      chrome.storage.local.get = async () => ({});
       chrome.tabs.sendMessage = async () => ({ success: true });
     });
+
+    it('啟用時應把已存的樣式帶給 Content Script', async () => {
+      const { enabling } = await advanceToCapture(service);
+      spawned.captures[0].settleStart();
+      await enabling;
+
+      const enable = messagesSent.find((m) => m.type === 'ENABLE_SUBTITLES');
+      expect(enable.data).toEqual({ style });
+    });
+
+    it('啟用中變更樣式應推送 STYLE_UPDATE 到該分頁', async () => {
+      const { enabling } = await advanceToCapture(service, 3);
+      spawned.captures[0].settleStart();
+      await enabling;
+
+      await service.updateSubtitleStyle({ fontSize: 40 });
+
+      expect(messagesSent.at(-1)).toEqual({
+        tabId: 3,
+        type: 'STYLE_UPDATE',
+        data: { style: { fontSize: 40 } },
+      });
+    });
+
+    it('未啟用時不應推送樣式', async () => {
+      await service.updateSubtitleStyle({ fontSize: 40 });
+
+      expect(messagesSent).toHaveLength(0);
+    });
+  });
+
+  describe('逐字稿', () => {
+    const final = (text, start) => ({
+      text,
+      isFinal: true,
+      confidence: 0.9,
+      start,
+      end: start + 1,
+      timeBase: 'stream',
+      words: [],
+      timestamp: Date.now(),
+    });
+
+    it('應記下 final 並在停用後保留，以分頁標題命名', async () => {
+      const { enabling } = await advanceToCapture(service);
+      spawned.captures[0].settleStart();
+      await enabling;
+
+      const engine = spawned.clients[0];
+      engine.onTranscript({ ...final('你', 0), isFinal: false });
+      engine.onTranscript(final('你好', 0));
+      await service.disable(1);
+
+      expect(tab().transcript.getSummary()).toMatchObject({
+        recording: false,
+        title: 'Test Video',
+        captionCount: 1,
+      });
+      const { filename, content } = tab().transcript.export('srt');
+      expect(filename).toMatch(/^Test Video-\d{8}-\d{4}\.srt$/);
+      expect(content).toContain('你好');
+    });
+
+    it('重新啟用失敗時不應蓋掉上一場的逐字稿', async () => {
+      const first = await advanceToCapture(service);
+      spawned.captures[0].settleStart();
+      await first.enabling;
+      spawned.clients[0].onTranscript(final('上一場', 0));
+      await service.disable(1);
+
+      const second = await advanceToCapture(service);
+      spawned.captures[1].failStart(new Error('擷取失敗'));
+      await second.enabling;
+
+      expect(tab().transcript.export('txt').content).toContain('上一場');
+    });
+
+    it('停用時應把這一場連同花費存進逐字稿庫，且只存一次', async () => {
+      vi.mocked(TranscriptStore.save).mockClear();
+      const { enabling } = await advanceToCapture(service);
+      spawned.captures[0].settleStart();
+      await enabling;
+
+      spawned.clients[0].onTranscript(final('你好', 0));
+      await service.handleBudgetUpdate(budgetStatus({ spent: 1.5 }), {
+        type: 'deepgram',
+        cost: 0.5,
+        source: tab().run.source,
+      });
+      await service.disable(1);
+      await service.disable(1);
+      await settleMicrotasks();
+
+      expect(TranscriptStore.save).toHaveBeenCalledTimes(1);
+      const [session, extra] = vi.mocked(TranscriptStore.save).mock.calls[0];
+      expect(session).toMatchObject({
+        title: 'Test Video',
+        url: 'https://www.youtube.com/watch?v=abc',
+        engineId: 'deepgram',
+      });
+      expect(extra.cost).toBeCloseTo(0.5);
+    });
+
+    it('區分講者：記下出現過的講者，改名後推給分頁並寫進逐字稿', async () => {
+      chrome.storage.local.get = async () => ({ deepgram_diarize: true });
+      const sent = [];
+      chrome.tabs.sendMessage = async (_tabId, message) => {
+        sent.push(message);
+        return { success: true };
+      };
+
+      try {
+        const { enabling } = await advanceToCapture(service);
+        spawned.captures[0].settleStart();
+        await enabling;
+        expect(spawned.clients[0].initConfig).toMatchObject({ diarize: true });
+
+        spawned.clients[0].onTranscript({
+          ...final('你好 嗨', 0),
+          words: [
+            { text: '你好', start: 0, end: 0.5, speaker: 1 },
+            { text: '嗨', start: 0.5, end: 1, speaker: 0 },
+          ],
+        });
+        await service.renameSpeaker(1, 1, ' 主持人 ');
+
+        expect(service.getActiveSessions()[0].speakers).toEqual([
+          { speaker: 0, name: null },
+          { speaker: 1, name: '主持人' },
+        ]);
+        expect(sent).toContainEqual({
+          type: 'SPEAKER_NAMES_UPDATE',
+          data: { names: { 1: '主持人' } },
+        });
+        expect(service.exportTranscript(1, 'txt').content).toContain('主持人: 你好\nSpeaker 1: 嗨');
+      } finally {
+        chrome.storage.local.get = async () => ({});
+        chrome.tabs.sendMessage = async () => ({ success: true });
+      }
+    });
+
+    it('自訂詞彙：合併全域、這個網站與目前辨識模式的詞交給辨識引擎', async () => {
+      chrome.storage.local.get = async () => ({
+        deepgram_recognition_mode: 'en',
+        glossary: {
+          global: ['Babel Bridge'],
+          sites: { 'youtube.com': ['MrBeast'], 'example.com': ['不相干'] },
+          modes: { en: ['Nova'], ja: ['日本語'] },
+        },
+      });
+
+      try {
+        const { enabling } = await advanceToCapture(service);
+        spawned.captures[0].settleStart();
+        await enabling;
+
+        expect(spawned.clients[0].initConfig.keywords).toEqual(['Babel Bridge', 'MrBeast', 'Nova']);
+      } finally {
+        chrome.storage.local.get = async () => ({});
+      }
+    });
+
+    it('沒有字幕的一場不應存檔', async () => {
+      vi.mocked(TranscriptStore.save).mockClear();
+      const { enabling } = await advanceToCapture(service);
+      spawned.captures[0].settleStart();
+      await enabling;
+
+      await service.disable(1);
+      await settleMicrotasks();
+
+      expect(TranscriptStore.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('字幕紀錄重播', () => {
+    const record = {
+      id: 'rec-1',
+      timeBase: 'video',
+      startedAt: 1,
+      captions: [
+        { id: 1, text: '第一句', start: 0, end: 3 },
+        { id: 2, text: '第二句', start: 4, end: 60 },
+      ],
+      translations: [{ captionIds: [1], text: 'First.' }],
+    };
+
+    let sent;
+
+    beforeEach(() => {
+      sent = [];
+      chrome.tabs.sendMessage = async (tabId, message) => {
+        sent.push(message);
+        return { success: true };
+      };
+      vi.mocked(TranscriptStore.findByVideoKey).mockResolvedValue([record]);
+    });
+
+    afterEach(() => {
+      chrome.tabs.sendMessage = async () => ({ success: true });
+      vi.mocked(TranscriptStore.findByVideoKey).mockResolvedValue([]);
+    });
+
+    it('同一部影片有影片時間軸的紀錄時，只開 overlay 不建連線', async () => {
+      const result = await service.enable(1);
+
+      expect(result).toEqual({ success: true, cached: true });
+      expect(TranscriptStore.findByVideoKey).toHaveBeenLastCalledWith('youtube:abc');
+      expect(spawned.clients.length).toBe(0);
+      expect(spawned.captures.length).toBe(0);
+      expect(sent[0].data.cached).toEqual({ captionCount: 2, coverage: [[0, 60]] });
+      expect(tab().getStatus()).toMatchObject({ active: true, tabId: 1, cached: true });
+      expect((await service.loadCachedTranscript(1)).segments[0]).toMatchObject({
+        text: '第一句',
+        translation: 'First.',
+      });
+    });
+
+    it('串流時間軸的紀錄對不回影片進度，照常即時辨識', async () => {
+      vi.mocked(TranscriptStore.findByVideoKey).mockResolvedValue([{ ...record, timeBase: 'stream' }]);
+
+      const { enabling } = await advanceToCapture(service);
+      spawned.captures[0].settleStart();
+
+      await expect(enabling).resolves.toEqual({ success: true });
+      expect(sent[0].data.cached).toBeUndefined();
+    });
+
+    it('超過預算仍可重播，紀錄不花錢', async () => {
+      vi.mocked(APIKeyManager.getBudgetStatus).mockResolvedValue(
+        budgetStatus({ spent: 12, level: 'exceeded', percentage: 120 })
+      );
+
+      await expect(service.enable(1)).resolves.toMatchObject({ success: true, cached: true });
+    });
+
+    it('播到沒涵蓋的段落才開即時辨識，回到涵蓋範圍就收掉但保留 overlay', async () => {
+      await service.enable(1);
+
+      const resuming = service.handleCacheCoverage(1, false);
+      await settleMicrotasks();
+      spawned.clients[0].settleInit();
+      await settleMicrotasks();
+      spawned.captures[0].settleStart();
+      await resuming;
+
+      expect(tab().isActive).toBe(true);
+      expect(tab().engine).toBe(spawned.clients[0]);
+      // 補辨識時 overlay 已在，不再附紀錄提示
+      expect(sent[1].type).toBe('ENABLE_SUBTITLES');
+      expect(sent[1].data.cached).toBeUndefined();
+
+      await service.handleCacheCoverage(1, true);
+
+      expect(tab().isActive).toBe(false);
+      expect(spawned.clients[0].closed).toBe(true);
+      expect(spawned.captures[0].stopped).toBe(true);
+      expect(sent.some((message) => message.type === 'DISABLE_SUBTITLES')).toBe(false);
+      expect(tab().getStatus().active).toBe(true);
+    });
+
+    it('其他分頁的回報應忽略', async () => {
+      await service.enable(1);
+
+      await service.handleCacheCoverage(2, false);
+
+      expect(spawned.clients.length).toBe(0);
+      await expect(service.loadCachedTranscript(2)).rejects.toThrow();
+    });
+
+    it('停用時應移除 overlay 並結束重播', async () => {
+      await service.enable(1);
+
+      await service.disable(1);
+
+      expect(sent.at(-1).type).toBe('DISABLE_SUBTITLES');
+      expect(tab().cacheSession).toBeNull();
+      expect(tab().getStatus().active).toBe(false);
+    });
+  });
+
+  describe('影片播放狀態', () => {
+    /** 啟用並跑完整個流程，引擎換上可觀察的 sendAudio / suspend / resume */
+    async function enableFully() {
+      const { enabling } = await advanceToCapture(service);
+      spawned.captures.at(-1).settleStart();
+      await enabling;
+
+      const client = spawned.clients.at(-1);
+      client.sendAudio = vi.fn();
+      client.suspend = vi.fn().mockResolvedValue(undefined);
+      client.resume = vi.fn().mockResolvedValue(undefined);
+      return client;
+    }
+
+    const videoState = (event, overrides = {}) => ({
+      event,
+      currentTime: 12,
+      paused: event !== 'play',
+      playbackRate: 1,
+      ...overrides,
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+      vi.restoreAllMocks();
+    });
+
+    it('暫停時不送音訊，播放後恢復', async () => {
+      const client = await enableFully();
+
+      await service.handleVideoState(1, videoState('pause'));
+      service.handlePCMBatch(pcmBatch(1));
+      expect(client.sendAudio).not.toHaveBeenCalled();
+      expect(tab().getStatus().paused).toBe(true);
+
+      await service.handleVideoState(1, videoState('play'));
+      service.handlePCMBatch(pcmBatch(1));
+      expect(client.sendAudio).toHaveBeenCalledTimes(1);
+    });
+
+    it('暫停超過設定的時間才放掉連線，播放時接回', async () => {
+      const client = await enableFully();
+      vi.useFakeTimers();
+
+      await service.handleVideoState(1, videoState('pause'));
+      vi.advanceTimersByTime(59000);
+      expect(client.suspend).not.toHaveBeenCalled();
+
+      vi.advanceTimersByTime(1000);
+      expect(client.suspend).toHaveBeenCalledTimes(1);
+
+      await service.handleVideoState(1, videoState('play'));
+      expect(client.resume).toHaveBeenCalledTimes(1);
+      expect(tab().isActive).toBe(true);
+    });
+
+    it('暫停後很快又播放，不放掉連線', async () => {
+      const client = await enableFully();
+      vi.useFakeTimers();
+
+      await service.handleVideoState(1, videoState('pause'));
+      vi.advanceTimersByTime(5000);
+      await service.handleVideoState(1, videoState('play'));
+      vi.advanceTimersByTime(120000);
+
+      expect(client.suspend).not.toHaveBeenCalled();
+    });
+
+    it('設定為不中斷時暫停多久都不放掉連線', async () => {
+      const client = await enableFully();
+      vi.spyOn(chrome.storage.local, 'get').mockResolvedValue({ pause_idle_seconds: 0 });
+      vi.useFakeTimers();
+
+      await service.handleVideoState(1, videoState('pause'));
+      vi.advanceTimersByTime(600000);
+
+      expect(client.suspend).not.toHaveBeenCalled();
+    });
+
+    it('在暫停中的影片上啟用，也從啟用當下開始計時', async () => {
+      vi.spyOn(chrome.tabs, 'sendMessage').mockResolvedValue({ success: true, paused: true });
+      // 計時在啟用流程裡就排下去了；shouldAdvanceTime 讓啟用時的 setTimeout(0) 照常推進
+      vi.useFakeTimers({ shouldAdvanceTime: true });
+      const client = await enableFully();
+      await settleMicrotasks();
+
+      service.handlePCMBatch(pcmBatch(1));
+      expect(client.sendAudio).not.toHaveBeenCalled();
+
+      vi.advanceTimersByTime(60000);
+      expect(client.suspend).toHaveBeenCalledTimes(1);
+    });
+
+    it('接不回連線時停用字幕並通知', async () => {
+      const client = await enableFully();
+      client.resume.mockRejectedValue(new Error('WebSocket 連線失敗'));
+
+      await service.handleVideoState(1, videoState('pause'));
+      await service.handleVideoState(1, videoState('play'));
+
+      expect(tab().isActive).toBe(false);
+      expect(client.closed).toBe(true);
+      expect(ErrorHandler.handle).toHaveBeenCalledWith(
+        expect.objectContaining({ message: 'WebSocket 連線失敗' }),
+        expect.objectContaining({ operation: 'resume_engine', tabId: 1 })
+      );
+    });
+
+    it('播完後等最後一句定版再停用', async () => {
+      const client = await enableFully();
+      vi.useFakeTimers();
+
+      await service.handleVideoState(1, videoState('pause'));
+      await service.handleVideoState(1, videoState('ended'));
+      service.handlePCMBatch(pcmBatch(1));
+      expect(client.sendAudio).not.toHaveBeenCalled();
+
+      vi.advanceTimersByTime(2900);
+      expect(tab().isActive).toBe(true);
+
+      vi.advanceTimersByTime(100);
+      await vi.runAllTimersAsync();
+      expect(tab().isActive).toBe(false);
+      expect(client.closed).toBe(true);
+      // 播完時 pause 先到，它排的放掉連線不該在停用前後觸發
+      expect(client.suspend).not.toHaveBeenCalled();
+    });
+
+    it('播完後馬上重播，不停用', async () => {
+      await enableFully();
+      vi.useFakeTimers();
+
+      await service.handleVideoState(1, videoState('ended'));
+      await service.handleVideoState(1, videoState('play', { currentTime: 0 }));
+      vi.advanceTimersByTime(10000);
+
+      expect(tab().isActive).toBe(true);
+    });
+
+    it('跳轉與變速只記錄，不影響送音訊', async () => {
+      const client = await enableFully();
+
+      await service.handleVideoState(1, videoState('seeked', { paused: false }));
+      await service.handleVideoState(1, videoState('ratechange', { paused: false, playbackRate: 1.5 }));
+      service.handlePCMBatch(pcmBatch(1));
+
+      expect(client.sendAudio).toHaveBeenCalledTimes(1);
+      // Deepgram 以串流位置對時，不需要重新對時
+      expect(spawned.captures[0].reanchors).toEqual([]);
+    });
+  });
+
+  describe('多個分頁', () => {
+    /** 依序把各分頁啟用完成（各自一條連線與擷取） */
+    async function enableTabs(...tabIds) {
+      for (const tabId of tabIds) {
+        const { enabling } = await advanceToCapture(service, tabId);
+        spawned.captures.at(-1).settleStart();
+        await enabling;
+      }
+    }
+
+    it('各分頁各自建立引擎與擷取，停用其中一個不影響另一個', async () => {
+      await enableTabs(1, 2);
+
+      expect(tab(1).engine).toBe(spawned.clients[0]);
+      expect(tab(2).engine).toBe(spawned.clients[1]);
+      expect(service.getActiveSessions().map((status) => status.tabId)).toEqual([1, 2]);
+
+      await service.disable(1);
+
+      expect(spawned.clients[0].closed).toBe(true);
+      expect(spawned.captures[0].stopped).toBe(true);
+      expect(tab(2).isActive).toBe(true);
+      expect(spawned.clients[1].closed).toBe(false);
+      expect(spawned.captures[1].stopped).toBe(false);
+    });
+
+    it('PCM 批次依 tabId 送到該分頁的引擎', async () => {
+      await enableTabs(1, 2);
+      spawned.clients.forEach((client) => {
+        client.sendAudio = vi.fn();
+      });
+
+      service.handlePCMBatch(pcmBatch(2, [1, 2], 1));
+      service.handlePCMBatch(pcmBatch(9, [3], 1));
+
+      expect(spawned.clients[0].sendAudio).not.toHaveBeenCalled();
+      expect(spawned.clients[1].sendAudio).toHaveBeenCalledTimes(1);
+    });
+
+    it('VAD 略過的靜音依 tabId 交給該分頁的引擎推進時間', async () => {
+      await enableTabs(1, 2);
+      spawned.clients.forEach((client) => {
+        client.skipAudio = vi.fn();
+      });
+
+      service.handlePCMSilence({ tabId: 2, frameIndex: 51, frameCount: 50, duration: 1 });
+
+      expect(spawned.clients[0].skipAudio).not.toHaveBeenCalled();
+      expect(spawned.clients[1].skipAudio).toHaveBeenCalledWith(1);
+    });
+
+        it('花費依記帳來源分到各分頁，單次上限只停下花超過的那一個', async () => {
+      await enableTabs(1, 2);
+      const status = budgetStatus({ spent: 2, sessionBudget: 0.5 });
+
+      await service.handleBudgetUpdate(status, { type: 'deepgram', cost: 0.2, source: tab(1).run.source });
+      await service.handleBudgetUpdate(status, { type: 'deepgram', cost: 0.6, source: tab(2).run.source });
+
+      expect(tab(1).isActive).toBe(true);
+      expect(tab(1).getStatus().spent).toBeCloseTo(0.2);
+      expect(tab(2).isActive).toBe(false);
+      expect(tab(2).stopReason.message).toContain('單次上限');
+    });
+
+    it('越過月度預算時所有分頁都停用，已放行的除外', async () => {
+      const { enabling } = await advanceToCapture(service, 1, { overrideBudget: true });
+      spawned.captures[0].settleStart();
+      await enabling;
+      await enableTabs(2);
+
+      await service.handleBudgetUpdate(budgetStatus({ spent: 10, percentage: 100, level: 'exceeded' }));
+
+      expect(tab(1).isActive).toBe(true);
+      expect(tab(2).isActive).toBe(false);
+    });
+
+    it('分頁關閉時停用並移除工作階段', async () => {
+      await enableTabs(1, 2);
+
+      await service.removeTab(2);
+
+      expect(service.sessions.has(2)).toBe(false);
+      expect(spawned.clients[1].closed).toBe(true);
+      expect(tab(1).isActive).toBe(true);
+    });
+
+    it('逐字稿以指定分頁為準，沒有時退回最近開始的一場', async () => {
+      const final = (text) => ({ text, isFinal: true, start: 0, end: 1, timeBase: 'stream', words: [] });
+      await enableTabs(1);
+      // 兩場的 startedAt 要分得出先後
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      await enableTabs(2);
+      spawned.clients[0].onTranscript(final('分頁一'));
+      spawned.clients[1].onTranscript(final('分頁二'));
+
+      expect(service.exportTranscript(1, 'txt').content).toContain('分頁一');
+      expect(service.getTranscriptSummary(2)).toMatchObject({ tabId: 2, captionCount: 1 });
+      expect(service.getTranscriptSummary(7).tabId).toBe(2);
+    });
+  });
+
+  describe('Service Worker 被回收後恢復', () => {
+    const snapshots = () => [...chrome.storage.session.items.values()];
+    let sent;
+
+    beforeEach(() => {
+      sent = [];
+      chrome.tabs.sendMessage = async (tabId, message) => {
+        sent.push({ tabId, ...message });
+        return { success: true };
+      };
+    });
+
+    afterEach(() => {
+      chrome.tabs.sendMessage = async () => ({ success: true });
+      chrome.tabs.get = async (tabId) => ({ id: tabId, title: 'Test Video', url: 'https://www.youtube.com/watch?v=abc' });
+      MockAudioCapture.listCaptures = async () => [];
+    });
+
+    /** 啟用後模擬 Service Worker 被回收：記憶體狀態全丟，只剩 storage.session 與 Offscreen 的管線 */
+    async function enableThenRestart(tabId = 1) {
+      const { enabling } = await advanceToCapture(service, tabId);
+      spawned.captures.at(-1).settleStart();
+      await enabling;
+      await settleMicrotasks();
+
+      service = new SubtitleService();
+      spawned.clients.length = 0;
+      spawned.captures.length = 0;
+      sent.length = 0;
+    }
+
+    it('啟用成功後存下快照，停用時刪除', async () => {
+      const { enabling } = await advanceToCapture(service);
+      spawned.captures[0].settleStart();
+      await enabling;
+      await settleMicrotasks();
+
+      expect(snapshots()).toEqual([
+        expect.objectContaining({ tabId: 1, recognizing: true, engineId: 'deepgram', run: tab().run }),
+      ]);
+
+      await service.disable(1);
+      await settleMicrotasks();
+      expect(snapshots()).toEqual([]);
+    });
+
+    it('有快照也有擷取管線時，接回管線並以同一個記帳標記重建引擎', async () => {
+      await enableThenRestart();
+      const [before] = snapshots();
+      MockAudioCapture.listCaptures = async () => [{ tabId: 1, input: 'pcm', videoStartTime: 0 }];
+
+      const restoring = service.restore();
+      await settleMicrotasks();
+      spawned.clients[0].settleInit();
+      await restoring;
+
+      expect(tab().isActive).toBe(true);
+      expect(tab().engine).toBe(spawned.clients[0]);
+      expect(tab().run.source).toBe(before.run.source);
+      // 接手既有的管線，不重新擷取（重新擷取要使用者手勢，也會讓頁面斷音）
+      expect(spawned.captures[0].adoptedTabId).toBe(1);
+      expect(spawned.captures[0].startOptions).toBeNull();
+      // overlay 還在，不必再開一次
+      expect(sent.some((message) => message.type === 'ENABLE_SUBTITLES')).toBe(false);
+
+      spawned.clients[0].sendAudio = vi.fn();
+      service.handlePCMBatch(pcmBatch(1, [1], 1));
+      expect(spawned.clients[0].sendAudio).toHaveBeenCalled();
+    });
+
+    it('恢復期間的啟用要等恢復跑完，不另開第二條連線', async () => {
+      await enableThenRestart();
+      MockAudioCapture.listCaptures = async () => [{ tabId: 1, input: 'pcm', videoStartTime: 0 }];
+
+      const restoring = service.restore();
+      const enabling = service.enable(1);
+      await settleMicrotasks();
+      spawned.clients[0].settleInit();
+      await restoring;
+
+      await expect(enabling).resolves.toEqual({ success: true });
+      expect(spawned.clients).toHaveLength(1);
+    });
+
+    it('恢復期間的影片狀態要等恢復跑完，交給接回的工作階段', async () => {
+      await enableThenRestart();
+      MockAudioCapture.listCaptures = async () => [{ tabId: 1, input: 'pcm', videoStartTime: 0 }];
+
+      const restoring = service.restore();
+      const pausing = service.handleVideoState(1, {
+        event: 'pause',
+        currentTime: 12,
+        paused: true,
+        playbackRate: 1,
+      });
+      await settleMicrotasks();
+      spawned.clients[0].settleInit();
+      await restoring;
+      await pausing;
+
+      expect(tab().getStatus().paused).toBe(true);
+    });
+
+    it('管線已不在時當作停用：收掉 overlay 與快照', async () => {
+      await enableThenRestart();
+
+      await service.restore();
+
+      expect(service.sessions.has(1)).toBe(false);
+      expect(snapshots()).toEqual([]);
+      expect(sent).toEqual([{ tabId: 1, type: 'DISABLE_SUBTITLES' }]);
+      expect(spawned.clients).toHaveLength(0);
+    });
+
+    it('分頁已關閉時停掉它的管線', async () => {
+      await enableThenRestart();
+      MockAudioCapture.listCaptures = async () => [{ tabId: 1, input: 'pcm', videoStartTime: 0 }];
+      chrome.tabs.get = async () => {
+        throw new Error('No tab with id: 1');
+      };
+
+      await service.restore();
+
+      expect(spawned.captures[0].stopped).toBe(true);
+      expect(spawned.clients).toHaveLength(0);
+      expect(snapshots()).toEqual([]);
+    });
+
+    it('沒有快照的殘留管線要停掉，overlay 也一併收掉', async () => {
+      MockAudioCapture.listCaptures = async () => [{ tabId: 5, input: 'chunk', videoStartTime: 30 }];
+
+      await service.restore();
+
+      expect(spawned.captures).toHaveLength(1);
+      expect(spawned.captures[0]).toMatchObject({ adoptedTabId: 5, stopped: true });
+      expect(sent).toEqual([{ tabId: 5, type: 'DISABLE_SUBTITLES' }]);
+    });
+
+    it('恢復後仍收到沒有工作階段的分頁音訊時，只要求停止一次', async () => {
+      await service.restore();
+
+      service.handlePCMBatch(pcmBatch(8, [1], 1));
+      service.handlePCMBatch(pcmBatch(8, [1], 2));
+
+      expect(spawned.captures).toHaveLength(1);
+      expect(spawned.captures[0]).toMatchObject({ adoptedTabId: 8, stopped: true });
+    });
+
+    it('只在重播的分頁恢復為重播模式，不建連線', async () => {
+      vi.mocked(TranscriptStore.findByVideoKey).mockResolvedValue([
+        { id: 'rec-1', timeBase: 'video', startedAt: 1, captions: [{ id: 1, text: '第一句', start: 0, end: 3 }] },
+      ]);
+      await service.enable(1);
+      await settleMicrotasks();
+      service = new SubtitleService();
+
+      await service.restore();
+      vi.mocked(TranscriptStore.findByVideoKey).mockResolvedValue([]);
+
+      expect(tab().getStatus()).toMatchObject({ active: true, cached: true, recognizing: false });
+      expect((await service.loadCachedTranscript(1)).segments).toHaveLength(1);
+      expect(spawned.clients).toHaveLength(0);
+    });
   });
 });
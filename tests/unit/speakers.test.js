@@ -0,0 +1,51 @@
+/**
+ * 講者分段與標籤測試
+ */
+import { describe, it, expect } from 'vitest';
+import {
+  speakerLabel,
+  speakerColor,
+  speakerTurns,
+  joinWords,
+  labelCaptionText,
+} from '../../src/lib/speakers.js';
+import { UI_CONFIG } from '../../src/lib/config.js';
+
+const word = (text, speaker) => ({ text, start: 0, end: 0, ...(speaker !== undefined && { speaker }) });
+
+describe('speakers', () => {
+  it('預設標籤從 1 起算，改過名的用名稱', () => {
+    expect(speakerLabel(0)).toBe('Speaker 1');
+    expect(speakerLabel(2, { 2: '主持人' })).toBe('主持人');
+  });
+
+  it('講者顏色依編號輪流使用', () => {
+    const colors = UI_CONFIG.SPEAKER_COLORS;
+    expect(speakerColor(0)).toBe(colors[0]);
+    expect(speakerColor(colors.length)).toBe(colors[0]);
+  });
+
+  it('依講者切成連續的段落，沒標到講者的字併入前一段', () => {
+    const turns = speakerTurns([word('a', 0), word('b'), word('c', 1), word('d', 0)]);
+
+    expect(turns.map((turn) => [turn.speaker, turn.words.map((w) => w.text).join('')])).toEqual([
+      [0, 'ab'],
+      [1, 'c'],
+      [0, 'd'],
+    ]);
+  });
+
+  it('沒有講者資訊時不分段，字幕原樣輸出', () => {
+    expect(speakerTurns([word('a'), word('b')])).toEqual([]);
+    expect(labelCaptionText({ text: '原文', words: [word('原')] })).toBe('原文');
+  });
+
+  it('中日韓文字之間不補空白', () => {
+    expect(joinWords(['你好', '世界', 'OK', 'go'])).toBe('你好世界OK go');
+  });
+
+  it('換人講就換行並加上標籤', () => {
+    const caption = { text: '', words: [word('你好', 0), word('嗨', 1)] };
+    expect(labelCaptionText(caption, { 0: '小明' })).toBe('小明: 你好\nSpeaker 2: 嗨');
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * StreamingTranslator 單元測試
+ *
+ * 翻譯 client 以假物件替代，每次 translate() 都停在 pending，
+ * 由測試決定回應順序——串流翻譯的正確性幾乎都在「誰先回來」。
+ */
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { StreamingTranslator } from '../../src/background/streaming-translator.js';
+
+function createClient() {
+  const calls = [];
+  return {
+    calls,
+    translate: vi.fn((text, options) => {
+      return new Promise((resolve, reject) => {
+        calls.push({ text, options, resolve, reject });
+      });
+    }),
+  };
+}
+
+/** 讓 translate().then() 的回調跑完 */
+const flushPromises = () => new Promise((resolve) => setImmediate(resolve));
+
+describe('StreamingTranslator', () => {
+  let client;
+  let translator;
+  let updates;
+
+  beforeEach(() => {
+    client = createClient();
+    translator = new StreamingTranslator(client, {
+      sourceLanguage: 'en-US',
+      title: 'Keynote 2026',
+      contextSentences: 2,
+      sentenceTimeout: 3000,
+    });
+    updates = [];
+    translator.onTranslation = (update) => updates.push(update);
+  });
+
+  afterEach(() => {
+    translator.close();
+    vi.useRealTimers();
+  });
+
+  it('完整句子應直接定版翻譯', async () => {
+    translator.push({ captionId: 1, text: 'Hello everyone.' });
+
+    expect(client.calls).toHaveLength(1);
+    expect(client.calls[0].text).toBe('Hello everyone.');
+    expect(client.calls[0].options.title).toBe('Keynote 2026');
+
+    client.calls[0].resolve({ text: '大家好。' });
+    await flushPromises();
+
+    expect(updates).toEqual([{ captionIds: [1], translation: '大家好。', provisional: false }]);
+  });
+
+  it('句子未完成時應先送 provisional，成句後以同一組 captionIds 定版', async () => {
+    translator.push({ captionId: 1, text: 'Today we are going' });
+    expect(client.calls[0].text).toBe('Today we are going');
+
+    translator.push({ captionId: 2, text: 'to talk about AI.' });
+    expect(client.calls[1].text).toBe('Today we are going to talk about AI.');
+
+    client.calls[1].resolve({ text: '今天我們要談 AI。' });
+    await flushPromises();
+
+    expect(updates).toEqual([
+      { captionIds: [1, 2], translation: '今天我們要談 AI。', provisional: false },
+    ]);
+  });
+
+  it('晚到的 provisional 不應蓋掉已定版的譯文', async () => {
+    translator.push({ captionId: 1, text: 'Today we are going' });
+    translator.push({ captionId: 2, text: 'to talk about AI.' });
+
+    client.calls[1].resolve({ text: '今天我們要談 AI。' });
+    await flushPromises();
+    client.calls[0].resolve({ text: '今天我們要' });
+    await flushPromises();
+
+    expect(updates).toHaveLength(1);
+    expect(updates[0].provisional).toBe(false);
+  });
+
+  it('被更新片段取代的 provisional 應丟棄', async () => {
+    translator.push({ captionId: 1, text: 'Today we' });
+    translator.push({ captionId: 2, text: 'are going' });
+
+    client.calls[0].resolve({ text: '今天我們' });
+    client.calls[1].resolve({ text: '今天我們要' });
+    await flushPromises();
+
+    expect(updates).toEqual([
+      { captionIds: [1, 2], translation: '今天我們要', provisional: true },
+    ]);
+  });
+
+  it('等不到句末標點時應在逾時後強制成句', async () => {
+    vi.useFakeTimers();
+    translator.push({ captionId: 1, text: 'and then' });
+    expect(client.calls).toHaveLength(1);
+
+    vi.advanceTimersByTime(3000);
+
+    expect(client.calls).toHaveLength(2);
+    expect(client.calls[1].text).toBe('and then');
+  });
+
+  it('引擎判斷講完（speech_final）時沒有標點也直接定版', () => {
+    translator.push({ captionId: 1, text: 'so that is it', sentenceEnd: true });
+
+    expect(client.calls).toHaveLength(1);
+    expect(client.calls[0].options.context).toEqual([]);
+    expect(translator.pending).toEqual([]);
+  });
+
+  it('應附上最近 N 句定版前文作為上下文', async () => {
+    const sentences = ['One.', 'Two.', 'Three.'];
+    for (const [i, text] of sentences.entries()) {
+      translator.push({ captionId: i + 1, text });
+      client.calls.at(-1).resolve({ text: `譯${i + 1}` });
+      await flushPromises();
+    }
+
+    translator.push({ captionId: 4, text: 'Four.' });
+
+    expect(client.calls.at(-1).options.context).toEqual([
+      { text: 'Two.', translation: '譯2' },
+      { text: 'Three.', translation: '譯3' },
+    ]);
+  });
+
+  it('中文片段應直接相接，不插入空白', () => {
+    const zh = new StreamingTranslator(client, { sourceLanguage: 'zh-TW' });
+    zh.push({ captionId: 1, text: '今天天氣' });
+    zh.push({ captionId: 2, text: '很好。' });
+
+    expect(client.calls.at(-1).text).toBe('今天天氣很好。');
+    zh.close();
+  });
+
+  it('close() 之後回來的結果應丟棄', async () => {
+    translator.push({ captionId: 1, text: 'Hello.' });
+    translator.close();
+
+    client.calls[0].resolve({ text: '你好。' });
+    await flushPromises();
+
+    expect(updates).toHaveLength(0);
+  });
+
+  it('翻譯失敗應回報錯誤且不影響下一句', async () => {
+    const errors = [];
+    translator.onError = (error) => errors.push(error);
+
+    translator.push({ captionId: 1, text: 'First.' });
+    client.calls[0].reject(new Error('boom'));
+    await flushPromises();
+
+    translator.push({ captionId: 2, text: 'Second.' });
+    client.calls[1].resolve({ text: '第二。' });
+    await flushPromises();
+
+    expect(errors).toHaveLength(1);
+    expect(updates).toEqual([{ captionIds: [2], translation: '第二。', provisional: false }]);
+  });
+});
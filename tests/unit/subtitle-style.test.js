@@ -0,0 +1,88 @@
+/**
+ * 字幕樣式正規化與 CSS 轉換測試
+ */
+import { describe, it, expect } from 'vitest';
+import { normalizeSubtitleStyle, subtitleStyleToCss } from '../../src/lib/subtitle-style.js';
+import { UI_CONFIG } from '../../src/lib/config.js';
+
+describe('normalizeSubtitleStyle', () => {
+  it('未設定時應回傳預設樣式', () => {
+    expect(normalizeSubtitleStyle()).toEqual(UI_CONFIG.DEFAULT_STYLE);
+  });
+
+  it('部分設定應保留並補齊其他欄位', () => {
+    const style = normalizeSubtitleStyle({ fontSize: 32, position: 'top' });
+
+    expect(style.fontSize).toBe(32);
+    expect(style.position).toBe('top');
+    expect(style.color).toBe(UI_CONFIG.DEFAULT_STYLE.color);
+  });
+
+  it('數值應夾限在合理範圍，表單字串應轉為數字', () => {
+    expect(normalizeSubtitleStyle({ fontSize: 999 }).fontSize).toBe(64);
+    expect(normalizeSubtitleStyle({ fontSize: '30' }).fontSize).toBe(30);
+    expect(normalizeSubtitleStyle({ backgroundOpacity: -1 }).backgroundOpacity).toBe(0);
+    expect(normalizeSubtitleStyle({ offset: '' }).offset).toBe(UI_CONFIG.DEFAULT_STYLE.offset);
+  });
+
+  it('不合法的選項與顏色應退回預設值', () => {
+    const style = normalizeSubtitleStyle({
+      color: 'red',
+      backgroundColor: '#12345',
+      edgeStyle: 'glow',
+      position: 'bottom-center', // 舊版預設值
+    });
+
+    expect(style.color).toBe(UI_CONFIG.DEFAULT_STYLE.color);
+    expect(style.backgroundColor).toBe(UI_CONFIG.DEFAULT_STYLE.backgroundColor);
+    expect(style.edgeStyle).toBe('shadow');
+    expect(style.position).toBe('bottom');
+  });
+
+  it('逐字高亮只接受布林值，高亮顏色要是 #RRGGBB', () => {
+    expect(normalizeSubtitleStyle({ karaoke: true }).karaoke).toBe(true);
+    expect(normalizeSubtitleStyle({ karaoke: 'yes' }).karaoke).toBe(false);
+    expect(normalizeSubtitleStyle({ highlightColor: '#00ff00' }).highlightColor).toBe('#00ff00');
+    expect(normalizeSubtitleStyle({ highlightColor: 'gold' }).highlightColor).toBe(
+      UI_CONFIG.DEFAULT_STYLE.highlightColor
+    );
+  });
+
+  it('多行模式：不認得的顯示方式退回單行，行數取整數並夾在 2-3 行', () => {
+    expect(normalizeSubtitleStyle({ displayMode: 'rollup' }).displayMode).toBe('rollup');
+    expect(normalizeSubtitleStyle({ displayMode: 'paint-on' }).displayMode).toBe('single');
+    expect(normalizeSubtitleStyle({ lineCount: 5 }).lineCount).toBe(3);
+    expect(normalizeSubtitleStyle({ lineCount: '2.4' }).lineCount).toBe(2);
+    expect(normalizeSubtitleStyle({ lineFadeSeconds: 0 }).lineFadeSeconds).toBe(1);
+    expect(normalizeSubtitleStyle({ lineFadeSeconds: 'soon' }).lineFadeSeconds).toBe(
+      UI_CONFIG.DEFAULT_STYLE.lineFadeSeconds
+    );
+  });
+
+  it('每行字數取整數並夾限', () => {
+    expect(normalizeSubtitleStyle({ maxCharsPerLine: '30.6' }).maxCharsPerLine).toBe(31);
+    expect(normalizeSubtitleStyle({ maxCharsPerLine: 2 }).maxCharsPerLine).toBe(10);
+    expect(normalizeSubtitleStyle({}).maxCharsPerLine).toBe(UI_CONFIG.DEFAULT_STYLE.maxCharsPerLine);
+  });
+});
+
+describe('subtitleStyleToCss', () => {
+  it('應組出背景透明度與文字邊緣', () => {
+    const css = subtitleStyleToCss(
+      normalizeSubtitleStyle({
+        fontSize: 28,
+        backgroundColor: '#102030',
+        backgroundOpacity: 0.5,
+        edgeStyle: 'outline',
+      })
+    );
+
+    expect(css.fontSize).toBe('28px');
+    expect(css.background).toBe('rgba(16, 32, 48, 0.5)');
+    expect(css.textShadow).toContain('1px 1px 0 #000');
+  });
+
+  it('edgeStyle 為 none 時不應有陰影', () => {
+    expect(subtitleStyleToCss(normalizeSubtitleStyle({ edgeStyle: 'none' })).textShadow).toBe('none');
+  });
+});
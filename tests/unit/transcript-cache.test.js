@@ -0,0 +1,81 @@
+/**
+ * 字幕紀錄重播時間軸測試
+ */
+import { describe, it, expect } from 'vitest';
+import {
+  buildCoverage,
+  buildCachedTimeline,
+  isTimeCovered,
+  coveredSeconds,
+} from '../../src/lib/transcript-cache.js';
+
+const caption = (id, start, end, text = `第 ${id} 句`) => ({ id, text, start, end });
+
+const record = (overrides = {}) => ({
+  id: 'rec',
+  timeBase: 'video',
+  startedAt: 1,
+  captions: [],
+  translations: [],
+  ...overrides,
+});
+
+describe('buildCoverage', () => {
+  it('間隔在容許值內的字幕應併成一段，超過就另起一段', () => {
+    const captions = [caption(1, 0, 2), caption(2, 5, 8), caption(3, 30, 32)];
+
+    expect(buildCoverage(captions, 10)).toEqual([
+      [0, 8],
+      [30, 32],
+    ]);
+  });
+});
+
+describe('buildCachedTimeline', () => {
+  it('只收影片時間軸且有字幕的紀錄', () => {
+    expect(buildCachedTimeline([record({ timeBase: 'stream', captions: [caption(1, 0, 2)] })])).toBeNull();
+    expect(buildCachedTimeline([record()])).toBeNull();
+  });
+
+  it('多筆紀錄應合併涵蓋範圍，重疊處以較新的為準', () => {
+    const older = record({
+      id: 'old',
+      startedAt: 1,
+      captions: [caption(1, 0, 3, '舊的開頭'), caption(2, 100, 103, '舊的重疊')],
+    });
+    const newer = record({
+      id: 'new',
+      startedAt: 2,
+      captions: [caption(1, 95, 98, '新的'), caption(2, 100, 104, '新的重疊')],
+      translations: [{ captionIds: [1, 2], text: 'New.' }],
+    });
+
+    const timeline = buildCachedTimeline([older, newer]);
+
+    expect(timeline.recordIds).toEqual(['new', 'old']);
+    expect(timeline.segments.map((seg) => seg.text)).toEqual(['舊的開頭', '新的', '新的重疊']);
+    expect(timeline.segments[2].translation).toBe('New.');
+    expect(timeline.coverage).toEqual([
+      [0, 3],
+      [95, 104],
+    ]);
+  });
+});
+
+describe('isTimeCovered', () => {
+  const coverage = [
+    [0, 60],
+    [120, 180],
+  ];
+
+  it('應保留尾端的預留時間，提早開即時辨識', () => {
+    expect(isTimeCovered(coverage, 30, 2)).toBe(true);
+    expect(isTimeCovered(coverage, 59, 2)).toBe(false);
+    expect(isTimeCovered(coverage, 90, 2)).toBe(false);
+    expect(isTimeCovered(coverage, 120, 2)).toBe(true);
+  });
+
+  it('涵蓋秒數為各段加總', () => {
+    expect(coveredSeconds(coverage)).toBe(120);
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * 逐字稿記錄與匯出測試
+ */
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { TranscriptRecorder } from '../../src/background/transcript-recorder.js';
+import { TranscriptFormat, formatTimestamp, buildFilename } from '../../src/lib/transcript-format.js';
+import { ErrorCodes } from '../../src/lib/errors.js';
+
+const STARTED_AT = new Date(2026, 9, 19, 8, 5).getTime();
+
+/** 正規化後的 TranscriptEvent，預設為串流時間軸的 final */
+const event = (overrides = {}) => ({
+  text: '你好',
+  isFinal: true,
+  confidence: 0.9,
+  start: 0,
+  end: 1.5,
+  timeBase: 'stream',
+  words: [],
+  timestamp: STARTED_AT + 2000,
+  ...overrides,
+});
+
+describe('TranscriptRecorder', () => {
+  let recorder;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(STARTED_AT);
+    recorder = new TranscriptRecorder();
+    recorder.start({ title: 'Demo: 第一集 | YouTube', engineId: 'deepgram' });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('只收 final，停用後保留到下一次 start()', () => {
+    recorder.addCaption(event({ isFinal: false, text: '你' }), undefined);
+    recorder.addCaption(event(), 1);
+    recorder.stop();
+    recorder.addCaption(event({ text: '停用後晚到' }), 2);
+
+    const summary = recorder.getSummary();
+    expect(summary.captionCount).toBe(1);
+    expect(summary.recording).toBe(false);
+    expect(summary.endedAt).not.toBeNull();
+  });
+
+  it('匯出 SRT 應有序號與逗號分隔的時間碼', () => {
+    recorder.addCaption(event({ start: 1, end: 3.25, text: '第一句' }), 1);
+    recorder.addCaption(event({ start: 65, end: 65, text: '第二句' }), 2);
+
+    const { content, mimeType } = recorder.export(TranscriptFormat.SRT);
+
+    expect(mimeType).toBe('application/x-subrip');
+    expect(content).toBe(
+      '1\n00:00:01,000 --> 00:00:03,250\n第一句\n\n' +
+        // 起訖相同的字幕補足最短顯示時間
+        '2\n00:01:05,000 --> 00:01:06,000\n第二句\n'
+    );
+  });
+
+  it('匯出 WebVTT 應有檔頭並跳脫標記字元', () => {
+    recorder.addCaption(event({ start: 1, end: 2, text: 'a < b & c --> d' }), 1);
+
+    const { content } = recorder.export(TranscriptFormat.VTT);
+
+    expect(content).toBe('WEBVTT\n\n00:00:01.000 --> 00:00:02.000\na &lt; b &amp; c --&gt; d\n');
+  });
+
+  it('匯出 JSON 應保留逐字時間、信心度與定版譯文', () => {
+    const words = [{ text: '你好', start: 0.1, end: 0.6, confidence: 0.8 }];
+    recorder.addCaption(event({ words }), 1);
+    recorder.addTranslation({ captionIds: [1], translation: 'Hello', provisional: true });
+    recorder.addTranslation({ captionIds: [1], translation: 'Hello.', provisional: false });
+
+    const data = JSON.parse(recorder.export(TranscriptFormat.JSON).content);
+
+    expect(data.engineId).toBe('deepgram');
+    expect(data.timeBase).toBe('stream');
+    expect(data.captions[0]).toMatchObject({ id: 1, confidence: 0.9, words });
+    expect(data.translations).toEqual([{ captionIds: [1], text: 'Hello.' }]);
+  });
+
+  it('串流時間倒退（引擎重連）時應接續整場時間軸', () => {
+    recorder.addCaption(event({ start: 10, end: 12, timestamp: STARTED_AT + 12500 }), 1);
+    // 重連後 Deepgram 從 0 重新計時，此時距啟用已 30 秒
+    const words = [{ text: '又', start: 0.5, end: 1 }];
+    recorder.addCaption(event({ start: 0.5, end: 2, words, timestamp: STARTED_AT + 30000 }), 2);
+
+    const [first, second] = recorder.session.captions;
+    expect(first.start).toBe(10);
+    expect(second.start).toBeCloseTo(29);
+    expect(second.end).toBeCloseTo(30.5);
+    expect(second.words[0].start).toBeCloseTo(29);
+  });
+
+  it('影片時間軸應原樣沿用，沒有時間的結果以收到時間代替', () => {
+    recorder.addCaption(event({ timeBase: 'video', start: 300, end: 303 }), 1);
+    recorder.addCaption(event({ start: null, end: null, timestamp: STARTED_AT + 4000 }), 2);
+
+    const [video, untimed] = recorder.session.captions;
+    expect(video.start).toBe(300);
+    expect(untimed.start).toBe(4);
+    expect(untimed.end).toBe(4);
+  });
+
+  it('純文字應以標題開頭、每行一句', () => {
+    recorder.addCaption(event({ text: '第一句' }), 1);
+    recorder.addCaption(event({ text: '第二句' }), 2);
+
+    const { content, filename } = recorder.export(TranscriptFormat.TXT);
+
+    expect(content).toBe('Demo: 第一集 | YouTube\n\n第一句\n第二句\n');
+    expect(filename).toBe('Demo 第一集 YouTube-20261019-0805.txt');
+  });
+
+  it('有講者資訊時每段加上講者標籤，改過名的用新名稱', () => {
+    const words = [
+      { text: 'Hello', start: 0, end: 0.5, speaker: 0 },
+      { text: 'there.', start: 0.5, end: 1, speaker: 0 },
+      { text: 'Hi!', start: 1, end: 1.5, speaker: 1 },
+    ];
+    recorder.addCaption(event({ text: 'Hello there. Hi!', words }), 1);
+    recorder.setSpeakerNames({ 1: 'Alice' });
+
+    expect(recorder.export(TranscriptFormat.TXT).content).toContain('Speaker 1: Hello there.\nAlice: Hi!');
+    expect(recorder.export(TranscriptFormat.VTT).content).toContain('Speaker 1: Hello there.\nAlice: Hi!');
+    expect(JSON.parse(recorder.export(TranscriptFormat.JSON).content)).toMatchObject({
+      speakerNames: { 1: 'Alice' },
+      captions: [{ words: [{ speaker: 0 }, { speaker: 0 }, { speaker: 1 }] }],
+    });
+  });
+
+  it('沒有字幕或格式不支援時應拋錯', () => {
+    expect(() => recorder.export(TranscriptFormat.SRT)).toThrow(
+      expect.objectContaining({ code: ErrorCodes.TRANSCRIPT_EMPTY })
+    );
+
+    recorder.addCaption(event(), 1);
+    expect(() => recorder.export('docx')).toThrow(
+      expect.objectContaining({ code: ErrorCodes.SETTINGS_INVALID })
+    );
+  });
+});
+
+describe('formatTimestamp', () => {
+  it('應進位到毫秒並補零', () => {
+    expect(formatTimestamp(3723.4567)).toBe('01:02:03,457');
+    expect(formatTimestamp(0.5, '.')).toBe('00:00:00.500');
+    expect(formatTimestamp(-1)).toBe('00:00:00,000');
+  });
+});
+
+describe('buildFilename', () => {
+  it('沒有標題時應退回預設名稱', () => {
+    expect(buildFilename(null, STARTED_AT, 'srt')).toBe('babel-bridge-20261019-0805.srt');
+    expect(buildFilename('  ///  ', STARTED_AT, 'vtt')).toBe('babel-bridge-20261019-0805.vtt');
+  });
+});
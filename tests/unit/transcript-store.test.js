@@ -0,0 +1,101 @@
+/**
+ * 逐字稿庫測試
+ *
+ * IndexedDB 的讀寫只是薄薄一層包裝，這裡測決定行為的純函式：
+ * 影片識別、搜尋比對與容量上限的淘汰順序。
+ */
+import { describe, it, expect } from 'vitest';
+import {
+  buildRecord,
+  matchesQuery,
+  selectEvictions,
+  toSummary,
+} from '../../src/lib/transcript-store.js';
+import { canonicalizeUrl, getVideoKey } from '../../src/lib/page-identity.js';
+
+const session = (overrides = {}) => ({
+  id: 'a',
+  title: 'Demo 影片',
+  url: 'https://www.youtube.com/watch?v=abc123&t=42s&utm_source=share',
+  engineId: 'deepgram',
+  language: 'zh-TW',
+  timeBase: 'stream',
+  startedAt: 1000,
+  endedAt: 5000,
+  captions: [{ id: 1, start: 0, end: 1, text: 'Hello 世界', confidence: 0.9, words: [] }],
+  translations: [{ captionIds: [1], text: '哈囉世界' }],
+  ...overrides,
+});
+
+describe('頁面識別', () => {
+  it('正規化網址應去掉 hash、追蹤參數與 www，並排序其餘參數', () => {
+    expect(canonicalizeUrl('https://WWW.Example.com/path/?b=2&utm_medium=x&a=1#top')).toBe(
+      'https://example.com/path?a=1&b=2'
+    );
+    expect(canonicalizeUrl('chrome://extensions')).toBeNull();
+    expect(canonicalizeUrl('not a url')).toBeNull();
+  });
+
+  it('同一部影片的不同網址應得到相同的識別碼', () => {
+    const key = 'youtube:abc123';
+    expect(getVideoKey('https://www.youtube.com/watch?v=abc123&list=PL1&t=10')).toBe(key);
+    expect(getVideoKey('https://m.youtube.com/watch?v=abc123')).toBe(key);
+    expect(getVideoKey('https://youtu.be/abc123?si=xyz')).toBe(key);
+    expect(getVideoKey('https://www.youtube.com/shorts/abc123')).toBe(key);
+  });
+
+  it('Bilibili 分 P 應分開，其他站台退回正規化網址', () => {
+    expect(getVideoKey('https://www.bilibili.com/video/BV1xx/?spm_id_from=333')).toBe('bilibili:BV1xx');
+    expect(getVideoKey('https://www.bilibili.com/video/BV1xx?p=3')).toBe('bilibili:BV1xx:p3');
+    expect(getVideoKey('https://example.com/v/1?fbclid=1')).toBe('url:https://example.com/v/1');
+  });
+});
+
+describe('buildRecord', () => {
+  it('應補上影片識別、原始標題、花費與大小', () => {
+    const record = buildRecord(session(), 0.12);
+
+    expect(record).toMatchObject({
+      videoKey: 'youtube:abc123',
+      canonicalUrl: 'https://youtube.com/watch?v=abc123',
+      originalTitle: 'Demo 影片',
+      cost: 0.12,
+    });
+    expect(record.size).toBeGreaterThan(JSON.stringify(session()).length);
+    expect(toSummary(record)).toMatchObject({ id: 'a', captionCount: 1, size: record.size });
+  });
+});
+
+describe('matchesQuery', () => {
+  it('應比對標題、網址、原文與譯文，不分大小寫', () => {
+    const record = buildRecord(session(), 0);
+
+    expect(matchesQuery(record, '')).toBe(true);
+    expect(matchesQuery(record, 'demo')).toBe(true);
+    expect(matchesQuery(record, 'HELLO')).toBe(true);
+    expect(matchesQuery(record, '哈囉')).toBe(true);
+    expect(matchesQuery(record, 'abc123')).toBe(true);
+    expect(matchesQuery(record, '不存在')).toBe(false);
+  });
+});
+
+describe('selectEvictions', () => {
+  const item = (id, startedAt, size = 10) => ({ id, startedAt, size });
+
+  it('未超過上限時不刪', () => {
+    expect(selectEvictions([item('a', 1), item('b', 2)], { maxRecords: 5, maxBytes: 100 })).toEqual([]);
+  });
+
+  it('超過筆數或容量時應從最舊的開始刪', () => {
+    const items = [item('old', 1), item('new', 3), item('mid', 2)];
+
+    expect(selectEvictions(items, { maxRecords: 2, maxBytes: 100 })).toEqual(['old']);
+    expect(selectEvictions(items, { maxRecords: 5, maxBytes: 15 })).toEqual(['mid', 'old']);
+  });
+
+  it('最新的一筆即使單筆超過容量也要保留', () => {
+    expect(selectEvictions([item('huge', 2, 500), item('old', 1)], { maxRecords: 5, maxBytes: 100 })).toEqual([
+      'old',
+    ]);
+  });
+});
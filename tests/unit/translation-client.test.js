@@ -0,0 +1,205 @@
+/**
+ * TranslationClient 單元測試
+ */
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+vi.mock('../../src/lib/api-key-manager.js', () => ({
+  APIKeyManager: {
+    getKey: vi.fn().mockResolvedValue('sk-test'),
+    trackGPTUsage: vi.fn().mockResolvedValue(undefined),
+  },
+}));
+
+// 哪些錯誤可重試沿用 ErrorHandler 的分類；退避以假計時器快轉，不必真的等
+vi.mock('../../src/lib/error-handler.js', () => ({
+  ErrorHandler: {
+    normalizeError: vi.fn((error) => error),
+    isRetryable: vi.fn((error) =>
+      ['API_NETWORK_ERROR', 'API_RATE_LIMIT', 'TRANSLATION_FAILED'].includes(error.code)
+    ),
+    handle: vi.fn(),
+    notifyUser: vi.fn(),
+  },
+}));
+
+const { TranslationClient } = await import('../../src/background/translation-client.js');
+const { APIKeyManager } = await import('../../src/lib/api-key-manager.js');
+const { ErrorHandler } = await import('../../src/lib/error-handler.js');
+const { ErrorCodes } = await import('../../src/lib/errors.js');
+const { TRANSLATION_CONFIG } = await import('../../src/lib/config.js');
+
+/** 組一個 Chat Completions 成功回應 */
+function completion(content, usage = { prompt_tokens: 50, completion_tokens: 10 }) {
+  return {
+    ok: true,
+    status: 200,
+    json: async () => ({ choices: [{ message: { content } }], usage }),
+  };
+}
+
+/** 跑完 translate()，中間的重試退避全部快轉 */
+async function translateWithRetries(client, text) {
+  const translating = client.translate(text);
+  translating.catch(() => {}); // 結果由呼叫端檢查，快轉期間先別當成未處理的 rejection
+  await vi.runAllTimersAsync();
+  return translating;
+}
+
+function failure(status, message = 'error') {
+  return {
+    ok: false,
+    status,
+    statusText: message,
+    json: async () => ({ error: { message } }),
+  };
+}
+
+describe('TranslationClient', () => {
+  let client;
+  let fetchMock;
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    fetchMock = vi.fn();
+    vi.stubGlobal('fetch', fetchMock);
+
+    client = new TranslationClient();
+    await client.init({ targetLanguage: 'ja' });
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.useRealTimers();
+  });
+
+  it('應以設定的模型與目標語言呼叫 Chat Completions', async () => {
+    fetchMock.mockResolvedValue(completion('こんにちは'));
+
+    await client.translate('Hello');
+
+    const [url, request] = fetchMock.mock.calls[0];
+    const body = JSON.parse(request.body);
+
+    expect(url).toBe(TRANSLATION_CONFIG.API_URL);
+    expect(request.headers.Authorization).toBe('Bearer sk-test');
+    expect(body.model).toBe(TRANSLATION_CONFIG.MODEL);
+    expect(body.messages[0].role).toBe('system');
+    expect(body.messages[0].content).toContain(TRANSLATION_CONFIG.SYSTEM_PROMPT);
+    expect(body.messages[0].content).toContain('日本語 (ja)');
+    expect(body.messages[1]).toEqual({ role: 'user', content: 'Hello' });
+  });
+
+  it('應回傳去除空白的譯文並記錄 token 用量', async () => {
+    fetchMock.mockResolvedValue(completion('  こんにちは\n', { prompt_tokens: 80, completion_tokens: 12 }));
+
+    const result = await client.translate('Hello');
+
+    expect(result).toEqual({ text: 'こんにちは', inputTokens: 80, outputTokens: 12 });
+    expect(APIKeyManager.trackGPTUsage).toHaveBeenCalledWith(80, 12, null);
+  });
+
+  it('options.targetLanguage 應覆寫預設目標語言', async () => {
+    fetchMock.mockResolvedValue(completion('Bonjour'));
+
+    await client.translate('Hello', { targetLanguage: 'fr' });
+
+    const body = JSON.parse(fetchMock.mock.calls[0][1].body);
+    expect(body.messages[0].content).toContain('Français (fr)');
+  });
+
+  it('前文應以對話輪次放入，標題附在 system prompt', async () => {
+    fetchMock.mockResolvedValue(completion('譯文'));
+
+    await client.translate('Third.', {
+      title: 'Keynote 2026',
+      context: [
+        { text: 'First.', translation: '一。' },
+        { text: 'Second.', translation: '二。' },
+      ],
+    });
+
+    const body = JSON.parse(fetchMock.mock.calls[0][1].body);
+    expect(body.messages[0].content).toContain('"Keynote 2026"');
+    expect(body.messages.slice(1)).toEqual([
+      { role: 'user', content: 'First.' },
+      { role: 'assistant', content: '一。' },
+      { role: 'user', content: 'Second.' },
+      { role: 'assistant', content: '二。' },
+      { role: 'user', content: 'Third.' },
+    ]);
+  });
+
+  it('伺服器錯誤時應重試', async () => {
+    fetchMock
+      .mockResolvedValueOnce(failure(500, 'server error'))
+      .mockResolvedValueOnce(completion('譯文'));
+
+    vi.useFakeTimers();
+
+    const result = await translateWithRetries(client, 'text');
+
+    expect(result.text).toBe('譯文');
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+  });
+
+  it('API Key 無效時不應重試', async () => {
+    fetchMock.mockResolvedValue(failure(401, 'invalid key'));
+
+    await expect(client.translate('text')).rejects.toMatchObject({
+      code: ErrorCodes.API_KEY_INVALID,
+    });
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(APIKeyManager.trackGPTUsage).not.toHaveBeenCalled();
+  });
+
+  it('超過重試次數後應拋出最後的錯誤', async () => {
+    fetchMock.mockResolvedValue(failure(503, 'unavailable'));
+
+    vi.useFakeTimers();
+
+    await expect(translateWithRetries(client, 'text')).rejects.toMatchObject({
+      code: ErrorCodes.TRANSLATION_FAILED,
+    });
+    expect(fetchMock).toHaveBeenCalledTimes(TRANSLATION_CONFIG.MAX_RETRIES + 1);
+    // 通知交給知道是哪個分頁的呼叫端
+    expect(ErrorHandler.handle).not.toHaveBeenCalled();
+    expect(ErrorHandler.notifyUser).not.toHaveBeenCalled();
+  });
+
+  it('重試次數只算這一句：同時失敗的兩句各自重試到上限', async () => {
+    fetchMock.mockResolvedValue(failure(503, 'unavailable'));
+    vi.useFakeTimers();
+
+    const results = await Promise.allSettled([
+      translateWithRetries(client, 'first'),
+      translateWithRetries(new TranslationClient(), 'second'),
+    ]);
+
+    expect(results.map((result) => result.status)).toEqual(['rejected', 'rejected']);
+    expect(fetchMock).toHaveBeenCalledTimes(2 * (TRANSLATION_CONFIG.MAX_RETRIES + 1));
+  });
+
+  it('請求逾時應轉成 TRANSLATION_FAILED', async () => {
+    const abortError = new Error('aborted');
+    abortError.name = 'AbortError';
+    fetchMock.mockRejectedValueOnce(abortError).mockResolvedValueOnce(completion('ok'));
+    vi.useFakeTimers();
+
+    await expect(translateWithRetries(client, 'text')).resolves.toMatchObject({ text: 'ok' });
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+  });
+
+  it('回應缺少 choices 時應拋出 TRANSLATION_FAILED', () => {
+    expect(() => client.parseResponse({ usage: {} })).toThrow(
+      expect.objectContaining({ code: ErrorCodes.TRANSLATION_FAILED })
+    );
+  });
+
+  it('未設定 API Key 時 init() 應拋出 API_KEY_MISSING', async () => {
+    APIKeyManager.getKey.mockResolvedValueOnce(null);
+
+    await expect(new TranslationClient().init()).rejects.toMatchObject({
+      code: ErrorCodes.API_KEY_MISSING,
+    });
+  });
+});
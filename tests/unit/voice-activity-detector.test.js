@@ -0,0 +1,190 @@
+/**
+ * VoiceActivityDetector 單元測試
+ *
+ * 以合成訊號逐個 20ms frame 餵入：母音（140Hz 基頻的諧波、共振峰在 500/1500/2500Hz）、
+ * 白噪音、低頻隆隆聲與靜音，檢查送出與略過的 frame。
+ */
+import { describe, it, expect, beforeEach } from 'vitest';
+import { VoiceActivityDetector } from '../../src/offscreen/voice-activity-detector.js';
+
+const SAMPLE_RATE = 16000;
+const FRAME_SIZE = 320;
+
+let seed = 1;
+function noise() {
+  seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+  return (seed / 0x7fffffff) * 2 - 1;
+}
+
+const vowel = (amplitude) => (t) => {
+  let sum = 0;
+  for (let harmonic = 1; harmonic <= 24; harmonic++) {
+    const frequency = 140 * harmonic;
+    const gain = [500, 1500, 2500].reduce(
+      (total, formant) => total + Math.exp(-(((frequency - formant) / 200) ** 2)),
+      0.05
+    );
+    sum += gain * Math.sin(2 * Math.PI * frequency * t);
+  }
+  return (amplitude * sum) / 2.5;
+};
+const whiteNoise = (amplitude) => () => amplitude * noise();
+const rumble = (amplitude) => (t) => amplitude * Math.sin(2 * Math.PI * 60 * t);
+const silence = () => 0;
+
+/**
+ * 依序餵入多段訊號，回傳送出與略過的 frame 序號
+ * @param {VoiceActivityDetector} vad
+ * @param {Array<[(t: number) => number, number]>} segments - [訊號, 秒數]
+ */
+function feed(vad, segments) {
+  const result = { speech: [], silence: [], speechEnds: [] };
+  vad.onSpeech = (samples, frameIndex) => result.speech.push(frameIndex);
+  vad.onSilence = ({ frameIndex, frameCount }) => {
+    for (let i = 0; i < frameCount; i++) result.silence.push(frameIndex + i);
+  };
+  vad.onSpeechEnd = () => result.speechEnds.push(result.speech.at(-1));
+
+  let frameIndex = 0;
+  for (const [signal, seconds] of segments) {
+    const frames = Math.round((seconds * 1000) / 20);
+    for (let f = 0; f < frames; f++) {
+      const samples = new Int16Array(FRAME_SIZE);
+      for (let i = 0; i < FRAME_SIZE; i++) {
+        const value = signal((frameIndex * FRAME_SIZE + i) / SAMPLE_RATE);
+        samples[i] = Math.round(32767 * Math.max(-1, Math.min(1, value)));
+      }
+      vad.push(samples, ++frameIndex);
+    }
+  }
+  return result;
+}
+
+describe('VoiceActivityDetector', () => {
+  beforeEach(() => {
+    seed = 1;
+  });
+
+  it('靜音不送出，每秒回報一次略過的 frame', () => {
+    const vad = new VoiceActivityDetector();
+    const { speech, silence: skipped } = feed(vad, [[silence, 3]]);
+
+    expect(speech).toHaveLength(0);
+    // 最後一段還留在前段緩衝裡，不到 3 秒
+    expect(skipped.length).toBeGreaterThanOrEqual(100);
+    expect(vad.stats.skippedFrames).toBe(skipped.length);
+  });
+
+  it('對白開始時補上前段，結束後多送 hangover 才停', () => {
+    const vad = new VoiceActivityDetector();
+    // frame 1-100 靜音、101-150 母音、151-250 靜音
+    const { speech, speechEnds } = feed(vad, [
+      [silence, 2],
+      [vowel(0.3), 1],
+      [silence, 2],
+    ]);
+
+    // 101 起像語音、102 觸發（連續 2 個），再往前補 300ms（15 個）
+    expect(speech[0]).toBe(101 - 15);
+    // 最後一個像語音的是 150，之後 600ms（30 個）才停
+    expect(speech.at(-1)).toBe(180);
+    expect(speechEnds).toEqual([180]);
+  });
+
+  it('每個 frame 不是送出就是略過，依序且不重複', () => {
+    const vad = new VoiceActivityDetector();
+    const { speech, silence: skipped } = feed(vad, [
+      [silence, 1.5],
+      [vowel(0.3), 0.5],
+      [silence, 3],
+      [vowel(0.2), 0.8],
+      [silence, 0.5],
+    ]);
+
+    // 結束時還在 hangover 或前段緩衝裡的尾巴不算
+    const seen = [...skipped, ...speech].sort((a, b) => a - b);
+    seen.forEach((frameIndex, i) => expect(frameIndex).toBe(i + 1));
+    expect(new Set(seen).size).toBe(seen.length);
+    // 送出的 frame 依序
+    expect(speech).toEqual([...speech].sort((a, b) => a - b));
+  });
+
+  it('靜音的零頭先回報，再送前段', () => {
+    const vad = new VoiceActivityDetector();
+    const order = [];
+    vad.onSilence = ({ frameIndex, frameCount }) =>
+      order.push(['silence', frameIndex + frameCount - 1]);
+    vad.onSpeech = (samples, frameIndex) => order.push(['speech', frameIndex]);
+
+    const samples = new Int16Array(FRAME_SIZE);
+    for (let frameIndex = 1; frameIndex <= 30; frameIndex++) vad.push(samples, frameIndex);
+    feedVowelFrames(vad, 31, 5);
+
+    const firstSpeech = order.findIndex(([kind]) => kind === 'speech');
+    expect(order[firstSpeech - 1]).toEqual(['silence', order[firstSpeech][1] - 1]);
+  });
+
+  it('白噪音與低頻隆隆聲不算人聲', () => {
+    const noisy = feed(new VoiceActivityDetector(), [[whiteNoise(0.3), 2]]);
+    const rumbling = feed(new VoiceActivityDetector(), [[rumble(0.3), 2]]);
+
+    expect(noisy.speech).toHaveLength(0);
+    expect(rumbling.speech).toHaveLength(0);
+  });
+
+  it('背景噪音下仍聽得到對白', () => {
+    const background = whiteNoise(0.01);
+    const voiceOverNoise = (t) => background(t) + vowel(0.3)(t);
+    const { speech } = feed(new VoiceActivityDetector(), [
+      [background, 2],
+      [voiceOverNoise, 1],
+    ]);
+
+    expect(speech.length).toBeGreaterThan(40);
+  });
+
+  it('啟用時正在講話也不漏掉開頭', () => {
+    const { speech } = feed(new VoiceActivityDetector(), [[vowel(0.3), 1]]);
+
+    expect(speech[0]).toBe(1);
+  });
+
+  it('單一個喀噠聲不觸發', () => {
+    const vad = new VoiceActivityDetector();
+    const click = (t) => (t >= 1 && t < 1.02 ? vowel(0.5)(t) : 0);
+    const { speech } = feed(vad, [[click, 2]]);
+
+    expect(speech).toHaveLength(0);
+  });
+
+  it('靈敏度越高，越小聲的對白也會送', () => {
+    // 約 -53 dBFS：高於「高」的下限、低於「低」的下限
+    const quiet = [
+      [silence, 1],
+      [vowel(0.007), 1],
+    ];
+    const low = feed(new VoiceActivityDetector({ sensitivity: 'low' }), quiet);
+    const high = feed(new VoiceActivityDetector({ sensitivity: 'high' }), quiet);
+
+    expect(low.speech).toHaveLength(0);
+    expect(high.speech.length).toBeGreaterThan(40);
+  });
+
+  it('不認得的靈敏度（含 off）退回預設值', () => {
+    expect(new VoiceActivityDetector({ sensitivity: 'off' }).sensitivity).toBe('medium');
+    expect(new VoiceActivityDetector({ sensitivity: 'loud' }).sensitivity).toBe('medium');
+  });
+});
+
+/** 從指定序號起餵入 count 個母音 frame */
+function feedVowelFrames(vad, startIndex, count) {
+  const signal = vowel(0.3);
+  for (let f = 0; f < count; f++) {
+    const frameIndex = startIndex + f;
+    const samples = new Int16Array(FRAME_SIZE);
+    for (let i = 0; i < FRAME_SIZE; i++) {
+      samples[i] = Math.round(32767 * signal(((frameIndex - 1) * FRAME_SIZE + i) / SAMPLE_RATE));
+    }
+    vad.push(samples, frameIndex);
+  }
+}
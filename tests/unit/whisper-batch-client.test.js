@@ -0,0 +1,115 @@
+/**
+ * WhisperBatchClient 時間對齊測試：Offscreen 的 PCMChunker 切出的 chunk 經辨識後換成影片時間
+ */
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+vi.mock('../../src/lib/api-key-manager.js', () => ({
+  APIKeyManager: { getKey: vi.fn(), trackWhisperUsage: vi.fn(() => Promise.resolve()) },
+}));
+
+const { WhisperBatchClient } = await import('../../src/background/whisper-batch-client.js');
+const { PCMChunker } = await import('../../src/offscreen/pcm-chunker.js');
+
+const SAMPLE_RATE = 16000;
+
+/** 每段 chunk 的辨識結果都是 chunk 內 1-2 秒的一句話，逐段編號 */
+function createClient() {
+  const client = new WhisperBatchClient();
+  let count = 0;
+  client.whisperClient = {
+    init: vi.fn(),
+    transcribe: vi.fn(async () => {
+      count++;
+      return {
+        segments: [
+          {
+            start: 1,
+            end: 2,
+            text: `第 ${count} 句`,
+            words: [{ text: `第${count}句`, start: 1, end: 2 }],
+          },
+        ],
+      };
+    }),
+  };
+  return client;
+}
+
+describe('WhisperBatchClient 影片時間', () => {
+  let client;
+  let chunker;
+  let events;
+  let paused;
+
+  /** 啟用擷取：與 Offscreen 一樣以查到的影片時間與播放速度建立 chunker */
+  function startCapture(options) {
+    chunker = new PCMChunker(options);
+    // 與 Offscreen 的 sendWhisperChunk() 一樣帶上對時資訊；暫停期間的 chunk 由 TabSession 丟掉
+    chunker.onChunkReady = (chunk) => {
+      if (paused) return;
+      client.sendChunk({
+        audioBase64: 'UklGRg==',
+        mimeType: 'audio/wav',
+        chunkIndex: chunk.index,
+        audioStartTime: chunk.audioStartTime,
+        audioEndTime: chunk.audioEndTime,
+        duration: chunk.duration,
+        videoStartTime: chunk.videoStartTime,
+        playbackRate: chunk.playbackRate,
+      });
+    };
+  }
+
+  beforeEach(() => {
+    client = createClient();
+    events = [];
+    client.onTranscript = (event) => events.push(event);
+    paused = false;
+    startCapture({ videoStartTime: 10 });
+  });
+
+  const capture = (seconds) => chunker.push(new Int16Array(seconds * SAMPLE_RATE));
+
+  it('暫停、繼續播放與跳轉後，字幕時間跟著重新對時的影片時間', async () => {
+    // 從影片 10 秒開始播 4 秒，第一段 chunk 是影片 10-13 秒
+    capture(4);
+
+    // 影片 14 秒暫停 10 秒：分頁擷取照跑，但這段不是影片內容
+    paused = true;
+    capture(10);
+
+    // 繼續播放：從 14 秒重新起算
+    paused = false;
+    chunker.reanchor(14, 1);
+    capture(3);
+
+    // 以 2 倍速跳到 100 秒：音訊 1 秒是影片 2 秒
+    chunker.reanchor(100, 2);
+    capture(5);
+
+    await client.queue;
+
+    expect(events.map((event) => [event.start, event.end])).toEqual([
+      [11, 12], // 10 + 1
+      [15, 16], // 14 + 1，不含暫停的 10 秒
+      [102, 104], // 100 + 1 × 2
+      [106, 108], // 第二段 chunk 從音訊 2 秒起：100 + (2 + 1) × 2
+    ]);
+    expect(events[1].words[0]).toMatchObject({ start: 15, end: 16 });
+    expect(events[3].words[0]).toMatchObject({ start: 106, end: 108 });
+  });
+
+  it('在已經變速的影片上啟用，一開始就以啟用時的播放速度換算', async () => {
+    // 1.5 倍速播到 20 秒時啟用，之後沒有 ratechange
+    startCapture({ videoStartTime: 20, playbackRate: 1.5 });
+    capture(5);
+
+    await client.queue;
+
+    expect(events.map((event) => [event.start, event.end])).toEqual([
+      [21.5, 23], // 20 + 1 × 1.5
+      [24.5, 26], // 第二段 chunk 從音訊 2 秒起：20 + (2 + 1) × 1.5
+    ]);
+    expect(events[1].words[0]).toMatchObject({ start: 24.5, end: 26 });
+  });
+});
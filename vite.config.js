@@ -7,7 +7,8 @@ export default defineConfig({
       manifest: './manifest.json',
       watchFilePaths: ['src/**/*', 'icons/**/*'],
       additionalInputs: [
-        'src/offscreen/offscreen.html'
+        'src/offscreen/offscreen.html',
+        'src/library/library.html'
       ],
     }),
   ],